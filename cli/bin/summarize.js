@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// Command-line client for the SummarizeAI server. Run with --help for usage.
+import { run } from '../lib/cli.js';
+
+process.exitCode = await run(process.argv.slice(2));
@@ -0,0 +1,107 @@
+import { openAsBlob } from 'fs';
+import { basename } from 'path';
+import { setTimeout as sleep } from 'timers/promises';
+
+// A client for the server's HTTP API, authenticated with a personal API token
+// (created in the web app or with POST /api/tokens) sent as a Bearer token.
+//
+// Rate-limited requests (429) are retried after the Retry-After the server
+// sends, and network errors and 502/503/504 responses with exponential
+// backoff, up to `retries` times. A 429 asking to wait longer than
+// MAX_RETRY_WAIT_MS (the monthly token quota) fails right away.
+const MAX_RETRY_WAIT_MS = 5 * 60 * 1000;
+const BACKOFF_BASE_MS = 1000;
+
+function apiError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+async function errorMessage(res) {
+  const text = await res.text();
+  try {
+    return JSON.parse(text).error || `HTTP ${res.status}`;
+  } catch {
+    return `HTTP ${res.status}`;
+  }
+}
+
+// The file name from a Content-Disposition header
+function attachmentName(disposition) {
+  const encoded = disposition?.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  if (encoded) return decodeURIComponent(encoded);
+  return disposition?.match(/filename="?([^";]+)"?/i)?.[1] ?? null;
+}
+
+export function createApiClient({ server, token, retries = 3 }) {
+  const base = server.replace(/\/+$/, '');
+
+  async function request(method, path, { query, json, form, raw = false } = {}) {
+    const url = new URL(`${base}/api${path}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, value);
+    }
+    const headers = { Authorization: `Bearer ${token}` };
+    if (json) headers['Content-Type'] = 'application/json';
+
+    for (let attempt = 1; ; attempt++) {
+      let res;
+      try {
+        res = await fetch(url, { method, headers, body: json ? JSON.stringify(json) : form });
+      } catch (err) {
+        if (attempt > retries) throw apiError(null, `Could not reach ${base}: ${err.cause?.message || err.message}`);
+        await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+        continue;
+      }
+
+      if (res.ok) return raw ? res : res.json();
+
+      const message = await errorMessage(res);
+      let waitMs = null;
+      if (res.status === 429) {
+        const seconds = Number(res.headers.get('retry-after'));
+        waitMs = Number.isFinite(seconds) ? seconds * 1000 : BACKOFF_BASE_MS * 2 ** (attempt - 1);
+      } else if ([502, 503, 504].includes(res.status)) {
+        waitMs = BACKOFF_BASE_MS * 2 ** (attempt - 1);
+      }
+      if (waitMs === null || waitMs > MAX_RETRY_WAIT_MS || attempt > retries) throw apiError(res.status, message);
+      await sleep(waitMs);
+    }
+  }
+
+  return {
+    // Upload a document and summarize it. `options` are the /api/summarize
+    // form fields (length, outputLanguage, template, provider, model, ...).
+    async summarize(file, options = {}) {
+      const form = new FormData();
+      form.append('pdf', await openAsBlob(file), basename(file));
+      for (const [key, value] of Object.entries(options)) {
+        if (value !== undefined) form.append(key, String(value));
+      }
+      return request('POST', '/summarize', { form });
+    },
+
+    listSummaries(query) {
+      return request('GET', '/summaries', { query });
+    },
+
+    getSummary(id) {
+      return request('GET', `/summaries/${encodeURIComponent(id)}`);
+    },
+
+    deleteSummary(id) {
+      return request('DELETE', `/summaries/${encodeURIComponent(id)}`);
+    },
+
+    // A summary exported as md, html, json, pdf or docx:
+    // { filename, body: Buffer }
+    async exportSummary(id, format) {
+      const res = await request('GET', `/summaries/${encodeURIComponent(id)}/export`, { query: { format }, raw: true });
+      return {
+        filename: attachmentName(res.headers.get('content-disposition')),
+        body: Buffer.from(await res.arrayBuffer()),
+      };
+    },
+  };
+}
@@ -0,0 +1,205 @@
+import { parseArgs } from 'util';
+import { createApiClient } from './api.js';
+import { deleteHistory, getHistory, listHistory } from './history.js';
+import { STATE_FILE, summarizeFiles } from './summarize.js';
+
+// Exit codes: 0 when everything succeeded, 1 when any file or request
+// failed, 2 for invalid arguments or configuration
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_USAGE = 2;
+
+const DEFAULT_SERVER = 'http://localhost:3001';
+const LENGTHS = ['short', 'medium', 'long'];
+const FORMATS = ['md', 'html', 'json', 'pdf', 'docx'];
+
+const USAGE = `Usage:
+  summarize <files or globs...> [options]
+  summarize history list [--limit N] [--all] [--search TEXT] [--from DATE] [--to DATE]
+  summarize history get <id> [--format FORMAT] [--out FILE]
+  summarize history delete <id...>
+
+Summarize options:
+  --length short|medium|long   Summary length (default medium)
+  --out DIR                    Write one file per summary into DIR instead of stdout
+  --format FORMAT              Format of the files in --out: md (default), html,
+                               json, pdf or docx
+  --language CODE              Summary language, or "auto" for the document's
+  --template ID                Prompt template, with --audience and --focus
+  --provider NAME, --model NAME
+  --regenerate                 Summarize again instead of reusing earlier summaries
+  --concurrency N              Files to summarize at a time (default 2)
+  --state FILE                 Where to save progress (default DIR/${STATE_FILE} with --out)
+  --force                      Redo files the saved progress marks as done
+
+Common options:
+  --server URL    Server to use (SUMMARIZE_SERVER, default ${DEFAULT_SERVER})
+  --token TOKEN   Personal API token (SUMMARIZE_TOKEN)
+  --json          Print JSON: one object per line for summarize and delete
+  --retries N     Retries for rate-limited or unreachable requests (default 3)
+  --quiet         Don't print progress to stderr
+  --help
+
+Quote globs ("docs/**/*.pdf") to let summarize expand them. Running the same
+summarize command again skips files finished before, so an interrupted run
+picks up where it stopped. Exits with 1 when any file or request failed and
+2 for invalid arguments.`;
+
+const COMMON_OPTIONS = {
+  server: { type: 'string' },
+  token: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  retries: { type: 'string' },
+  quiet: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const SUMMARIZE_OPTIONS = {
+  ...COMMON_OPTIONS,
+  length: { type: 'string', default: 'medium' },
+  out: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  language: { type: 'string' },
+  template: { type: 'string' },
+  audience: { type: 'string' },
+  focus: { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  regenerate: { type: 'boolean', default: false },
+  concurrency: { type: 'string', short: 'c', default: '2' },
+  state: { type: 'string' },
+  force: { type: 'boolean', default: false },
+};
+
+const HISTORY_OPTIONS = {
+  ...COMMON_OPTIONS,
+  limit: { type: 'string', default: '20' },
+  cursor: { type: 'string' },
+  all: { type: 'boolean', default: false },
+  search: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  length: { type: 'string' },
+  format: { type: 'string', short: 'f' },
+  out: { type: 'string', short: 'o' },
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+function count(value, name, { min, max }) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw usageError(`--${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function oneOf(value, name, allowed) {
+  if (value !== undefined && !allowed.includes(value)) {
+    throw usageError(`--${name} must be one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+function apiClient(values, env) {
+  const token = values.token || env.SUMMARIZE_TOKEN;
+  if (!token) throw usageError('An API token is required: pass --token or set SUMMARIZE_TOKEN');
+  return createApiClient({
+    server: values.server || env.SUMMARIZE_SERVER || DEFAULT_SERVER,
+    token,
+    retries: values.retries === undefined ? 3 : count(values.retries, 'retries', { min: 0, max: 10 }),
+  });
+}
+
+async function summarizeCommand(args, env) {
+  const { values, positionals } = parseArgs({ args, options: SUMMARIZE_OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length === 0) throw usageError('Name at least one file or glob to summarize');
+  if (values.format && !values.out) throw usageError('--format needs --out');
+
+  const log = values.quiet ? () => {} : (message) => console.error(message);
+  const failed = await summarizeFiles(apiClient(values, env), positionals, {
+    options: {
+      length: oneOf(values.length, 'length', LENGTHS),
+      outputLanguage: values.language,
+      template: values.template,
+      audience: values.audience,
+      focus: values.focus,
+      provider: values.provider,
+      model: values.model,
+      regenerate: values.regenerate || undefined,
+    },
+    out: values.out,
+    format: values.out ? oneOf(values.format, 'format', FORMATS) || 'md' : undefined,
+    json: values.json,
+    concurrency: count(values.concurrency, 'concurrency', { min: 1, max: 16 }),
+    statePath: values.state,
+    force: values.force,
+    log,
+  });
+  return failed ? EXIT_FAILED : EXIT_OK;
+}
+
+async function historyCommand(args, env) {
+  const { values, positionals } = parseArgs({ args, options: HISTORY_OPTIONS, allowPositionals: true });
+  const [action, ...ids] = positionals;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const log = values.quiet ? () => {} : (message) => console.error(message);
+  const { json } = values;
+  if (action === 'list') {
+    if (ids.length) throw usageError('history list takes no arguments');
+    await listHistory(apiClient(values, env), {
+      query: { q: values.search, from: values.from, to: values.to, length: values.length, cursor: values.cursor },
+      limit: count(values.limit, 'limit', { min: 1, max: 100 }),
+      all: values.all,
+      json,
+      log,
+    });
+    return EXIT_OK;
+  }
+  if (action === 'get') {
+    if (ids.length !== 1) throw usageError('history get takes one summary id');
+    await getHistory(apiClient(values, env), ids[0], {
+      format: oneOf(values.format, 'format', FORMATS),
+      out: values.out,
+      json,
+      log,
+    });
+    return EXIT_OK;
+  }
+  if (action === 'delete') {
+    if (ids.length === 0) throw usageError('history delete takes one or more summary ids');
+    return (await deleteHistory(apiClient(values, env), ids, { json, log })) ? EXIT_FAILED : EXIT_OK;
+  }
+  throw usageError(action ? `Unknown history command "${action}". Use list, get or delete` : 'Use history list, get or delete');
+}
+
+// Run the command line `args` and resolve the exit code
+export async function run(args, env = process.env) {
+  try {
+    if (args.length === 0 || args[0] === 'help') {
+      console.log(USAGE);
+      return args.length === 0 ? EXIT_USAGE : EXIT_OK;
+    }
+    if (args[0] === 'history') return await historyCommand(args.slice(1), env);
+    return await summarizeCommand(args, env);
+  } catch (err) {
+    if (err.usage || err.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`${err.message}\nRun summarize --help for usage.`);
+      return EXIT_USAGE;
+    }
+    console.error(`Error: ${err.message}`);
+    return EXIT_FAILED;
+  }
+}
@@ -0,0 +1,106 @@
+import { readdir, stat } from 'fs/promises';
+import { join, relative, resolve, sep } from 'path';
+
+// Expand file arguments that may be glob patterns, for shells that don't
+// (Windows) and for quoted patterns. Supports *, ?, **, [abc] and {a,b}.
+// Like shells, patterns skip files and directories whose names start with a
+// dot (and node_modules).
+
+const MAGIC = /[*?[{]/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^$()|\\/]/g, '\\$&');
+}
+
+// A regular expression for a glob pattern, matched against /-separated
+// paths relative to the pattern's base directory
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:[^/]*/)*' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+        continue;
+      }
+      const set = pattern.substring(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+      source += `[${set}]`;
+      i = end;
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      const options = pattern.substring(i + 1, end).split(',').map((option) => globToRegExp(option).source.slice(1, -1));
+      source += `(?:${options.join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+async function walk(dir, depth, found) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return;
+    throw err;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth > 1) await walk(path, depth - 1, found);
+    } else if (entry.isFile()) {
+      found.push(path);
+    }
+  }
+}
+
+// The files one pattern (or plain path) names, sorted
+async function expandPattern(pattern, cwd) {
+  const parts = pattern.split(/[\\/]/);
+  const magicAt = parts.findIndex((part) => MAGIC.test(part));
+  if (magicAt === -1) return [resolve(cwd, pattern)];
+
+  const base = resolve(cwd, parts.slice(0, magicAt).join('/') || '.');
+  const rest = parts.slice(magicAt);
+  const matcher = globToRegExp(rest.join('/'));
+  const depth = rest.some((part) => part.includes('**')) ? Infinity : rest.length;
+
+  const found = [];
+  await walk(base, depth, found);
+  return found.filter((path) => matcher.test(relative(base, path).split(sep).join('/'))).sort();
+}
+
+// Expand `patterns` into a list of distinct absolute file paths, in argument
+// order. Plain paths must exist and be files; patterns that match nothing are
+// reported in `unmatched`.
+export async function expandFiles(patterns, { cwd = process.cwd() } = {}) {
+  const files = new Set();
+  const unmatched = [];
+  for (const pattern of patterns) {
+    const paths = await expandPattern(pattern, cwd);
+    if (!MAGIC.test(pattern)) {
+      const info = await stat(paths[0]).catch(() => null);
+      if (!info) throw new Error(`No such file: ${pattern}`);
+      if (!info.isFile()) throw new Error(`${pattern} is a directory; use a pattern like "${pattern.replace(/[\\/]$/, '')}/**/*.pdf"`);
+    }
+    if (paths.length === 0) unmatched.push(pattern);
+    for (const path of paths) files.add(path);
+  }
+  return { files: [...files], unmatched };
+}
@@ -0,0 +1,83 @@
+import { writeFile } from 'fs/promises';
+
+// `history list|get|delete`, mirroring GET /api/summaries,
+// GET /api/summaries/:id (and its export) and DELETE /api/summaries/:id
+
+const PAGE_SIZE = 100;
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  return rows.map((row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+// Newest first. With `all`, follows nextCursor until the end; otherwise
+// prints one page and the cursor of the next.
+export async function listHistory(api, { query, limit, all, json, log }) {
+  let items = [];
+  let cursor = query.cursor;
+  do {
+    const pageSize = all ? PAGE_SIZE : limit;
+    const page = await api.listSummaries({ ...query, cursor, limit: pageSize });
+    items = items.concat(page.items);
+    cursor = page.nextCursor;
+  } while (all && cursor);
+
+  if (json) {
+    console.log(JSON.stringify(items, null, 2));
+  } else if (items.length === 0) {
+    log('No summaries found');
+  } else {
+    console.log(table([
+      ['ID', 'CREATED', 'LENGTH', 'PAGES', 'FILE'],
+      ...items.map((item) => [
+        item.id,
+        item.created_at.substring(0, 16).replace('T', ' '),
+        item.summary_length ?? '',
+        item.page_count ?? '',
+        item.original_filename,
+      ]),
+    ]));
+  }
+  if (cursor) log(`More summaries follow: --cursor ${cursor}`);
+}
+
+// The summary as Markdown, the stored row with `json`, or an export in
+// `format`, written to `out` or stdout
+export async function getHistory(api, id, { format, out, json, log }) {
+  if (format) {
+    const { body } = await api.exportSummary(id, format);
+    if (out) {
+      await writeFile(out, body);
+      log(`Saved ${out}`);
+    } else {
+      process.stdout.write(body);
+    }
+    return;
+  }
+
+  const summary = await api.getSummary(id);
+  const text = json ? JSON.stringify(summary, null, 2) : `# ${summary.original_filename}\n\n${summary.summary}\n`;
+  if (out) {
+    await writeFile(out, text);
+    log(`Saved ${out}`);
+  } else {
+    console.log(text);
+  }
+}
+
+// Delete each summary in `ids`. Resolves the number that could not be deleted.
+export async function deleteHistory(api, ids, { json, log }) {
+  let failed = 0;
+  for (const id of ids) {
+    try {
+      await api.deleteSummary(id);
+      log(`Deleted ${id}`);
+      if (json) console.log(JSON.stringify({ id, ok: true }));
+    } catch (err) {
+      failed++;
+      log(`Could not delete ${id}: ${err.message}`);
+      if (json) console.log(JSON.stringify({ id, ok: false, error: err.message, status: err.status ?? null }));
+    }
+  }
+  return failed;
+}
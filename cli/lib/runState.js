@@ -0,0 +1,45 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Progress of a batch run, saved after every file so that running the same
+// command again after an interruption or failures only does what is left.
+// Files are keyed by absolute path. A file counts as done while its
+// fingerprint (size, modification time and the summary options) still
+// matches, so changed files and changed options are summarized again.
+const VERSION = 1;
+
+export async function openRunState(path) {
+  let state = { version: VERSION, files: {} };
+  try {
+    const saved = JSON.parse(await readFile(path, 'utf8'));
+    if (saved.version === VERSION) state = saved;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`Could not read the run state in ${path}: ${err.message}`);
+  }
+
+  // Writes are chained so concurrent updates land in order
+  let saving = Promise.resolve();
+  const save = () => {
+    saving = saving.then(async () => {
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(`${path}.tmp`, JSON.stringify(state, null, 2));
+      await rename(`${path}.tmp`, path);
+    });
+    return saving;
+  };
+
+  return {
+    path,
+
+    // The entry of a file completed with this fingerprint, or null
+    completed(file, fingerprint) {
+      const entry = state.files[file];
+      return entry?.status === 'done' && entry.fingerprint === fingerprint ? entry : null;
+    },
+
+    record(file, entry) {
+      state.files[file] = { ...entry, updatedAt: new Date().toISOString() };
+      return save();
+    },
+  };
+}
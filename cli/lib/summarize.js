@@ -0,0 +1,93 @@
+import { mkdir, stat, writeFile } from 'fs/promises';
+import { basename, extname, join, relative, resolve } from 'path';
+import { expandFiles } from './glob.js';
+import { openRunState } from './runState.js';
+
+export const STATE_FILE = '.summarize-state.json';
+
+// Run `worker` over `items` with at most `limit` running at a time
+async function eachConcurrent(items, limit, worker) {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+}
+
+// Output paths in `dir` named after the input files, with -2, -3, ... added
+// when two inputs share a name. Inputs are in argument order, so a resumed
+// run assigns the same names.
+function outputPaths(files, dir, format) {
+  const used = new Map();
+  return files.map((file) => {
+    const name = basename(file, extname(file));
+    const count = (used.get(name.toLowerCase()) || 0) + 1;
+    used.set(name.toLowerCase(), count);
+    return join(dir, `${count > 1 ? `${name}-${count}` : name}.${format}`);
+  });
+}
+
+const fileExists = (path) => stat(path).then(() => true, () => false);
+
+// Summarize every file `patterns` name. Results go to stdout as Markdown, or
+// as one JSON object per line with `json`, or with `out` into files of
+// `format` in that directory (and then the run is resumable, see runState.js).
+// Resolves the number of files that failed.
+export async function summarizeFiles(api, patterns, {
+  options, out, format, json, concurrency, statePath, force, log,
+}) {
+  const { files, unmatched } = await expandFiles(patterns);
+  for (const pattern of unmatched) log(`No files match ${pattern}`);
+  if (files.length === 0) throw new Error('No files to summarize');
+
+  const outDir = out && resolve(out);
+  const outputs = outDir ? outputPaths(files, outDir, format) : [];
+  if (outDir) await mkdir(outDir, { recursive: true });
+  const state = statePath || outDir ? await openRunState(statePath ? resolve(statePath) : join(outDir, STATE_FILE)) : null;
+  const optionsKey = JSON.stringify([options, format ?? null]);
+  const display = (file) => relative(process.cwd(), file) || file;
+
+  let failed = 0;
+  let skipped = 0;
+  await eachConcurrent(files, concurrency, async (file, index) => {
+    const output = outputs[index] ?? null;
+    const info = await stat(file);
+    const fingerprint = `${info.size}:${info.mtimeMs}:${optionsKey}`;
+
+    const done = !force && state?.completed(file, fingerprint);
+    if (done && (!output || await fileExists(output))) {
+      skipped++;
+      log(`- ${display(file)} (already done)`);
+      if (json) console.log(JSON.stringify({ file, ok: true, skipped: true, id: done.id, output }));
+      return;
+    }
+
+    try {
+      const result = await api.summarize(file, options);
+      if (output) {
+        const { body } = await api.exportSummary(result.id, format);
+        await writeFile(output, body);
+      }
+      await state?.record(file, { status: 'done', fingerprint, id: result.id, output });
+
+      log(`✓ ${display(file)}${output ? ` → ${display(output)}` : ''}${result.cached ? ' (cached)' : ''}`);
+      if (json) {
+        console.log(JSON.stringify({ file, ok: true, output, ...result }));
+      } else if (!output) {
+        console.log(`# ${result.filename}\n\n${result.summary}\n`);
+      }
+    } catch (err) {
+      failed++;
+      await state?.record(file, { status: 'failed', fingerprint, error: err.message });
+      log(`✗ ${display(file)}: ${err.message}`);
+      if (json) console.log(JSON.stringify({ file, ok: false, error: err.message, status: err.status ?? null }));
+    }
+  });
+
+  const summarized = files.length - failed - skipped;
+  log(`${summarized} summarized, ${skipped} already done, ${failed} failed${state ? ` (progress saved in ${display(state.path)})` : ''}`);
+  return failed;
+}
@@ -1,50 +1,190 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { useDropzone } from 'react-dropzone'
-import { Toaster, toast } from 'react-hot-toast'
+import { toast } from 'react-hot-toast'
 import { motion, AnimatePresence } from 'framer-motion'
 import ReactMarkdown from 'react-markdown'
 import {
   Upload, FileText, Sparkles, Clock, Trash2, X, Copy,
   Check, ChevronRight, Brain, Zap, BarChart3, Plus,
-  FileSearch, Download, RefreshCw
+  FileSearch, Download, RefreshCw, Table, Search, KeyRound, LogOut, NotebookPen, GitCompare,
+  Link, ClipboardPaste
 } from 'lucide-react'
+import ChatPanel from './components/ChatPanel'
+import CitedMarkdown from './components/CitedMarkdown'
+import BatchProgress from './components/BatchProgress'
+import ExtractionTable from './components/ExtractionTable'
+import HistorySearch from './components/HistorySearch'
+import ApiTokens from './components/ApiTokens'
+import UsageDashboard from './components/UsageDashboard'
+import TemplateManager from './components/TemplateManager'
+import SummaryVersions from './components/SummaryVersions'
+import ComparisonView from './components/ComparisonView'
+import ExportMenu from './components/ExportMenu'
+import { EXPORT_FORMATS } from './exportFormats'
+import { ACCEPTED_EXTENSIONS, ACCEPTED_FILES, documentTypeLabel, documentTypeOf, pageCountLabel } from './documentTypes'
+import { LANGUAGES, SAME_AS_DOCUMENT, languageName, languageProps } from './languages'
+import Highlight from './components/Highlight'
+import { EMPTY_FILTERS, HISTORY_PAGE_SIZE, filtersActive, groupDuplicates, historyParams, searchTerms } from './historyQuery'
 import './App.css'
 
 const API_URL = '/api'
 
-function App() {
-  const [view, setView] = useState('upload') // upload | processing | result | history
-  const [file, setFile] = useState(null)
+// Order in which the server reports processing stages
+const STAGE_ORDER = ['uploaded', 'ocr', 'extracted', 'chunked', 'chunk', 'summarizing', 'saved']
+
+// localStorage keys for the job or batch being tracked, so a reload can resume it
+const ACTIVE_JOB_KEY = 'summarize-ai:active-job'
+const ACTIVE_BATCH_KEY = 'summarize-ai:active-batch'
+
+const MAX_FILES = 20
+
+function App({ user, onSignOut }) {
+  const [view, setView] = useState(() => {
+    if (localStorage.getItem(ACTIVE_JOB_KEY)) return 'processing'
+    if (localStorage.getItem(ACTIVE_BATCH_KEY)) return 'batch'
+    return 'upload'
+  }) // upload | processing | result | batch | history
+  const [files, setFiles] = useState([])
+  const [collection, setCollection] = useState(true)
+  const [regenerate, setRegenerate] = useState(false)
+  const [sourceTab, setSourceTab] = useState('file')
+  const [sourceUrl, setSourceUrl] = useState('')
+  const [pastedText, setPastedText] = useState('')
+  const [pastedTitle, setPastedTitle] = useState('')
+  const [lastSource, setLastSource] = useState(null)
+  const [batchId, setBatchId] = useState(() => localStorage.getItem(ACTIVE_BATCH_KEY))
   const [summaryLength, setSummaryLength] = useState('medium')
+  const [schemas, setSchemas] = useState([])
+  const [schemaName, setSchemaName] = useState('invoice')
+  const [customSchema, setCustomSchema] = useState('')
+  const [templates, setTemplates] = useState([])
+  const [templateId, setTemplateId] = useState('standard')
+  const [templateVars, setTemplateVars] = useState({ audience: '', focus: '' })
+  const [showTemplates, setShowTemplates] = useState(false)
+  const [outputLanguage, setOutputLanguage] = useState('en')
   const [result, setResult] = useState(null)
   const [history, setHistory] = useState([])
-  const [processingStep, setProcessingStep] = useState(0)
+  const [progress, setProgress] = useState({})
+  const [liveSummary, setLiveSummary] = useState('')
+  const [retryNotice, setRetryNotice] = useState(null)
+  const jobSourceRef = useRef(null)
   const [copied, setCopied] = useState(false)
   const [modalItem, setModalItem] = useState(null)
   const [loadingHistory, setLoadingHistory] = useState(false)
+  const [showTokens, setShowTokens] = useState(false)
+  const [showUsage, setShowUsage] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [bulkFormat, setBulkFormat] = useState('pdf')
+  const [exporting, setExporting] = useState(false)
+  const [expandedGroups, setExpandedGroups] = useState([])
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_FILTERS)
+  const [historyCursor, setHistoryCursor] = useState(null)
+  // The filters as of the latest change, read by the (stable) fetch callbacks
+  const filtersRef = useRef(EMPTY_FILTERS)
+  // Bumped on every fresh load so responses for outdated filters are dropped
+  const historyRequestRef = useRef(0)
+  const searchTimerRef = useRef(null)
+  const loadingMoreRef = useRef(false)
+  const sentinelRef = useRef(null)
 
+  // Load the first page of history for the current filters
   const fetchHistory = useCallback(async () => {
+    const request = ++historyRequestRef.current
     setLoadingHistory(true)
     try {
-      const res = await fetch(`${API_URL}/summaries`)
-      if (res.ok) {
+      const res = await fetch(`${API_URL}/summaries?${historyParams(filtersRef.current)}`)
+      if (res.ok && request === historyRequestRef.current) {
         const data = await res.json()
-        setHistory(data)
+        setHistory(data.items)
+        setHistoryCursor(data.nextCursor)
       }
     } catch {
       // silent
     } finally {
-      setLoadingHistory(false)
+      if (request === historyRequestRef.current) setLoadingHistory(false)
     }
   }, [])
 
+  // Append the next page (infinite scroll)
+  const loadMoreHistory = useCallback(async () => {
+    if (!historyCursor || loadingMoreRef.current) return
+    const request = historyRequestRef.current
+    loadingMoreRef.current = true
+    try {
+      const res = await fetch(`${API_URL}/summaries?${historyParams(filtersRef.current, historyCursor)}`)
+      if (res.ok && request === historyRequestRef.current) {
+        const data = await res.json()
+        setHistory((prev) => [...prev, ...data.items])
+        setHistoryCursor(data.nextCursor)
+      }
+    } catch {
+      // silent
+    } finally {
+      loadingMoreRef.current = false
+    }
+  }, [historyCursor])
+
+  const updateHistoryFilters = (patch) => {
+    const next = { ...filtersRef.current, ...patch }
+    filtersRef.current = next
+    setHistoryFilters(next)
+
+    // Wait for typing to pause before searching; chips apply immediately
+    clearTimeout(searchTimerRef.current)
+    searchTimerRef.current = setTimeout(fetchHistory, 'q' in patch && Object.keys(patch).length === 1 ? 300 : 0)
+  }
+
+  useEffect(() => {
+    const node = sentinelRef.current
+    if (!node || !historyCursor) return
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMoreHistory()
+    }, { rootMargin: '200px' })
+    observer.observe(node)
+    return () => observer.disconnect()
+  }, [historyCursor, loadMoreHistory, view])
+
   useEffect(() => {
     fetchHistory()
   }, [fetchHistory])
 
+  // Saved schemas for extraction mode
+  useEffect(() => {
+    fetch(`${API_URL}/schemas`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setSchemas)
+      .catch(() => { /* silent */ })
+  }, [])
+
+  // Prompt templates, reloaded after the template manager changes them
+  const loadTemplates = useCallback(() => {
+    fetch(`${API_URL}/templates`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then(setTemplates)
+      .catch(() => { /* silent */ })
+  }, [])
+
+  useEffect(() => {
+    loadTemplates()
+  }, [loadTemplates])
+
+  // Fall back to the standard template when the chosen one is deleted
+  const template = templates.find((t) => t.id === templateId) || templates.find((t) => t.id === 'standard')
+
+  // The current files, for drops to add to: a drop can come before the render
+  // that shows the previous one, and a state updater (which StrictMode runs
+  // twice) is no place for a toast
+  const filesRef = useRef(files)
+  useEffect(() => {
+    filesRef.current = files
+  }, [files])
+
   const onDrop = useCallback((acceptedFiles) => {
     if (acceptedFiles.length > 0) {
-      setFile(acceptedFiles[0])
+      const next = [...filesRef.current, ...acceptedFiles].slice(0, MAX_FILES)
+      if (next.length < filesRef.current.length + acceptedFiles.length) toast.error(`Only the first ${MAX_FILES} files were added.`)
+      filesRef.current = next
+      setFiles(next)
       setResult(null)
       setView('upload')
     }
@@ -52,62 +192,257 @@ function App() {
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
-    accept: { 'application/pdf': ['.pdf'] },
-    maxFiles: 1,
+    accept: ACCEPTED_FILES,
+    maxFiles: MAX_FILES,
     maxSize: 20 * 1024 * 1024,
     onDropRejected: (rejections) => {
       const err = rejections[0]?.errors[0]
       if (err?.code === 'file-too-large') toast.error('File too large. Max 20MB.')
-      else if (err?.code === 'file-invalid-type') toast.error('Only PDF files accepted.')
+      else if (err?.code === 'too-many-files') toast.error(`Up to ${MAX_FILES} files at once.`)
+      else if (err?.code === 'file-invalid-type') toast.error(`Supported files: ${ACCEPTED_EXTENSIONS.join(', ')}`)
       else toast.error('Invalid file.')
     },
   })
 
-  const handleSummarize = async () => {
-    if (!file) return
+  // Follow a background job over Server-Sent Events until it finishes. Only
+  // sets state from event callbacks, so it is safe to call from an effect.
+  const followJob = useCallback((jobId) => {
+    jobSourceRef.current?.close()
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/events`)
+    jobSourceRef.current = source
 
-    setView('processing')
-    setProcessingStep(0)
+    const finish = (data) => {
+      source.close()
+      localStorage.removeItem(ACTIVE_JOB_KEY)
+      setTimeout(() => {
+        setResult(data)
+        setView('result')
+        setFiles([])
+        fetchHistory()
+        toast.success(data.kind === 'comparison'
+          ? 'Comparison ready'
+          : data.cached ? 'Loaded the earlier summary of this file' : 'Summary generated successfully!')
+      }, 600)
+    }
 
-    const formData = new FormData()
-    formData.append('pdf', file)
+    const fail = (message) => {
+      source.close()
+      localStorage.removeItem(ACTIVE_JOB_KEY)
+      setView('upload')
+      toast.error(message || 'Failed to summarize document')
+    }
+
+    const on = (event, handler) => {
+      source.addEventListener(event, (e) => handler(JSON.parse(e.data)))
+    }
+
+    on('snapshot', (job) => {
+      if (job.status === 'done') return finish(job.result)
+      if (job.status === 'failed') return fail(job.error)
+      setProgress(job.progress || {})
+      setLiveSummary(job.partialSummary || '')
+      setRetryNotice(job.nextAttemptAt ? { attempts: job.attempts, at: job.nextAttemptAt } : null)
+    })
+    on('status', () => setRetryNotice(null))
+    on('stage', (event) => setProgress((prev) => ({ ...prev, ...event })))
+    on('token', ({ text }) => setLiveSummary((prev) => prev + text))
+    on('retry', ({ attempts, delayMs }) => {
+      setProgress({})
+      setLiveSummary('')
+      setRetryNotice({ attempts, at: new Date(Date.now() + delayMs).toISOString() })
+    })
+    on('done', finish)
+    on('failed', ({ error }) => fail(error))
+
+    // EventSource reconnects on its own after network blips; a closed source
+    // means the job is unknown (e.g. the server restarted).
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) fail('Lost track of the summarization job')
+    }
+  }, [fetchHistory])
+
+  // Resume tracking a job that was still running when the page was reloaded
+  useEffect(() => {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY)
+    if (jobId) followJob(jobId)
+    return () => jobSourceRef.current?.close()
+  }, [followJob])
+
+  // Length mode plus the prompt template and output language or, in extraction
+  // mode, the chosen schema. Returns false when the custom schema isn't valid JSON.
+  const appendOptions = (formData, { force = regenerate } = {}) => {
     formData.append('length', summaryLength)
+    if (force) formData.append('regenerate', 'true')
+    if (summaryLength !== 'extract') {
+      formData.append('outputLanguage', outputLanguage)
+      if (template) {
+        formData.append('template', template.id)
+        for (const name of template.variables) {
+          if (templateVars[name]?.trim()) formData.append(name, templateVars[name].trim())
+        }
+      }
+      return true
+    }
 
-    const stepTimers = [
-      setTimeout(() => setProcessingStep(1), 1200),
-      setTimeout(() => setProcessingStep(2), 3000),
-    ]
+    if (schemaName !== 'custom') {
+      formData.append('schemaName', schemaName)
+      return true
+    }
+    try {
+      JSON.parse(customSchema)
+    } catch {
+      toast.error('The custom schema is not valid JSON')
+      return false
+    }
+    formData.append('schema', customSchema)
+    return true
+  }
+
+  // Summarize one document as a background job: `source` is { file }, { url }
+  // or { text, title }. It is kept so a cached result can be regenerated from
+  // the result view.
+  const startJob = async (source, { force } = {}) => {
+    const formData = new FormData()
+    if (source.file) formData.append('pdf', source.file)
+    if (source.url) formData.append('url', source.url)
+    if (source.text) {
+      formData.append('text', source.text)
+      if (source.title) formData.append('title', source.title)
+    }
+    if (!appendOptions(formData, { force })) return
+    setLastSource(source)
+
+    setView('processing')
+    setProgress({})
+    setLiveSummary('')
+    setRetryNotice(null)
 
     try {
-      const res = await fetch(`${API_URL}/summarize`, {
+      const res = await fetch(`${API_URL}/jobs`, {
         method: 'POST',
         body: formData,
       })
 
-      stepTimers.forEach(clearTimeout)
-
       if (!res.ok) {
         const err = await res.json()
         throw new Error(err.error || 'Summarization failed')
       }
 
-      const data = await res.json()
-      setProcessingStep(3)
-      
-      setTimeout(() => {
-        setResult(data)
-        setView('result')
-        setFile(null)
-        fetchHistory()
-        toast.success('Summary generated successfully!')
-      }, 600)
+      const job = await res.json()
+      localStorage.setItem(ACTIVE_JOB_KEY, job.id)
+      followJob(job.id)
     } catch (err) {
-      stepTimers.forEach(clearTimeout)
       setView('upload')
-      toast.error(err.message || 'Failed to summarize PDF')
+      toast.error(err.message || 'Failed to summarize document')
+    }
+  }
+
+  // Compare two documents as a background job: either the two selected files
+  // (as a FormData) or two history items ({ a, b } summary ids)
+  const startComparison = async (body) => {
+    const isForm = body instanceof FormData
+    if (isForm && !appendOptions(body)) return
+
+    setView('processing')
+    setProgress({})
+    setLiveSummary('')
+    setRetryNotice(null)
+    setModalItem(null)
+
+    try {
+      const res = await fetch(`${API_URL}/comparisons`, {
+        method: 'POST',
+        headers: isForm ? undefined : { 'Content-Type': 'application/json' },
+        body: isForm ? body : JSON.stringify(body),
+      })
+
+      if (!res.ok) {
+        const err = await res.json()
+        throw new Error(err.error || 'Comparison failed')
+      }
+
+      const job = await res.json()
+      localStorage.setItem(ACTIVE_JOB_KEY, job.id)
+      setSelectedIds([])
+      followJob(job.id)
+    } catch (err) {
+      setView(isForm ? 'upload' : 'history')
+      toast.error(err.message || 'Failed to compare documents')
+    }
+  }
+
+  const handleCompareFiles = () => {
+    const formData = new FormData()
+    formData.append('pdfA', files[0])
+    formData.append('pdfB', files[1])
+    startComparison(formData)
+  }
+
+  const handleSummarize = () => {
+    if (files.length === 0) return
+    if (files.length > 1) return handleBatch()
+    startJob({ file: files[0] })
+  }
+
+  const handleBatch = async () => {
+    const formData = new FormData()
+    files.forEach((f) => formData.append('pdfs', f))
+    if (!appendOptions(formData)) return
+    formData.append('collection', String(collection))
+
+    try {
+      const res = await fetch(`${API_URL}/batches`, {
+        method: 'POST',
+        body: formData,
+      })
+
+      if (!res.ok) {
+        const err = await res.json()
+        throw new Error(err.error || 'Batch upload failed')
+      }
+
+      const batch = await res.json()
+      localStorage.setItem(ACTIVE_BATCH_KEY, batch.id)
+      setBatchId(batch.id)
+      setFiles([])
+      setView('batch')
+    } catch (err) {
+      toast.error(err.message || 'Failed to upload files')
+    }
+  }
+
+  const handleBatchFinished = useCallback((batch) => {
+    localStorage.removeItem(ACTIVE_BATCH_KEY)
+    fetchHistory()
+    const failed = batch.jobs.filter((job) => job.status === 'failed').length
+    if (failed > 0) toast.error(`${failed} of ${batch.jobs.length} files could not be summarized`)
+    else toast.success('All documents summarized!')
+  }, [fetchHistory])
+
+  const handleBatchLost = useCallback(() => {
+    localStorage.removeItem(ACTIVE_BATCH_KEY)
+    setBatchId(null)
+    setView('upload')
+    toast.error('Lost track of the batch')
+  }, [])
+
+  const openSummary = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/summaries/${id}`)
+      if (!res.ok) throw new Error()
+      setModalItem(await res.json())
+    } catch {
+      toast.error('Failed to load summary')
     }
   }
 
+  const handleSignOut = () => {
+    jobSourceRef.current?.close()
+    localStorage.removeItem(ACTIVE_JOB_KEY)
+    localStorage.removeItem(ACTIVE_BATCH_KEY)
+    onSignOut()
+  }
+
   const handleCopy = (text) => {
     navigator.clipboard.writeText(text)
     setCopied(true)
@@ -118,8 +453,10 @@ function App() {
   const handleDelete = async (id, e) => {
     e?.stopPropagation()
     try {
-      await fetch(`${API_URL}/summaries/${id}`, { method: 'DELETE' })
+      const res = await fetch(`${API_URL}/summaries/${id}`, { method: 'DELETE' })
+      if (!res.ok && res.status !== 404) throw new Error('Failed to delete')
       setHistory((prev) => prev.filter((item) => item.id !== id))
+      setSelectedIds((prev) => prev.filter((x) => x !== id))
       if (modalItem?.id === id) setModalItem(null)
       toast.success('Summary deleted')
     } catch {
@@ -127,14 +464,46 @@ function App() {
     }
   }
 
-  const handleDownload = (summary, filename) => {
-    const blob = new Blob([summary], { type: 'text/markdown' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `${filename?.replace('.pdf', '') || 'summary'}-summary.md`
-    a.click()
-    URL.revokeObjectURL(url)
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+  }
+
+  // Download the selected history items as one ZIP
+  const handleBulkExport = async () => {
+    setExporting(true)
+    try {
+      const res = await fetch(`${API_URL}/summaries/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: selectedIds, format: bulkFormat }),
+      })
+      if (!res.ok) {
+        const err = await res.json()
+        throw new Error(err.error || 'Export failed')
+      }
+
+      const url = URL.createObjectURL(await res.blob())
+      const a = document.createElement('a')
+      a.href = url
+      a.download = res.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || 'summaries.zip'
+      a.click()
+      URL.revokeObjectURL(url)
+      setSelectedIds([])
+    } catch (err) {
+      toast.error(err.message || 'Failed to export summaries')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const highlightTerms = searchTerms(historyFilters.q)
+
+  const hostOf = (url) => {
+    try {
+      return new URL(url).hostname
+    } catch {
+      return url
+    }
   }
 
   const formatFileSize = (bytes) => {
@@ -154,12 +523,144 @@ function App() {
     return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
   }
 
+  const reachedStage = STAGE_ORDER.indexOf(progress.stage)
+  const processingSteps = [
+    { label: 'Uploading', done: reachedStage >= 0 },
+    ...(progress.ocrTotal
+      ? [{ label: `Recognizing scanned pages (${progress.ocrDone || 0}/${progress.ocrTotal})`, done: reachedStage >= 2 }]
+      : []),
+    { label: 'Extracting text', done: reachedStage >= 2 },
+    ...(progress.total > 1
+      ? [{ label: `Summarizing sections (${progress.index || 0}/${progress.total})`, done: reachedStage >= 5 }]
+      : []),
+    { label: 'Writing summary', done: reachedStage >= 6 },
+  ]
+  const activeStep = processingSteps.findIndex((step) => !step.done)
+
   const resetToUpload = () => {
     setView('upload')
-    setFile(null)
+    setFiles([])
     setResult(null)
+    setLastSource(null)
+  }
+
+  const handleSummarizeUrl = () => {
+    if (!sourceUrl.trim()) return
+    startJob({ url: sourceUrl.trim() })
+  }
+
+  const handleSummarizeText = () => {
+    if (!pastedText.trim()) return
+    startJob({ text: pastedText, title: pastedTitle.trim() })
   }
 
+  // Repeat uploads of one file show as a single card; expanding the group
+  // lists the earlier ones beneath it
+  const historyCards = groupDuplicates(history).flatMap(({ key, items }) => {
+    const expanded = expandedGroups.includes(key)
+    return (expanded ? items : items.slice(0, 1)).map((item, i) => ({
+      item,
+      groupKey: key,
+      uploads: i === 0 ? items.length : 0,
+      expanded,
+    }))
+  })
+
+  const toggleGroup = (key, e) => {
+    e.stopPropagation()
+    setExpandedGroups((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]))
+  }
+
+  // Length, template, language and schema options shared by the file, URL
+  // and paste inputs
+  const optionsPanel = (
+    <>
+      <label className="collection-toggle">
+        <input
+          type="checkbox"
+          checked={regenerate}
+          onChange={(e) => setRegenerate(e.target.checked)}
+        />
+        Regenerate even if {files.length > 1 ? 'these files were' : 'this was'} summarized before
+      </label>
+
+      {/* Length Selector */}
+      <div className="length-selector" style={{ justifyContent: 'flex-start', marginTop: 16, marginBottom: 20 }}>
+        {[
+          { key: 'short', label: 'Brief' },
+          { key: 'medium', label: 'Standard' },
+          { key: 'long', label: 'Detailed' },
+          { key: 'extract', label: 'Extract Data' },
+        ].map((opt) => (
+          <button
+            key={opt.key}
+            className={`length-btn ${summaryLength === opt.key ? 'active' : ''}`}
+            onClick={() => setSummaryLength(opt.key)}
+          >
+            {opt.label}
+          </button>
+        ))}
+      </div>
+
+      {summaryLength !== 'extract' && template && (
+        <div className="schema-picker">
+          <label htmlFor="template-select">Prompt template</label>
+          <div className="template-picker">
+            <select id="template-select" value={template.id} onChange={(e) => setTemplateId(e.target.value)}>
+              {templates.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}{t.description ? ` — ${t.description}` : ''}</option>
+              ))}
+            </select>
+            <button className="btn-action" onClick={() => setShowTemplates(true)}>
+              <NotebookPen size={14} /> Manage
+            </button>
+          </div>
+          {['audience', 'focus'].filter((name) => template.variables.includes(name)).map((name) => (
+            <input
+              key={name}
+              value={templateVars[name]}
+              onChange={(e) => setTemplateVars((prev) => ({ ...prev, [name]: e.target.value }))}
+              placeholder={name === 'audience'
+                ? 'Audience, e.g. the board of directors'
+                : 'Focus, e.g. budget and timeline'}
+            />
+          ))}
+        </div>
+      )}
+
+      {summaryLength !== 'extract' && (
+        <div className="schema-picker">
+          <label htmlFor="language-select">Write the summary in</label>
+          <select id="language-select" value={outputLanguage} onChange={(e) => setOutputLanguage(e.target.value)}>
+            <option value={SAME_AS_DOCUMENT}>The document&apos;s language (detected)</option>
+            {LANGUAGES.map((l) => <option key={l.code} value={l.code}>{l.name}</option>)}
+          </select>
+        </div>
+      )}
+
+      {summaryLength === 'extract' && (
+        <div className="schema-picker">
+          <label htmlFor="schema-select">Extract fields using</label>
+          <select id="schema-select" value={schemaName} onChange={(e) => setSchemaName(e.target.value)}>
+            {schemas.map((s) => (
+              <option key={s.name} value={s.name}>{s.title} — {s.description}</option>
+            ))}
+            <option value="custom">Custom JSON Schema…</option>
+          </select>
+          {schemaName === 'custom' && (
+            <textarea
+              value={customSchema}
+              onChange={(e) => setCustomSchema(e.target.value)}
+              placeholder={'{\n  "type": "object",\n  "properties": { "title": { "type": "string" } },\n  "required": ["title"]\n}'}
+              rows={8}
+              spellCheck={false}
+            />
+          )}
+        </div>
+      )}
+    </>
+  )
+
   return (
     <>
       <div className="bg-grid" />
@@ -179,7 +680,7 @@ function App() {
           </div>
           <nav className="header-nav">
             <button
-              className={`nav-btn ${view === 'upload' || view === 'processing' || view === 'result' ? 'active' : ''}`}
+              className={`nav-btn ${view !== 'history' ? 'active' : ''}`}
               onClick={resetToUpload}
             >
               <Sparkles size={14} /> Summarize
@@ -189,7 +690,17 @@ function App() {
               onClick={() => { setView('history'); fetchHistory() }}
             >
               <Clock size={14} /> History
-              {history.length > 0 && <span className="section-count">{history.length}</span>}
+              {history.length > 0 && <span className="section-count">{history.length}{historyCursor ? '+' : ''}</span>}
+            </button>
+            <span className="header-user" title={user.email}>{user.email}</span>
+            <button className="nav-btn" onClick={() => setShowUsage(true)} title="Usage">
+              <BarChart3 size={14} />
+            </button>
+            <button className="nav-btn" onClick={() => setShowTokens(true)} title="API tokens">
+              <KeyRound size={14} />
+            </button>
+            <button className="nav-btn" onClick={handleSignOut} title="Sign out">
+              <LogOut size={14} /> Sign out
             </button>
           </nav>
         </header>
@@ -213,17 +724,81 @@ function App() {
                     AI-Powered Summarization
                   </div>
                   <h1>
-                    Transform PDFs into<br />
+                    Transform documents into<br />
                     <span className="gradient-text">Instant Insights</span>
                   </h1>
                   <p>
-                    Upload any PDF document and get a concise, AI-generated summary in seconds.
+                    Upload a document, link a web page or paste text and get a concise, AI-generated summary in seconds.
                     Powered by advanced language models for human-like understanding.
                   </p>
                 </div>
 
-                {/* Upload Zone or File Selected */}
-                {!file ? (
+                {files.length === 0 && (
+                  <div className="source-tabs">
+                    {[
+                      { key: 'file', label: 'File', icon: <Upload size={14} /> },
+                      { key: 'url', label: 'URL', icon: <Link size={14} /> },
+                      { key: 'paste', label: 'Paste', icon: <ClipboardPaste size={14} /> },
+                    ].map((tab) => (
+                      <button
+                        key={tab.key}
+                        className={`length-btn ${sourceTab === tab.key ? 'active' : ''}`}
+                        onClick={() => setSourceTab(tab.key)}
+                      >
+                        {tab.icon} {tab.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                {/* URL or pasted text, Upload Zone or File Selected */}
+                {files.length === 0 && sourceTab !== 'file' ? (
+                  <div className="file-selected fade-in-up">
+                    {sourceTab === 'url' ? (
+                      <div className="schema-picker">
+                        <label htmlFor="source-url">Address of a document, web page, markdown or text file</label>
+                        <input
+                          id="source-url"
+                          type="url"
+                          value={sourceUrl}
+                          onChange={(e) => setSourceUrl(e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && handleSummarizeUrl()}
+                          placeholder="https://example.com/report.pdf"
+                        />
+                      </div>
+                    ) : (
+                      <div className="schema-picker">
+                        <label htmlFor="source-text">Plain text or markdown</label>
+                        <input
+                          value={pastedTitle}
+                          onChange={(e) => setPastedTitle(e.target.value)}
+                          placeholder="Title (optional, defaults to the first line)"
+                        />
+                        <textarea
+                          id="source-text"
+                          className="source-text"
+                          value={pastedText}
+                          onChange={(e) => setPastedText(e.target.value)}
+                          placeholder="Paste the text to summarize…"
+                          rows={10}
+                          dir="auto"
+                        />
+                      </div>
+                    )}
+
+                    {optionsPanel}
+
+                    <button
+                      className="btn-summarize"
+                      onClick={sourceTab === 'url' ? handleSummarizeUrl : handleSummarizeText}
+                      disabled={sourceTab === 'url' ? !sourceUrl.trim() : !pastedText.trim()}
+                    >
+                      <Sparkles size={18} />
+                      {sourceTab === 'url' ? 'Summarize Page' : 'Summarize Text'}
+                      <ChevronRight size={18} />
+                    </button>
+                  </div>
+                ) : files.length === 0 ? (
                   <div className="upload-zone-wrapper">
                     <div
                       {...getRootProps()}
@@ -233,11 +808,11 @@ function App() {
                       <div className="upload-icon-wrapper">
                         <Upload size={32} color="var(--accent-light)" />
                       </div>
-                      <h3>{isDragActive ? 'Drop your PDF here' : 'Drop your PDF here or click to browse'}</h3>
-                      <p>Supports PDF files up to 20MB</p>
+                      <h3>{isDragActive ? 'Drop your documents here' : 'Drop your documents here or click to browse'}</h3>
+                      <p>PDF, Word, PowerPoint, EPUB, Markdown or text · up to {MAX_FILES} files, 20MB each</p>
                       <div className="upload-hint">
                         <FileSearch size={14} style={{ display: 'inline', verticalAlign: 'middle', marginRight: 4 }} />
-                        Text-based PDFs work best for accurate summaries
+                        Scanned PDFs are read with OCR automatically
                       </div>
                     </div>
 
@@ -247,6 +822,7 @@ function App() {
                         { key: 'short', label: 'Brief', icon: <Zap size={14} /> },
                         { key: 'medium', label: 'Standard', icon: <FileText size={14} /> },
                         { key: 'long', label: 'Detailed', icon: <BarChart3 size={14} /> },
+                        { key: 'extract', label: 'Extract Data', icon: <Table size={14} /> },
                       ].map((opt) => (
                         <button
                           key={opt.key}
@@ -260,46 +836,56 @@ function App() {
                   </div>
                 ) : (
                   <div className="file-selected fade-in-up">
-                    <div className="file-info">
-                      <div className="file-icon">
-                        <FileText size={28} color="#ff6b6b" />
-                      </div>
-                      <div className="file-details">
-                        <div className="file-name">{file.name}</div>
-                        <div className="file-meta">
-                          <span>{formatFileSize(file.size)}</span>
-                          <span>PDF Document</span>
+                    <div className="file-list">
+                      {files.map((f, i) => (
+                        <div className="file-info" key={`${f.name}-${i}`}>
+                          <div className="file-icon">
+                            <FileText size={28} color="#ff6b6b" />
+                          </div>
+                          <div className="file-details">
+                            <div className="file-name">{f.name}</div>
+                            <div className="file-meta">
+                              <span>{formatFileSize(f.size)}</span>
+                              <span>{documentTypeLabel(documentTypeOf(f.name)) || 'Document'}</span>
+                            </div>
+                          </div>
+                          <div className="file-actions">
+                            <button className="btn-remove" onClick={() => setFiles((prev) => prev.filter((_, j) => j !== i))}>
+                              <X size={16} />
+                            </button>
+                          </div>
                         </div>
-                      </div>
-                      <div className="file-actions">
-                        <button className="btn-remove" onClick={() => setFile(null)}>
-                          <X size={16} />
-                        </button>
-                      </div>
+                      ))}
                     </div>
 
-                    {/* Length Selector */}
-                    <div className="length-selector" style={{ justifyContent: 'flex-start', marginTop: 16, marginBottom: 20 }}>
-                      {[
-                        { key: 'short', label: 'Brief' },
-                        { key: 'medium', label: 'Standard' },
-                        { key: 'long', label: 'Detailed' },
-                      ].map((opt) => (
-                        <button
-                          key={opt.key}
-                          className={`length-btn ${summaryLength === opt.key ? 'active' : ''}`}
-                          onClick={() => setSummaryLength(opt.key)}
-                        >
-                          {opt.label}
-                        </button>
-                      ))}
+                    <div {...getRootProps()} className="btn-action" style={{ display: 'inline-flex', marginTop: 12 }}>
+                      <input {...getInputProps()} />
+                      <Plus size={14} /> Add more files
                     </div>
 
+                    {files.length > 1 && (
+                      <label className="collection-toggle">
+                        <input
+                          type="checkbox"
+                          checked={collection}
+                          onChange={(e) => setCollection(e.target.checked)}
+                        />
+                        Also create a collection summary combining all {files.length} documents
+                      </label>
+                    )}
+
+                    {optionsPanel}
+
                     <button className="btn-summarize" onClick={handleSummarize}>
                       <Sparkles size={18} />
-                      Generate Summary
+                      {files.length > 1 ? `Summarize ${files.length} Documents` : 'Generate Summary'}
                       <ChevronRight size={18} />
                     </button>
+                    {files.length === 2 && summaryLength !== 'extract' && (
+                      <button className="btn-action btn-compare" onClick={handleCompareFiles}>
+                        <GitCompare size={14} /> Compare these 2 documents instead
+                      </button>
+                    )}
                   </div>
                 )}
 
@@ -368,24 +954,33 @@ function App() {
                   </div>
                 </div>
                 <h3 className="shimmer-text">Analyzing Your Document</h3>
-                <p>Our AI is reading and understanding your PDF...</p>
+                <p>Our AI is reading and understanding your document...</p>
 
                 <div className="processing-steps">
-                  {[
-                    'Extracting text',
-                    'Analyzing content',
-                    'Generating summary',
-                  ].map((step, i) => (
+                  {processingSteps.map((step, i) => (
                     <div
                       key={i}
-                      className={`processing-step ${processingStep === i ? 'active' : ''} ${processingStep > i ? 'done' : ''}`}
+                      className={`processing-step ${i === activeStep ? 'active' : ''} ${step.done ? 'done' : ''}`}
                     >
                       <div className="step-dot" />
-                      {processingStep > i ? <Check size={14} /> : null}
-                      {step}
+                      {step.done ? <Check size={14} /> : null}
+                      {step.label}
                     </div>
                   ))}
                 </div>
+
+                {retryNotice && (
+                  <p className="retry-notice">
+                    Rate limited by the model provider. Retrying (attempt {retryNotice.attempts + 1}) at{' '}
+                    {new Date(retryNotice.at).toLocaleTimeString()}...
+                  </p>
+                )}
+
+                {liveSummary && (
+                  <div className="live-summary markdown-content" dir="auto">
+                    <ReactMarkdown>{liveSummary}</ReactMarkdown>
+                  </div>
+                )}
               </motion.div>
             )}
 
@@ -407,7 +1002,17 @@ function App() {
                       <div>
                         <div className="result-title">{result.filename}</div>
                         <div className="result-subtitle">
-                          Summary generated {formatDate(result.createdAt)}
+                          {result.cached ? 'Same content summarized before, on ' : 'Summary generated '}
+                          {formatDate(result.createdAt)}
+                          {result.template && result.template.id !== 'standard' && ` · ${result.template.name}`}
+                          {result.language && ` · ${languageName(result.language)} document`}
+                          {result.outputLanguage && result.outputLanguage !== result.language && `, summary in ${languageName(result.outputLanguage)}`}
+                          {result.sourceUrl && (
+                            <> · from <a href={result.sourceUrl} target="_blank" rel="noreferrer">{hostOf(result.sourceUrl)}</a></>
+                          )}
+                          {result.sourceType === 'text' ? ' · pasted text' : result.documentType && ` · ${documentTypeLabel(result.documentType)}`}
+                          {result.chunkCount > 1 && ` · full document covered in ${result.chunkCount} sections`}
+                          {result.ocr && ` · scanned pages read with OCR (${result.ocrConfidence}% confidence)`}
                         </div>
                       </div>
                     </div>
@@ -416,16 +1021,19 @@ function App() {
                         {copied ? <Check size={14} /> : <Copy size={14} />}
                         {copied ? 'Copied' : 'Copy'}
                       </button>
-                      <button className="btn-action" onClick={() => handleDownload(result.summary, result.filename)}>
-                        <Download size={14} /> Export
-                      </button>
+                      {result.cached && lastSource && (
+                        <button className="btn-action" onClick={() => startJob(lastSource, { force: true })}>
+                          <RefreshCw size={14} /> Regenerate
+                        </button>
+                      )}
+                      {result.id && <ExportMenu summaryId={result.id} />}
                     </div>
                   </div>
 
                   <div className="result-stats">
                     <div className="stat-item">
                       <div className="stat-value">{result.pageCount || '-'}</div>
-                      <div className="stat-label">Pages</div>
+                      <div className="stat-label" style={{ textTransform: 'capitalize' }}>{result.pageUnit || 'page'}s</div>
                     </div>
                     <div className="stat-item">
                       <div className="stat-value">{result.textLength ? (result.textLength / 1000).toFixed(1) + 'k' : '-'}</div>
@@ -442,9 +1050,16 @@ function App() {
                   </div>
 
                   <div className="result-body">
-                    <div className="markdown-content">
-                      <ReactMarkdown>{result.summary}</ReactMarkdown>
-                    </div>
+                    {result.kind === 'comparison' ? (
+                      <ComparisonView comparison={result.comparison} />
+                    ) : result.extraction ? (
+                      <ExtractionTable data={result.extraction} filename={result.filename} schemaName={result.schemaName} />
+                    ) : (
+                      <div className="markdown-content" {...languageProps(result.outputLanguage)}>
+                        <CitedMarkdown citations={result.citations}>{result.summary}</CitedMarkdown>
+                      </div>
+                    )}
+                    {result.id && result.kind !== 'comparison' && <ChatPanel key={result.id} summaryId={result.id} />}
                   </div>
                 </div>
 
@@ -456,6 +1071,29 @@ function App() {
               </motion.div>
             )}
 
+            {/* Batch View */}
+            {view === 'batch' && batchId && (
+              <motion.div
+                key="batch"
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                transition={{ duration: 0.3 }}
+              >
+                <BatchProgress
+                  batchId={batchId}
+                  onOpen={openSummary}
+                  onFinished={handleBatchFinished}
+                  onLost={handleBatchLost}
+                />
+                <div style={{ display: 'flex', justifyContent: 'center', gap: 12 }}>
+                  <button className="btn-new" onClick={resetToUpload}>
+                    <Plus size={16} /> Summarize More
+                  </button>
+                </div>
+              </motion.div>
+            )}
+
             {/* History View */}
             {view === 'history' && (
               <motion.div
@@ -470,7 +1108,7 @@ function App() {
                     <div className="section-title">
                       <Clock size={24} /> Summary History
                       {history.length > 0 && (
-                        <span className="section-count">{history.length}</span>
+                        <span className="section-count">{history.length}{historyCursor ? '+' : ''}</span>
                       )}
                     </div>
                     <div style={{ display: 'flex', gap: 8 }}>
@@ -483,41 +1121,97 @@ function App() {
                     </div>
                   </div>
 
-                  {history.length === 0 ? (
+                  <HistorySearch filters={historyFilters} onChange={updateHistoryFilters} />
+
+                  {selectedIds.length > 0 && (
+                    <div className="bulk-bar">
+                      <span>{selectedIds.length} selected</span>
+                      <select value={bulkFormat} onChange={(e) => setBulkFormat(e.target.value)}>
+                        {EXPORT_FORMATS.map((f) => <option key={f.key} value={f.key}>{f.label}</option>)}
+                      </select>
+                      <button className="btn-action" onClick={handleBulkExport} disabled={exporting}>
+                        <Download size={14} /> {exporting ? 'Exporting…' : 'Export ZIP'}
+                      </button>
+                      {selectedIds.length === 2 && (
+                        <button className="btn-action" onClick={() => startComparison({ a: selectedIds[0], b: selectedIds[1] })}>
+                          <GitCompare size={14} /> Compare
+                        </button>
+                      )}
+                      <button className="btn-action" onClick={() => setSelectedIds([])}>
+                        <X size={14} /> Clear
+                      </button>
+                    </div>
+                  )}
+
+                  {history.length === 0 && filtersActive(historyFilters) ? (
+                    <div className="empty-state">
+                      <div className="empty-state-icon">
+                        <Search size={32} color="var(--text-muted)" />
+                      </div>
+                      <h3>No matching summaries</h3>
+                      <p>Try other search terms or remove some filters</p>
+                    </div>
+                  ) : history.length === 0 ? (
                     <div className="empty-state">
                       <div className="empty-state-icon">
                         <FileText size={32} color="var(--text-muted)" />
                       </div>
                       <h3>No summaries yet</h3>
-                      <p>Upload a PDF to create your first AI summary</p>
+                      <p>Upload a document to create your first AI summary</p>
                     </div>
                   ) : (
                     <div className="history-grid">
-                      {history.map((item, i) => (
+                      {historyCards.map(({ item, groupKey, uploads, expanded }, i) => (
                         <motion.div
                           key={item.id}
                           initial={{ opacity: 0, y: 20 }}
                           animate={{ opacity: 1, y: 0 }}
-                          transition={{ delay: 0.05 * i }}
-                          className="history-card"
-                          onClick={() => setModalItem(item)}
+                          transition={{ delay: 0.05 * (i % HISTORY_PAGE_SIZE) }}
+                          className={`history-card ${selectedIds.includes(item.id) ? 'selected' : ''} ${uploads ? '' : 'duplicate'}`}
+                          onClick={() => (item.kind === 'comparison' ? openSummary(item.id) : setModalItem(item))}
                         >
+                          <input
+                            type="checkbox"
+                            className="history-card-select"
+                            checked={selectedIds.includes(item.id)}
+                            onChange={() => toggleSelected(item.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            aria-label={`Select ${item.original_filename}`}
+                          />
                           <div className="history-card-header">
                             <div className="history-card-title">
-                              {item.original_filename}
+                              <Highlight text={item.original_filename} terms={highlightTerms} />
                             </div>
                             <div className="history-card-date">
                               {formatDate(item.created_at)}
                             </div>
                           </div>
-                          <div className="history-card-preview">
-                            {item.summary}
+                          <div className="history-card-preview" {...languageProps(item.output_language)}>
+                            <Highlight text={item.summary} terms={highlightTerms} excerpt />
                           </div>
                           <div className="history-card-footer">
                             <div className="history-card-meta">
-                              <span className="meta-tag">{item.page_count || '?'} pages</span>
-                              <span className="meta-tag">{formatFileSize(item.file_size)}</span>
+                              {item.kind === 'collection' ? (
+                                <span className="meta-tag">Collection · {item.source_ids?.length || 0} docs</span>
+                              ) : item.kind === 'comparison' ? (
+                                <span className="meta-tag">Comparison</span>
+                              ) : (
+                                <>
+                                  {item.document_type && <span className="meta-tag">{documentTypeLabel(item.document_type)}</span>}
+                                  <span className="meta-tag">{pageCountLabel(item.page_count, item.document_type)}</span>
+                                  <span className="meta-tag">{formatFileSize(item.file_size)}</span>
+                                </>
+                              )}
                               <span className="meta-tag" style={{ textTransform: 'capitalize' }}>{item.summary_length}</span>
+                              {item.source_type === 'url' && <span className="meta-tag" title={item.source_url}>{hostOf(item.source_url)}</span>}
+                              {item.language && <span className="meta-tag">{languageName(item.language)}</span>}
+                              {item.ocr && <span className="meta-tag">OCR {item.ocr_confidence}%</span>}
+                              {uploads > 1 && (
+                                <button className="meta-tag group-toggle" onClick={(e) => toggleGroup(groupKey, e)}>
+                                  {expanded ? 'Hide earlier uploads' : `${uploads} uploads`}
+                                </button>
+                              )}
+                              {!uploads && <span className="meta-tag">Earlier upload</span>}
                             </div>
                             <button
                               className="btn-delete-small"
@@ -530,6 +1224,12 @@ function App() {
                       ))}
                     </div>
                   )}
+
+                  {historyCursor && (
+                    <div ref={sentinelRef} className="history-more">
+                      <RefreshCw size={14} className="spinning" /> Loading more…
+                    </div>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -561,9 +1261,7 @@ function App() {
                     {copied ? <Check size={14} /> : <Copy size={14} />}
                     {copied ? 'Copied' : 'Copy'}
                   </button>
-                  <button className="btn-action" onClick={() => handleDownload(modalItem.summary, modalItem.original_filename)}>
-                    <Download size={14} /> Export
-                  </button>
+                  <ExportMenu summaryId={modalItem.id} />
                   <button className="btn-close" onClick={() => setModalItem(null)}>
                     <X size={16} />
                   </button>
@@ -576,27 +1274,65 @@ function App() {
                   marginBottom: 20,
                   flexWrap: 'wrap',
                 }}>
-                  <span className="meta-tag">{modalItem.page_count || '?'} pages</span>
-                  <span className="meta-tag">{formatFileSize(modalItem.file_size)}</span>
+                  {modalItem.kind === 'collection' ? (
+                    <span className="meta-tag">Collection · {modalItem.source_ids?.length || 0} docs</span>
+                  ) : modalItem.kind === 'comparison' ? (
+                    <span className="meta-tag">Comparison</span>
+                  ) : (
+                    <>
+                      {modalItem.document_type && <span className="meta-tag">{documentTypeLabel(modalItem.document_type)}</span>}
+                      <span className="meta-tag">{pageCountLabel(modalItem.page_count, modalItem.document_type)}</span>
+                      <span className="meta-tag">{formatFileSize(modalItem.file_size)}</span>
+                    </>
+                  )}
                   <span className="meta-tag" style={{ textTransform: 'capitalize' }}>{modalItem.summary_length}</span>
+                  {modalItem.template && modalItem.template.id !== 'standard' && (
+                    <span className="meta-tag" title={modalItem.template.prompt}>{modalItem.template.name}</span>
+                  )}
+                  {modalItem.source_url && (
+                    <a className="meta-tag" href={modalItem.source_url} target="_blank" rel="noreferrer">{modalItem.source_url}</a>
+                  )}
+                  {modalItem.language && <span className="meta-tag">{languageName(modalItem.language)} document</span>}
                   <span className="meta-tag">{formatDate(modalItem.created_at)}</span>
+                  {modalItem.prompt_tokens != null && (
+                    <span
+                      className="meta-tag"
+                      title={`${modalItem.prompt_tokens.toLocaleString()} prompt + ${modalItem.completion_tokens.toLocaleString()} completion tokens`}
+                    >
+                      {(modalItem.prompt_tokens + modalItem.completion_tokens).toLocaleString()} tokens · {modalItem.model} · {(modalItem.latency_ms / 1000).toFixed(1)}s
+                    </span>
+                  )}
+                  {modalItem.ocr && <span className="meta-tag">OCR · {modalItem.ocr_confidence}% confidence</span>}
                 </div>
-                <div className="markdown-content">
-                  <ReactMarkdown>{modalItem.summary}</ReactMarkdown>
-                </div>
+                {modalItem.kind === 'comparison' ? (
+                  modalItem.comparison && <ComparisonView comparison={modalItem.comparison} />
+                ) : (
+                  <SummaryVersions key={modalItem.id} summary={modalItem} templates={templates}>
+                    {modalItem.extraction ? (
+                      <ExtractionTable
+                        data={modalItem.extraction}
+                        filename={modalItem.original_filename}
+                        schemaName={modalItem.schema_name}
+                      />
+                    ) : (
+                      <div className="markdown-content" {...languageProps(modalItem.output_language)}>
+                        <CitedMarkdown citations={modalItem.citations}>{modalItem.summary}</CitedMarkdown>
+                      </div>
+                    )}
+                  </SummaryVersions>
+                )}
+                {modalItem.kind === 'document' && <ChatPanel key={modalItem.id} summaryId={modalItem.id} />}
               </div>
             </motion.div>
           </motion.div>
         )}
       </AnimatePresence>
 
-      <Toaster
-        position="bottom-right"
-        toastOptions={{
-          className: 'toast-custom',
-          duration: 3000,
-        }}
-      />
+      {showTokens && <ApiTokens onClose={() => setShowTokens(false)} />}
+      {showUsage && <UsageDashboard onClose={() => setShowUsage(false)} />}
+      {showTemplates && (
+        <TemplateManager templates={templates} onChange={loadTemplates} onClose={() => setShowTemplates(false)} />
+      )}
     </>
   )
 }
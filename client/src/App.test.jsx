@@ -0,0 +1,246 @@
+import { StrictMode } from 'react'
+import { beforeEach, describe, expect, it, vi } from 'vitest'
+import { render, screen, waitFor, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import { toast } from 'react-hot-toast'
+import App from './App'
+
+const user = { id: 'u1', email: 'reader@example.com' }
+
+const STANDARD_TEMPLATE = {
+  id: 'standard',
+  name: 'Standard',
+  description: 'A balanced summary',
+  prompt: 'Summarize the document. {{length}}',
+  variables: ['length'],
+  builtIn: true,
+}
+
+const RESULT = {
+  id: 's1',
+  filename: 'report.pdf',
+  summary: 'Revenue grew by twelve percent.',
+  summaryLength: 'medium',
+  pageCount: 3,
+  pageUnit: 'page',
+  textLength: 2400,
+  documentType: 'pdf',
+  sourceType: 'file',
+  citations: [],
+  createdAt: new Date().toISOString(),
+}
+
+const HISTORY_ITEM = {
+  id: 's1',
+  original_filename: 'report.pdf',
+  summary: 'Revenue grew by twelve percent.',
+  summary_length: 'medium',
+  page_count: 3,
+  file_size: 2048,
+  document_type: 'pdf',
+  content_hash: 'abc',
+  created_at: RESULT.createdAt,
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' },
+})
+
+// Answers the requests the app makes with `routes` ("METHOD /path" →
+// a function of the request returning a Response), recording every call
+function mockApi(routes) {
+  const calls = []
+  const fetch = vi.fn(async (url, options = {}) => {
+    const method = options.method || 'GET'
+    const path = url.split('?')[0]
+    calls.push({ method, url, body: options.body })
+    const route = routes[`${method} ${path}`]
+    return route ? route({ url, options }) : json({ error: 'Not found' }, 404)
+  })
+  vi.stubGlobal('fetch', fetch)
+  return calls
+}
+
+// A stand-in for the browser's EventSource, driven by the test with emit()
+class FakeEventSource {
+  static CLOSED = 2
+  static instances = []
+
+  constructor(url) {
+    this.url = url
+    this.readyState = 1
+    this.listeners = {}
+    FakeEventSource.instances.push(this)
+  }
+
+  addEventListener(event, listener) {
+    (this.listeners[event] ||= []).push(listener)
+  }
+
+  emit(event, data) {
+    for (const listener of this.listeners[event] || []) listener({ data: JSON.stringify(data) })
+  }
+
+  close() {
+    this.readyState = FakeEventSource.CLOSED
+  }
+}
+
+let history
+
+beforeEach(() => {
+  history = []
+  FakeEventSource.instances = []
+  vi.stubGlobal('EventSource', FakeEventSource)
+})
+
+const baseRoutes = () => ({
+  'GET /api/summaries': () => json({ items: history, nextCursor: null }),
+  'GET /api/schemas': () => json([]),
+  'GET /api/templates': () => json([STANDARD_TEMPLATE]),
+  'GET /api/summaries/s1/chat': () => json([]),
+})
+
+const pdf = () => new File(['%PDF-1.4 report'], 'report.pdf', { type: 'application/pdf' })
+
+async function chooseFile(ui, container, file = pdf()) {
+  await ui.upload(container.querySelector('input[type="file"]'), file)
+  await screen.findByRole('button', { name: /generate summary/i })
+}
+
+describe('App', () => {
+  it('uploads a document, shows its progress and the result, then lists it in the history', async () => {
+    const ui = userEvent.setup()
+    const calls = mockApi({
+      ...baseRoutes(),
+      'POST /api/jobs': () => json({ id: 'job-1', status: 'queued' }, 202),
+    })
+    const { container } = render(<App user={user} onSignOut={() => {}} />)
+
+    await chooseFile(ui, container)
+    expect(screen.getByText('report.pdf')).toBeInTheDocument()
+    await ui.click(screen.getByRole('button', { name: /generate summary/i }))
+
+    // The document and options go to the job queue
+    const upload = calls.find((call) => call.method === 'POST' && call.url === '/api/jobs')
+    expect(upload.body.get('pdf').name).toBe('report.pdf')
+    expect(upload.body.get('length')).toBe('medium')
+    expect(upload.body.get('template')).toBe('standard')
+    expect(upload.body.get('outputLanguage')).toBe('en')
+
+    // Processing: progress and the summary as it is written, from the job's events
+    expect(await screen.findByText('Analyzing Your Document')).toBeInTheDocument()
+    const [events] = FakeEventSource.instances
+    expect(events.url).toBe('/api/jobs/job-1/events')
+    expect(localStorage.getItem('summarize-ai:active-job')).toBe('job-1')
+
+    events.emit('snapshot', { status: 'running', progress: {} })
+    events.emit('stage', { stage: 'extracted' })
+    events.emit('token', { text: 'Revenue grew' })
+    expect(await screen.findByText('Revenue grew')).toBeInTheDocument()
+    expect(screen.getByText('Extracting text')).toHaveClass('done')
+    expect(screen.getByText('Writing summary')).not.toHaveClass('done')
+
+    // Result
+    history = [HISTORY_ITEM]
+    events.emit('done', RESULT)
+    expect(await screen.findByText('Revenue grew by twelve percent.', {}, { timeout: 3000 })).toBeInTheDocument()
+    expect(screen.getByText('report.pdf')).toHaveClass('result-title')
+    expect(events.readyState).toBe(FakeEventSource.CLOSED)
+    expect(localStorage.getItem('summarize-ai:active-job')).toBeNull()
+
+    // History
+    await ui.click(screen.getByRole('button', { name: /^history/i }))
+    expect(await screen.findByText('Summary History')).toBeInTheDocument()
+    const card = screen.getByRole('checkbox', { name: 'Select report.pdf' }).closest('.history-card')
+    expect(within(card).getByText('Revenue grew by twelve percent.')).toBeInTheDocument()
+    expect(within(card).getByText('3 pages')).toBeInTheDocument()
+  })
+
+  it('goes back to the upload form when the server rejects the document', async () => {
+    const ui = userEvent.setup()
+    const calls = mockApi({
+      ...baseRoutes(),
+      'POST /api/jobs': () => json({ error: 'Could not read this PDF', code: 'bad_request' }, 400),
+    })
+    const { container } = render(<App user={user} onSignOut={() => {}} />)
+
+    await chooseFile(ui, container)
+    await ui.click(screen.getByRole('button', { name: /generate summary/i }))
+
+    expect(await screen.findByRole('button', { name: /generate summary/i })).toBeInTheDocument()
+    expect(calls.filter((call) => call.url === '/api/jobs')).toHaveLength(1)
+    expect(FakeEventSource.instances).toHaveLength(0)
+    expect(localStorage.getItem('summarize-ai:active-job')).toBeNull()
+  })
+
+  it('goes back to the upload form when the job fails', async () => {
+    const ui = userEvent.setup()
+    mockApi({
+      ...baseRoutes(),
+      'POST /api/jobs': () => json({ id: 'job-2', status: 'queued' }, 202),
+    })
+    const { container } = render(<App user={user} onSignOut={() => {}} />)
+
+    await chooseFile(ui, container)
+    await ui.click(screen.getByRole('button', { name: /generate summary/i }))
+    await screen.findByText('Analyzing Your Document')
+
+    FakeEventSource.instances[0].emit('failed', { error: 'Could not extract text from PDF' })
+    // The file stays chosen, ready to try again
+    expect(await screen.findByRole('button', { name: /generate summary/i })).toBeInTheDocument()
+    expect(localStorage.getItem('summarize-ai:active-job')).toBeNull()
+  })
+
+  it('resumes following a job that was running when the page was reloaded', async () => {
+    localStorage.setItem('summarize-ai:active-job', 'job-3')
+    mockApi(baseRoutes())
+    render(<App user={user} onSignOut={() => {}} />)
+
+    expect(screen.getByText('Analyzing Your Document')).toBeInTheDocument()
+    const [events] = FakeEventSource.instances
+    expect(events.url).toBe('/api/jobs/job-3/events')
+
+    // A job that finished in the meantime is reported as a snapshot
+    events.emit('snapshot', { status: 'done', result: RESULT })
+    expect(await screen.findByText('Revenue grew by twelve percent.', {}, { timeout: 3000 })).toBeInTheDocument()
+  })
+
+  it('keeps at most 20 files and says so once', async () => {
+    const ui = userEvent.setup()
+    const error = vi.spyOn(toast, 'error')
+    mockApi(baseRoutes())
+    // StrictMode runs state updaters twice, which must not toast twice
+    const { container } = render(<StrictMode><App user={user} onSignOut={() => {}} /></StrictMode>)
+    const pdfs = (from, count) => Array.from({ length: count }, (_, i) =>
+      new File(['%PDF-1.4'], `doc-${from + i}.pdf`, { type: 'application/pdf' }))
+
+    await ui.upload(container.querySelector('input[type="file"]'), pdfs(1, 15))
+    await screen.findByRole('button', { name: /summarize 15 documents/i })
+    await ui.upload(container.querySelector('input[type="file"]'), pdfs(16, 10))
+
+    expect(await screen.findByRole('button', { name: /summarize 20 documents/i })).toBeInTheDocument()
+    expect(screen.queryByText('doc-21.pdf')).not.toBeInTheDocument()
+    expect(error).toHaveBeenCalledTimes(1)
+    expect(error).toHaveBeenCalledWith('Only the first 20 files were added.')
+    error.mockRestore()
+  })
+
+  it('deletes a summary from the history', async () => {
+    const ui = userEvent.setup()
+    history = [HISTORY_ITEM]
+    const calls = mockApi({
+      ...baseRoutes(),
+      'DELETE /api/summaries/s1': () => json({ message: 'Summary deleted' }),
+    })
+    render(<App user={user} onSignOut={() => {}} />)
+
+    await ui.click(screen.getByRole('button', { name: /^history/i }))
+    const card = (await screen.findByRole('checkbox', { name: 'Select report.pdf' })).closest('.history-card')
+    await ui.click(card.querySelector('.btn-delete-small'))
+
+    await waitFor(() => expect(screen.getByText('No summaries yet')).toBeInTheDocument())
+    expect(calls).toContainEqual(expect.objectContaining({ method: 'DELETE', url: '/api/summaries/s1' }))
+  })
+})
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react'
+import { Toaster, toast } from 'react-hot-toast'
+import { Loader2 } from 'lucide-react'
+import App from './App.jsx'
+import AuthScreen from './components/AuthScreen'
+
+const API_URL = '/api'
+
+// Signs the user in from a magic link in the URL (?magic=<token>), if any,
+// otherwise picks up an existing session.
+async function resolveSession() {
+  const params = new URLSearchParams(window.location.search)
+  const magic = params.get('magic')
+
+  if (magic) {
+    params.delete('magic')
+    const query = params.toString()
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`)
+
+    const res = await fetch(`${API_URL}/auth/magic-link/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: magic }),
+    })
+    const data = await res.json()
+    if (res.ok) return data.user
+    toast.error(data.error || 'Sign-in link could not be used')
+  }
+
+  const res = await fetch(`${API_URL}/auth/me`)
+  return res.ok ? (await res.json()).user : null
+}
+
+// Shows the sign-in screen until there is a session, then the app. The app
+// is unmounted on sign-out so no state leaks between accounts.
+function AuthGate() {
+  const [user, setUser] = useState(undefined) // undefined while checking
+
+  useEffect(() => {
+    resolveSession()
+      .then(setUser)
+      .catch(() => setUser(null))
+  }, [])
+
+  const handleSignOut = async () => {
+    try {
+      await fetch(`${API_URL}/auth/logout`, { method: 'POST' })
+    } catch {
+      // sign out locally even when the server can't be reached
+    }
+    setUser(null)
+  }
+
+  return (
+    <>
+      {user === undefined ? (
+        <div className="auth-loading">
+          <Loader2 size={28} className="spinning" color="var(--accent-light)" />
+        </div>
+      ) : user ? (
+        <App key={user.id} user={user} onSignOut={handleSignOut} />
+      ) : (
+        <AuthScreen onSignedIn={setUser} />
+      )}
+
+      <Toaster
+        position="bottom-right"
+        toastOptions={{
+          className: 'toast-custom',
+          duration: 3000,
+        }}
+      />
+    </>
+  )
+}
+
+export default AuthGate
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { Copy, KeyRound, Plus, Trash2, X } from 'lucide-react'
+
+const API_URL = '/api'
+
+// Personal API tokens for scripts. A new token is shown once, right after
+// it is created; only its name and usage are listed afterwards.
+function ApiTokens({ onClose }) {
+  const [tokens, setTokens] = useState([])
+  const [name, setName] = useState('')
+  const [created, setCreated] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_URL}/tokens`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => { if (!cancelled) setTokens(data) })
+      .catch(() => { /* silent */ })
+    return () => { cancelled = true }
+  }, [])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    try {
+      const res = await fetch(`${API_URL}/tokens`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: name.trim() }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to create token')
+      const { token, ...saved } = data
+      setTokens((prev) => [saved, ...prev])
+      setCreated(token)
+      setName('')
+    } catch (err) {
+      toast.error(err.message || 'Failed to create token')
+    }
+  }
+
+  const handleRevoke = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/tokens/${id}`, { method: 'DELETE' })
+      if (!res.ok && res.status !== 404) throw new Error()
+      setTokens((prev) => prev.filter((t) => t.id !== id))
+      toast.success('Token revoked')
+    } catch {
+      toast.error('Failed to revoke token')
+    }
+  }
+
+  const handleCopy = () => {
+    navigator.clipboard.writeText(created)
+    toast.success('Copied to clipboard!')
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><KeyRound size={18} style={{ verticalAlign: 'middle', marginRight: 8 }} />API tokens</h3>
+          <button className="btn-close" onClick={onClose}>
+            <X size={18} />
+          </button>
+        </div>
+        <div className="modal-body">
+          <p className="tokens-hint">
+            Use a token from scripts with the header <code>Authorization: Bearer &lt;token&gt;</code>.
+          </p>
+
+          <form className="tokens-form" onSubmit={handleCreate}>
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Token name, e.g. nightly import" />
+            <button className="btn-action" type="submit" disabled={!name.trim()}>
+              <Plus size={14} /> Create
+            </button>
+          </form>
+
+          {created && (
+            <div className="token-created">
+              <div>Copy this token now — it won't be shown again.</div>
+              <div className="token-value">
+                <code>{created}</code>
+                <button className="btn-action" onClick={handleCopy}>
+                  <Copy size={14} /> Copy
+                </button>
+              </div>
+            </div>
+          )}
+
+          {tokens.length === 0 ? (
+            <p className="tokens-hint">No tokens yet.</p>
+          ) : (
+            <ul className="token-list">
+              {tokens.map((t) => (
+                <li key={t.id}>
+                  <div>
+                    <div className="token-name">{t.name}</div>
+                    <div className="token-meta">
+                      Created {new Date(t.created_at).toLocaleDateString()}
+                      {' · '}
+                      {t.last_used_at ? `last used ${new Date(t.last_used_at).toLocaleDateString()}` : 'never used'}
+                    </div>
+                  </div>
+                  <button className="btn-delete-small" onClick={() => handleRevoke(t.id)}>
+                    <Trash2 size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ApiTokens
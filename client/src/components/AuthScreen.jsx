@@ -0,0 +1,125 @@
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { Brain, Lock, Mail, Sparkles } from 'lucide-react'
+
+const API_URL = '/api'
+
+const MODES = [
+  { key: 'login', label: 'Sign in' },
+  { key: 'signup', label: 'Create account' },
+  { key: 'magic', label: 'Email me a link' },
+]
+
+// Sign in with email and password, create an account, or request a
+// one-time sign-in link by email.
+function AuthScreen({ onSignedIn }) {
+  const [mode, setMode] = useState('login')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const [linkSent, setLinkSent] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (submitting) return
+
+    setSubmitting(true)
+    try {
+      const endpoint = { login: 'auth/login', signup: 'auth/signup', magic: 'auth/magic-link' }[mode]
+      const res = await fetch(`${API_URL}/${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(mode === 'magic' ? { email } : { email, password }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Something went wrong')
+
+      if (mode === 'magic') {
+        setLinkSent(true)
+      } else {
+        onSignedIn(data.user)
+      }
+    } catch (err) {
+      toast.error(err.message || 'Something went wrong')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const switchMode = (next) => {
+    setMode(next)
+    setLinkSent(false)
+  }
+
+  return (
+    <>
+      <div className="bg-grid" />
+      <div className="bg-glow" />
+      <div className="bg-glow-2" />
+
+      <div className="auth-screen">
+        <div className="auth-card">
+          <div className="logo" style={{ justifyContent: 'center', marginBottom: 24 }}>
+            <div className="logo-icon">
+              <Brain size={22} color="white" />
+            </div>
+            <div className="logo-text">
+              Summarize<span>AI</span>
+            </div>
+          </div>
+
+          <div className="auth-tabs">
+            {MODES.map((m) => (
+              <button
+                key={m.key}
+                className={`length-btn ${mode === m.key ? 'active' : ''}`}
+                onClick={() => switchMode(m.key)}
+              >
+                {m.label}
+              </button>
+            ))}
+          </div>
+
+          {linkSent ? (
+            <div className="auth-notice">
+              <Mail size={18} />
+              <span>We sent a sign-in link to <strong>{email}</strong>. It works once and expires in 15 minutes.</span>
+            </div>
+          ) : (
+            <form className="auth-form" onSubmit={handleSubmit}>
+              <label>
+                <Mail size={14} /> Email
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  autoComplete="email"
+                  required
+                />
+              </label>
+              {mode !== 'magic' && (
+                <label>
+                  <Lock size={14} /> Password
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+                    minLength={mode === 'signup' ? 8 : undefined}
+                    required
+                  />
+                </label>
+              )}
+              <button className="btn-summarize" type="submit" disabled={submitting}>
+                <Sparkles size={18} />
+                {MODES.find((m) => m.key === mode).label}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  )
+}
+
+export default AuthScreen
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react'
+import { Check, X, Loader, Layers, FileText, ChevronRight } from 'lucide-react'
+
+const API_URL = '/api'
+const POLL_INTERVAL = 1500
+
+function stageLabel(job) {
+  if (job.status === 'done') return 'Done'
+  if (job.status === 'failed') return job.error || 'Failed'
+  if (job.status === 'queued') return job.nextAttemptAt ? 'Rate limited, retrying soon' : 'Queued'
+
+  const p = job.progress || {}
+  switch (p.stage) {
+    case 'ocr': return `Recognizing scanned pages (${p.ocrDone}/${p.ocrTotal})`
+    case 'chunk': return `Summarizing sections (${p.index}/${p.total})`
+    case 'summarizing': return 'Writing summary'
+    case 'saved': return 'Saving'
+    case 'extracted':
+    case 'chunked': return 'Text extracted'
+    default: return 'Reading PDF'
+  }
+}
+
+function JobRow({ job, icon, onOpen }) {
+  const done = job.status === 'done'
+  return (
+    <div
+      className={`batch-item ${job.status}`}
+      onClick={done ? () => onOpen(job.result.id) : undefined}
+    >
+      <div className="batch-item-icon">{icon}</div>
+      <div className="batch-item-details">
+        <div className="batch-item-name">{job.meta.filename}</div>
+        <div className="batch-item-status">{stageLabel(job)}</div>
+      </div>
+      <div className="batch-item-state">
+        {job.status === 'done' && <><Check size={16} /><ChevronRight size={16} /></>}
+        {job.status === 'failed' && <X size={16} />}
+        {(job.status === 'queued' || job.status === 'running') && <Loader size={16} className="spinning" />}
+      </div>
+    </div>
+  )
+}
+
+// Per-file progress for a batch upload, polled until every file (and the
+// optional collection summary) has finished. Failed files are listed with
+// their error and don't stop the rest of the batch.
+function BatchProgress({ batchId, onOpen, onFinished, onLost }) {
+  const [batch, setBatch] = useState(null)
+
+  useEffect(() => {
+    let timer
+    let cancelled = false
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`${API_URL}/batches/${batchId}`)
+        if (res.status === 404) return onLost()
+        if (!res.ok) throw new Error()
+        const data = await res.json()
+        if (cancelled) return
+        setBatch(data)
+        if (data.status === 'done') return onFinished(data)
+      } catch {
+        // try again on the next tick
+      }
+      if (!cancelled) timer = setTimeout(poll, POLL_INTERVAL)
+    }
+
+    poll()
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [batchId, onFinished, onLost])
+
+  if (!batch) return null
+
+  const finished = batch.jobs.filter((job) => job.status === 'done' || job.status === 'failed').length
+
+  return (
+    <div className="batch-progress">
+      <div className="batch-progress-header">
+        {batch.status === 'done' ? 'Batch complete' : 'Summarizing documents'}
+        <span className="section-count">{finished}/{batch.jobs.length}</span>
+      </div>
+
+      <div className="batch-list">
+        {batch.jobs.map((job) => (
+          <JobRow key={job.id} job={job} icon={<FileText size={18} />} onOpen={onOpen} />
+        ))}
+        {batch.collectionJob && (
+          <JobRow job={batch.collectionJob} icon={<Layers size={18} />} onOpen={onOpen} />
+        )}
+        {batch.collection && !batch.collectionJob && (
+          <div className={`batch-item ${batch.collectionError ? 'failed' : 'queued'}`}>
+            <div className="batch-item-icon"><Layers size={18} /></div>
+            <div className="batch-item-details">
+              <div className="batch-item-name">Collection summary</div>
+              <div className="batch-item-status">
+                {batch.collectionError || 'Starts when every document is summarized'}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default BatchProgress
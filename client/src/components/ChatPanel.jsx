@@ -0,0 +1,105 @@
+import { useState, useEffect, useRef } from 'react'
+import { toast } from 'react-hot-toast'
+import ReactMarkdown from 'react-markdown'
+import { MessageSquare, Send, Trash2 } from 'lucide-react'
+
+const API_URL = '/api'
+
+// Follow-up Q&A about a stored summary's document. The conversation is kept
+// on the server, so reopening a summary later picks up where it left off.
+function ChatPanel({ summaryId }) {
+  const [messages, setMessages] = useState([])
+  const [input, setInput] = useState('')
+  const [sending, setSending] = useState(false)
+  const bottomRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_URL}/summaries/${summaryId}/chat`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => { if (!cancelled) setMessages(data) })
+      .catch(() => { /* silent */ })
+    return () => { cancelled = true }
+  }, [summaryId])
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }, [messages, sending])
+
+  const handleSend = async (e) => {
+    e.preventDefault()
+    const message = input.trim()
+    if (!message || sending) return
+
+    setSending(true)
+    setInput('')
+    try {
+      const res = await fetch(`${API_URL}/summaries/${summaryId}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to get an answer')
+      setMessages((prev) => [...prev, data.userMessage, data.assistantMessage])
+    } catch (err) {
+      setInput(message)
+      toast.error(err.message || 'Failed to get an answer')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const handleClear = async () => {
+    try {
+      const res = await fetch(`${API_URL}/summaries/${summaryId}/chat`, { method: 'DELETE' })
+      if (!res.ok) throw new Error()
+      setMessages([])
+    } catch {
+      toast.error('Failed to clear conversation')
+    }
+  }
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-header">
+        <div className="chat-title">
+          <MessageSquare size={16} /> Ask about this document
+        </div>
+        {messages.length > 0 && (
+          <button className="btn-action" onClick={handleClear}>
+            <Trash2 size={14} /> Clear
+          </button>
+        )}
+      </div>
+
+      {messages.length > 0 && (
+        <div className="chat-messages">
+          {messages.map((m) => (
+            <div key={m.id} className={`chat-message ${m.role}`}>
+              {m.role === 'assistant'
+                ? <div className="markdown-content"><ReactMarkdown>{m.content}</ReactMarkdown></div>
+                : m.content}
+            </div>
+          ))}
+          {sending && <div className="chat-message assistant shimmer-text">Reading the document...</div>}
+          <div ref={bottomRef} />
+        </div>
+      )}
+
+      <form className="chat-input" onSubmit={handleSend}>
+        <input
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder='e.g. "What are the termination clauses?"'
+          disabled={sending}
+        />
+        <button type="submit" className="btn-action" disabled={sending || !input.trim()}>
+          <Send size={14} /> Ask
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ChatPanel
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import ReactMarkdown from 'react-markdown'
+import { BookOpen, X } from 'lucide-react'
+
+const CITATION = /\[p\. (\d+)\]/g
+
+// Renders a summary's markdown with its [p. N] citations turned into links.
+// `citations` is the server's list, one entry per marker in order of
+// appearance; clicking a marker shows the quoted passage from that page.
+function CitedMarkdown({ children, citations }) {
+  const [active, setActive] = useState(null)
+
+  if (!citations?.length) {
+    return <ReactMarkdown>{children}</ReactMarkdown>
+  }
+
+  let index = 0
+  const text = children.replace(CITATION, (match, page) => `[p. ${page}](#cite-${index++})`)
+  const citation = active !== null ? citations[active] : null
+
+  const components = {
+    a: ({ href, children: label }) => {
+      if (href?.startsWith('#cite-')) {
+        const i = Number(href.slice('#cite-'.length))
+        return (
+          <button
+            type="button"
+            className={`citation-link ${active === i ? 'active' : ''}`}
+            onClick={() => setActive(active === i ? null : i)}
+          >
+            {label}
+          </button>
+        )
+      }
+      return <a href={href} target="_blank" rel="noreferrer">{label}</a>
+    },
+  }
+
+  return (
+    <>
+      <ReactMarkdown components={components}>{text}</ReactMarkdown>
+      {citation && (
+        <div className="citation-source">
+          <div className="citation-source-header">
+            <span><BookOpen size={14} /> Source · page {citation.page}</span>
+            <button type="button" className="btn-close" onClick={() => setActive(null)}>
+              <X size={14} />
+            </button>
+          </div>
+          <blockquote>{citation.quote || 'No text found on this page.'}</blockquote>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default CitedMarkdown
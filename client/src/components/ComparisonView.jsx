@@ -0,0 +1,92 @@
+import ReactMarkdown from 'react-markdown'
+
+const PointList = ({ items }) => (
+  items.length ? (
+    <ul>
+      {items.map((item, i) => <li key={i}><ReactMarkdown>{item}</ReactMarkdown></li>)}
+    </ul>
+  ) : (
+    <p className="comparison-empty">None</p>
+  )
+)
+
+// Two-document comparison: shared points, what only one side says,
+// contradictions, and a side-by-side line diff of the extracted text
+function ComparisonView({ comparison }) {
+  const [a, b] = comparison.sources || [{ filename: 'Document A' }, { filename: 'Document B' }]
+  const diff = comparison.textDiff || []
+
+  return (
+    <div className="comparison-view">
+      {comparison.basis === 'summary' && (
+        <p className="tokens-hint">These documents were too long to compare in full, so their summaries were compared.</p>
+      )}
+
+      <h4>Shared points</h4>
+      <div className="markdown-content">
+        <PointList items={comparison.shared} />
+      </div>
+
+      <div className="comparison-columns">
+        <div className="markdown-content">
+          <h4>Only in {a.filename}</h4>
+          <PointList items={comparison.onlyA} />
+        </div>
+        <div className="markdown-content">
+          <h4>Only in {b.filename}</h4>
+          <PointList items={comparison.onlyB} />
+        </div>
+      </div>
+
+      <h4>Contradictions</h4>
+      {comparison.contradictions.length ? (
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th>Topic</th>
+              <th>{a.filename}</th>
+              <th>{b.filename}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {comparison.contradictions.map((c, i) => (
+              <tr key={i}>
+                <td>{c.topic}</td>
+                <td>{c.a}</td>
+                <td>{c.b}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="comparison-empty">None found</p>
+      )}
+
+      {diff.length > 0 && (
+        <>
+          <h4>Text differences</h4>
+          <div className="diff-view">
+            <div className="diff-column">
+              <div className="diff-label">{a.filename}</div>
+              <div className="diff-text">
+                {diff.filter((p) => p.type !== 'added').map((p, i) => (
+                  p.type === 'removed' ? <del key={i}>{p.text}</del> : <span key={i}>{p.text}</span>
+                ))}
+              </div>
+            </div>
+            <div className="diff-column">
+              <div className="diff-label">{b.filename}</div>
+              <div className="diff-text">
+                {diff.filter((p) => p.type !== 'removed').map((p, i) => (
+                  p.type === 'added' ? <ins key={i}>{p.text}</ins> : <span key={i}>{p.text}</span>
+                ))}
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ComparisonView
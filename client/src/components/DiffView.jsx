@@ -0,0 +1,32 @@
+import { diffWords } from 'diff'
+import { languageProps } from '../languages'
+
+// Side-by-side word diff of two texts: removed words are marked in the left
+// column and added words in the right one. The optional language codes set
+// each column's text direction.
+function DiffView({ before, after, beforeLabel, afterLabel, beforeLanguage, afterLanguage }) {
+  const parts = diffWords(before || '', after || '')
+
+  return (
+    <div className="diff-view">
+      <div className="diff-column">
+        <div className="diff-label">{beforeLabel}</div>
+        <div className="diff-text" {...languageProps(beforeLanguage)}>
+          {parts.filter((p) => !p.added).map((p, i) => (
+            p.removed ? <del key={i}>{p.value}</del> : <span key={i}>{p.value}</span>
+          ))}
+        </div>
+      </div>
+      <div className="diff-column">
+        <div className="diff-label">{afterLabel}</div>
+        <div className="diff-text" {...languageProps(afterLanguage)}>
+          {parts.filter((p) => !p.removed).map((p, i) => (
+            p.added ? <ins key={i}>{p.value}</ins> : <span key={i}>{p.value}</span>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DiffView
@@ -0,0 +1,44 @@
+import { useState, useEffect, useRef } from 'react'
+import { ChevronDown, Download } from 'lucide-react'
+import { EXPORT_FORMATS } from '../exportFormats'
+
+const API_URL = '/api'
+
+// Export button with a dropdown of the formats the server renders
+function ExportMenu({ summaryId }) {
+  const [open, setOpen] = useState(false)
+  const menuRef = useRef(null)
+
+  useEffect(() => {
+    if (!open) return
+    const close = (e) => {
+      if (!menuRef.current?.contains(e.target)) setOpen(false)
+    }
+    document.addEventListener('mousedown', close)
+    return () => document.removeEventListener('mousedown', close)
+  }, [open])
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button className="btn-action" onClick={() => setOpen((o) => !o)}>
+        <Download size={14} /> Export <ChevronDown size={12} />
+      </button>
+      {open && (
+        <div className="export-options">
+          {EXPORT_FORMATS.map((f) => (
+            <a
+              key={f.key}
+              href={`${API_URL}/summaries/${summaryId}/export?format=${f.key}`}
+              download
+              onClick={() => setOpen(false)}
+            >
+              {f.label}
+            </a>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ExportMenu
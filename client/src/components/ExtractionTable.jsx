@@ -0,0 +1,119 @@
+import { Braces, Download, Table } from 'lucide-react'
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const label = (key) => key.replace(/[_-]+/g, ' ')
+
+function Value({ value }) {
+  if (value === null || value === undefined || value === '') {
+    return <span className="extraction-empty">—</span>
+  }
+  if (Array.isArray(value)) {
+    if (value.length === 0) return <span className="extraction-empty">—</span>
+    if (value.every(isObject)) return <RecordTable rows={value} />
+    return (
+      <ul className="extraction-list">
+        {value.map((item, i) => <li key={i}><Value value={item} /></li>)}
+      </ul>
+    )
+  }
+  if (isObject(value)) return <FieldTable data={value} />
+  return String(value)
+}
+
+// Arrays of objects (line items, parties, ...) as one row per object
+function RecordTable({ rows }) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))]
+  return (
+    <table className="extraction-table nested">
+      <thead>
+        <tr>{columns.map((col) => <th key={col}>{label(col)}</th>)}</tr>
+      </thead>
+      <tbody>
+        {rows.map((row, i) => (
+          <tr key={i}>
+            {columns.map((col) => <td key={col}><Value value={row[col]} /></td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+function FieldTable({ data }) {
+  return (
+    <table className="extraction-table">
+      <tbody>
+        {Object.entries(data).map(([key, value]) => (
+          <tr key={key}>
+            <th>{label(key)}</th>
+            <td><Value value={value} /></td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// Flatten nested data into [path, value] pairs, e.g. ["line_items[0].amount", 12]
+function flatten(value, path = '') {
+  if (Array.isArray(value)) {
+    return value.length ? value.flatMap((item, i) => flatten(item, `${path}[${i}]`)) : [[path, '']]
+  }
+  if (isObject(value)) {
+    return Object.entries(value).flatMap(([key, item]) => flatten(item, path ? `${path}.${key}` : key))
+  }
+  return [[path, value ?? '']]
+}
+
+const csvCell = (value) => {
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function download(content, type, filename) {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+// Structured extraction results as a table, with CSV (field,value per row)
+// and JSON export.
+function ExtractionTable({ data, filename, schemaName }) {
+  const base = `${filename?.replace(/\.pdf$/i, '') || 'document'}-extraction`
+
+  const exportCsv = () => {
+    const rows = [['field', 'value'], ...flatten(data)]
+    download(rows.map((row) => row.map(csvCell).join(',')).join('\n'), 'text/csv', `${base}.csv`)
+  }
+
+  const exportJson = () => {
+    download(JSON.stringify(data, null, 2), 'application/json', `${base}.json`)
+  }
+
+  return (
+    <div className="extraction">
+      <div className="extraction-header">
+        <div className="extraction-title">
+          <Table size={16} /> Extracted data
+          {schemaName && <span className="meta-tag" style={{ textTransform: 'capitalize' }}>{label(schemaName)}</span>}
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button className="btn-action" onClick={exportCsv}>
+            <Download size={14} /> CSV
+          </button>
+          <button className="btn-action" onClick={exportJson}>
+            <Braces size={14} /> JSON
+          </button>
+        </div>
+      </div>
+      {isObject(data) ? <FieldTable data={data} /> : <Value value={data} />}
+    </div>
+  )
+}
+
+export default ExtractionTable
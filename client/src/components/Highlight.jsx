@@ -0,0 +1,18 @@
+const escape = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+// Wrap occurrences of the search terms in <mark>. With `excerpt`, text before
+// the first match is cut so the match shows up in clamped previews.
+function Highlight({ text, terms, excerpt = false }) {
+  if (!text || terms.length === 0) return text || null
+
+  const pattern = new RegExp(`(${terms.map(escape).join('|')})`, 'gi')
+  let shown = text
+  if (excerpt) {
+    const first = text.search(pattern)
+    if (first > 80) shown = '…' + text.substring(text.lastIndexOf(' ', first - 40) + 1)
+  }
+
+  return shown.split(pattern).map((part, i) => (i % 2 === 1 ? <mark key={i}>{part}</mark> : part))
+}
+
+export default Highlight
@@ -0,0 +1,46 @@
+import { Search, X } from 'lucide-react'
+import { LENGTH_FILTERS, PAGE_FILTERS, DATE_FILTERS, EMPTY_FILTERS, filtersActive } from '../historyQuery'
+
+function ChipGroup({ options, value, onSelect }) {
+  return options.map((opt) => (
+    <button
+      key={opt.key}
+      className={`filter-chip ${value === opt.key ? 'active' : ''}`}
+      onClick={() => onSelect(value === opt.key ? null : opt.key)}
+    >
+      {opt.label}
+    </button>
+  ))
+}
+
+// Search bar and filter chips above the history grid. Clicking an active
+// chip clears that filter.
+function HistorySearch({ filters, onChange }) {
+  return (
+    <div className="history-search">
+      <div className="search-bar">
+        <Search size={16} color="var(--text-muted)" />
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => onChange({ q: e.target.value })}
+          placeholder="Search filenames, summaries and document text…"
+        />
+        {filtersActive(filters) && (
+          <button className="search-clear" onClick={() => onChange(EMPTY_FILTERS)}>
+            <X size={14} /> Clear
+          </button>
+        )}
+      </div>
+      <div className="filter-chips">
+        <ChipGroup options={LENGTH_FILTERS} value={filters.length} onSelect={(length) => onChange({ length })} />
+        <span className="filter-divider" />
+        <ChipGroup options={PAGE_FILTERS} value={filters.pages} onSelect={(pages) => onChange({ pages })} />
+        <span className="filter-divider" />
+        <ChipGroup options={DATE_FILTERS} value={filters.date} onSelect={(date) => onChange({ date })} />
+      </div>
+    </div>
+  )
+}
+
+export default HistorySearch
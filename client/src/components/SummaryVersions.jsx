@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react'
+import { toast } from 'react-hot-toast'
+import { GitCompare, Languages, RefreshCw } from 'lucide-react'
+import CitedMarkdown from './CitedMarkdown'
+import DiffView from './DiffView'
+import { LANGUAGES, languageName, languageProps } from '../languages'
+
+const API_URL = '/api'
+
+const LENGTHS = [
+  { key: 'short', label: 'Brief' },
+  { key: 'medium', label: 'Standard' },
+  { key: 'long', label: 'Detailed' },
+]
+
+const lengthLabel = (key) => LENGTHS.find((l) => l.key === key)?.label || key
+
+const versionLabel = (v, original) => {
+  const template = v.template && v.template.id !== 'standard' ? ` · ${v.template.name}` : ''
+  const language = v.outputLanguage && v.outputLanguage !== original?.outputLanguage ? ` · ${languageName(v.outputLanguage)}` : ''
+  return `v${v.version} · ${lengthLabel(v.summaryLength)}${template}${language}`
+}
+
+// Version switcher for a stored summary: regenerates it from the stored
+// document text with another length or template, translates the selected
+// version, and compares any two versions side by side. Version 1 (the stored
+// summary) renders `children`.
+function SummaryVersions({ summary, templates, children }) {
+  const [versions, setVersions] = useState([])
+  const [selected, setSelected] = useState(1)
+  const [compareWith, setCompareWith] = useState(null)
+  const [length, setLength] = useState(LENGTHS.some((l) => l.key === summary.summary_length) ? summary.summary_length : 'medium')
+  const [templateId, setTemplateId] = useState(summary.template?.id || 'standard')
+  const [regenerating, setRegenerating] = useState(false)
+  const [translateTo, setTranslateTo] = useState('')
+  const [translating, setTranslating] = useState(false)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_URL}/summaries/${summary.id}/versions`)
+      .then((res) => (res.ok ? res.json() : []))
+      .then((data) => { if (!cancelled) setVersions(data) })
+      .catch(() => { /* silent */ })
+    return () => { cancelled = true }
+  }, [summary.id])
+
+  const handleRegenerate = async () => {
+    setRegenerating(true)
+    try {
+      const body = { length }
+      // The original template is reused by default, even if it was deleted since
+      if (templateId !== summary.template?.id) body.template = templateId
+      const res = await fetch(`${API_URL}/summaries/${summary.id}/regenerate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to regenerate')
+      setVersions((prev) => [...prev, data])
+      setSelected(data.version)
+      setCompareWith(null)
+      toast.success(`Version ${data.version} created`)
+    } catch (err) {
+      toast.error(err.message || 'Failed to regenerate')
+    } finally {
+      setRegenerating(false)
+    }
+  }
+
+  const handleTranslate = async () => {
+    setTranslating(true)
+    try {
+      const res = await fetch(`${API_URL}/summaries/${summary.id}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ language: translateTo, version: selected }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to translate')
+      setVersions((prev) => [...prev, data])
+      setSelected(data.version)
+      setCompareWith(null)
+      setTranslateTo('')
+      toast.success(`Translated into ${languageName(data.outputLanguage)}`)
+    } catch (err) {
+      toast.error(err.message || 'Failed to translate')
+    } finally {
+      setTranslating(false)
+    }
+  }
+
+  const current = versions.find((v) => v.version === selected)
+  const other = compareWith !== null ? versions.find((v) => v.version === compareWith) : null
+  const label = (v) => versionLabel(v, versions[0])
+
+  return (
+    <>
+      <div className="version-bar">
+        {versions.length > 1 && (
+          <div className="version-tabs">
+            {versions.map((v) => (
+              <button
+                key={v.version}
+                className={`length-btn ${selected === v.version ? 'active' : ''}`}
+                onClick={() => {
+                  setSelected(v.version)
+                  if (compareWith === v.version) setCompareWith(null)
+                }}
+                title={new Date(v.createdAt).toLocaleString()}
+              >
+                {label(v)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="version-actions">
+          {versions.length > 1 && (
+            <label className="version-compare">
+              <GitCompare size={14} />
+              <select
+                value={compareWith ?? ''}
+                onChange={(e) => setCompareWith(e.target.value ? Number(e.target.value) : null)}
+              >
+                <option value="">Compare with…</option>
+                {versions.filter((v) => v.version !== selected).map((v) => (
+                  <option key={v.version} value={v.version}>{label(v)}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          {summary.kind !== 'collection' && (
+            <>
+              <select value={length} onChange={(e) => setLength(e.target.value)} aria-label="Length">
+                {LENGTHS.map((l) => <option key={l.key} value={l.key}>{l.label}</option>)}
+              </select>
+              <select value={templateId} onChange={(e) => setTemplateId(e.target.value)} aria-label="Template">
+                {summary.template && !templates.some((t) => t.id === summary.template.id) && (
+                  <option value={summary.template.id}>{summary.template.name}</option>
+                )}
+                {templates.map((t) => <option key={t.id} value={t.id}>{t.name}</option>)}
+              </select>
+              <button className="btn-action" onClick={handleRegenerate} disabled={regenerating}>
+                <RefreshCw size={14} className={regenerating ? 'spinning' : ''} />
+                {regenerating ? 'Regenerating…' : 'Regenerate'}
+              </button>
+            </>
+          )}
+          {!summary.extraction && (
+            <>
+              <select value={translateTo} onChange={(e) => setTranslateTo(e.target.value)} aria-label="Translate into">
+                <option value="">Translate into…</option>
+                {LANGUAGES.filter((l) => l.code !== current?.outputLanguage).map((l) => (
+                  <option key={l.code} value={l.code}>{l.name}</option>
+                ))}
+              </select>
+              <button className="btn-action" onClick={handleTranslate} disabled={!translateTo || translating}>
+                <Languages size={14} className={translating ? 'spinning' : ''} />
+                {translating ? 'Translating…' : 'Translate'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {other && current ? (
+        <DiffView
+          before={other.summary}
+          after={current.summary}
+          beforeLabel={label(other)}
+          afterLabel={label(current)}
+          beforeLanguage={other.outputLanguage}
+          afterLanguage={current.outputLanguage}
+        />
+      ) : selected === 1 || !current ? (
+        children
+      ) : (
+        <div className="markdown-content" {...languageProps(current.outputLanguage)}>
+          <CitedMarkdown citations={current.citations}>{current.summary}</CitedMarkdown>
+        </div>
+      )}
+    </>
+  )
+}
+
+export default SummaryVersions
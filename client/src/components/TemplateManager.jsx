@@ -0,0 +1,128 @@
+import { useState } from 'react'
+import { toast } from 'react-hot-toast'
+import { Copy, Lock, NotebookPen, Pencil, Plus, Trash2, X } from 'lucide-react'
+
+const API_URL = '/api'
+
+const EMPTY_FORM = { id: null, name: '', description: '', prompt: '' }
+
+// Create, edit and delete prompt templates. Built-in templates are read-only
+// but can be copied as a starting point. `onChange` is called after every
+// change so the upload view's selector stays current.
+function TemplateManager({ templates, onChange, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [saving, setSaving] = useState(false)
+
+  const update = (field) => (e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    try {
+      const res = await fetch(form.id ? `${API_URL}/templates/${form.id}` : `${API_URL}/templates`, {
+        method: form.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: form.name, description: form.description, prompt: form.prompt }),
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to save template')
+      toast.success(form.id ? 'Template updated' : 'Template created')
+      setForm(EMPTY_FORM)
+      onChange()
+    } catch (err) {
+      toast.error(err.message || 'Failed to save template')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (id) => {
+    try {
+      const res = await fetch(`${API_URL}/templates/${id}`, { method: 'DELETE' })
+      if (!res.ok && res.status !== 404) throw new Error()
+      if (form.id === id) setForm(EMPTY_FORM)
+      toast.success('Template deleted')
+      onChange()
+    } catch {
+      toast.error('Failed to delete template')
+    }
+  }
+
+  const handleCopy = (t) => {
+    setForm({ id: null, name: `${t.name} (copy)`, description: t.description, prompt: t.prompt })
+  }
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><NotebookPen size={18} style={{ verticalAlign: 'middle', marginRight: 8 }} />Prompt templates</h3>
+          <button className="btn-close" onClick={onClose}>
+            <X size={18} />
+          </button>
+        </div>
+        <div className="modal-body">
+          <form className="template-form" onSubmit={handleSave}>
+            <input value={form.name} onChange={update('name')} placeholder="Name, e.g. Board update" />
+            <input value={form.description} onChange={update('description')} placeholder="Short description (optional)" />
+            <textarea
+              value={form.prompt}
+              onChange={update('prompt')}
+              placeholder="You are an analyst writing for {{audience}}. {{length}} Focus on {{focus}}."
+              rows={5}
+            />
+            <p className="tokens-hint">
+              Variables: <code>{'{{length}}'}</code> is the chosen length, <code>{'{{audience}}'}</code> and{' '}
+              <code>{'{{focus}}'}</code> are filled in when summarizing. Citation and formatting rules are added automatically.
+            </p>
+            <div className="template-form-actions">
+              {form.id && (
+                <button type="button" className="btn-action" onClick={() => setForm(EMPTY_FORM)}>
+                  Cancel
+                </button>
+              )}
+              <button className="btn-action" type="submit" disabled={saving || !form.name.trim() || !form.prompt.trim()}>
+                <Plus size={14} /> {form.id ? 'Save changes' : 'Create template'}
+              </button>
+            </div>
+          </form>
+
+          <ul className="token-list">
+            {templates.map((t) => (
+              <li key={t.id} className={form.id === t.id ? 'editing' : ''}>
+                <div>
+                  <div className="token-name">
+                    {t.builtIn && <Lock size={12} style={{ verticalAlign: 'middle', marginRight: 6 }} />}
+                    {t.name}
+                  </div>
+                  <div className="token-meta">{t.description || t.prompt}</div>
+                </div>
+                <div className="template-actions">
+                  <button className="btn-delete-small" onClick={() => handleCopy(t)} title="Copy">
+                    <Copy size={14} />
+                  </button>
+                  {!t.builtIn && (
+                    <>
+                      <button
+                        className="btn-delete-small"
+                        onClick={() => setForm({ id: t.id, name: t.name, description: t.description, prompt: t.prompt })}
+                        title="Edit"
+                      >
+                        <Pencil size={14} />
+                      </button>
+                      <button className="btn-delete-small" onClick={() => handleDelete(t.id)} title="Delete">
+                        <Trash2 size={14} />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default TemplateManager
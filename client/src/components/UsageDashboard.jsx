@@ -0,0 +1,156 @@
+import { useState, useEffect } from 'react'
+import { BarChart3, X } from 'lucide-react'
+
+const API_URL = '/api'
+
+const PERIODS = [7, 30, 90]
+
+const formatTokens = (n) => n.toLocaleString()
+
+const formatDay = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+
+// LLM token usage: this month's quota, tokens per day over the chosen period
+// and the models they went to
+function UsageDashboard({ onClose }) {
+  const [days, setDays] = useState(30)
+  const [usage, setUsage] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`${API_URL}/usage?days=${days}`)
+      .then(async (res) => {
+        const data = await res.json()
+        if (!res.ok) throw new Error(data.error || 'Failed to load usage')
+        return data
+      })
+      .then((data) => { if (!cancelled) { setUsage(data); setError(null) } })
+      .catch((err) => { if (!cancelled) setError(err.message) })
+    return () => { cancelled = true }
+  }, [days])
+
+  const peak = usage ? Math.max(1, ...usage.days.map((d) => d.totalTokens)) : 1
+  const quota = usage?.quota
+  const quotaShare = quota?.monthlyTokens ? Math.min(1, quota.used / quota.monthlyTokens) : 0
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h3><BarChart3 size={18} style={{ verticalAlign: 'middle', marginRight: 8 }} />Usage</h3>
+          <button className="btn-close" onClick={onClose}>
+            <X size={18} />
+          </button>
+        </div>
+        <div className="modal-body">
+          {error && <p className="tokens-hint">{error}</p>}
+          {!usage && !error && <p className="tokens-hint">Loading…</p>}
+
+          {usage && (
+            <>
+              <div className="usage-quota">
+                {quota.monthlyTokens ? (
+                  <>
+                    <div className="usage-quota-label">
+                      {formatTokens(quota.used)} of {formatTokens(quota.monthlyTokens)} tokens used this month
+                    </div>
+                    <div className="usage-quota-bar">
+                      <div
+                        className={`usage-quota-fill ${quotaShare >= 1 ? 'full' : ''}`}
+                        style={{ width: `${quotaShare * 100}%` }}
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <div className="usage-quota-label">{formatTokens(quota.used)} tokens used this month · no monthly quota</div>
+                )}
+                <div className="tokens-hint">
+                  Resets on {new Date(quota.resetsAt).toLocaleDateString(undefined, { timeZone: 'UTC' })}
+                  {usage.rateLimits.perUserPerMinute && ` · up to ${usage.rateLimits.perUserPerMinute} summarization requests per minute`}
+                </div>
+              </div>
+
+              <div className="length-selector">
+                {PERIODS.map((period) => (
+                  <button
+                    key={period}
+                    className={`length-btn ${days === period ? 'active' : ''}`}
+                    onClick={() => setDays(period)}
+                  >
+                    Last {period} days
+                  </button>
+                ))}
+              </div>
+
+              <div className="result-stats usage-stats">
+                <div className="stat-item">
+                  <div className="stat-value">{usage.totals.operations}</div>
+                  <div className="stat-label">Requests</div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-value">{formatTokens(usage.totals.promptTokens)}</div>
+                  <div className="stat-label">Prompt tokens</div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-value">{formatTokens(usage.totals.completionTokens)}</div>
+                  <div className="stat-label">Completion tokens</div>
+                </div>
+                <div className="stat-item">
+                  <div className="stat-value">
+                    {usage.totals.operations ? `${(usage.totals.latencyMs / usage.totals.operations / 1000).toFixed(1)}s` : '-'}
+                  </div>
+                  <div className="stat-label">Avg. LLM time</div>
+                </div>
+              </div>
+
+              <div className="usage-chart" role="img" aria-label={`Tokens per day over the last ${days} days`}>
+                {usage.days.map((day) => (
+                  <div
+                    key={day.date}
+                    className="usage-bar"
+                    title={`${formatDay(day.date)}: ${formatTokens(day.totalTokens)} tokens in ${day.operations} requests`}
+                  >
+                    <div className="usage-bar-completion" style={{ height: `${(day.completionTokens / peak) * 100}%` }} />
+                    <div className="usage-bar-prompt" style={{ height: `${(day.promptTokens / peak) * 100}%` }} />
+                  </div>
+                ))}
+              </div>
+              <div className="usage-chart-axis">
+                <span>{formatDay(usage.days[0].date)}</span>
+                <span className="usage-legend">
+                  <i className="usage-bar-prompt" /> Prompt <i className="usage-bar-completion" /> Completion
+                </span>
+                <span>{formatDay(usage.days[usage.days.length - 1].date)}</span>
+              </div>
+
+              {usage.models.length > 0 && (
+                <table className="comparison-table">
+                  <thead>
+                    <tr>
+                      <th>Model</th>
+                      <th>Requests</th>
+                      <th>Prompt</th>
+                      <th>Completion</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {usage.models.map((m) => (
+                      <tr key={`${m.provider}/${m.model}`}>
+                        <td>{m.provider} · {m.model}</td>
+                        <td>{m.operations}</td>
+                        <td>{formatTokens(m.promptTokens)}</td>
+                        <td>{formatTokens(m.completionTokens)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UsageDashboard
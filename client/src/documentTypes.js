@@ -0,0 +1,40 @@
+// Document types the server has text extractors for (see
+// server/lib/extractors); `unit` is what a document's pages are called
+export const DOCUMENT_TYPES = {
+  pdf: { label: 'PDF', unit: 'page', accept: { 'application/pdf': ['.pdf'] } },
+  docx: {
+    label: 'Word document',
+    unit: 'section',
+    accept: { 'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'] },
+  },
+  pptx: {
+    label: 'PowerPoint',
+    unit: 'slide',
+    accept: { 'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'] },
+  },
+  epub: { label: 'EPUB e-book', unit: 'chapter', accept: { 'application/epub+zip': ['.epub'] } },
+  txt: { label: 'Text file', unit: 'page', accept: { 'text/plain': ['.txt', '.text'] } },
+  md: { label: 'Markdown', unit: 'page', accept: { 'text/markdown': ['.md', '.markdown'] } },
+  html: { label: 'Web page', unit: 'page', accept: { 'text/html': ['.html', '.htm'] } },
+  text: { label: 'Pasted text', unit: 'page' },
+}
+
+// `accept` option for the upload dropzone
+export const ACCEPTED_FILES = Object.assign({}, ...Object.values(DOCUMENT_TYPES).map((t) => t.accept || {}))
+
+export const ACCEPTED_EXTENSIONS = Object.values(ACCEPTED_FILES).flat()
+
+export const documentTypeLabel = (type) => DOCUMENT_TYPES[type]?.label || null
+
+// The type of a file picked for upload, by extension
+export function documentTypeOf(filename) {
+  const extension = filename.substring(filename.lastIndexOf('.')).toLowerCase()
+  return Object.keys(DOCUMENT_TYPES).find((type) => Object.values(DOCUMENT_TYPES[type].accept || {}).flat().includes(extension)) || null
+}
+
+// "1 slide", "12 chapters"; documents of unknown type count pages
+export function pageCountLabel(count, type) {
+  const unit = DOCUMENT_TYPES[type]?.unit || 'page'
+  if (!count) return `? ${unit}s`
+  return `${count} ${unit}${count === 1 ? '' : 's'}`
+}
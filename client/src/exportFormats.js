@@ -0,0 +1,8 @@
+// Formats rendered by GET /api/summaries/:id/export and the bulk ZIP export
+export const EXPORT_FORMATS = [
+  { key: 'pdf', label: 'PDF report' },
+  { key: 'docx', label: 'Word document' },
+  { key: 'html', label: 'Web page (HTML)' },
+  { key: 'json', label: 'JSON with metadata' },
+  { key: 'md', label: 'Markdown' },
+]
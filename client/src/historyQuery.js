@@ -0,0 +1,67 @@
+// Filter presets for the history view and how they map onto the
+// GET /api/summaries query parameters.
+export const HISTORY_PAGE_SIZE = 20
+
+export const LENGTH_FILTERS = [
+  { key: 'short', label: 'Brief' },
+  { key: 'medium', label: 'Standard' },
+  { key: 'long', label: 'Detailed' },
+  { key: 'extract', label: 'Extracted' },
+]
+
+export const PAGE_FILTERS = [
+  { key: 'few', label: '≤ 10 pages', maxPages: 10 },
+  { key: 'some', label: '11–50 pages', minPages: 11, maxPages: 50 },
+  { key: 'many', label: '50+ pages', minPages: 51 },
+]
+
+export const DATE_FILTERS = [
+  { key: 'week', label: 'Last 7 days', days: 7 },
+  { key: 'month', label: 'Last 30 days', days: 30 },
+  { key: 'year', label: 'Last year', days: 365 },
+]
+
+export const EMPTY_FILTERS = { q: '', length: null, pages: null, date: null }
+
+export function filtersActive(filters) {
+  return Boolean(filters.q.trim() || filters.length || filters.pages || filters.date)
+}
+
+// Words of the search text, for highlighting matches
+export function searchTerms(q) {
+  return q.match(/[\p{L}\p{N}]+/gu) || []
+}
+
+export function historyParams(filters, cursor) {
+  const params = new URLSearchParams({ limit: HISTORY_PAGE_SIZE })
+  if (filters.q.trim()) params.set('q', filters.q.trim())
+  if (filters.length) params.set('length', filters.length)
+
+  const pages = PAGE_FILTERS.find((f) => f.key === filters.pages)
+  if (pages?.minPages) params.set('minPages', pages.minPages)
+  if (pages?.maxPages) params.set('maxPages', pages.maxPages)
+
+  const date = DATE_FILTERS.find((f) => f.key === filters.date)
+  if (date) params.set('from', new Date(Date.now() - date.days * 24 * 60 * 60 * 1000).toISOString())
+
+  if (cursor) params.set('cursor', cursor)
+  return params
+}
+
+// Group history items that are uploads of the same file (same content_hash),
+// keeping the order of each group's newest item. Returns [{ key, items }].
+export function groupDuplicates(items) {
+  const groups = []
+  const byHash = new Map()
+  for (const item of items) {
+    const group = item.content_hash && byHash.get(item.content_hash)
+    if (group) {
+      group.items.push(item)
+    } else {
+      const created = { key: item.content_hash || item.id, items: [item] }
+      if (item.content_hash) byHash.set(item.content_hash, created)
+      groups.push(created)
+    }
+  }
+  return groups
+}
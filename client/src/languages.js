@@ -0,0 +1,34 @@
+// Languages the server detects and writes summaries in (see
+// server/lib/language.js); `rtl` marks scripts written right to left
+export const LANGUAGES = [
+  { code: 'en', name: 'English' },
+  { code: 'de', name: 'German' },
+  { code: 'es', name: 'Spanish' },
+  { code: 'fr', name: 'French' },
+  { code: 'it', name: 'Italian' },
+  { code: 'pt', name: 'Portuguese' },
+  { code: 'nl', name: 'Dutch' },
+  { code: 'pl', name: 'Polish' },
+  { code: 'ru', name: 'Russian' },
+  { code: 'uk', name: 'Ukrainian' },
+  { code: 'tr', name: 'Turkish' },
+  { code: 'ar', name: 'Arabic', rtl: true },
+  { code: 'he', name: 'Hebrew', rtl: true },
+  { code: 'fa', name: 'Persian', rtl: true },
+  { code: 'ur', name: 'Urdu', rtl: true },
+  { code: 'hi', name: 'Hindi' },
+  { code: 'ja', name: 'Japanese' },
+  { code: 'zh', name: 'Chinese' },
+  { code: 'ko', name: 'Korean' },
+]
+
+// Output language option for "whatever language the document is in"
+export const SAME_AS_DOCUMENT = 'auto'
+
+export const languageName = (code) => LANGUAGES.find((l) => l.code === code)?.name || code
+
+// `lang` and `dir` attributes for an element showing text written in `code`
+export const languageProps = (code) => ({
+  lang: code || undefined,
+  dir: LANGUAGES.find((l) => l.code === code)?.rtl ? 'rtl' : 'auto',
+})
@@ -1,173 +1,1630 @@
 import 'dotenv/config';
+import { createHash, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import pdfParse from 'pdf-parse';
-import Groq from 'groq-sdk';
-import { createClient } from '@supabase/supabase-js';
+import archiver from 'archiver';
+import { lengthInstructions, summarizeDocument, summarizeCollection, translateSummary } from './lib/summarizer.js';
+import { createJobQueue } from './lib/jobQueue.js';
+import { createRateLimiter } from './lib/rateLimit.js';
+import { monthStart, nextMonthStart, periodStart, totalTokens, usageReport } from './lib/usage.js';
+import { meterUsage, resolveLLM } from './lib/llm/index.js';
+import { createStorage } from './lib/storage/index.js';
+import { answerQuestion } from './lib/chat.js';
+import { carryCitations, resolveCitations } from './lib/citations.js';
+import { compileSchema, extractStructured } from './lib/extractor.js';
+import { compareDocuments, comparisonMarkdown, textDiff } from './lib/compare.js';
+import { fetchUrlSource, fileSource, textSource } from './lib/sources.js';
+import { parsePublicUrl } from './lib/network.js';
+import { WEBHOOK_EVENTS, createWebhookDispatcher, generateWebhookSecret } from './lib/webhooks.js';
+import { extractDocument, extractPlainText, extractorFor, getExtractor, supportedExtensions } from './lib/extractors/index.js';
+import { savedSchemas } from './lib/schemas.js';
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  detectLanguage,
+  resolveOutputLanguage,
+} from './lib/language.js';
+import {
+  DEFAULT_TEMPLATE_ID,
+  builtInTemplates,
+  renderTemplate,
+  templateValues,
+  templateVariables,
+  validateTemplate,
+} from './lib/templates.js';
+import {
+  API_TOKEN_PREFIX,
+  MAGIC_LINK_TTL_MS,
+  createAuth,
+  generateToken,
+  hashPassword,
+  hashToken,
+  normalizeEmail,
+  publicUser,
+  verifyPassword,
+} from './lib/auth.js';
+import { sendMail } from './lib/mailer.js';
+import { exportSummary } from './lib/export/index.js';
+import { errorHandler, errorResponse, httpError, sendError } from './lib/errors.js';
+import { openApiDocument } from './lib/openapi.js';
+import { createValidator, FORMATS } from './lib/validation.js';
+import { docsAssetsPath, docsPage } from './lib/apiDocs.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // room for pasted text
 
 // Multer for file uploads (memory storage)
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf') {
+    if (extractorFor({ filename: file.originalname, mimeType: file.mimetype })) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF files are allowed'));
+      cb(httpError(415, `Unsupported file type. Upload one of: ${supportedExtensions().join(', ')}`, { code: 'unsupported_file_type' }));
     }
   },
 });
 
-// Supabase client
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
+// Summary storage (Supabase or local SQLite, see lib/storage)
+const storage = createStorage();
+
+// Webhook notifications (see lib/webhooks.js). A failed delivery is retried
+// up to WEBHOOK_MAX_ATTEMPTS times in all, waiting WEBHOOK_RETRY_BASE_MS
+// before the first retry and twice as long before each one after it.
+const webhooks = createWebhookDispatcher({
+  storage,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+});
+
+// The `data` of summary.created events
+const summaryEvent = (row) => ({
+  id: row.id,
+  kind: row.kind,
+  filename: row.original_filename,
+  pageCount: row.page_count,
+  summaryLength: row.summary_length,
+  sourceType: row.source_type,
+  sourceUrl: row.source_url ?? null,
+  documentType: row.document_type ?? null,
+  language: row.language ?? null,
+  outputLanguage: row.output_language ?? null,
+  summary: row.summary,
+  createdAt: row.created_at,
+});
+
+// summary.failed for a summary that was started (the document was uploaded
+// or fetched) but could not be finished
+const summaryFailed = (userId, { jobId = null, kind = 'document', filename, error }) => webhooks.emit(
+  userId,
+  'summary.failed',
+  { jobId, kind, filename, error }
 );
 
-// Groq client
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+// Requests are checked against the OpenAPI document (lib/openapi.js) by
+// validate(operationId); VALIDATE_RESPONSES=true checks responses too
+const validate = createValidator(openApiDocument, { validateResponses: process.env.VALIDATE_RESPONSES === 'true' });
 
 // Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+app.get('/api/health', validate('getHealth'), (req, res) => {
+  res.json({ status: 'ok', storage: storage.backend, timestamp: new Date().toISOString() });
+});
+
+// The API description and docs to browse it
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+app.get('/api/docs', (req, res) => {
+  res.type('html').send(docsPage('/api/openapi.json'));
 });
+app.use('/api/docs', express.static(docsAssetsPath, { index: false }));
+
+// Rate limits and the monthly quota. Limits are requests per minute and
+// MONTHLY_TOKEN_QUOTA is LLM tokens (prompt plus completion) per user per
+// calendar month (UTC); 0 turns any of them off. Behind a reverse proxy set
+// TRUST_PROXY (e.g. 1) so requests are counted per client rather than per proxy.
+const envNumber = (name, fallback) => (process.env[name] === undefined ? fallback : Number(process.env[name]) || 0);
+const RATE_LIMIT_PER_IP = envNumber('RATE_LIMIT_PER_IP', 120);
+const RATE_LIMIT_PER_USER = envNumber('RATE_LIMIT_PER_USER', 10);
+const MONTHLY_TOKEN_QUOTA = envNumber('MONTHLY_TOKEN_QUOTA', 0);
+
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+app.use('/api', createRateLimiter({
+  max: RATE_LIMIT_PER_IP,
+  keyOf: (req) => req.ip,
+  message: 'Too many requests from this address.',
+}));
 
-// Upload PDF and get summary
-app.post('/api/summarize', upload.single('pdf'), async (req, res) => {
+// Accounts and sessions. Everything under /api registered after the auth
+// routes below requires a signed-in user (see lib/auth.js).
+const auth = createAuth(storage);
+
+// Where sign-in links point: the client app. It comes from the configuration
+// only, never from request headers, since a link built from a forged Origin
+// would send the one-time token to someone else's site.
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+function credentials(body) {
+  const email = normalizeEmail(body.email);
+  if (!email) throw httpError(400, 'A valid email address is required', { code: 'invalid_email' });
+  return { email, password: body.password };
+}
+
+// Create an account with email and password and sign it in
+app.post('/api/auth/signup', validate('signUp'), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No PDF file uploaded' });
+    const { email, password } = credentials(req.body);
+    if (await storage.users.getByEmail(email)) {
+      throw httpError(409, 'An account with this email already exists');
     }
 
-    const summaryLength = req.body.length || 'medium';
+    const user = await storage.users.create({ email, password_hash: await hashPassword(password) });
+    await auth.startSession(req, res, user);
+    res.status(201).json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('Signup error:', err);
+    sendError(res, err, 'Failed to sign up');
+  }
+});
+
+app.post('/api/auth/login', validate('logIn'), async (req, res) => {
+  try {
+    const { email, password } = credentials(req.body);
+    const user = await storage.users.getByEmail(email);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      throw httpError(401, 'Invalid email or password');
+    }
 
-    // Extract text from PDF
-    const pdfData = await pdfParse(req.file.buffer);
-    const extractedText = pdfData.text;
+    await auth.startSession(req, res, user);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('Login error:', err);
+    sendError(res, err, 'Failed to sign in');
+  }
+});
 
-    if (!extractedText || extractedText.trim().length === 0) {
-      return res.status(400).json({ error: 'Could not extract text from PDF. The file may be image-based or empty.' });
+// Email a one-time sign-in link. The response is the same whether or not
+// the address has an account; following the link creates one if needed.
+app.post('/api/auth/magic-link', validate('sendMagicLink'), async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    if (!email) throw httpError(400, 'A valid email address is required', { code: 'invalid_email' });
+
+    const token = generateToken();
+    await storage.magicLinks.create({
+      email,
+      token_hash: hashToken(token),
+      expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MS).toISOString(),
+    });
+
+    await sendMail({
+      to: email,
+      subject: 'Your SummarizeAI sign-in link',
+      text: `Sign in to SummarizeAI by opening this link within ${MAGIC_LINK_TTL_MS / 60000} minutes:\n\n${APP_URL}/?magic=${token}\n\nIf you didn't ask for it, you can ignore this email.`,
+    });
+    res.json({ message: 'Check your email for a sign-in link' });
+  } catch (err) {
+    console.error('Magic link error:', err);
+    sendError(res, err, 'Failed to send sign-in link');
+  }
+});
+
+app.post('/api/auth/magic-link/verify', validate('verifyMagicLink'), async (req, res) => {
+  try {
+    const link = await storage.magicLinks.consume(hashToken(req.body.token));
+    if (!link || Date.parse(link.expires_at) <= Date.now()) {
+      throw httpError(401, 'This sign-in link is invalid or has expired');
     }
 
-    // Truncate text if too long for API
-    const maxChars = 12000;
-    const textForSummary = extractedText.length > maxChars
-      ? extractedText.substring(0, maxChars) + '\n\n[Text truncated due to length...]'
-      : extractedText;
+    const user = await storage.users.getByEmail(link.email) || await storage.users.create({ email: link.email });
+    await auth.startSession(req, res, user);
+    res.json({ user: publicUser(user) });
+  } catch (err) {
+    console.error('Magic link sign-in error:', err);
+    sendError(res, err, 'Failed to sign in');
+  }
+});
 
-    const lengthInstructions = {
-      short: 'Provide a brief summary in 2-3 sentences.',
-      medium: 'Provide a comprehensive summary in 1-2 paragraphs.',
-      long: 'Provide a detailed summary covering all key points, organized with bullet points and sections.',
-    };
+app.post('/api/auth/logout', validate('logOut'), async (req, res) => {
+  try {
+    await auth.endSession(req, res);
+    res.json({ message: 'Signed out' });
+  } catch (err) {
+    console.error('Logout error:', err);
+    sendError(res, err, 'Failed to sign out');
+  }
+});
+
+app.use('/api', auth.authenticate);
+
+// Every request that calls the LLM goes through llmLimits: at most
+// RATE_LIMIT_PER_USER per minute per user, and none once the user's tokens
+// this month reach MONTHLY_TOKEN_QUOTA. The request that crosses the quota
+// still completes.
+const userRateLimit = createRateLimiter({
+  max: RATE_LIMIT_PER_USER,
+  keyOf: (req) => req.user.id,
+  message: 'Too many summarization requests.',
+});
+
+const monthlyTokens = async (userId, now = new Date()) => totalTokens(
+  await storage.llmUsage.list({ userId, from: monthStart(now).toISOString() })
+);
 
-    // Call Groq API
-    const chatCompletion = await groq.chat.completions.create({
-      messages: [
-        {
-          role: 'system',
-          content: `You are an expert document summarizer. ${lengthInstructions[summaryLength] || lengthInstructions.medium} Use clear, professional language. Format your response in markdown.`,
-        },
-        {
-          role: 'user',
-          content: `Please summarize the following document:\n\n${textForSummary}`,
-        },
-      ],
-      model: 'llama-3.1-8b-instant',
-      temperature: 0.3,
-      max_tokens: 2048,
+async function enforceQuota(req, res, next) {
+  if (!MONTHLY_TOKEN_QUOTA) return next();
+  try {
+    const used = await monthlyTokens(req.user.id);
+    if (used < MONTHLY_TOKEN_QUOTA) return next();
+
+    const resetsAt = nextMonthStart();
+    res.set('Retry-After', String(Math.ceil((resetsAt.getTime() - Date.now()) / 1000)));
+    res.status(429).json({
+      error: `You have used this month's quota of ${MONTHLY_TOKEN_QUOTA.toLocaleString('en-US')} tokens. It resets on ${resetsAt.toISOString().slice(0, 10)}.`,
+      code: 'quota_exceeded',
+      quota: MONTHLY_TOKEN_QUOTA,
+      used,
+      resetsAt: resetsAt.toISOString(),
     });
+  } catch (err) {
+    console.error('Quota check error:', err);
+    sendError(res, err, 'Failed to check usage quota');
+  }
+}
 
-    const summary = chatCompletion.choices[0]?.message?.content || 'Unable to generate summary.';
+const llmLimits = [userRateLimit, enforceQuota];
 
-    // Store in Supabase
-    const { data, error } = await supabase.from('summaries').insert({
-      original_filename: req.file.originalname,
-      file_size: req.file.size,
-      page_count: pdfData.numpages,
-      extracted_text: extractedText.substring(0, 50000),
-      summary,
-      summary_length: summaryLength,
-    }).select().single();
+// LLM usage columns stored with a summary or version (see meterUsage)
+const usageColumns = (llm) => ({
+  provider: llm.provider.name,
+  model: llm.model,
+  prompt_tokens: llm.usage.promptTokens,
+  completion_tokens: llm.usage.completionTokens,
+  latency_ms: llm.usage.latencyMs,
+});
 
-    if (error) {
-      console.error('Supabase insert error:', error);
-    }
+const usageResponse = (row) => (row.prompt_tokens == null ? null : {
+  promptTokens: row.prompt_tokens,
+  completionTokens: row.completion_tokens,
+  latencyMs: row.latency_ms,
+});
+
+// Add an operation's LLM usage to the user's usage log. The operation has
+// already succeeded by then, so a failure here is only logged.
+function recordUsage(userId, operation, llm, summaryId = null) {
+  storage.llmUsage
+    .record({ user_id: userId, summary_id: summaryId, operation, ...usageColumns(llm) })
+    .catch((err) => console.error('Record usage error:', err));
+}
+
+app.get('/api/auth/me', validate('getCurrentUser'), (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Personal API tokens for scripts: send as `Authorization: Bearer <token>`.
+// The token itself is only returned once, when it is created.
+app.get('/api/tokens', validate('listTokens'), async (req, res) => {
+  try {
+    res.json(await storage.apiTokens.list(req.user.id));
+  } catch (err) {
+    console.error('Fetch tokens error:', err);
+    sendError(res, err, 'Failed to fetch API tokens');
+  }
+});
+
+app.post('/api/tokens', validate('createToken'), async (req, res) => {
+  try {
+    const name = req.body.name.trim();
+
+    const token = generateToken(API_TOKEN_PREFIX);
+    const saved = await storage.apiTokens.create({ user_id: req.user.id, name, token_hash: hashToken(token) });
+    res.status(201).json({ ...saved, token });
+  } catch (err) {
+    console.error('Create token error:', err);
+    sendError(res, err, 'Failed to create API token');
+  }
+});
+
+app.delete('/api/tokens/:id', validate('revokeToken'), async (req, res) => {
+  try {
+    const deleted = await storage.apiTokens.delete(req.params.id, req.user.id);
+    if (!deleted) throw httpError(404, 'Token not found');
+    res.json({ message: 'Token revoked' });
+  } catch (err) {
+    console.error('Delete token error:', err);
+    sendError(res, err, 'Failed to revoke API token');
+  }
+});
+
+// LLM token usage over the last `days` days (default 30): per day, per model
+// and in total, plus this month's quota and the rate limits
+app.get('/api/usage', validate('getUsage'), async (req, res) => {
+  try {
+    const { days } = req.query;
+    const now = new Date();
+    const month = monthStart(now);
+    const from = new Date(Math.min(periodStart(days, now).getTime(), month.getTime()));
+    const rows = await storage.llmUsage.list({ userId: req.user.id, from: from.toISOString() });
+    const used = totalTokens(rows.filter((row) => new Date(row.created_at) >= month));
 
     res.json({
-      id: data?.id,
-      filename: req.file.originalname,
-      pageCount: pdfData.numpages,
-      textLength: extractedText.length,
-      summary,
-      summaryLength,
-      createdAt: data?.created_at || new Date().toISOString(),
+      ...usageReport(rows, { days, now }),
+      quota: {
+        monthlyTokens: MONTHLY_TOKEN_QUOTA || null,
+        used,
+        remaining: MONTHLY_TOKEN_QUOTA ? Math.max(0, MONTHLY_TOKEN_QUOTA - used) : null,
+        resetsAt: nextMonthStart(now).toISOString(),
+      },
+      rateLimits: { perIpPerMinute: RATE_LIMIT_PER_IP || null, perUserPerMinute: RATE_LIMIT_PER_USER || null },
     });
+  } catch (err) {
+    console.error('Fetch usage error:', err);
+    sendError(res, err, 'Failed to fetch usage');
+  }
+});
+
+// Webhooks: a `url` that receives the `events` it subscribes to (see
+// lib/webhooks.js), signed with its secret. The secret is only returned when
+// the webhook is created or the secret is rotated.
+const MAX_WEBHOOKS = 20;
+
+const publicWebhook = (row) => ({
+  id: row.id,
+  url: row.url,
+  events: row.events,
+  description: row.description,
+  active: row.active,
+  created_at: row.created_at,
+  updated_at: row.updated_at,
+});
+
+// The columns a create (every field but `description` and `active` set, with
+// every event by default) or update (only the fields sent) request sets. The
+// types are checked by validate().
+function webhookFields(body, { partial = false } = {}) {
+  const fields = {};
+  if (!partial || body.url !== undefined) {
+    fields.url = parsePublicUrl(body.url.trim()).href;
+  }
+  if (!partial || body.events !== undefined) {
+    fields.events = [...new Set(body.events || WEBHOOK_EVENTS)];
+  }
+  if (body.description !== undefined) fields.description = body.description.trim();
+  if (body.active !== undefined) fields.active = body.active;
+  if (body.secret !== undefined) fields.secret = body.secret;
+  return fields;
+}
+
+app.get('/api/webhooks', validate('listWebhooks'), async (req, res) => {
+  try {
+    res.json(await storage.webhooks.list(req.user.id));
+  } catch (err) {
+    console.error('Fetch webhooks error:', err);
+    sendError(res, err, 'Failed to fetch webhooks');
+  }
+});
+
+// Body: { url, events?, secret?, description?, active? }. Subscribes to every
+// event unless `events` says otherwise; a secret is generated unless given.
+app.post('/api/webhooks', validate('createWebhook'), async (req, res) => {
+  try {
+    const fields = webhookFields(req.body);
+    if ((await storage.webhooks.list(req.user.id)).length >= MAX_WEBHOOKS) {
+      throw httpError(409, `You can register up to ${MAX_WEBHOOKS} webhooks`);
+    }
+
+    const saved = await storage.webhooks.create({
+      secret: generateWebhookSecret(),
+      ...fields,
+      user_id: req.user.id,
+    });
+    res.status(201).json({ ...publicWebhook(saved), secret: saved.secret });
+  } catch (err) {
+    console.error('Create webhook error:', err);
+    sendError(res, err, 'Failed to create webhook');
+  }
+});
+
+app.get('/api/webhooks/:id', validate('getWebhook'), async (req, res) => {
+  try {
+    const webhook = await storage.webhooks.get(req.params.id, { userId: req.user.id });
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    res.json(publicWebhook(webhook));
+  } catch (err) {
+    console.error('Fetch webhook error:', err);
+    sendError(res, err, 'Failed to fetch webhook');
+  }
+});
+
+// Change any of `url`, `events`, `description`, `active` or `secret`, or send
+// `rotateSecret: true` for a new generated secret
+app.patch('/api/webhooks/:id', validate('updateWebhook'), async (req, res) => {
+  try {
+    const fields = webhookFields(req.body, { partial: true });
+    if (req.body.rotateSecret === true) fields.secret = generateWebhookSecret();
+    if (!Object.keys(fields).length) throw httpError(400, 'Nothing to update');
+
+    const updated = await storage.webhooks.update(req.params.id, req.user.id, fields);
+    if (!updated) throw httpError(404, 'Webhook not found');
+    res.json(fields.secret ? { ...publicWebhook(updated), secret: updated.secret } : publicWebhook(updated));
+  } catch (err) {
+    console.error('Update webhook error:', err);
+    sendError(res, err, 'Failed to update webhook');
+  }
+});
+
+app.delete('/api/webhooks/:id', validate('deleteWebhook'), async (req, res) => {
+  try {
+    const deleted = await storage.webhooks.delete(req.params.id, req.user.id);
+    if (!deleted) throw httpError(404, 'Webhook not found');
+    res.json({ message: 'Webhook deleted' });
+  } catch (err) {
+    console.error('Delete webhook error:', err);
+    sendError(res, err, 'Failed to delete webhook');
+  }
+});
+
+// A webhook's delivery log, newest first (?limit, default 50). Single
+// deliveries include the payload sent and the response received.
+app.get('/api/webhooks/:id/deliveries', validate('listWebhookDeliveries'), async (req, res) => {
+  try {
+    const { limit } = req.query;
+    const webhook = await storage.webhooks.get(req.params.id, { userId: req.user.id });
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    res.json(await storage.webhookDeliveries.list(webhook.id, { limit }));
+  } catch (err) {
+    console.error('Fetch webhook deliveries error:', err);
+    sendError(res, err, 'Failed to fetch webhook deliveries');
+  }
+});
+
+app.get('/api/webhooks/:id/deliveries/:deliveryId', validate('getWebhookDelivery'), async (req, res) => {
+  try {
+    const webhook = await storage.webhooks.get(req.params.id, { userId: req.user.id });
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    const delivery = await storage.webhookDeliveries.get(req.params.deliveryId, webhook.id);
+    if (!delivery) throw httpError(404, 'Delivery not found');
+    res.json(delivery);
+  } catch (err) {
+    console.error('Fetch webhook delivery error:', err);
+    sendError(res, err, 'Failed to fetch webhook delivery');
+  }
+});
+
+// Send a logged delivery's event again. Responds with the new delivery,
+// before its first attempt completes.
+app.post('/api/webhooks/:id/deliveries/:deliveryId/replay', validate('replayWebhookDelivery'), async (req, res) => {
+  try {
+    const webhook = await storage.webhooks.get(req.params.id, { userId: req.user.id });
+    if (!webhook) throw httpError(404, 'Webhook not found');
+    const delivery = await storage.webhookDeliveries.get(req.params.deliveryId, webhook.id);
+    if (!delivery) throw httpError(404, 'Delivery not found');
+    if (!webhook.active) throw httpError(409, 'The webhook is disabled');
+
+    res.status(202).json(await webhooks.replay(webhook, delivery));
+  } catch (err) {
+    console.error('Replay webhook delivery error:', err);
+    sendError(res, err, 'Failed to replay webhook delivery');
+  }
+});
+
+// The JSON Schema for extraction mode: a saved one picked by `schemaName`, or
+// a custom `schema` (sent as a JSON string in multipart forms).
+function extractionSchema({ schemaName, schema }) {
+  if (schemaName) return { name: schemaName, schema: savedSchemas[schemaName].schema };
+
+  if (!schema) throw httpError(400, 'Extraction mode needs a schema or schemaName');
+  let parsed = schema;
+  if (typeof schema === 'string') {
+    try {
+      parsed = JSON.parse(schema);
+    } catch {
+      throw httpError(400, 'Schema is not valid JSON');
+    }
+  }
+  compileSchema(parsed);
+  return { name: null, schema: parsed };
+}
+
+const builtInTemplate = (id) => (Object.hasOwn(builtInTemplates, id) ? builtInTemplates[id] : null);
+
+// The prompt template picked by `template` (a built-in name or the id of one
+// of the user's templates, the standard one by default), resolved to the
+// snapshot stored with the summary: { id, name, prompt, variables }.
+async function promptTemplate({ body, user }, summaryLength) {
+  const id = body.template || DEFAULT_TEMPLATE_ID;
+  const template = builtInTemplate(id) || await storage.promptTemplates.get(id, user.id);
+  if (!template) throw httpError(400, `Unknown template "${id}"`);
+
+  const values = templateValues({ summaryLength, audience: body.audience, focus: body.focus });
+  const used = templateVariables(template.prompt).filter((name) => name !== 'length');
+  return {
+    id,
+    name: template.name,
+    prompt: template.prompt,
+    variables: Object.fromEntries(used.map((name) => [name, values[name]])),
+  };
+}
+
+// Summarization options shared by the upload routes. The LLM provider and
+// model default to LLM_PROVIDER / LLM_MODEL and can be overridden per request.
+// `length=extract` switches to structured extraction with a JSON Schema;
+// otherwise `template`, `audience` and `focus` pick the prompt template.
+// `outputLanguage` is a language code or 'auto' for the document's language.
+// `regenerate=true` skips the cached summary of a file summarized before.
+async function summaryOptions(req) {
+  const { body, user } = req;
+  const summaryLength = body.length || 'medium';
+  const extraction = summaryLength === 'extract' ? extractionSchema(body) : null;
+  return {
+    userId: user.id,
+    summaryLength,
+    llm: resolveLLM({ provider: body.provider, model: body.model }),
+    extraction,
+    template: extraction ? null : await promptTemplate(req, summaryLength),
+    outputLanguage: outputLanguage(body.outputLanguage),
+    regenerate: body.regenerate === true,
+  };
+}
+
+// The requested output language (checked by validate()), or `fallback`
+const outputLanguage = (value, fallback = DEFAULT_LANGUAGE) => value || fallback;
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+// Everything that changes the output for the same file
+const optionsHash = ({ summaryLength, llm, extraction, template, outputLanguage = DEFAULT_LANGUAGE }) => sha256(JSON.stringify([
+  summaryLength,
+  llm.provider.name,
+  llm.model,
+  extraction?.schema ?? null,
+  template ? [template.prompt, template.variables] : null,
+  extraction ? null : outputLanguage,
+]));
+
+// What a document's pages are called: slides for presentations, chapters for
+// e-books, sections for Word files and pages for the rest
+const pageUnit = (documentType) => getExtractor(documentType)?.unit || 'page';
+
+// The document a summarize request is about: an uploaded file (`pdf`), a `url`
+// to fetch or pasted `text` (named by an optional `title`). See lib/sources.js.
+async function requestSource(req) {
+  const { url, text, title } = req.body;
+  const given = [req.file, url, text].filter(Boolean).length;
+  if (given !== 1) throw httpError(400, 'Send one of: a file as pdf, a url, or text');
+
+  if (req.file) return fileSource(req.file);
+  if (url) return fetchUrlSource(url);
+  if (!text.trim()) throw httpError(400, 'The text to summarize is empty');
+  return textSource(text, title);
+}
+
+// Extract, summarize and store a document (a source from lib/sources.js).
+// `hooks.onStage` receives progress events and `hooks.onToken` the summary
+// text as it streams in. A document the user already summarized with the
+// same options resolves to the stored summary (with `cached: true`) unless
+// `regenerate` is set.
+async function processUpload(source, options, { onStage, onToken } = {}) {
+  const { userId, summaryLength, extraction = null, template = null, batchId = null, regenerate = false } = options;
+  const { outputLanguage = DEFAULT_LANGUAGE } = options;
+  const llm = meterUsage(options.llm);
+  const stage = (event) => onStage?.(event);
+
+  stage({ stage: 'uploaded', filename: source.filename, fileSize: source.size });
+
+  const hashes = { contentHash: sha256(source.buffer ?? source.text), optionsHash: optionsHash(options) };
+  const cached = regenerate ? null : await storage.summaries.findCached({ userId, ...hashes });
+  if (cached) {
+    stage({ stage: 'saved', id: cached.id, cached: true });
+    return {
+      id: cached.id,
+      filename: cached.original_filename,
+      pageCount: cached.page_count,
+      summary: cached.summary,
+      summaryLength: cached.summary_length,
+      provider: cached.provider ?? null,
+      model: cached.model ?? null,
+      ocr: cached.ocr,
+      ocrConfidence: cached.ocr_confidence,
+      pageMethods: cached.page_methods,
+      citations: cached.citations || [],
+      extraction: cached.extraction,
+      schemaName: cached.schema_name,
+      template: cached.template,
+      sourceType: cached.source_type,
+      sourceUrl: cached.source_url,
+      documentType: cached.document_type,
+      pageUnit: pageUnit(cached.document_type),
+      language: cached.language,
+      outputLanguage: cached.output_language,
+      usage: usageResponse(cached),
+      createdAt: cached.created_at,
+      cached: true,
+    };
+  }
+
+  // Extract text page by page (or slide, section, chapter) with the
+  // extractor for the document's type; PDFs get OCR on scanned pages
+  const pdfData = source.text !== undefined
+    ? extractPlainText(source.text)
+    : await extractDocument(source.documentType, source.buffer, { ocr: process.env.OCR_ENABLED !== 'false', onStage: stage });
+  const extractedText = pdfData.text;
+
+  if (!extractedText || extractedText.trim().length === 0) {
+    throw httpError(400, source.documentType === 'pdf'
+      ? 'Could not extract text from PDF. The file appears to be empty or unreadable.'
+      : 'The document contains no text to summarize.');
+  }
+
+  const language = detectLanguage(extractedText);
+  stage({ stage: 'extracted', pageCount: pdfData.numpages, pageUnit: pageUnit(source.documentType), textLength: extractedText.length, language });
+
+  let summary;
+  let citations = [];
+  let chunkCount;
+  let data = null;
+  let writtenIn = null;
+
+  if (extraction) {
+    // Extraction mode: schema-validated JSON instead of a prose summary, kept
+    // as a JSON block in `summary` so it still reads well in the history
+    ({ data, chunkCount } = await extractStructured(
+      llm,
+      { pages: pdfData.pages, schema: extraction.schema },
+      { onProgress: stage }
+    ));
+    summary = `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+  } else {
+    // Summarize the whole document, chunking it when it is too long for one request
+    writtenIn = resolveOutputLanguage(outputLanguage, language);
+    const result = await summarizeDocument(
+      llm,
+      {
+        pages: pdfData.pages,
+        summaryLength,
+        instructions: template && renderTemplate(template.prompt, templateValues({ summaryLength, ...template.variables })),
+        language: LANGUAGES[writtenIn].name,
+      },
+      { onProgress: stage, onToken }
+    );
+    chunkCount = result.chunkCount;
+
+    // Check the model's [p. N] citations against the real pages
+    ({ summary, citations } = resolveCitations(result.summary, pdfData.pages));
+  }
+
+  // Store the summary; a failure here fails the whole request
+  const saved = await storage.summaries.create({
+    user_id: userId,
+    original_filename: source.filename,
+    file_size: source.size,
+    page_count: pdfData.numpages,
+    extracted_text: extractedText.substring(0, 50000),
+    summary,
+    summary_length: summaryLength,
+    ocr: pdfData.ocr,
+    ocr_confidence: pdfData.ocrConfidence,
+    page_methods: pdfData.pageMethods,
+    citations,
+    extraction: data,
+    extraction_schema: extraction?.schema ?? null,
+    schema_name: extraction?.name ?? null,
+    template,
+    language,
+    output_language: writtenIn,
+    source_type: source.type,
+    source_url: source.url ?? null,
+    document_type: source.documentType,
+    batch_id: batchId,
+    content_hash: hashes.contentHash,
+    options_hash: hashes.optionsHash,
+    ...usageColumns(llm),
+  });
+  recordUsage(userId, extraction ? 'extraction' : 'summary', llm, saved.id);
+  webhooks.emit(userId, 'summary.created', summaryEvent(saved));
+
+  stage({ stage: 'saved', id: saved.id });
+
+  return {
+    id: saved.id,
+    filename: source.filename,
+    pageCount: pdfData.numpages,
+    textLength: extractedText.length,
+    summary,
+    summaryLength,
+    provider: llm.provider.name,
+    model: llm.model,
+    chunkCount,
+    ocr: pdfData.ocr,
+    ocrConfidence: pdfData.ocrConfidence,
+    pageMethods: pdfData.pageMethods,
+    citations,
+    extraction: data,
+    schemaName: extraction?.name ?? null,
+    template,
+    sourceType: source.type,
+    sourceUrl: source.url ?? null,
+    documentType: source.documentType,
+    pageUnit: pageUnit(source.documentType),
+    language,
+    outputLanguage: writtenIn,
+    usage: usageResponse(saved),
+    createdAt: saved.created_at,
+    cached: false,
+  };
+}
+
+// Write and store a collection summary over already stored summaries
+// (the documents of one batch), linked to them through batch_id/source_ids.
+async function processCollection({ batchId, summaryIds, options }, { onStage, onToken } = {}) {
+  const { userId, summaryLength, outputLanguage = DEFAULT_LANGUAGE } = options;
+  const llm = meterUsage(options.llm);
+  const stage = (event) => onStage?.(event);
+
+  const documents = (await Promise.all(summaryIds.map((id) => storage.summaries.get(id, { userId })))).filter(Boolean);
+  if (documents.length < 2) {
+    throw httpError(400, 'A collection summary needs at least two summarized documents');
+  }
+
+  // "Same as the documents" only has an answer when they share one language
+  const languages = new Set(documents.map((d) => d.language));
+  const language = languages.size === 1 ? documents[0].language : null;
+  const writtenIn = resolveOutputLanguage(outputLanguage, language);
+
+  stage({ stage: 'summarizing' });
+  const summary = await summarizeCollection(
+    llm,
+    {
+      documents: documents.map((d) => ({ filename: d.original_filename, summary: d.summary })),
+      summaryLength,
+      language: LANGUAGES[writtenIn].name,
+    },
+    { onToken }
+  );
+
+  const filename = `Collection of ${documents.length} documents`;
+  const pageCount = documents.reduce((sum, d) => sum + (d.page_count || 0), 0);
+  const saved = await storage.summaries.create({
+    user_id: userId,
+    original_filename: filename,
+    file_size: documents.reduce((sum, d) => sum + (d.file_size || 0), 0),
+    page_count: pageCount,
+    summary,
+    summary_length: summaryLength,
+    kind: 'collection',
+    batch_id: batchId,
+    source_ids: documents.map((d) => d.id),
+    language,
+    output_language: writtenIn,
+    ...usageColumns(llm),
+  });
+  recordUsage(userId, 'collection', llm, saved.id);
+  webhooks.emit(userId, 'summary.created', summaryEvent(saved));
+
+  stage({ stage: 'saved', id: saved.id });
+
+  return {
+    id: saved.id,
+    filename,
+    pageCount,
+    summary,
+    summaryLength,
+    provider: llm.provider.name,
+    model: llm.model,
+    kind: 'collection',
+    batchId,
+    sourceIds: saved.source_ids,
+    language,
+    outputLanguage: writtenIn,
+    usage: usageResponse(saved),
+    createdAt: saved.created_at,
+  };
+}
+
+// Compare two documents, each an uploaded file (summarized and stored first,
+// so repeat uploads hit the cache) or an existing summary id. The comparison
+// is stored as a summary of kind 'comparison' with source_ids [A, B].
+async function processComparison({ sides, options }, { onStage } = {}) {
+  const { userId } = options;
+  const llm = meterUsage(options.llm);
+  const stage = (event) => onStage?.(event);
+
+  const ids = [];
+  for (const [i, side] of sides.entries()) {
+    const label = i === 0 ? 'A' : 'B';
+    ids.push(side.file
+      ? (await processUpload(fileSource(side.file), options, { onStage: (event) => stage({ ...event, side: label }) })).id
+      : side.id);
+  }
+
+  const documents = await Promise.all(ids.map((id) => storage.summaries.get(id, { userId })));
+  if (documents.some((d) => !d?.extracted_text)) {
+    throw httpError(422, 'Both documents must still exist and have stored text');
+  }
+
+  stage({ stage: 'summarizing' });
+  const result = await compareDocuments(llm, documents);
+  const sources = documents.map((d) => ({ id: d.id, filename: d.original_filename, pageCount: d.page_count }));
+  const comparison = { ...result, sources, textDiff: textDiff(documents[0].extracted_text, documents[1].extracted_text) };
+
+  const filename = `${documents[0].original_filename} vs ${documents[1].original_filename}`;
+  const saved = await storage.summaries.create({
+    user_id: userId,
+    original_filename: filename,
+    file_size: documents[0].file_size + documents[1].file_size,
+    page_count: (documents[0].page_count || 0) + (documents[1].page_count || 0),
+    summary: comparisonMarkdown(result, documents),
+    summary_length: options.summaryLength,
+    kind: 'comparison',
+    source_ids: ids,
+    comparison,
+    ...usageColumns(llm),
+  });
+  recordUsage(userId, 'comparison', llm, saved.id);
+  webhooks.emit(userId, 'summary.created', summaryEvent(saved));
+
+  stage({ stage: 'saved', id: saved.id });
+
+  return {
+    id: saved.id,
+    filename,
+    kind: 'comparison',
+    summary: saved.summary,
+    sources,
+    comparison,
+    provider: llm.provider.name,
+    model: llm.model,
+    usage: usageResponse(saved),
+    createdAt: saved.created_at,
+  };
+}
+
+// Summarize an uploaded document, a URL or pasted text (see requestSource)
+app.post('/api/summarize', llmLimits, upload.single('pdf'), validate('summarize'), async (req, res) => {
+  let source;
+  try {
+    const options = await summaryOptions(req);
+    source = await requestSource(req);
+    res.json(await processUpload(source, options));
   } catch (err) {
     console.error('Summarize error:', err);
-    res.status(500).json({ error: err.message || 'Failed to process PDF' });
+    if (source) summaryFailed(req.user.id, { filename: source.filename, error: errorResponse(err, 'Failed to process document').body.error });
+    sendError(res, err, 'Failed to process document');
   }
 });
 
-// Get all summaries (history)
-app.get('/api/summaries', async (req, res) => {
+// Switch a response into Server-Sent Events mode and return a `send(event, data)` helper.
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Summarize like /api/summarize and stream progress plus summary tokens as
+// Server-Sent Events. Events: `stage` (processing milestones), `token`
+// (summary text deltas), `done` (the same payload /api/summarize returns)
+// and `error`.
+app.post('/api/summarize/stream', llmLimits, upload.single('pdf'), validate('summarizeStream'), async (req, res) => {
+  let source;
+  let options;
   try {
-    const { data, error } = await supabase
-      .from('summaries')
-      .select('id, original_filename, file_size, page_count, summary, summary_length, created_at')
-      .order('created_at', { ascending: false })
-      .limit(50);
+    options = await summaryOptions(req);
+    source = await requestSource(req);
+  } catch (err) {
+    return sendError(res, err, 'Failed to process document');
+  }
 
-    if (error) throw error;
-    res.json(data);
+  const send = openEventStream(res);
+
+  try {
+    const result = await processUpload(source, options, {
+      onStage: (event) => send('stage', event),
+      onToken: (text) => send('token', { text }),
+    });
+    send('done', result);
+  } catch (err) {
+    console.error('Summarize stream error:', err);
+    // The same message the JSON routes would respond with: internal errors
+    // (storage, provider failures) are hidden behind the fallback
+    const { error } = errorResponse(err, 'Failed to process document').body;
+    summaryFailed(req.user.id, { filename: source.filename, error });
+    send('error', { error });
+  } finally {
+    res.end();
+  }
+});
+
+// Background summarization jobs. LLM rate-limit errors (429) are retried
+// with exponential backoff, honouring the Retry-After header when present.
+const jobQueue = createJobQueue({
+  concurrency: Number(process.env.JOB_CONCURRENCY) || 2,
+  maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS) || 4,
+  worker: (payload, hooks) => {
+    if (payload.type === 'collection') return processCollection(payload, hooks);
+    if (payload.type === 'comparison') return processComparison(payload, hooks);
+    return processUpload(payload.source, payload.options, hooks);
+  },
+  isRetryable: (err) => err.status === 429,
+  retryAfterMs: (err) => {
+    const seconds = Number(err.headers?.['retry-after']);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+  },
+  onFailed: (job) => summaryFailed(job.meta.userId, {
+    jobId: job.id,
+    kind: job.meta.kind,
+    filename: job.meta.filename,
+    error: job.error,
+  }),
+});
+
+// Queue a document, URL or pasted text (see requestSource) for summarization;
+// responds with the job once the document is uploaded or fetched
+app.post('/api/jobs', llmLimits, upload.single('pdf'), validate('createJob'), async (req, res) => {
+  let source;
+  let options;
+  try {
+    options = await summaryOptions(req);
+    source = await requestSource(req);
+  } catch (err) {
+    return sendError(res, err, 'Failed to queue document');
+  }
+
+  const job = jobQueue.enqueue(
+    { source, options },
+    {
+      userId: req.user.id,
+      filename: source.filename,
+      fileSize: source.size,
+      summaryLength: options.summaryLength,
+      provider: options.llm.provider.name,
+      model: options.llm.model,
+    }
+  );
+  res.status(202).json(job);
+});
+
+// Jobs are only visible to the user who started them
+function ownJob(req, id) {
+  const job = jobQueue.get(id);
+  return job?.meta.userId === req.user.id ? job : null;
+}
+
+// List jobs, optionally filtered by ?status=queued|running|done|failed
+app.get('/api/jobs', validate('listJobs'), (req, res) => {
+  res.json(jobQueue.list({ status: req.query.status }).filter((job) => job.meta.userId === req.user.id));
+});
+
+// Get a single job's status (and result once done)
+app.get('/api/jobs/:id', validate('getJob'), (req, res) => {
+  const job = ownJob(req, req.params.id);
+  if (!job) return sendError(res, httpError(404, 'Job not found'));
+  res.json(job);
+});
+
+// Follow a job as Server-Sent Events. A `snapshot` event with the current job
+// state is sent first, so clients can (re)attach at any point.
+app.get('/api/jobs/:id/events', validate('followJob'), (req, res) => {
+  const job = ownJob(req, req.params.id);
+  if (!job) return sendError(res, httpError(404, 'Job not found'));
+
+  const send = openEventStream(res);
+  send('snapshot', job);
+  if (job.status === 'done' || job.status === 'failed') {
+    return res.end();
+  }
+
+  const unsubscribe = jobQueue.subscribe(job.id, (event, data) => {
+    send(event, data);
+    if (event === 'done' || event === 'failed') {
+      unsubscribe();
+      res.end();
+    }
+  });
+  req.on('close', unsubscribe);
+});
+
+// Batches: several uploads summarized as independent jobs (one failing file
+// doesn't affect the others), optionally followed by a collection summary
+// once every file has finished.
+const MAX_BATCH_FILES = 20;
+const batches = new Map();
+
+const isFinished = (job) => job.status === 'done' || job.status === 'failed';
+
+function batchStatus(batch) {
+  const jobs = batch.jobIds.map((id) => jobQueue.get(id)).filter(Boolean);
+  const collectionJob = batch.collectionJobId ? jobQueue.get(batch.collectionJobId) : null;
+  const collectionPending = batch.collection && !batch.collectionError && !(collectionJob && isFinished(collectionJob));
+
+  return {
+    id: batch.id,
+    status: jobs.every(isFinished) && !collectionPending ? 'done' : 'running',
+    collection: batch.collection,
+    collectionJob,
+    collectionError: batch.collectionError,
+    jobs,
+    createdAt: batch.createdAt,
+  };
+}
+
+function queueCollectionIfReady(batch) {
+  if (!batch.collection || batch.collectionJobId || batch.collectionError) return;
+
+  const jobs = batch.jobIds.map((id) => jobQueue.get(id)).filter(Boolean);
+  if (!jobs.every(isFinished)) return;
+
+  const summaryIds = jobs.filter((job) => job.status === 'done').map((job) => job.result.id);
+  if (summaryIds.length < 2) {
+    batch.collectionError = 'A collection summary needs at least two successfully summarized documents';
+    return;
+  }
+
+  const job = jobQueue.enqueue(
+    { type: 'collection', batchId: batch.id, summaryIds, options: batch.options },
+    {
+      userId: batch.userId,
+      filename: `Collection of ${summaryIds.length} documents`,
+      kind: 'collection',
+      batchId: batch.id,
+      summaryLength: batch.options.summaryLength,
+    }
+  );
+  batch.collectionJobId = job.id;
+}
+
+// Upload several documents and queue each for summarization.
+// Set `collection=true` to also get a combined overview of all of them.
+app.post('/api/batches', llmLimits, upload.array('pdfs', MAX_BATCH_FILES), validate('createBatch'), async (req, res) => {
+  if (!req.files?.length) {
+    return sendError(res, httpError(400, 'No files uploaded'));
+  }
+
+  let options;
+  try {
+    options = await summaryOptions(req);
+  } catch (err) {
+    return sendError(res, err, 'Failed to queue documents');
+  }
+
+  // Forget batches whose jobs have all been pruned from the queue
+  for (const [id, batch] of batches) {
+    if (!batch.jobIds.some((jobId) => jobQueue.get(jobId))) batches.delete(id);
+  }
+
+  const batch = {
+    id: randomUUID(),
+    userId: req.user.id,
+    // Extracted records don't combine into an overview, so no collection then
+    collection: req.body.collection === true && req.files.length > 1 && !options.extraction,
+    collectionJobId: null,
+    collectionError: null,
+    options,
+    jobIds: [],
+    createdAt: new Date().toISOString(),
+  };
+  batches.set(batch.id, batch);
+
+  for (const file of req.files) {
+    const job = jobQueue.enqueue(
+      { source: fileSource(file), options: { ...options, batchId: batch.id } },
+      {
+        userId: req.user.id,
+        filename: file.originalname,
+        fileSize: file.size,
+        summaryLength: options.summaryLength,
+        batchId: batch.id,
+      }
+    );
+    batch.jobIds.push(job.id);
+
+    const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+      if (event !== 'done' && event !== 'failed') return;
+      unsubscribe();
+      queueCollectionIfReady(batch);
+    });
+  }
+
+  res.status(202).json(batchStatus(batch));
+});
+
+// Get a batch with the status of each file's job and the collection job
+app.get('/api/batches/:id', validate('getBatch'), (req, res) => {
+  const batch = batches.get(req.params.id);
+  if (!batch || batch.userId !== req.user.id) return sendError(res, httpError(404, 'Batch not found'));
+  res.json(batchStatus(batch));
+});
+
+// Compare two documents. Each side is either an uploaded document
+// (`pdfA`/`pdfB`) or the id of an existing summary (`a`/`b`); ids can also be
+// sent as JSON.
+// Responds immediately with the job that produces the comparison.
+const compareUpload = upload.fields([{ name: 'pdfA', maxCount: 1 }, { name: 'pdfB', maxCount: 1 }]);
+
+app.post('/api/comparisons', llmLimits, compareUpload, validate('createComparison'), async (req, res) => {
+  try {
+    const sides = [['pdfA', 'a'], ['pdfB', 'b']].map(([fileField, idField]) => {
+      const file = req.files?.[fileField]?.[0];
+      const id = req.body[idField];
+      if (Boolean(file) === Boolean(id)) {
+        throw httpError(400, `Send either a file as ${fileField} or a summary id as ${idField}`);
+      }
+      return file ? { file, filename: file.originalname } : { id };
+    });
+    if (sides[0].id && sides[0].id === sides[1].id) throw httpError(400, 'Pick two different documents');
+
+    for (const side of sides.filter((s) => s.id)) {
+      const summary = await storage.summaries.get(side.id, { userId: req.user.id });
+      if (!summary) throw httpError(404, 'Summary not found');
+      if (!summary.extracted_text) throw httpError(422, `"${summary.original_filename}" has no stored document text to compare`);
+      side.filename = summary.original_filename;
+    }
+
+    const options = await summaryOptions(req);
+    if (options.extraction) throw httpError(400, 'Comparisons need a summary length, not extraction mode');
+
+    const job = jobQueue.enqueue(
+      { type: 'comparison', sides, options },
+      {
+        userId: req.user.id,
+        filename: `${sides[0].filename} vs ${sides[1].filename}`,
+        kind: 'comparison',
+        summaryLength: options.summaryLength,
+      }
+    );
+    res.status(202).json(job);
+  } catch (err) {
+    console.error('Compare error:', err);
+    sendError(res, err, 'Failed to start comparison');
+  }
+});
+
+// Saved extraction schemas, usable as `schemaName` with length=extract
+app.get('/api/schemas', validate('listSchemas'), (req, res) => {
+  res.json(Object.entries(savedSchemas).map(([name, { title, description, schema }]) => ({
+    name,
+    title,
+    description,
+    schema,
+  })));
+});
+
+// Prompt templates: the built-in ones plus each user's own, selectable as
+// `template` when summarizing
+const templateResponse = (id, template, builtIn) => ({
+  id,
+  name: template.name,
+  description: template.description,
+  prompt: template.prompt,
+  variables: templateVariables(template.prompt),
+  builtIn,
+  createdAt: template.created_at ?? null,
+  updatedAt: template.updated_at ?? null,
+});
+
+app.get('/api/templates', validate('listTemplates'), async (req, res) => {
+  try {
+    const own = await storage.promptTemplates.list(req.user.id);
+    res.json([
+      ...Object.entries(builtInTemplates).map(([id, template]) => templateResponse(id, template, true)),
+      ...own.map((row) => templateResponse(row.id, row, false)),
+    ]);
+  } catch (err) {
+    console.error('List templates error:', err);
+    sendError(res, err, 'Failed to fetch templates');
+  }
+});
+
+app.get('/api/templates/:id', validate('getTemplate'), async (req, res) => {
+  try {
+    const builtIn = builtInTemplate(req.params.id);
+    if (builtIn) return res.json(templateResponse(req.params.id, builtIn, true));
+
+    const row = await storage.promptTemplates.get(req.params.id, req.user.id);
+    if (!row) throw httpError(404, 'Template not found');
+    res.json(templateResponse(row.id, row, false));
+  } catch (err) {
+    console.error('Get template error:', err);
+    sendError(res, err, 'Failed to fetch template');
+  }
+});
+
+app.post('/api/templates', validate('createTemplate'), async (req, res) => {
+  try {
+    const row = await storage.promptTemplates.create({ user_id: req.user.id, ...validateTemplate(req.body) });
+    res.status(201).json(templateResponse(row.id, row, false));
+  } catch (err) {
+    console.error('Create template error:', err);
+    sendError(res, err, 'Failed to create template');
+  }
+});
+
+app.put('/api/templates/:id', validate('updateTemplate'), async (req, res) => {
+  try {
+    if (builtInTemplate(req.params.id)) throw httpError(403, 'Built-in templates cannot be changed');
+    const row = await storage.promptTemplates.update(req.params.id, req.user.id, validateTemplate(req.body));
+    if (!row) throw httpError(404, 'Template not found');
+    res.json(templateResponse(row.id, row, false));
+  } catch (err) {
+    console.error('Update template error:', err);
+    sendError(res, err, 'Failed to update template');
+  }
+});
+
+app.delete('/api/templates/:id', validate('deleteTemplate'), async (req, res) => {
+  try {
+    if (builtInTemplate(req.params.id)) throw httpError(403, 'Built-in templates cannot be deleted');
+    if (!(await storage.promptTemplates.delete(req.params.id, req.user.id))) {
+      throw httpError(404, 'Template not found');
+    }
+    res.json({ message: 'Template deleted' });
+  } catch (err) {
+    console.error('Delete template error:', err);
+    sendError(res, err, 'Failed to delete template');
+  }
+});
+
+// History pages are addressed by an opaque cursor naming the last row seen.
+// Its values end up in a PostgREST filter, so anything but an id and a
+// timestamp is rejected.
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (
+      FORMATS.uuid.test(id) &&
+      FORMATS['date-time'].test(createdAt) &&
+      !Number.isNaN(Date.parse(createdAt))
+    ) {
+      return { createdAt, id };
+    }
+  } catch {
+    // fall through
+  }
+  throw httpError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+}
+
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (!value) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw httpError(400, `${name} must be a date`);
+  // A bare date as the upper bound includes that whole day
+  const date = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 : time);
+  return date.toISOString();
+}
+
+// History query parameters: q (full-text search), from/to (dates),
+// minPages/maxPages, length (comma separated), limit and cursor. Their types
+// are checked (and limit defaulted) by validate().
+function historyQuery(query) {
+  return {
+    limit: query.limit,
+    after: query.cursor ? decodeCursor(query.cursor) : undefined,
+    query: query.q?.trim(),
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to', { endOfDay: true }),
+    minPages: query.minPages,
+    maxPages: query.maxPages,
+    lengths: query.length?.split(','),
+  };
+}
+
+// Search and page through summaries (history), newest first. Responds with
+// { items, nextCursor }; pass nextCursor back as ?cursor= for the next page.
+app.get('/api/summaries', validate('listSummaries'), async (req, res) => {
+  try {
+    const { limit, ...filters } = historyQuery(req.query);
+    // Fetch one extra row to know whether another page follows
+    const rows = await storage.summaries.list({ ...filters, userId: req.user.id, limit: limit + 1 });
+    const items = rows.slice(0, limit);
+    res.json({
+      items,
+      nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1]) : null,
+    });
   } catch (err) {
     console.error('Fetch summaries error:', err);
-    res.status(500).json({ error: 'Failed to fetch summaries' });
+    sendError(res, err, 'Failed to fetch summaries');
   }
 });
 
 // Get single summary
-app.get('/api/summaries/:id', async (req, res) => {
+app.get('/api/summaries/:id', validate('getSummary'), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('summaries')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
-
-    if (error) throw error;
-    if (!data) return res.status(404).json({ error: 'Summary not found' });
-    res.json(data);
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    res.json(summary);
   } catch (err) {
     console.error('Fetch summary error:', err);
-    res.status(500).json({ error: 'Failed to fetch summary' });
+    sendError(res, err, 'Failed to fetch summary');
   }
 });
 
 // Delete summary
-app.delete('/api/summaries/:id', async (req, res) => {
+app.delete('/api/summaries/:id', validate('deleteSummary'), async (req, res) => {
   try {
-    const { error } = await supabase
-      .from('summaries')
-      .delete()
-      .eq('id', req.params.id);
-
-    if (error) throw error;
+    const deleted = await storage.summaries.delete(req.params.id, { userId: req.user.id });
+    if (!deleted) throw httpError(404, 'Summary not found');
+    webhooks.emit(req.user.id, 'summary.deleted', { id: req.params.id, deletedAt: new Date().toISOString() });
     res.json({ message: 'Summary deleted' });
   } catch (err) {
     console.error('Delete summary error:', err);
-    res.status(500).json({ error: 'Failed to delete summary' });
+    sendError(res, err, 'Failed to delete summary');
+  }
+});
+
+// Versions of a summary: the stored summary is version 1 and every
+// regeneration adds the next one
+const versionResponse = (row, version) => ({
+  id: row.id,
+  version,
+  summary: row.summary,
+  summaryLength: row.summary_length,
+  template: row.template ?? null,
+  provider: row.provider ?? null,
+  model: row.model ?? null,
+  citations: row.citations || [],
+  outputLanguage: row.output_language ?? null,
+  usage: usageResponse(row),
+  createdAt: row.created_at,
+});
+
+const originalVersion = (summary) => ({ ...versionResponse(summary, 1), id: null });
+
+// extracted_text is the page texts separated by blank lines (which are
+// collapsed within each page) and cut off at 50,000 characters, so it splits
+// back into pages for page citations. Older rows from pdf-parse start with one.
+const storedPages = (text) => text.replace(/^\n\n/, '').split('\n\n');
+
+app.get('/api/summaries/:id/versions', validate('listSummaryVersions'), async (req, res) => {
+  try {
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    const versions = await storage.summaryVersions.list(summary.id);
+    res.json([originalVersion(summary), ...versions.map((row, i) => versionResponse(row, i + 2))]);
+  } catch (err) {
+    console.error('Fetch versions error:', err);
+    sendError(res, err, 'Failed to fetch summary versions');
+  }
+});
+
+// Summarize the stored document text again with a different `length`,
+// `template` (plus `audience`/`focus`), `provider` or `model`, stored as a new
+// version. `outputLanguage` picks the language to write in. Unset options
+// keep those of the original summary.
+app.post('/api/summaries/:id/regenerate', llmLimits, validate('regenerateSummary'), async (req, res) => {
+  try {
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    if (!summary.extracted_text) {
+      throw httpError(422, 'No document text is stored for this summary');
+    }
+
+    const summaryLength = req.body.length
+      || (Object.hasOwn(lengthInstructions, summary.summary_length) ? summary.summary_length : 'medium');
+
+    // Keep the original template unless the request picks another one or
+    // fills in its variables
+    const { template: templateId, audience, focus } = req.body;
+    let template = summary.template;
+    if (templateId || audience || focus || !template) {
+      const body = { template: templateId || template?.id, audience, focus };
+      template = await promptTemplate({ body, user: req.user }, summaryLength);
+    }
+    const llm = meterUsage(resolveLLM({ provider: req.body.provider, model: req.body.model }));
+    const writtenIn = resolveOutputLanguage(
+      outputLanguage(req.body.outputLanguage, summary.output_language || DEFAULT_LANGUAGE),
+      summary.language
+    );
+
+    const pages = storedPages(summary.extracted_text);
+    const result = await summarizeDocument(llm, {
+      pages,
+      summaryLength,
+      instructions: renderTemplate(template.prompt, templateValues({ summaryLength, ...template.variables })),
+      language: LANGUAGES[writtenIn].name,
+    });
+    const { summary: text, citations } = resolveCitations(result.summary, pages);
+
+    const saved = await storage.summaryVersions.create({
+      summary_id: summary.id,
+      summary: text,
+      summary_length: summaryLength,
+      template,
+      citations,
+      output_language: writtenIn,
+      ...usageColumns(llm),
+    });
+    recordUsage(req.user.id, 'regenerate', llm, summary.id);
+    const versions = await storage.summaryVersions.list(summary.id);
+    res.status(201).json(versionResponse(saved, versions.length + 1));
+  } catch (err) {
+    console.error('Regenerate error:', err);
+    sendError(res, err, 'Failed to regenerate summary');
+  }
+});
+
+// Translate a version of a summary (`version`, default 1: the original) into
+// `language`, stored as a new version. Page citations carry over unchanged.
+app.post('/api/summaries/:id/translate', llmLimits, validate('translateSummary'), async (req, res) => {
+  try {
+    const { language, version: number = 1 } = req.body;
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    if (summary.extraction) throw httpError(422, 'Extracted data cannot be translated');
+
+    const versions = await storage.summaryVersions.list(summary.id);
+    const source = number === 1 ? summary : versions[number - 2];
+    if (!source) throw httpError(404, 'Version not found');
+
+    const llm = meterUsage(resolveLLM({ provider: req.body.provider, model: req.body.model }));
+    const text = await translateSummary(llm, { summary: source.summary, language: LANGUAGES[language].name });
+
+    const saved = await storage.summaryVersions.create({
+      summary_id: summary.id,
+      summary: text,
+      summary_length: source.summary_length,
+      template: source.template ?? null,
+      citations: carryCitations(text, source.citations || []),
+      output_language: language,
+      ...usageColumns(llm),
+    });
+    recordUsage(req.user.id, 'translate', llm, summary.id);
+    res.status(201).json(versionResponse(saved, versions.length + 2));
+  } catch (err) {
+    console.error('Translate error:', err);
+    sendError(res, err, 'Failed to translate summary');
+  }
+});
+
+// Download a summary as a report: ?format=docx|pdf|html|json|md (default pdf)
+app.get('/api/summaries/:id/export', validate('exportSummary'), async (req, res) => {
+  try {
+    const { format } = req.query;
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+
+    const { body, contentType, filename } = await exportSummary(summary, format);
+    res.type(contentType).attachment(filename).send(body);
+  } catch (err) {
+    console.error('Export error:', err);
+    sendError(res, err, 'Failed to export summary');
+  }
+});
+
+// Export several summaries as one ZIP, one file per summary.
+// Body: { ids: [...], format }.
+app.post('/api/summaries/export', validate('exportSummaries'), async (req, res) => {
+  const { ids, format = 'pdf' } = req.body;
+
+  let files;
+  try {
+    const summaries = await Promise.all([...new Set(ids)].map((id) => storage.summaries.get(id, { userId: req.user.id })));
+    if (summaries.some((summary) => !summary)) {
+      throw httpError(404, 'One or more summaries were not found');
+    }
+    files = await Promise.all(summaries.map((summary) => exportSummary(summary, format)));
+  } catch (err) {
+    console.error('Bulk export error:', err);
+    return sendError(res, err, 'Failed to export summaries');
+  }
+
+  // Several summaries of the same file would otherwise overwrite each other
+  const used = new Map();
+  const archive = archiver('zip');
+  // The ZIP is streamed, so once it has started a failure can only cut the
+  // response short, which the client sees as a broken download
+  const abort = (err) => {
+    if (res.destroyed) return;
+    console.error('Bulk export error:', err);
+    archive.abort();
+    res.destroy(err);
+  };
+  archive.on('error', abort);
+
+  try {
+    res.attachment(`summaries-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+    for (const { body, filename } of files) {
+      const count = (used.get(filename) || 0) + 1;
+      used.set(filename, count);
+      archive.append(body, { name: count > 1 ? filename.replace(/(\.\w+)$/, `-${count}$1`) : filename });
+    }
+    await archive.finalize();
+  } catch (err) {
+    abort(err);
   }
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
+// Get the follow-up conversation for a summary
+app.get('/api/summaries/:id/chat', validate('getChat'), async (req, res) => {
+  try {
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    res.json(await storage.chatMessages.list(summary.id));
+  } catch (err) {
+    console.error('Fetch chat error:', err);
+    sendError(res, err, 'Failed to fetch chat history');
+  }
 });
+
+// Ask a follow-up question answered from the summary's stored document text
+app.post('/api/summaries/:id/chat', llmLimits, validate('askQuestion'), async (req, res) => {
+  try {
+    const question = req.body.message.trim();
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    if (!summary.extracted_text) {
+      throw httpError(422, 'No document text is stored for this summary');
+    }
+
+    const llm = meterUsage(resolveLLM({ provider: req.body.provider, model: req.body.model }));
+    const history = await storage.chatMessages.list(summary.id);
+    const answer = await answerQuestion(llm, {
+      filename: summary.original_filename,
+      documentText: summary.extracted_text,
+      history,
+      question,
+    });
+
+    // Only persist the exchange once the answer exists, so a failed call
+    // doesn't leave an unanswered question in the history
+    const userMessage = await storage.chatMessages.create({ summary_id: summary.id, role: 'user', content: question });
+    const assistantMessage = await storage.chatMessages.create({ summary_id: summary.id, role: 'assistant', content: answer });
+    recordUsage(req.user.id, 'chat', llm, summary.id);
+
+    res.json({ userMessage, assistantMessage });
+  } catch (err) {
+    console.error('Chat error:', err);
+    sendError(res, err, 'Failed to answer question');
+  }
+});
+
+// Clear the follow-up conversation for a summary
+app.delete('/api/summaries/:id/chat', validate('clearChat'), async (req, res) => {
+  try {
+    const summary = await storage.summaries.get(req.params.id, { userId: req.user.id });
+    if (!summary) throw httpError(404, 'Summary not found');
+    await storage.chatMessages.clear(summary.id);
+    res.json({ message: 'Chat history cleared' });
+  } catch (err) {
+    console.error('Clear chat error:', err);
+    sendError(res, err, 'Failed to clear chat history');
+  }
+});
+
+// Unknown API routes, then errors passed on by middleware (uploads, JSON
+// bodies, validation) and routes
+app.use('/api', (req, res, next) => {
+  next(httpError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+app.use(errorHandler);
+
+// `node index.js` starts the server; the tests import the app and listen on a
+// port of their own (see test/helpers)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    webhooks.resume().catch((err) => console.error('Resume webhook deliveries error:', err));
+  });
+}
+
+export default app;
@@ -0,0 +1,24 @@
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+
+// Browsable API docs: Swagger UI (served from swagger-ui-dist at /api/docs)
+// showing the OpenAPI document. "Try it out" requests are sent with the
+// browser's session cookie, so they work once signed in to the app.
+export const docsAssetsPath = getSwaggerUiPath();
+
+export const docsPage = (specUrl) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>SummarizeAI API</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
@@ -0,0 +1,126 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { httpError, sendError } from './errors.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const SESSION_COOKIE = 'session';
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Personal API tokens carry a prefix so they are recognisable in scripts
+// and can be told apart from session tokens.
+export const API_TOKEN_PREFIX = 'sai_';
+
+// Only hashes of session, API and magic link tokens are stored
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function generateToken(prefix = '') {
+  return prefix + randomBytes(32).toString('base64url');
+}
+
+export function normalizeEmail(email) {
+  const normalized = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+}
+
+// Passwords are stored as "scrypt$<salt>$<hash>" (base64url)
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64url'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// The user fields exposed by the API
+export const publicUser = (user) => ({ id: user.id, email: user.email, created_at: user.created_at });
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Sessions for the browser client (an HttpOnly cookie, which EventSource
+// sends too) and personal API tokens for scripts (Authorization: Bearer).
+export function createAuth(storage) {
+  const cookieOptions = (req, maxAgeMs) => [
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ...(req.secure || process.env.COOKIE_SECURE === 'true' ? ['Secure'] : []),
+  ].join('; ');
+
+  async function userFromApiToken(token) {
+    const row = await storage.apiTokens.findByTokenHash(hashToken(token));
+    if (!row) return null;
+    await storage.apiTokens.touch(row.id);
+    return storage.users.get(row.user_id);
+  }
+
+  async function userFromSession(token) {
+    const tokenHash = hashToken(token);
+    const session = await storage.sessions.findByTokenHash(tokenHash);
+    if (!session) return null;
+    if (Date.parse(session.expires_at) <= Date.now()) {
+      await storage.sessions.delete(tokenHash);
+      return null;
+    }
+    return storage.users.get(session.user_id);
+  }
+
+  return {
+    // Start a browser session for `user` and set its cookie on `res`
+    async startSession(req, res, user) {
+      const token = generateToken();
+      await storage.sessions.create({
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+      });
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${token}; ${cookieOptions(req, SESSION_TTL_MS)}`);
+    },
+
+    async endSession(req, res) {
+      const token = readCookie(req, SESSION_COOKIE);
+      if (token) await storage.sessions.delete(hashToken(token));
+      res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; ${cookieOptions(req, 0)}`);
+    },
+
+    // Express middleware: sets req.user from an API token or session cookie,
+    // or responds 401.
+    async authenticate(req, res, next) {
+      try {
+        const bearer = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+        let user = null;
+        if (bearer) {
+          user = bearer.startsWith(API_TOKEN_PREFIX) ? await userFromApiToken(bearer) : await userFromSession(bearer);
+        } else {
+          const session = readCookie(req, SESSION_COOKIE);
+          if (session) user = await userFromSession(session);
+        }
+
+        if (!user) return sendError(res, httpError(401, 'Authentication required'));
+        req.user = publicUser(user);
+        next();
+      } catch (err) {
+        console.error('Authentication error:', err);
+        sendError(res, err, 'Failed to authenticate');
+      }
+    },
+  };
+}
@@ -0,0 +1,70 @@
+import { chunkPages } from './chunker.js';
+
+const PASSAGE_TOKENS = 800;
+const CONTEXT_TOKENS = 5000;
+const HISTORY_MESSAGES = 10;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'what', 'which', 'who', 'whom', 'this', 'that',
+  'these', 'those', 'with', 'from', 'does', 'did', 'have', 'has', 'how', 'why', 'when',
+  'where', 'there', 'their', 'they', 'about', 'into', 'any', 'can', 'could', 'would',
+  'should', 'will', 'document', 'tell', 'please',
+]);
+
+function terms(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).filter((t) => !STOPWORDS.has(t));
+}
+
+// Pick the passages of a document most relevant to a question, within a
+// token budget. Short documents are used whole; longer ones are ranked by
+// how often the question's terms occur, then put back in document order.
+export function selectPassages(text, question, countTokens) {
+  const passages = chunkPages([text], { maxTokens: PASSAGE_TOKENS, countTokens });
+  const total = passages.reduce((sum, p) => sum + countTokens(p.text), 0);
+  if (total <= CONTEXT_TOKENS) return passages.map((p) => p.text);
+
+  const queryTerms = new Set(terms(question));
+  const ranked = passages
+    .map((p, index) => ({
+      index,
+      text: p.text,
+      score: terms(p.text).filter((t) => queryTerms.has(t)).length,
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let used = 0;
+  for (const passage of ranked) {
+    const tokens = countTokens(passage.text);
+    if (used + tokens > CONTEXT_TOKENS) continue;
+    selected.push(passage);
+    used += tokens;
+  }
+
+  return selected.sort((a, b) => a.index - b.index).map((p) => p.text);
+}
+
+// Answer a follow-up question about a stored document, grounded in its
+// extracted text. `history` is the earlier conversation as { role, content }.
+export async function answerQuestion(llm, { filename, documentText, history, question }) {
+  const passages = selectPassages(documentText, question, llm.provider.countTokens);
+
+  const system = `You answer questions about the document "${filename}" using only the excerpts below. If the excerpts do not contain the answer, say that you could not find it in the document rather than guessing. Quote the relevant wording where it helps. Format your answer in markdown.
+
+Document excerpts:
+${passages.map((p) => `---\n${p}`).join('\n')}
+---`;
+
+  const { content } = await llm.provider.chat({
+    messages: [
+      { role: 'system', content: system },
+      ...history.slice(-HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: question },
+    ],
+    model: llm.model,
+    temperature: 0.2,
+    maxTokens: 1024,
+  });
+
+  return content || 'Unable to generate an answer.';
+}
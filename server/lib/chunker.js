@@ -0,0 +1,73 @@
+// Rough token estimate for Llama-family tokenizers (~4 characters per token).
+// Good enough for budgeting chunk sizes; we never need an exact count.
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Split a single oversized block into pieces that fit the budget, preferring
+// paragraph breaks, then sentence ends, then a hard cut.
+function splitBlock(text, maxTokens, countTokens) {
+  if (countTokens(text) <= maxTokens) return [text];
+
+  const separators = [/\n\s*\n/, /(?<=[.!?])\s+/];
+  for (const separator of separators) {
+    const parts = text.split(separator).filter((p) => p.trim());
+    if (parts.length < 2) continue;
+
+    const pieces = [];
+    let current = '';
+    for (const part of parts) {
+      const candidate = current ? `${current}\n\n${part}` : part;
+      if (countTokens(candidate) <= maxTokens) {
+        current = candidate;
+      } else {
+        if (current) pieces.push(current);
+        current = part;
+      }
+    }
+    if (current) pieces.push(current);
+    return pieces.flatMap((piece) => splitBlock(piece, maxTokens, countTokens));
+  }
+
+  const maxChars = maxTokens * 4;
+  const pieces = [];
+  for (let i = 0; i < text.length; i += maxChars) {
+    pieces.push(text.substring(i, i + maxChars));
+  }
+  return pieces;
+}
+
+// Group per-page text into chunks of at most `maxTokens`, keeping whole pages
+// together where possible. Each chunk records the page range it covers.
+// `countTokens` lets a provider supply its own tokenizer, and `markPages`
+// prefixes every piece of page text with a "[Page N]" header.
+export function chunkPages(pages, { maxTokens = 3000, countTokens = estimateTokens, markPages = false } = {}) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) chunks.push(current);
+    current = null;
+  };
+
+  pages.forEach((pageText, i) => {
+    const page = i + 1;
+    if (!pageText || !pageText.trim()) return;
+
+    for (const text of splitBlock(pageText, maxTokens, countTokens)) {
+      const piece = markPages ? `[Page ${page}]\n${text}` : text;
+      if (current && countTokens(current.text + '\n\n' + piece) > maxTokens) {
+        flush();
+      }
+      if (!current) {
+        current = { text: piece, startPage: page, endPage: page };
+      } else {
+        current.text += '\n\n' + piece;
+        current.endPage = page;
+      }
+    }
+  });
+  flush();
+
+  return chunks;
+}
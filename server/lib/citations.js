@@ -0,0 +1,92 @@
+// Page citations in model output look like [p. 12], [pp. 3-4] or [p. 3, 5].
+const CITATION_PATTERN = /\[\s*pp?\.?\s*(\d+(?:\s*[-–,]\s*\d+)*)\s*\]/gi;
+const CITATION_SEPARATOR = /\[\s*pp?\.?\s*\d+(?:\s*[-–,]\s*\d+)*\s*\]/i;
+const MAX_RANGE = 10;
+const MAX_QUOTE_CHARS = 320;
+
+function citedPages(spec) {
+  const pages = [];
+  for (const part of spec.split(',')) {
+    const [start, end] = part.split(/[-–]/).map((n) => parseInt(n, 10));
+    if (end && end >= start && end - start < MAX_RANGE) {
+      for (let page = start; page <= end; page++) pages.push(page);
+    } else {
+      pages.push(start);
+    }
+  }
+  return pages;
+}
+
+function words(text) {
+  return new Set((text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []));
+}
+
+// The claim a citation supports: the last sentence before it on the same
+// line, not counting text already covered by an earlier citation.
+function claimBefore(line, offset) {
+  const segment = line.substring(0, offset).split(CITATION_SEPARATOR).pop();
+  const sentences = segment.match(/[^.!?]+[.!?]*/g)?.filter((s) => /\w{3,}/.test(s)) || [];
+  return (sentences.pop() || '').replace(/^\s*(?:[>*#-]+|\d+\.)\s+/, '').trim();
+}
+
+// The sentence(s) on a page that best support a claim, by word overlap.
+function findQuote(pageText, claim) {
+  const sentences = pageText.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g)?.map((s) => s.trim()).filter(Boolean) || [];
+  if (sentences.length === 0) return '';
+
+  const claimWords = words(claim);
+  let best = 0;
+  let bestScore = -1;
+  sentences.forEach((sentence, i) => {
+    let score = 0;
+    for (const word of words(sentence)) if (claimWords.has(word)) score++;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+
+  let quote = sentences[best];
+  if (quote.length < MAX_QUOTE_CHARS / 2 && sentences[best + 1]) {
+    quote += ' ' + sentences[best + 1];
+  }
+  return quote.length > MAX_QUOTE_CHARS ? quote.substring(0, MAX_QUOTE_CHARS).trimEnd() + '…' : quote;
+}
+
+// Validate and normalize the page citations in a summary. Citations of pages
+// that don't exist (or have no text) are dropped, ranges and lists are
+// expanded into one "[p. N]" marker per page, and each remaining marker gets
+// an entry in `citations` - in the order the markers appear - holding the
+// cited page, the claim it supports and the best matching source passage.
+export function resolveCitations(summary, pages) {
+  const citations = [];
+
+  const text = summary.split('\n').map((line) => line.replace(CITATION_PATTERN, (match, spec, offset) => {
+    const valid = citedPages(spec).filter((page) => pages[page - 1]?.trim());
+    if (valid.length === 0) return '';
+
+    const claim = claimBefore(line, offset);
+    for (const page of valid) {
+      citations.push({ page, claim, quote: findQuote(pages[page - 1], claim) });
+    }
+    return valid.map((page) => `[p. ${page}]`).join(' ');
+  }).replace(/[ \t]+([.,;:])/g, '$1').replace(/(\S)[ \t]{2,}/g, '$1 ')).join('\n');
+
+  return { summary: text, citations };
+}
+
+// Citations for a translation of a summary whose `citations` were resolved
+// with resolveCitations. The translation keeps the [p. N] markers but may
+// reorder them, so each marker takes the original's next unused citation of
+// the same page.
+export function carryCitations(translation, citations) {
+  const byPage = new Map();
+  for (const citation of citations) {
+    byPage.set(citation.page, [...(byPage.get(citation.page) || []), citation]);
+  }
+
+  return [...translation.matchAll(/\[p\. (\d+)\]/g)].map(([, page]) => {
+    const candidates = byPage.get(Number(page));
+    return candidates?.length ? candidates.shift() : { page: Number(page), claim: '', quote: '' };
+  });
+}
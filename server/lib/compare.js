@@ -0,0 +1,80 @@
+import { diffLines } from 'diff';
+import { compileSchema, requestJson } from './extractor.js';
+
+// Both documents' full text goes into one request when it fits this budget;
+// longer pairs are compared through their summaries instead
+const COMPARE_TOKENS = 8000;
+
+const points = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+const comparisonSchema = {
+  type: 'object',
+  properties: {
+    shared: points('Points both documents make'),
+    onlyA: points('Points only document A makes'),
+    onlyB: points('Points only document B makes'),
+    contradictions: {
+      type: 'array',
+      description: 'Topics on which the documents disagree',
+      items: {
+        type: 'object',
+        properties: {
+          topic: { type: 'string' },
+          a: { type: 'string', description: 'What document A says' },
+          b: { type: 'string', description: 'What document B says' },
+        },
+        required: ['topic', 'a', 'b'],
+      },
+    },
+  },
+  required: ['shared', 'onlyA', 'onlyB', 'contradictions'],
+};
+
+const validate = compileSchema(comparisonSchema);
+
+const SYSTEM_PROMPT = `You compare two documents, A and B, for someone who needs to know how they differ (for example two drafts of a contract, or two competing proposals). List the substantive points both make, the points only one of them makes, and every contradiction: a topic where they state different facts, figures, dates or terms. Write each point as one short sentence. Respond with a single JSON object that conforms to the JSON Schema below and nothing else.\n\n<schema>\n${JSON.stringify(comparisonSchema)}\n</schema>`;
+
+// Page citations refer to pages of one file and would be ambiguous here
+const stripCitations = (text) => text.replace(/\s*\[p\. \d+\]/g, '');
+
+// Compare two stored summaries rows ({ original_filename, extracted_text,
+// summary }). Resolves { shared, onlyA, onlyB, contradictions, basis }, where
+// `basis` says whether the full 'text' or the 'summary' of each was compared.
+export async function compareDocuments(llm, [a, b]) {
+  const fullText = `${a.extracted_text}\n\n${b.extracted_text}`;
+  const basis = llm.provider.countTokens(fullText) <= COMPARE_TOKENS ? 'text' : 'summary';
+  const content = (doc) => (basis === 'text' ? doc.extracted_text.trim() : stripCitations(doc.summary));
+
+  const { data } = await requestJson(
+    llm,
+    SYSTEM_PROMPT,
+    `Compare these documents.\n\nDocument A ("${a.original_filename}"):\n${content(a)}\n\nDocument B ("${b.original_filename}"):\n${content(b)}`,
+    validate
+  );
+  return { ...data, basis };
+}
+
+// Line diff of the two documents' extracted text, as [{ type: 'same' |
+// 'added' | 'removed', text }] going from A to B
+export function textDiff(a, b) {
+  return diffLines(a.trim(), b.trim()).map((part) => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'same',
+    text: part.value,
+  }));
+}
+
+// The comparison as markdown, stored as the summary text so comparisons show
+// up in history search and exports like any other summary
+export function comparisonMarkdown({ shared, onlyA, onlyB, contradictions }, [a, b]) {
+  const list = (items) => (items.length ? items.map((item) => `- ${item}`).join('\n') : '- None');
+  return [
+    '## Shared points',
+    list(shared),
+    `## Only in ${a.original_filename}`,
+    list(onlyA),
+    `## Only in ${b.original_filename}`,
+    list(onlyB),
+    '## Contradictions',
+    list(contradictions.map((c) => `**${c.topic}**: ${a.original_filename} says ${c.a}; ${b.original_filename} says ${c.b}`)),
+  ].join('\n\n');
+}
@@ -0,0 +1,85 @@
+import multer from 'multer';
+
+// Every error response has the body { error, code, details? }: `error` is a
+// message for people, `code` a stable machine-readable code and `details`
+// (validation errors only) lists each problem as { in, field, message }.
+//
+// Errors thrown anywhere in the server carry their HTTP `status` and may set
+// `code`; without one the status picks it from STATUS_CODES. Messages of 5xx
+// errors are internal and replaced by the route's fallback message.
+export const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'unprocessable_entity',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable',
+};
+
+export function httpError(status, message, { code, details } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  if (code) err.code = code;
+  if (details) err.details = details;
+  return err;
+}
+
+// Errors from libraries, mapped to ours: multer (uploads) and the JSON body
+// parser, which fail before a route runs, and LLM provider API errors (with
+// the provider's `status` and response `headers`, see lib/llm), which are the
+// provider's problem rather than the client's
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: [413, 'file_too_large', (err) => `The file ${err.field ? `sent as ${err.field} ` : ''}is larger than the upload limit`],
+  LIMIT_FILE_COUNT: [400, 'too_many_files', () => 'Too many files in one upload'],
+  // Also what multer reports for more files than a field takes
+  LIMIT_UNEXPECTED_FILE: [400, 'unexpected_file', (err) => `Unexpected file in "${err.field}": too many files, or a field that takes none`],
+};
+
+function fromLibrary(err) {
+  if (err instanceof multer.MulterError) {
+    const [status, code, message] = MULTER_ERRORS[err.code] || [400, 'invalid_upload', () => err.message];
+    return httpError(status, message(err), { code });
+  }
+  if (err.type === 'entity.parse.failed') return httpError(400, 'The request body is not valid JSON', { code: 'invalid_json' });
+  if (err.type === 'entity.too.large') return httpError(413, 'The request body is too large', { code: 'payload_too_large' });
+  if (err.headers && Number.isInteger(err.status)) {
+    return err.status === 429
+      ? httpError(429, 'The LLM provider is rate limiting requests. Try again shortly.', { code: 'llm_rate_limited' })
+      : httpError(502, err.message, { code: 'llm_error' });
+  }
+  return err;
+}
+
+// The status and body to respond to `err` with
+export function errorResponse(err, fallbackMessage = 'Something went wrong') {
+  const error = fromLibrary(err);
+  const status = Number.isInteger(error.status) && error.status >= 400 && error.status < 600 ? error.status : 500;
+  const body = {
+    error: status < 500 && error.message ? error.message : fallbackMessage,
+    // Library codes (e.g. Node's ERR_* and E* codes) aren't ours to pass on
+    code: (typeof error.code === 'string' && /^[a-z_]+$/.test(error.code) && error.code)
+      || STATUS_CODES[status]
+      || (status < 500 ? 'bad_request' : 'internal_error'),
+  };
+  if (error.details) body.details = error.details;
+  return { status, body };
+}
+
+export function sendError(res, err, fallbackMessage) {
+  const { status, body } = errorResponse(err, fallbackMessage);
+  res.status(status).json(body);
+}
+
+// The last middleware: errors passed to next() by middleware and routes
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+  const { status, body } = errorResponse(err, 'Request failed');
+  if (status >= 500) console.error(`${req.method} ${req.path} error:`, err);
+  res.status(status).json(body);
+}
@@ -0,0 +1,90 @@
+import {
+  BorderStyle,
+  Document,
+  HeadingLevel,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from 'docx';
+import { markdownBlocks } from './markdown.js';
+
+const HEADINGS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4];
+
+const textRuns = (runs, extra = {}) => runs.map((run) => new TextRun({
+  text: run.text,
+  bold: run.bold,
+  italics: run.italic,
+  font: run.code ? 'Courier New' : undefined,
+  ...extra,
+}));
+
+const cell = (children, { bold = false } = {}) => new TableCell({
+  children: [new Paragraph({ children: bold ? textRuns(children, { bold: true }) : textRuns(children) })],
+});
+
+function block(b) {
+  switch (b.type) {
+    case 'heading':
+      // One level down, below the report's own "Summary" heading
+      return new Paragraph({ heading: HEADINGS[Math.min(b.level, HEADINGS.length - 1)], children: textRuns(b.runs) });
+    case 'quote':
+      return new Paragraph({ indent: { left: 480 }, children: textRuns(b.runs, { italics: true }) });
+    case 'listItem':
+      return new Paragraph({
+        indent: { left: 360 * (b.depth + 1), hanging: 280 },
+        children: [new TextRun(`${b.marker}\t`), ...textRuns(b.runs)],
+      });
+    case 'code':
+      return new Paragraph({
+        children: b.text.split('\n').map((line, i) => new TextRun({ text: line, font: 'Courier New', size: 18, break: i > 0 ? 1 : 0 })),
+      });
+    case 'table':
+      return new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+          new TableRow({ tableHeader: true, children: b.header.map((runs) => cell(runs, { bold: true })) }),
+          ...b.rows.map((row) => new TableRow({ children: row.map((runs) => cell(runs)) })),
+        ],
+      });
+    case 'rule':
+      return new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 1 } } });
+    default:
+      return new Paragraph({ children: textRuns(b.runs) });
+  }
+}
+
+// A Word document: title, metadata table, the summary and its citations
+export function renderDocx({ title, metadata, summary, citations }) {
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(title)] }),
+    new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      rows: metadata.map(([label, value]) => new TableRow({
+        children: [cell([{ text: label }], { bold: true }), cell([{ text: value }])],
+      })),
+    }),
+    new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Summary')] }),
+    ...markdownBlocks(summary).map(block),
+  ];
+
+  if (citations.length) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, children: [new TextRun('Citations')] }));
+    for (const c of citations) {
+      children.push(
+        new Paragraph({ children: [new TextRun({ text: `p. ${c.page} — `, bold: true }), new TextRun(c.claim)] }),
+        new Paragraph({ indent: { left: 480 }, children: [new TextRun({ text: c.quote, italics: true, color: '555555' })] })
+      );
+    }
+  }
+
+  const doc = new Document({
+    title,
+    creator: 'SummarizeAI',
+    sections: [{ children }],
+  });
+  return Packer.toBuffer(doc);
+}
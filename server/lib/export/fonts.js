@@ -0,0 +1,57 @@
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+// The built-in PDF fonts cover Latin-1 only. Text in other scripts is set in
+// Noto fonts read from PDF_FONT_DIR, when that is set and has the font for
+// the script; Google Fonts' file names are expected, e.g.
+// NotoSansArabic-Regular.ttf and, optionally, NotoSansArabic-Bold.ttf.
+// Without them the text is written in Helvetica, which has no glyphs for it.
+const SCRIPTS = [
+  { pattern: /[\p{Script=Greek}\p{Script=Cyrillic}]/u, font: 'NotoSans' },
+  { pattern: /\p{Script=Arabic}/u, font: 'NotoSansArabic' },
+  { pattern: /\p{Script=Hebrew}/u, font: 'NotoSansHebrew' },
+  { pattern: /\p{Script=Devanagari}/u, font: 'NotoSansDevanagari' },
+  { pattern: /\p{Script=Hangul}/u, font: 'NotoSansKR' },
+  { pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, font: 'NotoSansJP' },
+  { pattern: /\p{Script=Han}/u, font: 'cjk' },
+];
+
+// Han characters look different in each language, so their font depends on
+// the language of the report
+const CJK_FONTS = { ja: 'NotoSansJP', ko: 'NotoSansKR' };
+
+// Spaces, punctuation and marks stay in the font of the text before them, so
+// a sentence isn't split at every comma
+const CONTINUES = /[\s\p{P}\p{M}\p{Cf}]/u;
+
+function scriptFont(char, language) {
+  const match = SCRIPTS.find(({ pattern }) => pattern.test(char));
+  if (!match) return null;
+  return match.font === 'cjk' ? CJK_FONTS[language] || 'NotoSansSC' : match.font;
+}
+
+// Split `text` into pieces [{ font, text }], where `font` is the Noto font
+// the piece needs, or null for text the built-in fonts cover
+export function fontPieces(text, language) {
+  const pieces = [];
+  for (const char of text) {
+    const last = pieces.at(-1);
+    const font = last && CONTINUES.test(char) ? last.font : scriptFont(char, language);
+    if (last?.font === font) last.text += char;
+    else pieces.push({ font, text: char });
+  }
+  return pieces;
+}
+
+// The file for a face of `font` in PDF_FONT_DIR, or null when there's none.
+// Bold falls back to the regular face; the Noto fonts for non-Latin scripts
+// have no italics.
+export function fontFile(font, { bold = false } = {}) {
+  const dir = process.env.PDF_FONT_DIR;
+  if (!dir) return null;
+  for (const face of bold ? ['Bold', 'Regular'] : ['Regular']) {
+    const file = join(dir, `${font}-${face}.ttf`);
+    if (existsSync(file)) return file;
+  }
+  return null;
+}
@@ -0,0 +1,64 @@
+import { Marked } from 'marked';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Model output is untrusted: raw HTML in the markdown is shown as text
+const markdown = new Marked({
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+  },
+});
+
+const STYLES = `
+  body { max-width: 760px; margin: 40px auto; padding: 0 24px; font: 16px/1.6 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2330; }
+  h1 { font-size: 26px; margin-bottom: 8px; }
+  table.meta { border-collapse: collapse; margin: 16px 0 32px; font-size: 14px; }
+  table.meta th { text-align: left; padding: 4px 16px 4px 0; color: #6b7080; font-weight: 500; }
+  .summary table { border-collapse: collapse; }
+  .summary th, .summary td { border: 1px solid #d8dae3; padding: 6px 10px; }
+  pre { background: #f4f5f9; padding: 12px; border-radius: 6px; overflow-x: auto; }
+  .citations { margin-top: 40px; border-top: 1px solid #e2e4ec; padding-top: 16px; font-size: 14px; }
+  .citations blockquote { margin: 4px 0 12px; padding-left: 12px; border-left: 3px solid #a29bfe; color: #4a4f60; }
+  footer { margin-top: 40px; font-size: 12px; color: #9094a3; }
+`;
+
+// A standalone HTML document (inline styles, no external assets)
+export function renderHtml({ title, metadata, summary, citations, language = 'en', rtl = false }) {
+  const meta = metadata
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n');
+
+  const sources = citations.length
+    ? `<section class="citations">
+  <h2>Citations</h2>
+  ${citations.map((c) => `<p><strong>p. ${c.page}</strong> — ${escapeHtml(c.claim)}</p>
+  <blockquote>${escapeHtml(c.quote)}</blockquote>`).join('\n  ')}
+</section>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} — Summary</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table class="meta">
+${meta}
+</table>
+<main class="summary" dir="${rtl ? 'rtl' : 'auto'}">
+${markdown.parse(summary || '')}
+</main>
+${sources}
+<footer>Generated by SummarizeAI</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,98 @@
+import { renderDocx } from './docx.js';
+import { renderPdf } from './pdf.js';
+import { renderHtml } from './html.js';
+import { DEFAULT_LANGUAGE, LANGUAGES } from '../language.js';
+import { getExtractor } from '../extractors/index.js';
+
+const lengthLabels = {
+  short: 'Brief',
+  medium: 'Standard',
+  long: 'Detailed',
+  extract: 'Structured extraction',
+};
+
+// The content every export format shares, built from a stored summary row
+export function buildReport(summary) {
+  const extractor = getExtractor(summary.document_type);
+  const pagesLabel = extractor ? `${extractor.unit[0].toUpperCase()}${extractor.unit.substring(1)}s` : 'Pages';
+  const metadata = [
+    ['Source file', summary.original_filename],
+    summary.kind === 'collection'
+      ? ['Documents', String(summary.source_ids?.length || 0)]
+      : [pagesLabel, summary.page_count ? String(summary.page_count) : 'Unknown'],
+    ['Created', new Date(summary.created_at).toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short', timeZone: 'UTC' }) + ' UTC'],
+    ['Summary length', lengthLabels[summary.summary_length] || summary.summary_length],
+  ];
+  if (extractor) metadata.push(['Document type', extractor.label]);
+  if (summary.source_url) metadata.push(['Source URL', summary.source_url]);
+  if (summary.source_type === 'text') metadata.push(['Source', 'Pasted text']);
+  if (summary.schema_name) metadata.push(['Schema', summary.schema_name]);
+  if (LANGUAGES[summary.language]) metadata.push(['Document language', LANGUAGES[summary.language].name]);
+
+  const language = summary.output_language || DEFAULT_LANGUAGE;
+  return {
+    title: summary.original_filename,
+    metadata,
+    summary: summary.summary,
+    citations: summary.citations || [],
+    language,
+    rtl: Boolean(LANGUAGES[language]?.rtl),
+  };
+}
+
+function renderJson(summary) {
+  return JSON.stringify({
+    id: summary.id,
+    filename: summary.original_filename,
+    fileSize: summary.file_size,
+    pageCount: summary.page_count,
+    createdAt: summary.created_at,
+    summaryLength: summary.summary_length,
+    kind: summary.kind,
+    sourceIds: summary.source_ids ?? undefined,
+    summary: summary.summary,
+    citations: summary.citations || [],
+    extraction: summary.extraction ?? undefined,
+    schemaName: summary.schema_name ?? undefined,
+    sourceType: summary.source_type ?? undefined,
+    sourceUrl: summary.source_url ?? undefined,
+    documentType: summary.document_type ?? undefined,
+    language: summary.language ?? undefined,
+    outputLanguage: summary.output_language ?? undefined,
+  }, null, 2);
+}
+
+// Each format renders a summary row to a string or Buffer
+export const exportFormats = {
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (summary) => renderDocx(buildReport(summary)),
+  },
+  pdf: {
+    contentType: 'application/pdf',
+    render: (summary) => renderPdf(buildReport(summary)),
+  },
+  html: {
+    contentType: 'text/html; charset=utf-8',
+    render: (summary) => renderHtml(buildReport(summary)),
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    render: renderJson,
+  },
+  md: {
+    contentType: 'text/markdown; charset=utf-8',
+    render: (summary) => summary.summary,
+  },
+};
+
+export function exportFilename(summary, format) {
+  const base = (summary.original_filename || 'summary').replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+  return `${base}-summary.${format}`;
+}
+
+// Render `summary` in `format`. Resolves { body, contentType, filename }.
+export async function exportSummary(summary, format) {
+  const { contentType, render } = exportFormats[format];
+  return { body: await render(summary), contentType, filename: exportFilename(summary, format) };
+}
@@ -0,0 +1,86 @@
+import { marked } from 'marked';
+
+// Flatten summary markdown into simple blocks for the DOCX and PDF
+// renderers, which have no markdown support of their own:
+//   { type: 'heading', level, runs }   { type: 'paragraph' | 'quote', runs }
+//   { type: 'listItem', marker, depth, runs }   { type: 'code', text }
+//   { type: 'table', header: [runs], rows: [[runs]] }   { type: 'rule' }
+// where runs are [{ text, bold, italic, code }].
+
+function inline(tokens = [], style = {}) {
+  const runs = [];
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inline(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inline(token.tokens, { ...style, italic: true }));
+        break;
+      case 'codespan':
+        runs.push({ ...style, text: token.text, code: true });
+        break;
+      case 'br':
+        runs.push({ ...style, text: '\n' });
+        break;
+      case 'link':
+      case 'del':
+        runs.push(...inline(token.tokens, style));
+        break;
+      default:
+        if (token.tokens) runs.push(...inline(token.tokens, style));
+        else runs.push({ ...style, text: token.text ?? token.raw });
+    }
+  }
+  return runs;
+}
+
+function walk(tokens, blocks, { depth = 0, quote = false } = {}) {
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ type: 'heading', level: token.depth, runs: inline(token.tokens) });
+        break;
+      case 'paragraph':
+      case 'text':
+        blocks.push({ type: quote ? 'quote' : 'paragraph', runs: inline(token.tokens || [token]) });
+        break;
+      case 'list':
+        token.items.forEach((item, i) => {
+          const [first, ...rest] = item.tokens;
+          const marker = token.ordered ? `${(Number(token.start) || 1) + i}.` : '•';
+          const hasText = first && (first.type === 'text' || first.type === 'paragraph');
+          blocks.push({ type: 'listItem', marker, depth, runs: hasText ? inline(first.tokens || [first]) : [] });
+          walk(hasText ? rest : item.tokens, blocks, { depth: depth + 1, quote });
+        });
+        break;
+      case 'blockquote':
+        walk(token.tokens, blocks, { depth, quote: true });
+        break;
+      case 'code':
+        blocks.push({ type: 'code', text: token.text });
+        break;
+      case 'table':
+        blocks.push({
+          type: 'table',
+          header: token.header.map((cell) => inline(cell.tokens)),
+          rows: token.rows.map((row) => row.map((cell) => inline(cell.tokens))),
+        });
+        break;
+      case 'hr':
+        blocks.push({ type: 'rule' });
+        break;
+      case 'space':
+        break;
+      default:
+        if (token.raw?.trim()) blocks.push({ type: 'paragraph', runs: [{ text: token.raw.trim() }] });
+    }
+  }
+  return blocks;
+}
+
+export function markdownBlocks(markdown) {
+  return walk(marked.lexer(markdown || ''), []);
+}
+
+export const plainText = (runs) => runs.map((run) => run.text).join('');
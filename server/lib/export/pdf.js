@@ -0,0 +1,125 @@
+import PDFDocument from 'pdfkit';
+import { markdownBlocks, plainText } from './markdown.js';
+import { fontFile, fontPieces } from './fonts.js';
+
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+  code: 'Courier',
+};
+const HEADING_SIZES = [18, 15, 13, 12];
+const BODY_SIZE = 11;
+
+function font(run) {
+  if (run.code) return FONTS.code;
+  if (run.bold && run.italic) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italic) return FONTS.italic;
+  return FONTS.regular;
+}
+
+// The face for a piece of a run: a Noto font from PDF_FONT_DIR for scripts
+// the built-in fonts lack, when there is one
+function pieceFont(run, piece) {
+  return (piece.font && fontFile(piece.font, run)) || font(run);
+}
+
+// Write styled runs as one flowing paragraph. PDFKit sets right-to-left
+// scripts in the right order within a piece, but doesn't reorder a line that
+// mixes directions.
+function writeRuns(doc, runs, layout, options = {}) {
+  const pieces = runs
+    .filter((run) => run.text)
+    .flatMap((run) => fontPieces(run.text, layout.language).map((piece) => ({ ...piece, face: pieceFont(run, piece), color: run.color })));
+  pieces.forEach((piece, i) => {
+    if (piece.color) doc.fillColor(piece.color);
+    doc.font(piece.face).text(piece.text, { align: layout.align, ...options, continued: i < pieces.length - 1 });
+  });
+}
+
+function writeBlock(doc, b, layout) {
+  const { left } = layout;
+  doc.x = left;
+  switch (b.type) {
+    case 'heading':
+      doc.moveDown(0.6).fontSize(HEADING_SIZES[Math.min(b.level, HEADING_SIZES.length) - 1]);
+      writeRuns(doc, b.runs.map((run) => ({ ...run, bold: true })), layout);
+      doc.fontSize(BODY_SIZE).moveDown(0.3);
+      break;
+    case 'quote':
+      doc.fillColor('#555555');
+      writeRuns(doc, b.runs.map((run) => ({ ...run, italic: true })), layout, { indent: 18 });
+      doc.fillColor('black').moveDown(0.4);
+      break;
+    case 'listItem':
+      doc.x = left + 14 * b.depth;
+      writeRuns(doc, [{ text: `${b.marker} ` }, ...b.runs], layout, { width: doc.page.width - doc.page.margins.right - doc.x });
+      doc.moveDown(0.2);
+      break;
+    case 'code':
+      doc.fontSize(9);
+      writeRuns(doc, [{ text: b.text, code: true }], { ...layout, align: 'left' }, { indent: 12 });
+      doc.fontSize(BODY_SIZE).moveDown(0.4);
+      break;
+    case 'table':
+      // Tables are flattened to one line per row
+      writeRuns(doc, [{ text: b.header.map(plainText).join('  |  '), bold: true }], layout);
+      for (const row of b.rows) writeRuns(doc, [{ text: row.map(plainText).join('  |  ') }], layout);
+      doc.moveDown(0.4);
+      break;
+    case 'rule':
+      doc.moveDown(0.3)
+        .moveTo(left, doc.y).lineTo(doc.page.width - doc.page.margins.right, doc.y)
+        .strokeColor('#cccccc').stroke()
+        .moveDown(0.5);
+      break;
+    default:
+      writeRuns(doc, b.runs, layout);
+      doc.moveDown(0.5);
+  }
+}
+
+// A PDF report: title, metadata, the summary and its citations. Latin text
+// uses the built-in PDF fonts and other scripts the fonts in PDF_FONT_DIR
+// (see ./fonts.js); summaries in right-to-left languages are right-aligned.
+export function renderPdf({ title, metadata, summary, citations, language = 'en', rtl = false }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 56, info: { Title: title, Creator: 'SummarizeAI' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const layout = { left, language, align: 'left' };
+    const summaryLayout = { ...layout, align: rtl ? 'right' : 'left' };
+
+    doc.fontSize(20);
+    writeRuns(doc, [{ text: title, bold: true }], layout);
+    doc.moveDown(0.5).fontSize(10);
+    for (const [label, value] of metadata) {
+      writeRuns(doc, [{ text: `${label}: `, bold: true, color: '#666666' }, { text: value, color: 'black' }], layout);
+    }
+    doc.moveDown(1);
+
+    doc.font(FONTS.bold).fontSize(16).text('Summary').moveDown(0.4);
+    doc.fontSize(BODY_SIZE);
+    for (const b of markdownBlocks(summary)) writeBlock(doc, b, summaryLayout);
+
+    if (citations.length) {
+      doc.x = left;
+      doc.moveDown(1).font(FONTS.bold).fontSize(16).text('Citations').moveDown(0.4);
+      doc.fontSize(10);
+      for (const c of citations) {
+        writeRuns(doc, [{ text: `p. ${c.page} — `, bold: true }, { text: c.claim }], summaryLayout);
+        doc.fillColor('#555555');
+        writeRuns(doc, [{ text: c.quote, italic: true }], layout, { indent: 18 });
+        doc.fillColor('black').moveDown(0.4);
+      }
+    }
+
+    doc.end();
+  });
+}
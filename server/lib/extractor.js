@@ -0,0 +1,137 @@
+import Ajv from 'ajv';
+import { chunkPages } from './chunker.js';
+import { httpError } from './errors.js';
+
+const CHUNK_TOKENS = 6000;
+const MAX_ATTEMPTS = 3;
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compile a user supplied JSON Schema, rejecting invalid ones with a 400.
+export function compileSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw httpError(400, 'Schema must be a JSON Schema object', { code: 'invalid_schema' });
+  }
+  try {
+    return ajv.compile(schema);
+  } catch (cause) {
+    throw httpError(400, `Invalid JSON Schema: ${cause.message}`, { code: 'invalid_schema' });
+  }
+}
+
+// Models sometimes wrap JSON in a code fence or add a sentence around it;
+// fall back to the outermost {...} when the whole response doesn't parse.
+function parseJson(content) {
+  const text = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return undefined;
+    try {
+      return JSON.parse(text.substring(start, end + 1));
+    } catch {
+      return undefined;
+    }
+  }
+}
+
+function describeErrors(errors) {
+  return errors.slice(0, 10).map((e) => `${e.instancePath || '/'} ${e.message}`).join('; ');
+}
+
+function systemPrompt(schema, { partial = false } = {}) {
+  const scope = partial
+    ? 'The text is one part of a longer document: extract only what this part contains and use null or empty arrays for everything else.'
+    : 'Use null or empty arrays for information the document does not contain.';
+  return `You extract structured data from documents. Respond with a single JSON object that conforms to the JSON Schema below and nothing else - no markdown, no commentary. ${scope} Never invent values.\n\n<schema>\n${JSON.stringify(schema)}\n</schema>`;
+}
+
+// Ask for JSON and check it against `validate`. Invalid responses are sent
+// back to the model together with the validation errors so it can repair
+// them, up to MAX_ATTEMPTS requests in total.
+export async function requestJson(llm, system, user, validate) {
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: user },
+  ];
+  let problem;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const { content } = await llm.provider.chat({
+      messages,
+      model: llm.model,
+      temperature: 0,
+      maxTokens: 2048,
+      json: true,
+    });
+
+    const data = parseJson(content);
+    if (data === undefined) {
+      problem = 'The response was not valid JSON.';
+    } else if (!validate(data)) {
+      problem = `The JSON does not match the schema: ${describeErrors(validate.errors)}.`;
+    } else {
+      return { data, attempts: attempt };
+    }
+
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: `${problem} Reply with the corrected JSON object only.` }
+    );
+  }
+
+  throw httpError(422, `Extracted data failed validation after ${MAX_ATTEMPTS} attempts. ${problem}`, { code: 'extraction_failed' });
+}
+
+const isObject = (data) => data !== null && typeof data === 'object' && !Array.isArray(data);
+
+// Extract data matching `schema` from a document given its per-page text.
+// Documents that don't fit one request are extracted part by part and the
+// partial results merged by the model; only the final object has to satisfy
+// the schema. `onProgress` receives the same stage events as summarizeDocument.
+// Returns { data, chunkCount, attempts }.
+export async function extractStructured(llm, { pages, schema }, { onProgress } = {}) {
+  const validate = compileSchema(schema);
+  const chunks = chunkPages(pages, {
+    maxTokens: CHUNK_TOKENS,
+    countTokens: llm.provider.countTokens,
+    markPages: true,
+  });
+  const progress = (event) => onProgress?.(event);
+
+  progress({ stage: 'chunked', total: chunks.length });
+
+  if (chunks.length <= 1) {
+    progress({ stage: 'summarizing' });
+    const { data, attempts } = await requestJson(
+      llm,
+      systemPrompt(schema),
+      `Extract the data from the following document:\n\n${chunks[0]?.text || ''}`,
+      validate
+    );
+    return { data, chunkCount: chunks.length, attempts };
+  }
+
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const { data } = await requestJson(
+      llm,
+      systemPrompt(schema, { partial: true }),
+      `This is part ${i + 1} of ${chunks.length}.\n\n${chunks[i].text}`,
+      isObject
+    );
+    partials.push(data);
+    progress({ stage: 'chunk', index: i + 1, total: chunks.length });
+  }
+
+  progress({ stage: 'summarizing' });
+  const { data, attempts } = await requestJson(
+    llm,
+    systemPrompt(schema),
+    `The following JSON objects were extracted from consecutive parts of one document. Merge them into a single object for the whole document: combine lists without duplicates and prefer specific values over null.\n\n${partials.map((p, i) => `Part ${i + 1}:\n${JSON.stringify(p)}`).join('\n\n')}`,
+    validate
+  );
+  return { data, chunkCount: chunks.length, attempts };
+}
@@ -0,0 +1,22 @@
+import mammoth from 'mammoth';
+import { htmlText } from './html.js';
+import { textPages, textResult } from './text.js';
+
+// Word files carry no reliable page breaks, so the document is split into
+// sections at its top-level headings; without at least two of those it is
+// cut into pages of plain text instead.
+async function extract(buffer) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+  const sections = html.split(/(?=<h[12][ >])/).map((part) => htmlText(part).trim()).filter(Boolean);
+  if (sections.length >= 2) return textResult(sections);
+  return textResult(textPages(htmlText(html)));
+}
+
+export const docx = {
+  type: 'docx',
+  label: 'Word document',
+  unit: 'section',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extract,
+};
@@ -0,0 +1,43 @@
+import JSZip from 'jszip';
+import { htmlText } from './html.js';
+import { textResult } from './text.js';
+import { attribute, elements, resolvePath } from './xml.js';
+
+const folderOf = (path) => path.substring(0, path.lastIndexOf('/'));
+
+// One page per chapter: the documents of the book's spine in reading order,
+// leaving out ones without text (covers, image pages)
+async function extract(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await zip.file('META-INF/container.xml')?.async('string');
+  const opfPath = container && attribute(elements(container, 'rootfile')[0] || '', 'full-path');
+  const opf = opfPath && await zip.file(opfPath)?.async('string');
+  if (!opf) throw new Error('it has no package document');
+
+  const manifest = new Map(elements(opf, 'item').map((item) => [
+    attribute(item, 'id'),
+    { href: attribute(item, 'href'), mediaType: attribute(item, 'media-type') },
+  ]));
+
+  const chapters = [];
+  for (const itemref of elements(opf, 'itemref')) {
+    const item = manifest.get(attribute(itemref, 'idref'));
+    if (!item?.href || !/html/.test(item.mediaType || '')) continue;
+
+    const path = resolvePath(folderOf(opfPath), decodeURIComponent(item.href.split('#')[0]));
+    const xhtml = await zip.file(path)?.async('string');
+    const text = xhtml ? htmlText(xhtml).trim() : '';
+    if (text) chapters.push(text);
+  }
+
+  return textResult(chapters);
+}
+
+export const epub = {
+  type: 'epub',
+  label: 'EPUB e-book',
+  unit: 'chapter',
+  extensions: ['.epub'],
+  mimeTypes: ['application/epub+zip'],
+  extract,
+};
@@ -0,0 +1,30 @@
+import { convert } from 'html-to-text';
+import { decodeText, textPages, textResult } from './text.js';
+
+const htmlOptions = {
+  wordwrap: false,
+  selectors: [
+    { selector: 'a', options: { ignoreHref: true } },
+    { selector: 'img', format: 'skip' },
+    ...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((selector) => ({ selector, format: 'heading', options: { uppercase: false } })),
+    ...['script', 'style', 'noscript', 'svg', 'nav', 'footer', 'form'].map((selector) => ({ selector, format: 'skip' })),
+  ],
+};
+
+// The readable text of an HTML document or fragment
+export const htmlText = (html) => convert(html, htmlOptions);
+
+// The <title> of an HTML page, or null
+export function htmlTitle(html) {
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+  return title ? convert(title, { wordwrap: false }).trim() || null : null;
+}
+
+export const html = {
+  type: 'html',
+  label: 'Web page',
+  unit: 'page',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html', 'application/xhtml+xml'],
+  extract: async (buffer) => textResult(textPages(htmlText(decodeText(buffer)))),
+};
@@ -0,0 +1,53 @@
+import path from 'path';
+import { pdf } from './pdf.js';
+import { docx } from './docx.js';
+import { pptx } from './pptx.js';
+import { epub } from './epub.js';
+import { html } from './html.js';
+import { markdown, txt } from './text.js';
+
+export { extractPlainText } from './text.js';
+export { htmlText, htmlTitle } from './html.js';
+
+// Text extractors keyed by document type. An extractor is
+// { type, label, unit, extensions, mimeTypes, extract(buffer, { ocr, onStage }) }
+// where `unit` names what its pages are ('page', 'slide', 'section',
+// 'chapter') and `extract` resolves { text, pages, numpages, pageMethods,
+// ocr, ocrConfidence } like extractDocumentText in ../pdf.js.
+const registry = new Map();
+
+export function registerExtractor(extractor) {
+  registry.set(extractor.type, extractor);
+}
+
+for (const extractor of [pdf, docx, pptx, epub, txt, markdown, html]) {
+  registerExtractor(extractor);
+}
+
+export const getExtractor = (type) => registry.get(type) || null;
+
+// The extractor for a file, by extension first since browsers and servers
+// often report office and markdown files as application/octet-stream
+export function extractorFor({ filename = '', mimeType = '' }) {
+  const extension = path.extname(filename).toLowerCase();
+  const extractors = [...registry.values()];
+  return extractors.find((e) => e.extensions.includes(extension))
+    || extractors.find((e) => e.mimeTypes.includes(mimeType))
+    || null;
+}
+
+export const supportedExtensions = () => [...registry.values()].flatMap((e) => e.extensions);
+
+// Extract a document's text with the extractor registered for `type`.
+// Unreadable files are rejected with a 400.
+export async function extractDocument(type, buffer, options = {}) {
+  const extractor = registry.get(type);
+  try {
+    return await extractor.extract(buffer, options);
+  } catch (err) {
+    if (err.status) throw err;
+    const error = new Error(`Could not read this ${extractor.label}: ${err.message}`);
+    error.status = 400;
+    throw error;
+  }
+}
@@ -0,0 +1,10 @@
+import { extractDocumentText } from '../pdf.js';
+
+export const pdf = {
+  type: 'pdf',
+  label: 'PDF',
+  unit: 'page',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  extract: (buffer, { ocr, onStage }) => extractDocumentText(buffer, { ocr, onStage }),
+};
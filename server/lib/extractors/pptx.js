@@ -0,0 +1,63 @@
+import JSZip from 'jszip';
+import { textResult } from './text.js';
+import { attribute, decodeXml, elements, relationships } from './xml.js';
+
+const NOTES_RELATIONSHIP = /\/notesSlide$/;
+
+// Placeholders on notes pages that repeat the slide image, number, header
+// or footer rather than holding the speaker's notes
+const NOTES_SKIP = /<p:ph\b[^>]*type="(?:sldImg|sldNum|hdr|ftr|dt)"/;
+
+// The text of each paragraph (<a:p>) in a slide or notes part
+function paragraphs(xml) {
+  return elements(xml, 'a:p')
+    .map((p) => elements(p, 'a:t').map((t) => decodeXml(t.replace(/<[^>]+>/g, ''))).join(''))
+    .filter((text) => text.trim());
+}
+
+async function readPart(zip, path) {
+  const file = zip.file(path);
+  return file ? file.async('string') : null;
+}
+
+// One page per slide, in presentation order: the slide's text followed by
+// its speaker notes
+async function extract(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const presentation = await readPart(zip, 'ppt/presentation.xml');
+  if (!presentation) throw new Error('it has no ppt/presentation.xml');
+
+  const rels = relationships(await readPart(zip, 'ppt/_rels/presentation.xml.rels') || '', 'ppt');
+  const slidePaths = elements(presentation, 'p:sldId')
+    .map((sldId) => rels.get(attribute(sldId, 'r:id'))?.target)
+    .filter(Boolean);
+
+  const pages = [];
+  for (const path of slidePaths) {
+    const slide = await readPart(zip, path) || '';
+    const folder = path.substring(0, path.lastIndexOf('/'));
+    const name = path.substring(path.lastIndexOf('/') + 1);
+    const slideRels = relationships(await readPart(zip, `${folder}/_rels/${name}.rels`) || '', folder);
+    const notesPath = [...slideRels.values()].find((rel) => NOTES_RELATIONSHIP.test(rel.type))?.target;
+
+    const lines = paragraphs(slide);
+    if (notesPath) {
+      const notes = elements(await readPart(zip, notesPath) || '', 'p:sp')
+        .filter((shape) => !NOTES_SKIP.test(shape))
+        .flatMap(paragraphs);
+      if (notes.length) lines.push(`Speaker notes: ${notes.join(' ')}`);
+    }
+    pages.push(lines.join('\n'));
+  }
+
+  return textResult(pages);
+}
+
+export const pptx = {
+  type: 'pptx',
+  label: 'PowerPoint',
+  unit: 'slide',
+  extensions: ['.pptx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+  extract,
+};
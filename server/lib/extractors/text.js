@@ -0,0 +1,61 @@
+// Plain text has no pages; it is cut into pages of about this many characters
+// at paragraph breaks so page citations work the same as for PDFs
+const PAGE_CHARS = 3000;
+
+// Paragraphs within a page are joined by single newlines so the stored text
+// (pages separated by blank lines) splits back into the same pages
+export const flatten = (page) => page.replace(/\r\n?/g, '\n').replace(/\n\s*\n/g, '\n').trim();
+
+// The result every extractor resolves, in the same shape as
+// extractDocumentText (see ../pdf.js), for per-page text. Empty pages are
+// kept so page numbers match the document's own (e.g. an image-only slide).
+export function textResult(pages) {
+  const flat = pages.map(flatten);
+  return {
+    text: flat.join('\n\n'),
+    numpages: flat.length,
+    pages: flat,
+    pageMethods: flat.map(() => ({ method: 'text' })),
+    ocr: false,
+    ocrConfidence: null,
+  };
+}
+
+// Cut text into pages at paragraph breaks
+export function textPages(text) {
+  const paragraphs = text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  const pages = [];
+  let current = '';
+  for (const paragraph of paragraphs) {
+    if (current && current.length + paragraph.length > PAGE_CHARS) {
+      pages.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current) pages.push(current);
+  return pages;
+}
+
+export const extractPlainText = (text) => textResult(textPages(text));
+
+// UTF-8 text, without a byte order mark
+export const decodeText = (buffer) => new TextDecoder('utf-8').decode(buffer).replace(/^\uFEFF/, '');
+
+export const txt = {
+  type: 'txt',
+  label: 'Text file',
+  unit: 'page',
+  extensions: ['.txt', '.text'],
+  mimeTypes: ['text/plain'],
+  extract: async (buffer) => extractPlainText(decodeText(buffer)),
+};
+
+export const markdown = {
+  type: 'md',
+  label: 'Markdown',
+  unit: 'page',
+  extensions: ['.md', '.markdown'],
+  mimeTypes: ['text/markdown', 'text/x-markdown'],
+  extract: async (buffer) => extractPlainText(decodeText(buffer)),
+};
@@ -0,0 +1,43 @@
+// Just enough XML handling for the text in OOXML and EPUB packages
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+  if (entity[0] !== '#') return ENTITIES[entity] ?? match;
+  const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+  return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+});
+
+// Attribute `name` of an element (the first tag in `element`)
+export function attribute(element, name) {
+  const value = element.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1];
+  return value === undefined ? undefined : decodeXml(value);
+}
+
+// Every `tag` element in `xml`, as strings. Tags include their namespace
+// prefix, e.g. "p:sldId".
+export const elements = (xml, tag) => xml.match(new RegExp(`<${tag}\\b[^>]*?(?:/>|>[\\s\\S]*?</${tag}>)`, 'g')) || [];
+
+// Relationship id -> target path, resolved against `base` (the folder of the
+// part the .rels file belongs to)
+export function relationships(xml, base) {
+  const map = new Map();
+  for (const rel of elements(xml, 'Relationship')) {
+    map.set(attribute(rel, 'Id'), {
+      type: attribute(rel, 'Type'),
+      target: resolvePath(base, attribute(rel, 'Target')),
+    });
+  }
+  return map;
+}
+
+// Resolve a relative path inside a zip package
+export function resolvePath(base, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = base ? base.split('/') : [];
+  for (const part of target.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  }
+  return parts.join('/');
+}
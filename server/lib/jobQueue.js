@@ -0,0 +1,158 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import { errorResponse } from './errors.js';
+
+// In-memory job queue with a concurrency limit and exponential backoff for
+// retryable failures. Jobs live only as long as the process does.
+//
+// `worker(payload, { onStage, onToken })` does the actual work and resolves
+// with the job result. Subscribers receive the same stage/token events plus
+// `retry`, `done` and `failed`. `onFailed(job)` is called once a job has
+// failed for good. Errors reach clients with the message a JSON route would
+// respond with, so internal (5xx) details stay in the server log.
+export function createJobQueue({
+  worker,
+  concurrency = 2,
+  maxAttempts = 4,
+  baseDelayMs = 2000,
+  maxDelayMs = 60000,
+  isRetryable = () => false,
+  retryAfterMs = () => null,
+  onFailed = () => {},
+  ttlMs = 60 * 60 * 1000,
+}) {
+  const jobs = new Map();
+  const pending = [];
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let running = 0;
+
+  const publish = (job, event, data) => {
+    job.updatedAt = new Date().toISOString();
+    emitter.emit(job.id, event, data);
+  };
+
+  const toJSON = (job) => ({
+    id: job.id,
+    status: job.status,
+    meta: job.meta,
+    attempts: job.attempts,
+    progress: job.progress,
+    partialSummary: job.partialSummary,
+    result: job.result,
+    error: job.error,
+    nextAttemptAt: job.nextAttemptAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  });
+
+  const prune = () => {
+    const cutoff = Date.now() - ttlMs;
+    for (const [id, job] of jobs) {
+      if ((job.status === 'done' || job.status === 'failed') && Date.parse(job.updatedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      run(pending.shift());
+    }
+  };
+
+  const run = async (job) => {
+    running++;
+    job.status = 'running';
+    job.attempts++;
+    job.nextAttemptAt = null;
+    job.progress = {};
+    job.partialSummary = '';
+    publish(job, 'status', { status: job.status, attempts: job.attempts });
+
+    try {
+      job.result = await worker(job.payload, {
+        onStage: (event) => {
+          job.progress = { ...job.progress, ...event };
+          publish(job, 'stage', event);
+        },
+        onToken: (text) => {
+          job.partialSummary += text;
+          publish(job, 'token', { text });
+        },
+      });
+      job.status = 'done';
+      job.payload = null;
+      publish(job, 'done', job.result);
+    } catch (err) {
+      console.error(`Job ${job.id} attempt ${job.attempts} error:`, err);
+      const { error } = errorResponse(err, 'Job failed').body;
+      if (job.attempts < maxAttempts && isRetryable(err)) {
+        const backoff = Math.min(baseDelayMs * 2 ** (job.attempts - 1), maxDelayMs);
+        const delay = Math.max(retryAfterMs(err) || 0, backoff);
+        job.status = 'queued';
+        job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        publish(job, 'retry', { attempts: job.attempts, delayMs: delay, error });
+        setTimeout(() => {
+          pending.push(job);
+          drain();
+        }, delay);
+      } else {
+        job.status = 'failed';
+        job.error = error;
+        job.payload = null;
+        publish(job, 'failed', { error: job.error });
+        onFailed(toJSON(job));
+      }
+    } finally {
+      running--;
+      drain();
+    }
+  };
+
+  return {
+    // Queue a job and return its public representation right away.
+    // `meta` is exposed to clients; `payload` is only handed to the worker.
+    enqueue(payload, meta = {}) {
+      prune();
+      const now = new Date().toISOString();
+      const job = {
+        id: randomUUID(),
+        status: 'queued',
+        meta,
+        payload,
+        attempts: 0,
+        progress: {},
+        partialSummary: '',
+        result: null,
+        error: null,
+        nextAttemptAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      jobs.set(job.id, job);
+      pending.push(job);
+      drain();
+      return toJSON(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? toJSON(job) : null;
+    },
+
+    list({ status } = {}) {
+      prune();
+      return [...jobs.values()]
+        .filter((job) => !status || job.status === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(toJSON);
+    },
+
+    // Listen to a job's events. Returns an unsubscribe function.
+    subscribe(id, listener) {
+      emitter.on(id, listener);
+      return () => emitter.off(id, listener);
+    },
+  };
+}
@@ -0,0 +1,53 @@
+import { franc } from 'franc';
+
+// Languages documents are detected in and summaries can be written in, keyed
+// by ISO 639-1 code. `iso3` is the code franc reports; `rtl` marks scripts
+// written right to left.
+export const LANGUAGES = {
+  en: { name: 'English', iso3: 'eng' },
+  de: { name: 'German', iso3: 'deu' },
+  es: { name: 'Spanish', iso3: 'spa' },
+  fr: { name: 'French', iso3: 'fra' },
+  it: { name: 'Italian', iso3: 'ita' },
+  pt: { name: 'Portuguese', iso3: 'por' },
+  nl: { name: 'Dutch', iso3: 'nld' },
+  pl: { name: 'Polish', iso3: 'pol' },
+  ru: { name: 'Russian', iso3: 'rus' },
+  uk: { name: 'Ukrainian', iso3: 'ukr' },
+  tr: { name: 'Turkish', iso3: 'tur' },
+  ar: { name: 'Arabic', iso3: 'arb', rtl: true },
+  he: { name: 'Hebrew', iso3: 'heb', rtl: true },
+  fa: { name: 'Persian', iso3: 'pes', rtl: true },
+  ur: { name: 'Urdu', iso3: 'urd', rtl: true },
+  hi: { name: 'Hindi', iso3: 'hin' },
+  ja: { name: 'Japanese', iso3: 'jpn' },
+  zh: { name: 'Chinese', iso3: 'cmn' },
+  ko: { name: 'Korean', iso3: 'kor' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Output language meaning "the language the document is written in"
+export const SAME_AS_DOCUMENT = 'auto';
+
+const byIso3 = Object.fromEntries(Object.entries(LANGUAGES).map(([code, { iso3 }]) => [iso3, code]));
+const candidates = Object.keys(byIso3);
+
+// Enough text to tell languages apart; franc looks at a prefix of this size anyway
+const SAMPLE_CHARS = 2000;
+
+export const isLanguage = (code) => typeof code === 'string' && Object.hasOwn(LANGUAGES, code);
+
+// The language code of a document's extracted text, or null when there is too
+// little text to tell or it is not one of LANGUAGES
+export function detectLanguage(text) {
+  const sample = text.replace(/\[Page \d+\]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, SAMPLE_CHARS);
+  return byIso3[franc(sample, { only: candidates, minLength: 20 })] ?? null;
+}
+
+// The language to write in for an `outputLanguage` option, given the
+// detected document language
+export function resolveOutputLanguage(outputLanguage, detected) {
+  if (outputLanguage === SAME_AS_DOCUMENT) return detected || DEFAULT_LANGUAGE;
+  return outputLanguage || DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,50 @@
+import Groq from 'groq-sdk';
+import { estimateTokens } from '../chunker.js';
+
+// Groq's hosted Llama models via the official SDK.
+export function createGroqProvider({ apiKey = process.env.GROQ_API_KEY, defaultModel = 'llama-3.1-8b-instant' } = {}) {
+  const groq = new Groq({ apiKey });
+
+  const toRequest = ({ messages, model, temperature = 0.3, maxTokens = 2048, json = false }) => ({
+    messages,
+    model: model || defaultModel,
+    temperature,
+    max_tokens: maxTokens,
+    ...(json ? { response_format: { type: 'json_object' } } : {}),
+  });
+
+  return {
+    name: 'groq',
+    defaultModel,
+
+    async chat(request) {
+      const chatCompletion = await groq.chat.completions.create(toRequest(request));
+      return {
+        content: chatCompletion.choices[0]?.message?.content || '',
+        usage: {
+          promptTokens: chatCompletion.usage?.prompt_tokens ?? null,
+          completionTokens: chatCompletion.usage?.completion_tokens ?? null,
+        },
+      };
+    },
+
+    async *chatStream(request) {
+      const stream = await groq.chat.completions.create({ ...toRequest(request), stream: true });
+      let usage = null;
+      for await (const part of stream) {
+        const delta = part.choices[0]?.delta?.content;
+        if (delta) yield delta;
+        // Groq reports usage on the last chunk
+        if (part.x_groq?.usage) usage = part.x_groq.usage;
+      }
+      return {
+        usage: {
+          promptTokens: usage?.prompt_tokens ?? null,
+          completionTokens: usage?.completion_tokens ?? null,
+        },
+      };
+    },
+
+    countTokens: estimateTokens,
+  };
+}
@@ -0,0 +1,47 @@
+import { createGroqProvider } from './groq.js';
+import { createOpenAICompatibleProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { httpError } from '../errors.js';
+
+export { meterUsage } from './usage.js';
+
+// Every provider implements:
+//   chat({ messages, model, temperature, maxTokens, json }) -> { content, usage }
+//   chatStream(sameRequest) -> async iterable of content deltas, returning
+//     { usage } when done
+//   countTokens(text) -> number
+// `json: true` asks for the response to be a single JSON object. `usage` is
+// { promptTokens, completionTokens }, null where the provider does not say.
+const factories = {
+  groq: createGroqProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+export const providerNames = Object.keys(factories);
+
+// Providers are created on first use so that, for example, the mock provider
+// works without a GROQ_API_KEY being set.
+const instances = new Map();
+
+function getProvider(name) {
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+  return instances.get(name);
+}
+
+// Resolve the provider and model for a request. Per-request choices override
+// LLM_PROVIDER / LLM_MODEL, which override each provider's default model.
+// Returns { provider, model }.
+export function resolveLLM({ provider, model } = {}) {
+  const defaultName = process.env.LLM_PROVIDER || 'groq';
+  const name = provider || defaultName;
+  if (!factories[name]) {
+    throw httpError(400, `Unknown LLM provider "${name}". Use one of: ${providerNames.join(', ')}`, { code: 'unknown_provider' });
+  }
+
+  const instance = getProvider(name);
+  const envModel = name === defaultName ? process.env.LLM_MODEL : null;
+  return { provider: instance, model: model || envModel || instance.defaultModel };
+}
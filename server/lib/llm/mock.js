@@ -0,0 +1,93 @@
+import { estimateTokens } from '../chunker.js';
+
+// Deterministic offline provider for development and tests. It "summarizes"
+// by echoing the first few sentences of the prompt's content, so the same
+// input always yields the same output and no API key or network is needed.
+function reply(messages) {
+  const user = [...messages].reverse().find((m) => m.role === 'user')?.content || '';
+  // Prompts are "<instruction>\n\n<content>"; skip the instruction when present
+  const body = user.includes('\n\n') ? user.substring(user.indexOf('\n\n') + 2) : user;
+  const plain = body.replace(/^#+ .*$/gm, '').replace(/^\s*[-*] /gm, '');
+
+  // Sentences following a "[Page N]" header get a [p. N] citation, like the
+  // real prompts ask for
+  const points = [];
+  const parts = plain.split(/\[Page (\d+)\]/);
+  for (let i = 0; i < parts.length && points.length < 3; i += 2) {
+    const page = parts[i - 1];
+    // Existing citations (when merging partial summaries) stay with their sentence
+    const text = parts[i].replace(/\s+/g, ' ').replace(/\[p\. (\d+)\]/g, '{{$1}}');
+    const sentences = text.match(/[^.!?]+[.!?]+(?:\s*\{\{\d+\}\})*/g) || [text];
+    for (const sentence of sentences) {
+      if (!sentence.trim() || points.length >= 3) continue;
+      const point = sentence.trim().replace(/\{\{(\d+)\}\}/g, '[p. $1]');
+      points.push(`- ${point}${page ? ` [p. ${page}]` : ''}`);
+    }
+  }
+
+  return ['## Summary', '', ...(points.length ? points : ['- (no content)'])].join('\n');
+}
+
+// JSON mode: build an object from the <schema> in the system prompt, filling
+// strings with the start of the document so the output is schema-valid.
+function example(schema, snippet) {
+  if (schema.enum) return schema.enum[0];
+  const type = [].concat(schema.type || 'object').find((t) => t !== 'null');
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, prop]) => [key, example(prop, snippet)])
+      );
+    case 'array':
+      return schema.items ? [example(schema.items, snippet)] : [];
+    case 'number':
+    case 'integer':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return false;
+    default:
+      return snippet;
+  }
+}
+
+function jsonReply(messages) {
+  const system = messages.find((m) => m.role === 'system')?.content || '';
+  const schema = system.match(/<schema>\n([\s\S]*?)\n<\/schema>/)?.[1];
+  const user = messages.find((m) => m.role === 'user')?.content || '';
+  const body = user.includes('\n\n') ? user.substring(user.indexOf('\n\n') + 2) : user;
+  const snippet = body.replace(/\[Page \d+\]/g, '').replace(/\s+/g, ' ').trim().substring(0, 60) || 'n/a';
+  return JSON.stringify(schema ? example(JSON.parse(schema), snippet) : {});
+}
+
+export function createMockProvider({ defaultModel = 'mock-1' } = {}) {
+  return {
+    name: 'mock',
+    defaultModel,
+
+    async chat({ messages, json = false }) {
+      const content = json ? jsonReply(messages) : reply(messages);
+      return {
+        content,
+        usage: {
+          promptTokens: estimateTokens(messages.map((m) => m.content).join('\n')),
+          completionTokens: estimateTokens(content),
+        },
+      };
+    },
+
+    async *chatStream({ messages }) {
+      const content = reply(messages);
+      for (const word of content.split(/(?<=\s)/)) {
+        yield word;
+      }
+      return {
+        usage: {
+          promptTokens: estimateTokens(messages.map((m) => m.content).join('\n')),
+          completionTokens: estimateTokens(content),
+        },
+      };
+    },
+
+    countTokens: estimateTokens,
+  };
+}
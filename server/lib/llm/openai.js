@@ -0,0 +1,89 @@
+import { estimateTokens } from '../chunker.js';
+
+// Any endpoint speaking the OpenAI chat completions API: OpenAI itself, a
+// local Ollama (http://localhost:11434/v1) or llama.cpp server, vLLM, etc.
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  apiKey = process.env.OPENAI_API_KEY,
+  defaultModel = process.env.OPENAI_MODEL || 'llama3.1',
+} = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  const post = async ({ messages, model, temperature = 0.3, maxTokens = 2048, json = false }, stream) => {
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        messages,
+        model: model || defaultModel,
+        temperature,
+        max_tokens: maxTokens,
+        stream,
+        // Ask for a final chunk with token usage; servers that don't know the
+        // option ignore it
+        ...(stream ? { stream_options: { include_usage: true } } : {}),
+        ...(json ? { response_format: { type: 'json_object' } } : {}),
+      }),
+    });
+
+    if (!res.ok) {
+      const body = await res.text().catch(() => '');
+      const err = new Error(`LLM request failed with status ${res.status}${body ? `: ${body.substring(0, 500)}` : ''}`);
+      // Same shape as the Groq SDK's errors so retry logic can treat them alike
+      err.status = res.status;
+      err.headers = Object.fromEntries(res.headers);
+      throw err;
+    }
+    return res;
+  };
+
+  return {
+    name: 'openai',
+    defaultModel,
+
+    async chat(request) {
+      const data = await (await post(request, false)).json();
+      return {
+        content: data.choices?.[0]?.message?.content || '',
+        usage: {
+          promptTokens: data.usage?.prompt_tokens ?? null,
+          completionTokens: data.usage?.completion_tokens ?? null,
+        },
+      };
+    },
+
+    async *chatStream(request) {
+      const res = await post(request, true);
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let usage = null;
+
+      for await (const bytes of res.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const payload = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !payload || payload === '[DONE]') continue;
+          const part = JSON.parse(payload);
+          const delta = part.choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+          if (part.usage) usage = part.usage;
+        }
+      }
+
+      return {
+        usage: {
+          promptTokens: usage?.prompt_tokens ?? null,
+          completionTokens: usage?.completion_tokens ?? null,
+        },
+      };
+    },
+
+    countTokens: estimateTokens,
+  };
+}
@@ -0,0 +1,51 @@
+// Token and latency accounting for LLM calls. meterUsage wraps an
+// { provider, model } pair (see resolveLLM) so every chat or stream through it
+// adds to `usage`: { promptTokens, completionTokens, requests, latencyMs }.
+// Counts the provider does not report are estimated with its countTokens.
+export function meterUsage(llm) {
+  const { provider } = llm;
+  const usage = { promptTokens: 0, completionTokens: 0, requests: 0, latencyMs: 0 };
+
+  const record = (request, content, reported, startedAt) => {
+    usage.promptTokens += reported?.promptTokens
+      ?? provider.countTokens(request.messages.map((m) => m.content).join('\n'));
+    usage.completionTokens += reported?.completionTokens ?? provider.countTokens(content);
+    usage.requests += 1;
+    usage.latencyMs += Date.now() - startedAt;
+  };
+
+  const metered = {
+    ...provider,
+
+    async chat(request) {
+      const startedAt = Date.now();
+      const response = await provider.chat(request);
+      record(request, response.content, response.usage, startedAt);
+      return response;
+    },
+
+    // Streams return { usage } when they finish; one that is abandoned or
+    // fails part way is counted from what arrived
+    async *chatStream(request) {
+      const startedAt = Date.now();
+      const iterator = provider.chatStream(request)[Symbol.asyncIterator]();
+      let content = '';
+      let reported = null;
+      try {
+        for (;;) {
+          const { value, done } = await iterator.next();
+          if (done) {
+            reported = value?.usage;
+            break;
+          }
+          content += value;
+          yield value;
+        }
+      } finally {
+        record(request, content, reported, startedAt);
+      }
+    },
+  };
+
+  return { ...llm, provider: metered, usage };
+}
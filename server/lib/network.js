@@ -0,0 +1,63 @@
+import dns from 'dns';
+import net from 'net';
+import { httpError } from './errors.js';
+
+// Guards for outgoing requests to user-supplied URLs (documents to fetch,
+// webhooks to call), so they cannot reach the server's own network.
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+]) {
+  blocked.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+  blocked.addSubnet(address, prefix, 'ipv6');
+}
+
+// Loopback, private, link-local and other non-public addresses. Set
+// ALLOW_PRIVATE_URLS=true to fetch from them anyway (local development).
+export function isPrivateAddress(address) {
+  if (process.env.ALLOW_PRIVATE_URLS === 'true') return false;
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+  if (mapped) return blocked.check(mapped, 'ipv4');
+  return blocked.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup for outgoing requests that refuses private addresses. Checking
+// at connect time (rather than resolving once up front) also covers redirects
+// and DNS answers that change between lookups.
+export function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(httpError(400, `Refusing to connect to ${hostname}: it resolves to a private network address`, { code: 'private_address' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Parse a user-supplied URL: http(s) only, and not a private IP literal (host
+// names are checked by publicLookup when connecting)
+export function parsePublicUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw httpError(400, 'The url is not a valid URL', { code: 'invalid_url' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw httpError(400, 'Only http and https URLs are supported', { code: 'invalid_url' });
+  }
+  // IP literals never go through the lookup above
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    throw httpError(400, `Refusing to connect to ${url.hostname}: it is a private network address`, { code: 'private_address' });
+  }
+  return url;
+}
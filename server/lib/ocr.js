@@ -0,0 +1,54 @@
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { createWorker } from 'tesseract.js';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const require = createRequire(import.meta.url);
+
+// Language data ships as an npm package so recognition never hits the network
+const engData = require('@tesseract.js-data/eng');
+const standardFontDataUrl = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+const RENDER_SCALE = Number(process.env.OCR_RENDER_SCALE) || 2;
+
+// Rasterize the given 1-based page numbers of a PDF and run Tesseract on each.
+// Resolves with a Map of page number -> { text, confidence (0-100) }.
+export async function recognizePdfPages(buffer, pageNumbers, { onPage } = {}) {
+  const results = new Map();
+  if (pageNumbers.length === 0) return results;
+
+  const doc = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  const worker = await createWorker(engData.code, 1, {
+    langPath: engData.langPath,
+    gzip: engData.gzip,
+    cachePath: path.join(os.tmpdir(), 'summarize-ai-tesseract'),
+  });
+
+  try {
+    for (const [i, pageNumber] of pageNumbers.entries()) {
+      const page = await doc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const { canvas, context } = doc.canvasFactory.create(viewport.width, viewport.height);
+
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+      const { data } = await worker.recognize(canvas.toBuffer('image/png'));
+
+      results.set(pageNumber, { text: data.text || '', confidence: data.confidence || 0 });
+      doc.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+      onPage?.(i + 1, pageNumbers.length);
+    }
+  } finally {
+    await worker.terminate();
+    await doc.destroy();
+  }
+
+  return results;
+}
@@ -0,0 +1,954 @@
+import { MIN_PASSWORD_LENGTH, SESSION_COOKIE } from './auth.js';
+import { STATUS_CODES } from './errors.js';
+import { exportFormats } from './export/index.js';
+import { supportedExtensions } from './extractors/index.js';
+import { LANGUAGES, SAME_AS_DOCUMENT } from './language.js';
+import { providerNames } from './llm/index.js';
+import { savedSchemas } from './schemas.js';
+import { lengthInstructions } from './summarizer.js';
+import {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_NAME_LENGTH,
+  MAX_PROMPT_LENGTH,
+  MAX_VALUE_LENGTH,
+  builtInTemplates,
+} from './templates.js';
+import { MIN_SECRET_LENGTH, WEBHOOK_EVENTS } from './webhooks.js';
+
+// The OpenAPI 3.1 description of the HTTP API, served at /api/openapi.json
+// and browsable at /api/docs. It is also the contract the server holds itself
+// to: lib/validation.js checks requests (and, with VALIDATE_RESPONSES=true,
+// responses) against the operation a route names with validate(operationId).
+//
+// Path parameters may carry `x-not-found`: the message of the 404 sent when
+// the value can't be an id at all (e.g. not a UUID), as an unknown one would.
+
+export const MAX_HISTORY_LIMIT = 100;
+export const MAX_USAGE_DAYS = 366;
+export const MAX_DELIVERY_LIMIT = 200;
+export const MAX_EXPORT_IDS = 100;
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const errors = (...statuses) => Object.fromEntries(statuses.map((status) => [status, { $ref: `#/components/responses/${status}` }]));
+const body = (schema, { multipart = false, required = true } = {}) => ({
+  required,
+  content: {
+    'application/json': { schema },
+    ...(multipart ? { 'multipart/form-data': { schema } } : {}),
+  },
+});
+const idParameter = (name, resource) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema: { type: 'string', format: 'uuid' },
+  'x-not-found': `${resource} not found`,
+});
+
+const timestamp = { type: 'string', format: 'date-time' };
+const dateOrTime = { type: 'string', description: 'A date or date-time', anyOf: [{ format: 'date' }, { format: 'date-time' }] };
+const text = { type: 'string', pattern: '\\S' };
+const languageCode = { type: 'string', enum: Object.keys(LANGUAGES) };
+const lengths = Object.keys(lengthInstructions);
+
+// Summarization options shared by every route that summarizes uploads
+const summaryOptions = {
+  length: {
+    type: 'string',
+    enum: [...lengths, 'extract'],
+    default: 'medium',
+    description: '`extract` returns data matching a JSON Schema (`schemaName` or `schema`) instead of a summary',
+  },
+  schemaName: { type: 'string', enum: Object.keys(savedSchemas) },
+  schema: {
+    type: ['object', 'string'],
+    description: 'A JSON Schema for extraction; in multipart forms, as a JSON string',
+  },
+  template: { $ref: '#/components/schemas/TemplateId' },
+  audience: { type: 'string', maxLength: MAX_VALUE_LENGTH },
+  focus: { type: 'string', maxLength: MAX_VALUE_LENGTH },
+  outputLanguage: {
+    type: 'string',
+    enum: ['', ...Object.keys(LANGUAGES), SAME_AS_DOCUMENT],
+    description: `A language code, or \`${SAME_AS_DOCUMENT}\` for the document's language`,
+  },
+  provider: { type: 'string', enum: providerNames },
+  model: { type: 'string', minLength: 1 },
+  regenerate: { type: 'boolean', description: 'Summarize again even when the same document was summarized with the same options' },
+};
+
+const documentRequest = {
+  type: 'object',
+  description: 'Exactly one of `pdf` (multipart only), `url` or `text`',
+  properties: {
+    pdf: { type: 'string', format: 'binary', description: `A document: ${supportedExtensions().join(', ')}` },
+    url: { type: 'string', minLength: 1, description: 'A public http(s) URL of a document or web page' },
+    text: { type: 'string', description: 'Plain text or Markdown to summarize' },
+    title: { type: 'string', description: 'Names pasted text' },
+    ...summaryOptions,
+  },
+};
+
+const usage = nullable({
+  type: 'object',
+  properties: {
+    promptTokens: { type: 'integer' },
+    completionTokens: { type: 'integer' },
+    latencyMs: { type: 'integer' },
+  },
+});
+
+const usageTotals = {
+  operations: { type: 'integer' },
+  promptTokens: { type: 'integer' },
+  completionTokens: { type: 'integer' },
+  totalTokens: { type: 'integer' },
+  latencyMs: { type: 'integer' },
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error', 'code'],
+    properties: {
+      error: { type: 'string', description: 'What went wrong, for people' },
+      code: {
+        type: 'string',
+        description: `A machine-readable code: one per HTTP status (${Object.values(STATUS_CODES).join(', ')}) or a more specific one such as validation_failed, invalid_json, file_too_large, unsupported_file_type, quota_exceeded or llm_error`,
+      },
+      details: {
+        type: 'array',
+        description: 'Each problem with the request (validation_failed only)',
+        items: {
+          type: 'object',
+          required: ['in', 'field', 'message'],
+          properties: {
+            in: { type: 'string', enum: ['path', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' },
+          },
+        },
+      },
+      retryAfter: { type: 'integer', description: 'Seconds until the request may be retried (rate_limited only)' },
+    },
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } },
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'email'],
+    properties: { id: { type: 'string' }, email: { type: 'string' }, created_at: timestamp },
+  },
+  UserResponse: {
+    type: 'object',
+    required: ['user'],
+    properties: { user: ref('User') },
+  },
+  ApiToken: {
+    type: 'object',
+    required: ['id', 'name', 'created_at'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      last_used_at: nullable(timestamp),
+      created_at: timestamp,
+      token: { type: 'string', description: 'Only returned when the token is created' },
+    },
+  },
+  UsageReport: {
+    type: 'object',
+    required: ['from', 'days', 'models', 'totals', 'quota', 'rateLimits'],
+    properties: {
+      from: timestamp,
+      days: {
+        type: 'array',
+        items: { type: 'object', properties: { date: { type: 'string', format: 'date' }, ...usageTotals } },
+      },
+      models: {
+        type: 'array',
+        items: { type: 'object', properties: { provider: { type: 'string' }, model: { type: 'string' }, ...usageTotals } },
+      },
+      totals: { type: 'object', properties: usageTotals },
+      quota: {
+        type: 'object',
+        properties: {
+          monthlyTokens: nullable({ type: 'integer' }),
+          used: { type: 'integer' },
+          remaining: nullable({ type: 'integer' }),
+          resetsAt: timestamp,
+        },
+      },
+      rateLimits: {
+        type: 'object',
+        properties: {
+          perIpPerMinute: nullable({ type: 'integer' }),
+          perUserPerMinute: nullable({ type: 'integer' }),
+        },
+      },
+    },
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'url', 'events', 'active'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      secret: { type: 'string', description: 'Only returned when the webhook is created or its secret changes' },
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+  WebhookFields: {
+    type: 'object',
+    properties: {
+      url: text,
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+      description: { type: 'string' },
+      active: { type: 'boolean' },
+      secret: { type: 'string', minLength: MIN_SECRET_LENGTH },
+    },
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'webhook_id', 'event', 'status', 'attempts'],
+    properties: {
+      id: { type: 'string' },
+      webhook_id: { type: 'string' },
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+      attempts: { type: 'integer' },
+      payload: { type: 'object', description: 'The body sent (single deliveries only)' },
+      response_status: nullable({ type: 'integer' }),
+      response_body: nullable({ type: 'string' }),
+      error: nullable({ type: 'string' }),
+      next_attempt_at: nullable(timestamp),
+      replay_of: nullable({ type: 'string' }),
+      created_at: timestamp,
+      updated_at: timestamp,
+    },
+  },
+  TemplateId: {
+    type: 'string',
+    description: 'A built-in template name or the id of one of your templates',
+    anyOf: [{ enum: Object.keys(builtInTemplates) }, { format: 'uuid' }],
+  },
+  Template: {
+    type: 'object',
+    required: ['id', 'name', 'prompt', 'variables', 'builtIn'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      description: { type: 'string' },
+      prompt: { type: 'string' },
+      variables: { type: 'array', items: { type: 'string' } },
+      builtIn: { type: 'boolean' },
+      createdAt: nullable(timestamp),
+      updatedAt: nullable(timestamp),
+    },
+  },
+  TemplateFields: {
+    type: 'object',
+    required: ['name', 'prompt'],
+    properties: {
+      name: { type: 'string', maxLength: MAX_NAME_LENGTH },
+      description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH },
+      prompt: { type: 'string', maxLength: MAX_PROMPT_LENGTH, description: 'May use {{length}}, {{audience}} and {{focus}}' },
+    },
+  },
+  SavedSchema: {
+    type: 'object',
+    required: ['name', 'schema'],
+    properties: {
+      name: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      schema: { type: 'object' },
+    },
+  },
+  SummaryResult: {
+    type: 'object',
+    description: 'A document summary as /api/summarize returns it (and jobs as their result)',
+    required: ['id', 'filename', 'summary'],
+    properties: {
+      id: { type: 'string' },
+      filename: { type: 'string' },
+      kind: { type: 'string', enum: ['document', 'collection', 'comparison'] },
+      pageCount: nullable({ type: 'integer' }),
+      pageUnit: { type: 'string', enum: ['page', 'section', 'slide', 'chapter'] },
+      textLength: { type: 'integer' },
+      summary: { type: 'string' },
+      summaryLength: { type: 'string' },
+      provider: { type: 'string' },
+      model: { type: 'string' },
+      chunkCount: { type: 'integer' },
+      ocr: nullable({ type: 'boolean' }),
+      ocrConfidence: nullable({ type: 'number' }),
+      pageMethods: nullable({ type: 'array' }),
+      citations: { type: 'array' },
+      extraction: { description: 'The extracted data (length=extract only)' },
+      schemaName: nullable({ type: 'string' }),
+      template: nullable({ type: 'object' }),
+      sourceType: { type: 'string', enum: ['file', 'url', 'text'] },
+      sourceUrl: nullable({ type: 'string' }),
+      documentType: nullable({ type: 'string' }),
+      language: nullable({ type: 'string' }),
+      outputLanguage: nullable({ type: 'string' }),
+      usage,
+      createdAt: timestamp,
+      cached: { type: 'boolean', description: 'The stored summary of the same document with the same options' },
+    },
+  },
+  SummaryListItem: {
+    type: 'object',
+    description: 'A stored summary without its document text',
+    required: ['id', 'original_filename', 'summary', 'created_at'],
+    properties: {
+      id: { type: 'string' },
+      original_filename: { type: 'string' },
+      file_size: nullable({ type: 'integer' }),
+      page_count: nullable({ type: 'integer' }),
+      summary: { type: 'string' },
+      summary_length: { type: 'string' },
+      kind: { type: 'string', enum: ['document', 'collection', 'comparison'] },
+      ocr: nullable({ type: 'boolean' }),
+      citations: nullable({ type: 'array' }),
+      source_ids: nullable({ type: 'array', items: { type: 'string' } }),
+      source_type: { type: 'string' },
+      source_url: nullable({ type: 'string' }),
+      document_type: nullable({ type: 'string' }),
+      language: nullable({ type: 'string' }),
+      output_language: nullable({ type: 'string' }),
+      provider: nullable({ type: 'string' }),
+      model: nullable({ type: 'string' }),
+      prompt_tokens: nullable({ type: 'integer' }),
+      completion_tokens: nullable({ type: 'integer' }),
+      latency_ms: nullable({ type: 'integer' }),
+      created_at: timestamp,
+    },
+  },
+  Summary: {
+    description: 'A stored summary with its extracted document text (cut off at 50,000 characters)',
+    allOf: [
+      ref('SummaryListItem'),
+      { type: 'object', properties: { extracted_text: nullable({ type: 'string' }), comparison: nullable({ type: 'object' }) } },
+    ],
+  },
+  SummaryPage: {
+    type: 'object',
+    required: ['items', 'nextCursor'],
+    properties: {
+      items: { type: 'array', items: ref('SummaryListItem') },
+      nextCursor: nullable({ type: 'string' }),
+    },
+  },
+  SummaryVersion: {
+    type: 'object',
+    required: ['version', 'summary'],
+    properties: {
+      id: nullable({ type: 'string', description: 'null for version 1, the original summary' }),
+      version: { type: 'integer', minimum: 1 },
+      summary: { type: 'string' },
+      summaryLength: { type: 'string' },
+      template: nullable({ type: 'object' }),
+      provider: nullable({ type: 'string' }),
+      model: nullable({ type: 'string' }),
+      citations: { type: 'array' },
+      outputLanguage: nullable({ type: 'string' }),
+      usage,
+      createdAt: timestamp,
+    },
+  },
+  ChatMessage: {
+    type: 'object',
+    required: ['id', 'role', 'content'],
+    properties: {
+      id: { type: 'string' },
+      summary_id: { type: 'string' },
+      role: { type: 'string', enum: ['user', 'assistant'] },
+      content: { type: 'string' },
+      created_at: timestamp,
+    },
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'status', 'meta'],
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+      meta: { type: 'object', description: 'What the job is about: filename, kind, summaryLength, ...' },
+      attempts: { type: 'integer' },
+      progress: { type: 'object', description: 'The latest processing stage event' },
+      partialSummary: { type: 'string' },
+      result: { anyOf: [ref('SummaryResult'), { type: 'null' }] },
+      error: nullable({ type: 'string' }),
+      nextAttemptAt: nullable(timestamp),
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    },
+  },
+  Batch: {
+    type: 'object',
+    required: ['id', 'status', 'jobs'],
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['running', 'done'] },
+      collection: { type: 'boolean' },
+      collectionJob: { anyOf: [ref('Job'), { type: 'null' }] },
+      collectionError: nullable({ type: 'string' }),
+      jobs: { type: 'array', items: ref('Job') },
+      createdAt: timestamp,
+    },
+  },
+};
+
+const sseResponse = (description) => ({
+  description,
+  content: { 'text/event-stream': { schema: { type: 'string' } } },
+});
+
+const paths = {
+  '/api/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Service'],
+      summary: 'Check that the server is up',
+      security: [],
+      responses: {
+        200: json({
+          type: 'object',
+          required: ['status'],
+          properties: { status: { type: 'string', enum: ['ok'] }, storage: { type: 'string' }, timestamp },
+        }),
+      },
+    },
+  },
+  '/api/auth/signup': {
+    post: {
+      operationId: 'signUp',
+      tags: ['Accounts'],
+      summary: 'Create an account and sign in',
+      security: [],
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: { type: 'string' }, password: { type: 'string', minLength: MIN_PASSWORD_LENGTH } },
+      }),
+      responses: { 201: json(ref('UserResponse'), 'Signed in; the session cookie is set'), ...errors(400, 409) },
+    },
+  },
+  '/api/auth/login': {
+    post: {
+      operationId: 'logIn',
+      tags: ['Accounts'],
+      summary: 'Sign in with email and password',
+      security: [],
+      requestBody: body({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: { email: { type: 'string' }, password: { type: 'string' } },
+      }),
+      responses: { 200: json(ref('UserResponse'), 'Signed in; the session cookie is set'), ...errors(400, 401) },
+    },
+  },
+  '/api/auth/magic-link': {
+    post: {
+      operationId: 'sendMagicLink',
+      tags: ['Accounts'],
+      summary: 'Email a one-time sign-in link',
+      security: [],
+      requestBody: body({ type: 'object', required: ['email'], properties: { email: { type: 'string' } } }),
+      responses: { 200: json(ref('Message')), ...errors(400) },
+    },
+  },
+  '/api/auth/magic-link/verify': {
+    post: {
+      operationId: 'verifyMagicLink',
+      tags: ['Accounts'],
+      summary: 'Sign in with the token from a sign-in link',
+      security: [],
+      requestBody: body({ type: 'object', required: ['token'], properties: { token: { type: 'string' } } }),
+      responses: { 200: json(ref('UserResponse'), 'Signed in; the session cookie is set'), ...errors(400, 401) },
+    },
+  },
+  '/api/auth/logout': {
+    post: {
+      operationId: 'logOut',
+      tags: ['Accounts'],
+      summary: 'End the current session',
+      security: [],
+      responses: { 200: json(ref('Message')) },
+    },
+  },
+  '/api/auth/me': {
+    get: {
+      operationId: 'getCurrentUser',
+      tags: ['Accounts'],
+      summary: 'The signed-in user',
+      responses: { 200: json(ref('UserResponse')), ...errors(401) },
+    },
+  },
+  '/api/tokens': {
+    get: {
+      operationId: 'listTokens',
+      tags: ['Accounts'],
+      summary: 'Personal API tokens',
+      responses: { 200: json({ type: 'array', items: ref('ApiToken') }), ...errors(401) },
+    },
+    post: {
+      operationId: 'createToken',
+      tags: ['Accounts'],
+      summary: 'Create a personal API token, sent as `Authorization: Bearer <token>`',
+      requestBody: body({ type: 'object', required: ['name'], properties: { name: text } }),
+      responses: { 201: json(ref('ApiToken'), 'The token, including its secret `token`'), ...errors(400, 401) },
+    },
+  },
+  '/api/tokens/{id}': {
+    delete: {
+      operationId: 'revokeToken',
+      tags: ['Accounts'],
+      summary: 'Revoke a personal API token',
+      parameters: [idParameter('id', 'Token')],
+      responses: { 200: json(ref('Message')), ...errors(401, 404) },
+    },
+  },
+  '/api/usage': {
+    get: {
+      operationId: 'getUsage',
+      tags: ['Accounts'],
+      summary: 'LLM token usage per day and model, the monthly quota and the rate limits',
+      parameters: [{ name: 'days', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_USAGE_DAYS, default: 30 } }],
+      responses: { 200: json(ref('UsageReport')), ...errors(400, 401) },
+    },
+  },
+  '/api/webhooks': {
+    get: {
+      operationId: 'listWebhooks',
+      tags: ['Webhooks'],
+      summary: 'Registered webhooks',
+      responses: { 200: json({ type: 'array', items: ref('Webhook') }), ...errors(401) },
+    },
+    post: {
+      operationId: 'createWebhook',
+      tags: ['Webhooks'],
+      summary: 'Register a webhook; it subscribes to every event unless `events` says otherwise',
+      requestBody: body({ allOf: [ref('WebhookFields'), { required: ['url'] }] }),
+      responses: { 201: json(ref('Webhook'), 'The webhook, including its `secret`'), ...errors(400, 401, 409) },
+    },
+  },
+  '/api/webhooks/{id}': {
+    parameters: [idParameter('id', 'Webhook')],
+    get: {
+      operationId: 'getWebhook',
+      tags: ['Webhooks'],
+      summary: 'A webhook',
+      responses: { 200: json(ref('Webhook')), ...errors(401, 404) },
+    },
+    patch: {
+      operationId: 'updateWebhook',
+      tags: ['Webhooks'],
+      summary: 'Change a webhook, or rotate its secret',
+      requestBody: body({
+        allOf: [ref('WebhookFields'), { properties: { rotateSecret: { type: 'boolean', description: 'Generate a new secret' } } }],
+      }),
+      responses: { 200: json(ref('Webhook')), ...errors(400, 401, 404) },
+    },
+    delete: {
+      operationId: 'deleteWebhook',
+      tags: ['Webhooks'],
+      summary: 'Delete a webhook and its delivery log',
+      responses: { 200: json(ref('Message')), ...errors(401, 404) },
+    },
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: {
+      operationId: 'listWebhookDeliveries',
+      tags: ['Webhooks'],
+      summary: "A webhook's delivery log, newest first",
+      parameters: [
+        idParameter('id', 'Webhook'),
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_DELIVERY_LIMIT, default: 50 } },
+      ],
+      responses: { 200: json({ type: 'array', items: ref('WebhookDelivery') }), ...errors(400, 401, 404) },
+    },
+  },
+  '/api/webhooks/{id}/deliveries/{deliveryId}': {
+    get: {
+      operationId: 'getWebhookDelivery',
+      tags: ['Webhooks'],
+      summary: 'A delivery with the payload sent and the response received',
+      parameters: [idParameter('id', 'Webhook'), idParameter('deliveryId', 'Delivery')],
+      responses: { 200: json(ref('WebhookDelivery')), ...errors(401, 404) },
+    },
+  },
+  '/api/webhooks/{id}/deliveries/{deliveryId}/replay': {
+    post: {
+      operationId: 'replayWebhookDelivery',
+      tags: ['Webhooks'],
+      summary: "Send a delivery's event again, as a new delivery",
+      parameters: [idParameter('id', 'Webhook'), idParameter('deliveryId', 'Delivery')],
+      responses: { 202: json(ref('WebhookDelivery'), 'The new delivery, before its first attempt completes'), ...errors(401, 404, 409) },
+    },
+  },
+  '/api/summarize': {
+    post: {
+      operationId: 'summarize',
+      tags: ['Summaries'],
+      summary: 'Summarize an uploaded document, a URL or pasted text',
+      requestBody: body(documentRequest, { multipart: true }),
+      responses: { 200: json(ref('SummaryResult')), ...errors(400, 401, 413, 415, 422, 429) },
+    },
+  },
+  '/api/summarize/stream': {
+    post: {
+      operationId: 'summarizeStream',
+      tags: ['Summaries'],
+      summary: 'Summarize like /api/summarize, streaming progress and the summary as Server-Sent Events',
+      description: 'Events: `stage` (processing milestones), `token` ({ text } summary deltas), `done` (the SummaryResult) and `error` ({ error }).',
+      requestBody: body(documentRequest, { multipart: true }),
+      responses: { 200: sseResponse('An event stream'), ...errors(400, 401, 413, 415, 422, 429) },
+    },
+  },
+  '/api/jobs': {
+    get: {
+      operationId: 'listJobs',
+      tags: ['Jobs'],
+      summary: 'Your recent background jobs',
+      parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] } }],
+      responses: { 200: json({ type: 'array', items: ref('Job') }), ...errors(400, 401) },
+    },
+    post: {
+      operationId: 'createJob',
+      tags: ['Jobs'],
+      summary: 'Queue a document, URL or pasted text for summarization',
+      requestBody: body(documentRequest, { multipart: true }),
+      responses: { 202: json(ref('Job'), 'The queued job'), ...errors(400, 401, 413, 415, 422, 429) },
+    },
+  },
+  '/api/jobs/{id}': {
+    get: {
+      operationId: 'getJob',
+      tags: ['Jobs'],
+      summary: "A job's status, and its result once done",
+      parameters: [idParameter('id', 'Job')],
+      responses: { 200: json(ref('Job')), ...errors(401, 404) },
+    },
+  },
+  '/api/jobs/{id}/events': {
+    get: {
+      operationId: 'followJob',
+      tags: ['Jobs'],
+      summary: 'Follow a job as Server-Sent Events',
+      description: 'A `snapshot` event with the job comes first, then `status`, `stage`, `token`, `retry`, `done` and `failed` events.',
+      parameters: [idParameter('id', 'Job')],
+      responses: { 200: sseResponse('An event stream'), ...errors(401, 404) },
+    },
+  },
+  '/api/batches': {
+    post: {
+      operationId: 'createBatch',
+      tags: ['Jobs'],
+      summary: 'Upload several documents and queue each for summarization',
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                pdfs: { type: 'array', items: { type: 'string', format: 'binary' }, maxItems: 20 },
+                collection: { type: 'boolean', description: 'Also summarize all documents together once every one is done' },
+                ...summaryOptions,
+              },
+            },
+          },
+        },
+      },
+      responses: { 202: json(ref('Batch'), 'The batch with its queued jobs'), ...errors(400, 401, 413, 415, 429) },
+    },
+  },
+  '/api/batches/{id}': {
+    get: {
+      operationId: 'getBatch',
+      tags: ['Jobs'],
+      summary: 'A batch with the status of each job',
+      parameters: [idParameter('id', 'Batch')],
+      responses: { 200: json(ref('Batch')), ...errors(401, 404) },
+    },
+  },
+  '/api/comparisons': {
+    post: {
+      operationId: 'createComparison',
+      tags: ['Jobs'],
+      summary: 'Compare two documents, each uploaded (pdfA, pdfB) or an existing summary (a, b)',
+      requestBody: body({
+        type: 'object',
+        properties: {
+          pdfA: { type: 'string', format: 'binary' },
+          pdfB: { type: 'string', format: 'binary' },
+          a: { type: 'string', format: 'uuid', description: 'A summary id' },
+          b: { type: 'string', format: 'uuid', description: 'A summary id' },
+          ...summaryOptions,
+        },
+      }, { multipart: true }),
+      responses: { 202: json(ref('Job'), 'The job that produces the comparison'), ...errors(400, 401, 404, 413, 415, 422, 429) },
+    },
+  },
+  '/api/schemas': {
+    get: {
+      operationId: 'listSchemas',
+      tags: ['Summaries'],
+      summary: 'Saved extraction schemas, usable as `schemaName`',
+      responses: { 200: json({ type: 'array', items: ref('SavedSchema') }), ...errors(401) },
+    },
+  },
+  '/api/templates': {
+    get: {
+      operationId: 'listTemplates',
+      tags: ['Templates'],
+      summary: 'The built-in prompt templates and yours',
+      responses: { 200: json({ type: 'array', items: ref('Template') }), ...errors(401) },
+    },
+    post: {
+      operationId: 'createTemplate',
+      tags: ['Templates'],
+      summary: 'Create a prompt template',
+      requestBody: body(ref('TemplateFields')),
+      responses: { 201: json(ref('Template')), ...errors(400, 401) },
+    },
+  },
+  '/api/templates/{id}': {
+    parameters: [{
+      name: 'id',
+      in: 'path',
+      required: true,
+      schema: ref('TemplateId'),
+      'x-not-found': 'Template not found',
+    }],
+    get: {
+      operationId: 'getTemplate',
+      tags: ['Templates'],
+      summary: 'A prompt template',
+      responses: { 200: json(ref('Template')), ...errors(401, 404) },
+    },
+    put: {
+      operationId: 'updateTemplate',
+      tags: ['Templates'],
+      summary: 'Change one of your prompt templates',
+      requestBody: body(ref('TemplateFields')),
+      responses: { 200: json(ref('Template')), ...errors(400, 401, 403, 404) },
+    },
+    delete: {
+      operationId: 'deleteTemplate',
+      tags: ['Templates'],
+      summary: 'Delete one of your prompt templates',
+      responses: { 200: json(ref('Message')), ...errors(401, 403, 404) },
+    },
+  },
+  '/api/summaries': {
+    get: {
+      operationId: 'listSummaries',
+      tags: ['Summaries'],
+      summary: 'Search and page through your summaries, newest first',
+      parameters: [
+        { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Full-text search' },
+        { name: 'from', in: 'query', schema: dateOrTime },
+        {
+          name: 'to',
+          in: 'query',
+          schema: dateOrTime,
+          description: 'A date includes the whole day',
+        },
+        { name: 'minPages', in: 'query', schema: { type: 'integer', minimum: 0 } },
+        { name: 'maxPages', in: 'query', schema: { type: 'integer', minimum: 0 } },
+        {
+          name: 'length',
+          in: 'query',
+          schema: { type: 'string', pattern: `^(${[...lengths, 'extract'].join('|')})(,(${[...lengths, 'extract'].join('|')}))*$` },
+          description: 'Summary lengths, comma separated',
+        },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_HISTORY_LIMIT, default: 20 } },
+        { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'nextCursor of the previous page; anything else responds 400 invalid_cursor' },
+      ],
+      responses: { 200: json(ref('SummaryPage')), ...errors(400, 401) },
+    },
+  },
+  '/api/summaries/export': {
+    post: {
+      operationId: 'exportSummaries',
+      tags: ['Summaries'],
+      summary: 'Export several summaries as a ZIP archive',
+      requestBody: body({
+        type: 'object',
+        required: ['ids'],
+        properties: {
+          ids: { type: 'array', minItems: 1, maxItems: MAX_EXPORT_IDS, items: { type: 'string', format: 'uuid' } },
+          format: { type: 'string', enum: Object.keys(exportFormats), default: 'pdf' },
+        },
+      }),
+      responses: {
+        200: { description: 'A ZIP archive', content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } } },
+        ...errors(400, 401, 404),
+      },
+    },
+  },
+  '/api/summaries/{id}': {
+    parameters: [idParameter('id', 'Summary')],
+    get: {
+      operationId: 'getSummary',
+      tags: ['Summaries'],
+      summary: 'A stored summary',
+      responses: { 200: json(ref('Summary')), ...errors(401, 404) },
+    },
+    delete: {
+      operationId: 'deleteSummary',
+      tags: ['Summaries'],
+      summary: 'Delete a summary',
+      responses: { 200: json(ref('Message')), ...errors(401, 404) },
+    },
+  },
+  '/api/summaries/{id}/versions': {
+    get: {
+      operationId: 'listSummaryVersions',
+      tags: ['Summaries'],
+      summary: 'Every version of a summary; the original is version 1',
+      parameters: [idParameter('id', 'Summary')],
+      responses: { 200: json({ type: 'array', items: ref('SummaryVersion') }), ...errors(401, 404) },
+    },
+  },
+  '/api/summaries/{id}/regenerate': {
+    post: {
+      operationId: 'regenerateSummary',
+      tags: ['Summaries'],
+      summary: 'Summarize the stored document text again as a new version; unset options keep the original ones',
+      parameters: [idParameter('id', 'Summary')],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          length: { type: 'string', enum: lengths },
+          template: summaryOptions.template,
+          audience: summaryOptions.audience,
+          focus: summaryOptions.focus,
+          outputLanguage: summaryOptions.outputLanguage,
+          provider: summaryOptions.provider,
+          model: summaryOptions.model,
+        },
+      }, { required: false }),
+      responses: { 201: json(ref('SummaryVersion'), 'The new version'), ...errors(400, 401, 404, 422, 429) },
+    },
+  },
+  '/api/summaries/{id}/translate': {
+    post: {
+      operationId: 'translateSummary',
+      tags: ['Summaries'],
+      summary: 'Translate a version of a summary, stored as a new version',
+      parameters: [idParameter('id', 'Summary')],
+      requestBody: body({
+        type: 'object',
+        required: ['language'],
+        properties: {
+          language: languageCode,
+          version: { type: 'integer', minimum: 1, default: 1 },
+          provider: summaryOptions.provider,
+          model: summaryOptions.model,
+        },
+      }),
+      responses: { 201: json(ref('SummaryVersion'), 'The new version'), ...errors(400, 401, 404, 422, 429) },
+    },
+  },
+  '/api/summaries/{id}/export': {
+    get: {
+      operationId: 'exportSummary',
+      tags: ['Summaries'],
+      summary: 'Download a summary as a report',
+      parameters: [
+        idParameter('id', 'Summary'),
+        { name: 'format', in: 'query', schema: { type: 'string', enum: Object.keys(exportFormats), default: 'pdf' } },
+      ],
+      responses: {
+        200: {
+          description: 'The report, as an attachment',
+          content: Object.fromEntries(Object.values(exportFormats).map(({ contentType }) => [
+            contentType,
+            { schema: { type: 'string', format: 'binary' } },
+          ])),
+        },
+        ...errors(400, 401, 404),
+      },
+    },
+  },
+  '/api/summaries/{id}/chat': {
+    parameters: [idParameter('id', 'Summary')],
+    get: {
+      operationId: 'getChat',
+      tags: ['Chat'],
+      summary: 'The follow-up conversation about a summary',
+      responses: { 200: json({ type: 'array', items: ref('ChatMessage') }), ...errors(401, 404) },
+    },
+    post: {
+      operationId: 'askQuestion',
+      tags: ['Chat'],
+      summary: "Ask a follow-up question, answered from the summary's document text",
+      requestBody: body({
+        type: 'object',
+        required: ['message'],
+        properties: { message: text, provider: summaryOptions.provider, model: summaryOptions.model },
+      }),
+      responses: {
+        200: json({
+          type: 'object',
+          required: ['userMessage', 'assistantMessage'],
+          properties: { userMessage: ref('ChatMessage'), assistantMessage: ref('ChatMessage') },
+        }),
+        ...errors(400, 401, 404, 422, 429),
+      },
+    },
+    delete: {
+      operationId: 'clearChat',
+      tags: ['Chat'],
+      summary: 'Clear the follow-up conversation',
+      responses: { 200: json(ref('Message')), ...errors(401, 404) },
+    },
+  },
+};
+
+const errorResponse = (description) => json(ref('Error'), description);
+
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'SummarizeAI API',
+    version: '1.0.0',
+    description: 'Summarize documents with an LLM and keep a searchable history. Every error response is an `Error` object with a machine-readable `code`.',
+  },
+  servers: [{ url: '/' }],
+  security: [{ session: [] }, { apiToken: [] }],
+  tags: ['Service', 'Accounts', 'Summaries', 'Jobs', 'Templates', 'Chat', 'Webhooks'].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      session: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by the sign-in routes' },
+      apiToken: { type: 'http', scheme: 'bearer', description: 'A personal API token (see POST /api/tokens)' },
+    },
+    schemas,
+    responses: {
+      400: errorResponse('Invalid request (validation_failed, invalid_json, ...)'),
+      401: errorResponse('Not signed in, or wrong credentials'),
+      403: errorResponse('Not allowed'),
+      404: errorResponse('Not found'),
+      409: errorResponse('Conflicts with the current state'),
+      413: errorResponse('The upload or document is too large'),
+      415: errorResponse('Unsupported document type'),
+      422: errorResponse('The document could not be processed'),
+      429: errorResponse('Rate limited (rate_limited, or llm_rate_limited by the LLM provider) or over the monthly token quota (quota_exceeded); see Retry-After'),
+      default: errorResponse('Unexpected error, or the LLM provider failed (502 llm_error)'),
+    },
+  },
+};
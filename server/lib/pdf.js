@@ -0,0 +1,96 @@
+import pdfParse from 'pdf-parse';
+import { flatten } from './extractors/text.js';
+
+// Same text assembly as pdf-parse's default renderer, but we keep each page
+// separate so callers can chunk and cite along page boundaries.
+function renderPage(pageData) {
+  return pageData
+    .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then((textContent) => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        if (lastY === item.transform[5] || !lastY) {
+          text += item.str;
+        } else {
+          text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+// Extract text from a PDF buffer, returning both the flattened text and an
+// array of per-page strings (index 0 is page 1).
+export async function extractPdfText(buffer) {
+  const pages = [];
+  // pdf.js reads the Buffer's whole underlying ArrayBuffer, and small Buffers
+  // are slices of Node's shared pool, so hand it a copy of just this file
+  const pdfData = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const text = await renderPage(pageData);
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+
+  return {
+    text: pdfData.text,
+    numpages: pdfData.numpages,
+    pages: Array.from({ length: pdfData.numpages }, (_, i) => pages[i] || ''),
+  };
+}
+
+// Pages with less native text than this are treated as scanned images
+const MIN_NATIVE_CHARS = 20;
+
+// Extract text from a PDF, falling back to OCR for pages without a usable
+// text layer. `pageMethods[i]` records whether page i+1 came from the native
+// text layer ('text') or OCR ('ocr', with its confidence).
+export async function extractDocumentText(buffer, { ocr = true, onStage } = {}) {
+  const pdfData = await extractPdfText(buffer);
+  const scannedPages = pdfData.pages
+    .map((text, i) => (text.replace(/\s/g, '').length < MIN_NATIVE_CHARS ? i + 1 : null))
+    .filter(Boolean);
+
+  const pageMethods = pdfData.pages.map(() => ({ method: 'text' }));
+  // Blank lines only separate pages in the stored text (see textResult in
+  // ./extractors/text.js), so they are collapsed within each page
+  if (!ocr || scannedPages.length === 0) {
+    const pages = pdfData.pages.map(flatten);
+    return { text: pages.join('\n\n'), numpages: pdfData.numpages, pages, pageMethods, ocr: false, ocrConfidence: null };
+  }
+
+  // Loaded lazily: Tesseract and the page renderer are only needed for scans
+  const { recognizePdfPages } = await import('./ocr.js');
+  const recognized = await recognizePdfPages(buffer, scannedPages, {
+    onPage: (done, total) => onStage?.({ stage: 'ocr', ocrDone: done, ocrTotal: total }),
+  });
+
+  const pages = [...pdfData.pages];
+  const confidences = [];
+  for (const [pageNumber, { text, confidence }] of recognized) {
+    // Keep whatever native text the page had (e.g. a header) alongside the OCR
+    // output, unless OCR found nothing better.
+    if (text.trim().length > pages[pageNumber - 1].trim().length) {
+      pages[pageNumber - 1] = [pages[pageNumber - 1].trim(), text.trim()].filter(Boolean).join('\n');
+      pageMethods[pageNumber - 1] = { method: 'ocr', confidence: Math.round(confidence) };
+      confidences.push(confidence);
+    }
+  }
+
+  const ocrConfidence = confidences.length
+    ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length)
+    : null;
+
+  const flat = pages.map(flatten);
+  return {
+    text: flat.join('\n\n'),
+    numpages: pdfData.numpages,
+    pages: flat,
+    pageMethods,
+    ocr: confidences.length > 0,
+    ocrConfidence,
+  };
+}
@@ -0,0 +1,46 @@
+// In-memory fixed-window rate limiting: at most `max` requests per `windowMs`
+// for each key (`keyOf(req)`, e.g. the client IP or the user id). Limited
+// requests get a 429 with Retry-After; every response carries RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset headers. A `max` of 0 turns the
+// limiter off. Counts live only as long as the process does.
+export function createRateLimiter({ max, windowMs = 60 * 1000, keyOf, message = 'Too many requests.' }) {
+  const windows = new Map();
+
+  // Forget finished windows now and then so idle clients don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const now = Date.now();
+    const key = keyOf(req);
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+
+    const resetSeconds = Math.ceil((window.resetAt - now) / 1000);
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - window.count)),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+    if (window.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: `${message} Try again in ${resetSeconds} seconds.`,
+        code: 'rate_limited',
+        retryAfter: resetSeconds,
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,84 @@
+// Saved JSON Schemas for structured extraction, selectable by name instead
+// of sending a schema with every request.
+export const savedSchemas = {
+  invoice: {
+    title: 'Invoice',
+    description: 'Vendor, customer, dates, line items and totals',
+    schema: {
+      type: 'object',
+      properties: {
+        invoice_number: { type: ['string', 'null'] },
+        vendor: { type: ['string', 'null'] },
+        customer: { type: ['string', 'null'] },
+        issue_date: { type: ['string', 'null'], description: 'ISO 8601 date' },
+        due_date: { type: ['string', 'null'], description: 'ISO 8601 date' },
+        currency: { type: ['string', 'null'], description: 'ISO 4217 code, e.g. USD' },
+        line_items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              description: { type: 'string' },
+              quantity: { type: ['number', 'null'] },
+              unit_price: { type: ['number', 'null'] },
+              amount: { type: ['number', 'null'] },
+            },
+            required: ['description'],
+          },
+        },
+        subtotal: { type: ['number', 'null'] },
+        tax: { type: ['number', 'null'] },
+        total: { type: ['number', 'null'] },
+      },
+      required: ['invoice_number', 'vendor', 'total', 'line_items'],
+    },
+  },
+
+  contract: {
+    title: 'Contract',
+    description: 'Parties, term, payment and termination terms, obligations',
+    schema: {
+      type: 'object',
+      properties: {
+        title: { type: ['string', 'null'] },
+        parties: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string' },
+              role: { type: ['string', 'null'] },
+            },
+            required: ['name'],
+          },
+        },
+        effective_date: { type: ['string', 'null'], description: 'ISO 8601 date' },
+        end_date: { type: ['string', 'null'], description: 'ISO 8601 date' },
+        governing_law: { type: ['string', 'null'] },
+        payment_terms: { type: ['string', 'null'] },
+        termination: { type: ['string', 'null'] },
+        obligations: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['parties', 'effective_date', 'obligations'],
+    },
+  },
+
+  'research-paper': {
+    title: 'Research paper',
+    description: 'Title, authors, methods, findings and limitations',
+    schema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        authors: { type: 'array', items: { type: 'string' } },
+        year: { type: ['integer', 'null'] },
+        research_question: { type: ['string', 'null'] },
+        methods: { type: ['string', 'null'] },
+        key_findings: { type: 'array', items: { type: 'string' } },
+        limitations: { type: 'array', items: { type: 'string' } },
+        keywords: { type: 'array', items: { type: 'string' } },
+      },
+      required: ['title', 'authors', 'key_findings'],
+    },
+  },
+};
@@ -0,0 +1,158 @@
+import http from 'http';
+import https from 'https';
+import { httpError } from './errors.js';
+import { parsePublicUrl, publicLookup } from './network.js';
+import { extractorFor, htmlText, htmlTitle } from './extractors/index.js';
+
+// Where a document to summarize comes from. Every source is
+// { type: 'file' | 'url' | 'text', filename, size, url?, documentType, buffer?, text? }
+// where `documentType` names the extractor (see extractors/index.js) for the
+// file in `buffer`, or what the document was when it is already plain text in
+// `text` ('text' for pasted text).
+
+export const MAX_SOURCE_BYTES = 20 * 1024 * 1024; // same as uploads
+export const MAX_TEXT_CHARS = 500000;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+function get(url, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client
+      .get(url, {
+        lookup: publicLookup,
+        signal,
+        headers: {
+          'User-Agent': 'SummarizeAI/1.0 (+document summarizer)',
+          Accept: 'application/pdf, text/html, text/markdown, text/plain;q=0.9, */*;q=0.1',
+        },
+      }, resolve)
+      .on('error', reject);
+  });
+}
+
+function readBody(res, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        res.destroy();
+        reject(httpError(413, `The document at this URL is larger than ${limit / 1024 / 1024}MB`, { code: 'file_too_large' }));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+  });
+}
+
+function decode(buffer, charset) {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+function urlFilename(url, disposition) {
+  const name = disposition?.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i)?.[1]
+    || url.pathname.split('/').filter(Boolean).pop();
+  if (!name) return url.hostname;
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
+
+// Fetch a document of any type there is an extractor for from a public
+// http(s) URL, following up to MAX_REDIRECTS redirects, within
+// FETCH_TIMEOUT_MS and MAX_SOURCE_BYTES. Text is decoded in the charset the
+// server names; other documents are left to their extractor.
+export async function fetchUrlSource(value) {
+  let url = parsePublicUrl(value);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    let res;
+    for (let redirects = 0; ; redirects++) {
+      res = await get(url, controller.signal);
+      if (res.statusCode < 300 || res.statusCode >= 400 || !res.headers.location) break;
+      res.resume();
+      if (redirects === MAX_REDIRECTS) throw httpError(422, 'The URL redirects too many times', { code: 'too_many_redirects' });
+      url = parsePublicUrl(new URL(res.headers.location, url).href);
+    }
+
+    if (res.statusCode !== 200) {
+      res.resume();
+      throw httpError(422, `The URL responded with HTTP ${res.statusCode}`, { code: 'fetch_failed' });
+    }
+    if (Number(res.headers['content-length']) > MAX_SOURCE_BYTES) {
+      res.destroy();
+      throw httpError(413, `The document at this URL is larger than ${MAX_SOURCE_BYTES / 1024 / 1024}MB`, { code: 'file_too_large' });
+    }
+
+    const buffer = await readBody(res, MAX_SOURCE_BYTES);
+    const [mimeType, ...params] = (res.headers['content-type'] || '').split(';').map((s) => s.trim().toLowerCase());
+    const charset = params.find((p) => p.startsWith('charset='))?.substring('charset='.length);
+    const source = { type: 'url', url: url.href, size: buffer.length, filename: urlFilename(url, res.headers['content-disposition']) };
+
+    if (mimeType === 'text/html' || mimeType === 'application/xhtml+xml') {
+      const html = decode(buffer, charset);
+      const filename = htmlTitle(html) || url.hostname + url.pathname.replace(/\/$/, '');
+      return { ...source, documentType: 'html', text: htmlText(html), filename };
+    }
+    if (['text/plain', 'text/markdown', 'text/x-markdown'].includes(mimeType)) {
+      const documentType = mimeType === 'text/plain' ? 'txt' : 'md';
+      return { ...source, documentType, text: decode(buffer, charset) };
+    }
+    // Servers often send binary documents as application/octet-stream; then
+    // the file name tells what they are
+    const extractor = !mimeType || mimeType === 'application/octet-stream'
+      ? extractorFor({ filename: source.filename })
+      : extractorFor({ mimeType });
+    if (!extractor) {
+      throw httpError(415, `Cannot summarize content of type ${mimeType || 'unknown'} from this URL`, { code: 'unsupported_file_type' });
+    }
+    return { ...source, documentType: extractor.type, buffer };
+  } catch (err) {
+    if (controller.signal.aborted) {
+      throw httpError(422, `Fetching the URL took longer than ${FETCH_TIMEOUT_MS / 1000} seconds`, { code: 'fetch_timeout' });
+    }
+    if (err.status) throw err;
+    throw httpError(422, `Could not fetch the URL: ${err.message}`, { code: 'fetch_failed' });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Pasted plain text or markdown. The first line (without markdown heading
+// marks) names it unless a `title` is given.
+export function textSource(text, title) {
+  if (text.length > MAX_TEXT_CHARS) {
+    throw httpError(413, `Pasted text is limited to ${MAX_TEXT_CHARS.toLocaleString('en-US')} characters`, { code: 'text_too_long' });
+  }
+  const firstLine = text.trim().split('\n')[0].replace(/^#+\s*/, '').trim();
+  const name = (typeof title === 'string' && title.trim()) || firstLine || 'Pasted text';
+  return {
+    type: 'text',
+    filename: name.length > 80 ? `${name.substring(0, 79)}…` : name,
+    size: Buffer.byteLength(text),
+    documentType: 'text',
+    text,
+  };
+}
+
+// An uploaded file. Uploads are filtered to the types there is an extractor
+// for (see the multer fileFilter in index.js).
+export const fileSource = (file) => ({
+  type: 'file',
+  filename: file.originalname,
+  size: file.size,
+  documentType: extractorFor({ filename: file.originalname, mimeType: file.mimetype }).type,
+  buffer: file.buffer,
+});
@@ -0,0 +1,9 @@
+// Raised by storage backends when the underlying database call fails. Route
+// handlers surface these as 500s instead of carrying on with missing data.
+export class StorageError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'StorageError';
+    this.status = 500;
+  }
+}
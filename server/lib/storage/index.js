@@ -0,0 +1,34 @@
+import { createSupabaseStorage } from './supabase.js';
+import { createSqliteStorage } from './sqlite.js';
+
+export { StorageError } from './errors.js';
+
+const backends = {
+  supabase: createSupabaseStorage,
+  sqlite: createSqliteStorage,
+};
+
+// Create the storage backend named by STORAGE_BACKEND. Without it, Supabase
+// is used when SUPABASE_URL is configured and local SQLite otherwise.
+//
+// Both backends expose the same repositories (`summaries`, `summaryVersions`,
+// `chatMessages`, `users`, `sessions`, `apiTokens`, `magicLinks`,
+// `promptTemplates`, `llmUsage`, `webhooks`, `webhookDeliveries`) with the
+// same methods; lookups resolve null for unknown ids and every method throws
+// StorageError when the database call fails.
+//
+// `summaries.list` takes { limit, after, query, from, to, minPages, maxPages,
+// lengths } and returns rows newest first. `after` ({ createdAt, id } of the
+// last row already seen) continues a previous page; `query` is a full-text
+// search over filename, summary and document text. Passing `userId` to
+// list/get/delete restricts them to that user's summaries. `summaries.findCached`
+// looks up the newest summary of a file (by content_hash) made with the same
+// options (options_hash). `llmUsage.list` returns a user's usage rows since
+// `from`, oldest first.
+export function createStorage(name = process.env.STORAGE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'sqlite')) {
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+  }
+  return factory();
+}
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const migrationsRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'migrations');
+
+function migrationFiles(dialect) {
+  const dir = path.join(migrationsRoot, dialect);
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.sql'))
+    .sort()
+    .map((name) => ({ name, sql: fs.readFileSync(path.join(dir, name), 'utf8') }));
+}
+
+// Apply pending migrations to a better-sqlite3 database. Returns the names
+// of the migrations that were applied.
+export function migrateSqlite(db) {
+  db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TEXT NOT NULL)');
+  const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map((row) => row.name));
+  const record = db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+
+  const ran = [];
+  for (const { name, sql } of migrationFiles('sqlite')) {
+    if (applied.has(name)) continue;
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(name, new Date().toISOString());
+    })();
+    ran.push(name);
+  }
+  return ran;
+}
+
+// Apply pending migrations to a Postgres database (e.g. a Supabase project)
+// through a connected `pg` client.
+export async function migratePostgres(client) {
+  await client.query('CREATE TABLE IF NOT EXISTS schema_migrations (name TEXT PRIMARY KEY, applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW())');
+  const { rows } = await client.query('SELECT name FROM schema_migrations');
+  const applied = new Set(rows.map((row) => row.name));
+
+  const ran = [];
+  for (const { name, sql } of migrationFiles('postgres')) {
+    if (applied.has(name)) continue;
+    await client.query('BEGIN');
+    try {
+      await client.query(sql);
+      await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    }
+    ran.push(name);
+  }
+  return ran;
+}
@@ -0,0 +1,34 @@
+// Column metadata shared by the storage backends.
+
+// Columns returned by list queries; the bulky extracted_text is left out.
+export const SUMMARY_LIST_COLUMNS = [
+  'id', 'original_filename', 'file_size', 'page_count', 'summary',
+  'summary_length', 'ocr', 'ocr_confidence', 'citations', 'kind', 'batch_id',
+  'source_ids', 'extraction', 'schema_name', 'content_hash', 'template',
+  'language', 'output_language', 'source_type', 'source_url', 'document_type',
+  'provider', 'model', 'prompt_tokens', 'completion_tokens', 'latency_ms', 'created_at',
+];
+
+// API token columns safe to return to clients (no token_hash)
+export const API_TOKEN_COLUMNS = 'id, name, last_used_at, created_at';
+
+// LLM usage columns returned for reports
+export const LLM_USAGE_COLUMNS = 'operation, provider, model, prompt_tokens, completion_tokens, latency_ms, created_at';
+
+// Webhook columns safe to return to clients (no secret), and delivery
+// columns for listing (no payload or response body)
+export const WEBHOOK_COLUMNS = 'id, url, events, description, active, created_at, updated_at';
+export const WEBHOOK_DELIVERY_LIST_COLUMNS = 'id, webhook_id, event, status, attempts, response_status, error, next_attempt_at, replay_of, created_at, updated_at';
+
+// Columns stored as JSON text and booleans stored as 0/1 in SQLite
+export const JSON_COLUMNS = {
+  summaries: ['page_methods', 'citations', 'source_ids', 'extraction', 'extraction_schema', 'template', 'comparison'],
+  summary_versions: ['template', 'citations'],
+  webhooks: ['events'],
+  webhook_deliveries: ['payload'],
+};
+
+export const BOOLEAN_COLUMNS = {
+  summaries: ['ocr'],
+  webhooks: ['active'],
+};
@@ -0,0 +1,442 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { migrateSqlite } from './migrate.js';
+import { StorageError } from './errors.js';
+import {
+  SUMMARY_LIST_COLUMNS,
+  API_TOKEN_COLUMNS,
+  LLM_USAGE_COLUMNS,
+  WEBHOOK_COLUMNS,
+  WEBHOOK_DELIVERY_LIST_COLUMNS,
+  JSON_COLUMNS,
+  BOOLEAN_COLUMNS,
+} from './schema.js';
+
+const defaultPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'summarize-ai.db');
+
+function encode(table, row) {
+  const out = { ...row };
+  for (const column of JSON_COLUMNS[table] || []) {
+    if (out[column] !== undefined) out[column] = out[column] === null ? null : JSON.stringify(out[column]);
+  }
+  for (const column of BOOLEAN_COLUMNS[table] || []) {
+    if (out[column] !== undefined) out[column] = out[column] ? 1 : 0;
+  }
+  return out;
+}
+
+function decode(table, row) {
+  if (!row) return null;
+  const out = { ...row };
+  for (const column of JSON_COLUMNS[table] || []) {
+    if (typeof out[column] === 'string') out[column] = JSON.parse(out[column]);
+  }
+  for (const column of BOOLEAN_COLUMNS[table] || []) {
+    if (out[column] !== undefined) out[column] = Boolean(out[column]);
+  }
+  return out;
+}
+
+// Turn free text into an FTS5 query: every word must match, as a prefix.
+function ftsQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.map((term) => `"${term}"*`).join(' ');
+}
+
+// Open (creating if needed) the SQLite database file without migrating it
+export function openSqliteDatabase(filename = process.env.SQLITE_PATH || defaultPath) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  return db;
+}
+
+// Embedded SQLite storage, used for local development and offline runs.
+// Pending migrations are applied when the database is opened.
+export function createSqliteStorage({ filename } = {}) {
+  const db = openSqliteDatabase(filename);
+  migrateSqlite(db);
+
+  const attempt = (action, fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      throw new StorageError(`Failed to ${action}: ${err.message}`, { cause: err });
+    }
+  };
+
+  const insert = (table, row) => {
+    const encoded = encode(table, row);
+    const columns = Object.keys(encoded);
+    db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((c) => '@' + c).join(', ')})`).run(encoded);
+  };
+
+  return {
+    backend: 'sqlite',
+    db,
+
+    summaries: {
+      async create(row) {
+        return attempt('save summary', () => {
+          const id = randomUUID();
+          insert('summaries', { ...row, id, created_at: new Date().toISOString() });
+          return decode('summaries', db.prepare('SELECT * FROM summaries WHERE id = ?').get(id));
+        });
+      },
+
+      async list({ userId, limit = 50, after, query, from, to, minPages, maxPages, lengths } = {}) {
+        const where = [];
+        const params = { limit };
+
+        if (userId !== undefined) {
+          where.push('user_id = @userId');
+          params.userId = userId;
+        }
+
+        const match = query ? ftsQuery(query) : '';
+        if (match) {
+          where.push('rowid IN (SELECT rowid FROM summaries_fts WHERE summaries_fts MATCH @match)');
+          params.match = match;
+        }
+        if (from) {
+          where.push('created_at >= @from');
+          params.from = from;
+        }
+        if (to) {
+          where.push('created_at < @to');
+          params.to = to;
+        }
+        if (minPages != null) {
+          where.push('page_count >= @minPages');
+          params.minPages = minPages;
+        }
+        if (maxPages != null) {
+          where.push('page_count <= @maxPages');
+          params.maxPages = maxPages;
+        }
+        if (lengths?.length) {
+          where.push(`summary_length IN (${lengths.map((_, i) => `@length${i}`).join(', ')})`);
+          lengths.forEach((length, i) => { params[`length${i}`] = length; });
+        }
+        if (after) {
+          where.push('(created_at < @afterCreatedAt OR (created_at = @afterCreatedAt AND id < @afterId))');
+          params.afterCreatedAt = after.createdAt;
+          params.afterId = after.id;
+        }
+
+        return attempt('fetch summaries', () => db
+          .prepare(`SELECT ${SUMMARY_LIST_COLUMNS.join(', ')} FROM summaries
+            ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+            ORDER BY created_at DESC, id DESC LIMIT @limit`)
+          .all(params)
+          .map((row) => decode('summaries', row)));
+      },
+
+      async get(id, { userId } = {}) {
+        return attempt('fetch summary', () => decode('summaries', userId === undefined
+          ? db.prepare('SELECT * FROM summaries WHERE id = ?').get(id)
+          : db.prepare('SELECT * FROM summaries WHERE id = ? AND user_id = ?').get(id, userId)));
+      },
+
+      // The newest summary of the same file made with the same options
+      async findCached({ userId, contentHash, optionsHash }) {
+        return attempt('fetch cached summary', () => decode('summaries', db
+          .prepare(`SELECT * FROM summaries WHERE user_id = ? AND content_hash = ? AND options_hash = ?
+            ORDER BY created_at DESC LIMIT 1`)
+          .get(userId, contentHash, optionsHash)));
+      },
+
+      // Resolves true if a row was deleted, false if the id was unknown
+      async delete(id, { userId } = {}) {
+        return attempt('delete summary', () => (userId === undefined
+          ? db.prepare('DELETE FROM summaries WHERE id = ?').run(id)
+          : db.prepare('DELETE FROM summaries WHERE id = ? AND user_id = ?').run(id, userId)).changes > 0);
+      },
+    },
+
+    users: {
+      async create(row) {
+        return attempt('save user', () => {
+          const id = randomUUID();
+          insert('users', { ...row, id, created_at: new Date().toISOString() });
+          return db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+        });
+      },
+
+      async get(id) {
+        return attempt('fetch user', () => db.prepare('SELECT * FROM users WHERE id = ?').get(id) || null);
+      },
+
+      async getByEmail(email) {
+        return attempt('fetch user', () => db.prepare('SELECT * FROM users WHERE email = ?').get(email) || null);
+      },
+    },
+
+    sessions: {
+      async create(row) {
+        return attempt('save session', () => {
+          const id = randomUUID();
+          insert('sessions', { ...row, id, created_at: new Date().toISOString() });
+          return db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+        });
+      },
+
+      async findByTokenHash(tokenHash) {
+        return attempt('fetch session', () => db.prepare('SELECT * FROM sessions WHERE token_hash = ?').get(tokenHash) || null);
+      },
+
+      async delete(tokenHash) {
+        return attempt('delete session', () => {
+          db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(tokenHash);
+        });
+      },
+    },
+
+    apiTokens: {
+      async list(userId) {
+        return attempt('fetch API tokens', () => db
+          .prepare(`SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`)
+          .all(userId));
+      },
+
+      async create(row) {
+        return attempt('save API token', () => {
+          const id = randomUUID();
+          insert('api_tokens', { ...row, id, created_at: new Date().toISOString() });
+          return db.prepare(`SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE id = ?`).get(id);
+        });
+      },
+
+      async findByTokenHash(tokenHash) {
+        return attempt('fetch API token', () => db.prepare('SELECT * FROM api_tokens WHERE token_hash = ?').get(tokenHash) || null);
+      },
+
+      async touch(id) {
+        return attempt('update API token', () => {
+          db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+        });
+      },
+
+      // Resolves true if a token was deleted, false if the user has no such token
+      async delete(id, userId) {
+        return attempt('delete API token', () => db
+          .prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?')
+          .run(id, userId).changes > 0);
+      },
+    },
+
+    magicLinks: {
+      async create(row) {
+        return attempt('save magic link', () => {
+          insert('magic_links', { ...row, id: randomUUID(), created_at: new Date().toISOString() });
+        });
+      },
+
+      // Delete and return a link, so each one can be used only once
+      async consume(tokenHash) {
+        return attempt('use magic link', () => db
+          .prepare('DELETE FROM magic_links WHERE token_hash = ? RETURNING *')
+          .get(tokenHash) || null);
+      },
+    },
+
+    promptTemplates: {
+      async list(userId) {
+        return attempt('fetch prompt templates', () => db
+          .prepare('SELECT * FROM prompt_templates WHERE user_id = ? ORDER BY name COLLATE NOCASE, created_at')
+          .all(userId));
+      },
+
+      async get(id, userId) {
+        return attempt('fetch prompt template', () => db
+          .prepare('SELECT * FROM prompt_templates WHERE id = ? AND user_id = ?')
+          .get(id, userId) || null);
+      },
+
+      async create(row) {
+        return attempt('save prompt template', () => {
+          const id = randomUUID();
+          const now = new Date().toISOString();
+          insert('prompt_templates', { ...row, id, created_at: now, updated_at: now });
+          return db.prepare('SELECT * FROM prompt_templates WHERE id = ?').get(id);
+        });
+      },
+
+      // Resolves the updated template, or null if the user has no such template
+      async update(id, userId, changes) {
+        return attempt('update prompt template', () => {
+          const columns = Object.keys(changes);
+          const { changes: updated } = db
+            .prepare(`UPDATE prompt_templates SET ${columns.map((c) => `${c} = @${c}`).join(', ')}, updated_at = @updatedAt
+              WHERE id = @id AND user_id = @userId`)
+            .run({ ...changes, updatedAt: new Date().toISOString(), id, userId });
+          return updated ? db.prepare('SELECT * FROM prompt_templates WHERE id = ?').get(id) : null;
+        });
+      },
+
+      // Resolves true if a template was deleted, false if the user has no such template
+      async delete(id, userId) {
+        return attempt('delete prompt template', () => db
+          .prepare('DELETE FROM prompt_templates WHERE id = ? AND user_id = ?')
+          .run(id, userId).changes > 0);
+      },
+    },
+
+    summaryVersions: {
+      async list(summaryId) {
+        return attempt('fetch summary versions', () => db
+          .prepare('SELECT * FROM summary_versions WHERE summary_id = ? ORDER BY created_at, rowid')
+          .all(summaryId)
+          .map((row) => decode('summary_versions', row)));
+      },
+
+      async create(row) {
+        return attempt('save summary version', () => {
+          const id = randomUUID();
+          insert('summary_versions', { ...row, id, created_at: new Date().toISOString() });
+          return decode('summary_versions', db.prepare('SELECT * FROM summary_versions WHERE id = ?').get(id));
+        });
+      },
+    },
+
+    llmUsage: {
+      async record(row) {
+        return attempt('save LLM usage', () => {
+          insert('llm_usage', { ...row, id: randomUUID(), created_at: new Date().toISOString() });
+        });
+      },
+
+      async list({ userId, from }) {
+        return attempt('fetch LLM usage', () => db
+          .prepare(`SELECT ${LLM_USAGE_COLUMNS} FROM llm_usage WHERE user_id = ? AND created_at >= ? ORDER BY created_at`)
+          .all(userId, from));
+      },
+    },
+
+    webhooks: {
+      async list(userId) {
+        return attempt('fetch webhooks', () => db
+          .prepare(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE user_id = ? ORDER BY created_at DESC`)
+          .all(userId)
+          .map((row) => decode('webhooks', row)));
+      },
+
+      // The whole row, secret included
+      async get(id, { userId } = {}) {
+        return attempt('fetch webhook', () => decode('webhooks', userId === undefined
+          ? db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id)
+          : db.prepare('SELECT * FROM webhooks WHERE id = ? AND user_id = ?').get(id, userId)));
+      },
+
+      // A user's active webhooks subscribed to `event`
+      async listForEvent(userId, event) {
+        return attempt('fetch webhooks', () => db
+          .prepare(`SELECT * FROM webhooks WHERE user_id = ? AND active = 1
+            AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)`)
+          .all(userId, event)
+          .map((row) => decode('webhooks', row)));
+      },
+
+      async create(row) {
+        return attempt('save webhook', () => {
+          const id = randomUUID();
+          const now = new Date().toISOString();
+          insert('webhooks', { ...row, id, created_at: now, updated_at: now });
+          return decode('webhooks', db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id));
+        });
+      },
+
+      // Resolves the updated webhook, or null if the user has no such webhook
+      async update(id, userId, changes) {
+        return attempt('update webhook', () => {
+          const encoded = encode('webhooks', changes);
+          const columns = Object.keys(encoded);
+          const { changes: updated } = db
+            .prepare(`UPDATE webhooks SET ${columns.map((c) => `${c} = @${c}`).join(', ')}, updated_at = @updatedAt
+              WHERE id = @id AND user_id = @userId`)
+            .run({ ...encoded, updatedAt: new Date().toISOString(), id, userId });
+          return updated ? decode('webhooks', db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id)) : null;
+        });
+      },
+
+      // Resolves true if a webhook was deleted, false if the user has no such webhook
+      async delete(id, userId) {
+        return attempt('delete webhook', () => db
+          .prepare('DELETE FROM webhooks WHERE id = ? AND user_id = ?')
+          .run(id, userId).changes > 0);
+      },
+    },
+
+    webhookDeliveries: {
+      async list(webhookId, { limit = 50 } = {}) {
+        return attempt('fetch webhook deliveries', () => db
+          .prepare(`SELECT ${WEBHOOK_DELIVERY_LIST_COLUMNS} FROM webhook_deliveries WHERE webhook_id = ?
+            ORDER BY created_at DESC, rowid DESC LIMIT ?`)
+          .all(webhookId, limit));
+      },
+
+      async get(id, webhookId) {
+        return attempt('fetch webhook delivery', () => decode('webhook_deliveries', db
+          .prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?')
+          .get(id, webhookId)));
+      },
+
+      // Deliveries still waiting for a (next) attempt, of every webhook
+      async listPending() {
+        return attempt('fetch webhook deliveries', () => db
+          .prepare(`SELECT * FROM webhook_deliveries WHERE status = 'pending' ORDER BY created_at`)
+          .all()
+          .map((row) => decode('webhook_deliveries', row)));
+      },
+
+      async create(row) {
+        return attempt('save webhook delivery', () => {
+          const id = randomUUID();
+          const now = new Date().toISOString();
+          insert('webhook_deliveries', { ...row, id, created_at: now, updated_at: now });
+          return decode('webhook_deliveries', db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+        });
+      },
+
+      async update(id, changes) {
+        return attempt('update webhook delivery', () => {
+          const encoded = encode('webhook_deliveries', changes);
+          const columns = Object.keys(encoded);
+          db.prepare(`UPDATE webhook_deliveries SET ${columns.map((c) => `${c} = @${c}`).join(', ')}, updated_at = @updatedAt
+            WHERE id = @id`)
+            .run({ ...encoded, updatedAt: new Date().toISOString(), id });
+          return decode('webhook_deliveries', db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+        });
+      },
+    },
+
+    chatMessages: {
+      async list(summaryId) {
+        return attempt('fetch chat history', () => db
+          .prepare('SELECT * FROM chat_messages WHERE summary_id = ? ORDER BY created_at, rowid')
+          .all(summaryId));
+      },
+
+      async create(row) {
+        return attempt('save chat message', () => {
+          const id = randomUUID();
+          insert('chat_messages', { ...row, id, created_at: new Date().toISOString() });
+          return db.prepare('SELECT * FROM chat_messages WHERE id = ?').get(id);
+        });
+      },
+
+      async clear(summaryId) {
+        return attempt('clear chat history', () => {
+          db.prepare('DELETE FROM chat_messages WHERE summary_id = ?').run(summaryId);
+        });
+      },
+    },
+  };
+}
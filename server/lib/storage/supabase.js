@@ -0,0 +1,359 @@
+import { createClient } from '@supabase/supabase-js';
+import { StorageError } from './errors.js';
+import {
+  SUMMARY_LIST_COLUMNS,
+  API_TOKEN_COLUMNS,
+  LLM_USAGE_COLUMNS,
+  WEBHOOK_COLUMNS,
+  WEBHOOK_DELIVERY_LIST_COLUMNS,
+} from './schema.js';
+
+// Supabase (hosted Postgres) storage. Run `npm run migrate` with DATABASE_URL
+// pointing at the project's database to create the schema.
+export function createSupabaseStorage({
+  url = process.env.SUPABASE_URL,
+  serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY,
+} = {}) {
+  const supabase = createClient(url, serviceRoleKey);
+
+  // supabase-js reports failures in the response instead of throwing
+  const unwrap = (action, { data, error }) => {
+    if (error) throw new StorageError(`Failed to ${action}: ${error.message}`, { cause: error });
+    return data;
+  };
+
+  return {
+    backend: 'supabase',
+
+    summaries: {
+      async create(row) {
+        return unwrap('save summary', await supabase.from('summaries').insert(row).select().single());
+      },
+
+      async list({ userId, limit = 50, after, query, from, to, minPages, maxPages, lengths } = {}) {
+        let request = supabase
+          .from('summaries')
+          .select(SUMMARY_LIST_COLUMNS.join(', '))
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false })
+          .limit(limit);
+
+        if (userId !== undefined) request = request.eq('user_id', userId);
+        if (query) request = request.textSearch('search', query, { type: 'websearch', config: 'simple' });
+        if (from) request = request.gte('created_at', from);
+        if (to) request = request.lt('created_at', to);
+        if (minPages != null) request = request.gte('page_count', minPages);
+        if (maxPages != null) request = request.lte('page_count', maxPages);
+        if (lengths?.length) request = request.in('summary_length', lengths);
+        if (after) {
+          request = request.or(`created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`);
+        }
+
+        return unwrap('fetch summaries', await request);
+      },
+
+      async get(id, { userId } = {}) {
+        let request = supabase.from('summaries').select('*').eq('id', id);
+        if (userId !== undefined) request = request.eq('user_id', userId);
+        return unwrap('fetch summary', await request.maybeSingle());
+      },
+
+      // The newest summary of the same file made with the same options
+      async findCached({ userId, contentHash, optionsHash }) {
+        return unwrap('fetch cached summary', await supabase
+          .from('summaries')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('content_hash', contentHash)
+          .eq('options_hash', optionsHash)
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle());
+      },
+
+      // Resolves true if a row was deleted, false if the id was unknown
+      async delete(id, { userId } = {}) {
+        let request = supabase.from('summaries').delete().eq('id', id);
+        if (userId !== undefined) request = request.eq('user_id', userId);
+        const rows = unwrap('delete summary', await request.select('id'));
+        return rows.length > 0;
+      },
+    },
+
+    users: {
+      async create(row) {
+        return unwrap('save user', await supabase.from('users').insert(row).select().single());
+      },
+
+      async get(id) {
+        return unwrap('fetch user', await supabase.from('users').select('*').eq('id', id).maybeSingle());
+      },
+
+      async getByEmail(email) {
+        return unwrap('fetch user', await supabase.from('users').select('*').eq('email', email).maybeSingle());
+      },
+    },
+
+    sessions: {
+      async create(row) {
+        return unwrap('save session', await supabase.from('sessions').insert(row).select().single());
+      },
+
+      async findByTokenHash(tokenHash) {
+        return unwrap('fetch session', await supabase
+          .from('sessions')
+          .select('*')
+          .eq('token_hash', tokenHash)
+          .maybeSingle());
+      },
+
+      async delete(tokenHash) {
+        unwrap('delete session', await supabase.from('sessions').delete().eq('token_hash', tokenHash));
+      },
+    },
+
+    apiTokens: {
+      async list(userId) {
+        return unwrap('fetch API tokens', await supabase
+          .from('api_tokens')
+          .select(API_TOKEN_COLUMNS)
+          .eq('user_id', userId)
+          .order('created_at', { ascending: false }));
+      },
+
+      async create(row) {
+        return unwrap('save API token', await supabase.from('api_tokens').insert(row).select(API_TOKEN_COLUMNS).single());
+      },
+
+      async findByTokenHash(tokenHash) {
+        return unwrap('fetch API token', await supabase
+          .from('api_tokens')
+          .select('*')
+          .eq('token_hash', tokenHash)
+          .maybeSingle());
+      },
+
+      async touch(id) {
+        unwrap('update API token', await supabase
+          .from('api_tokens')
+          .update({ last_used_at: new Date().toISOString() })
+          .eq('id', id));
+      },
+
+      // Resolves true if a token was deleted, false if the user has no such token
+      async delete(id, userId) {
+        const rows = unwrap('delete API token', await supabase
+          .from('api_tokens')
+          .delete()
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select('id'));
+        return rows.length > 0;
+      },
+    },
+
+    magicLinks: {
+      async create(row) {
+        unwrap('save magic link', await supabase.from('magic_links').insert(row));
+      },
+
+      // Delete and return a link, so each one can be used only once
+      async consume(tokenHash) {
+        const rows = unwrap('use magic link', await supabase
+          .from('magic_links')
+          .delete()
+          .eq('token_hash', tokenHash)
+          .select());
+        return rows[0] || null;
+      },
+    },
+
+    promptTemplates: {
+      async list(userId) {
+        return unwrap('fetch prompt templates', await supabase
+          .from('prompt_templates')
+          .select('*')
+          .eq('user_id', userId)
+          .order('name')
+          .order('created_at'));
+      },
+
+      async get(id, userId) {
+        return unwrap('fetch prompt template', await supabase
+          .from('prompt_templates')
+          .select('*')
+          .eq('id', id)
+          .eq('user_id', userId)
+          .maybeSingle());
+      },
+
+      async create(row) {
+        return unwrap('save prompt template', await supabase.from('prompt_templates').insert(row).select().single());
+      },
+
+      // Resolves the updated template, or null if the user has no such template
+      async update(id, userId, changes) {
+        return unwrap('update prompt template', await supabase
+          .from('prompt_templates')
+          .update({ ...changes, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select()
+          .maybeSingle());
+      },
+
+      // Resolves true if a template was deleted, false if the user has no such template
+      async delete(id, userId) {
+        const rows = unwrap('delete prompt template', await supabase
+          .from('prompt_templates')
+          .delete()
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select('id'));
+        return rows.length > 0;
+      },
+    },
+
+    summaryVersions: {
+      async list(summaryId) {
+        return unwrap('fetch summary versions', await supabase
+          .from('summary_versions')
+          .select('*')
+          .eq('summary_id', summaryId)
+          .order('created_at', { ascending: true }));
+      },
+
+      async create(row) {
+        return unwrap('save summary version', await supabase.from('summary_versions').insert(row).select().single());
+      },
+    },
+
+    llmUsage: {
+      async record(row) {
+        unwrap('save LLM usage', await supabase.from('llm_usage').insert(row));
+      },
+
+      async list({ userId, from }) {
+        return unwrap('fetch LLM usage', await supabase
+          .from('llm_usage')
+          .select(LLM_USAGE_COLUMNS)
+          .eq('user_id', userId)
+          .gte('created_at', from)
+          .order('created_at', { ascending: true }));
+      },
+    },
+
+    webhooks: {
+      async list(userId) {
+        return unwrap('fetch webhooks', await supabase
+          .from('webhooks')
+          .select(WEBHOOK_COLUMNS)
+          .eq('user_id', userId)
+          .order('created_at', { ascending: false }));
+      },
+
+      // The whole row, secret included
+      async get(id, { userId } = {}) {
+        let request = supabase.from('webhooks').select('*').eq('id', id);
+        if (userId !== undefined) request = request.eq('user_id', userId);
+        return unwrap('fetch webhook', await request.maybeSingle());
+      },
+
+      // A user's active webhooks subscribed to `event`
+      async listForEvent(userId, event) {
+        return unwrap('fetch webhooks', await supabase
+          .from('webhooks')
+          .select('*')
+          .eq('user_id', userId)
+          .eq('active', true)
+          .contains('events', [event]));
+      },
+
+      async create(row) {
+        return unwrap('save webhook', await supabase.from('webhooks').insert(row).select().single());
+      },
+
+      // Resolves the updated webhook, or null if the user has no such webhook
+      async update(id, userId, changes) {
+        return unwrap('update webhook', await supabase
+          .from('webhooks')
+          .update({ ...changes, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select()
+          .maybeSingle());
+      },
+
+      // Resolves true if a webhook was deleted, false if the user has no such webhook
+      async delete(id, userId) {
+        const rows = unwrap('delete webhook', await supabase
+          .from('webhooks')
+          .delete()
+          .eq('id', id)
+          .eq('user_id', userId)
+          .select('id'));
+        return rows.length > 0;
+      },
+    },
+
+    webhookDeliveries: {
+      async list(webhookId, { limit = 50 } = {}) {
+        return unwrap('fetch webhook deliveries', await supabase
+          .from('webhook_deliveries')
+          .select(WEBHOOK_DELIVERY_LIST_COLUMNS)
+          .eq('webhook_id', webhookId)
+          .order('created_at', { ascending: false })
+          .limit(limit));
+      },
+
+      async get(id, webhookId) {
+        return unwrap('fetch webhook delivery', await supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('id', id)
+          .eq('webhook_id', webhookId)
+          .maybeSingle());
+      },
+
+      // Deliveries still waiting for a (next) attempt, of every webhook
+      async listPending() {
+        return unwrap('fetch webhook deliveries', await supabase
+          .from('webhook_deliveries')
+          .select('*')
+          .eq('status', 'pending')
+          .order('created_at', { ascending: true }));
+      },
+
+      async create(row) {
+        return unwrap('save webhook delivery', await supabase.from('webhook_deliveries').insert(row).select().single());
+      },
+
+      async update(id, changes) {
+        return unwrap('update webhook delivery', await supabase
+          .from('webhook_deliveries')
+          .update({ ...changes, updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .select()
+          .single());
+      },
+    },
+
+    chatMessages: {
+      async list(summaryId) {
+        return unwrap('fetch chat history', await supabase
+          .from('chat_messages')
+          .select('*')
+          .eq('summary_id', summaryId)
+          .order('created_at', { ascending: true }));
+      },
+
+      async create(row) {
+        return unwrap('save chat message', await supabase.from('chat_messages').insert(row).select().single());
+      },
+
+      async clear(summaryId) {
+        unwrap('clear chat history', await supabase.from('chat_messages').delete().eq('summary_id', summaryId));
+      },
+    },
+  };
+}
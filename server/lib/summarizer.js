@@ -0,0 +1,197 @@
+import { chunkPages } from './chunker.js';
+
+const CHUNK_TOKENS = 3000;
+const REDUCE_TOKENS = 6000;
+
+export const lengthInstructions = {
+  short: 'Provide a brief summary in 2-3 sentences.',
+  medium: 'Provide a comprehensive summary in 1-2 paragraphs.',
+  long: 'Provide a detailed summary covering all key points, organized with bullet points and sections.',
+};
+
+// Run a single chat completion against `llm` ({ provider, model }). When
+// `onToken` is given the response is streamed and each content delta is
+// passed to it as it arrives.
+async function complete(llm, system, user, maxTokens = 2048, onToken) {
+  const request = {
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: user },
+    ],
+    model: llm.model,
+    temperature: 0.3,
+    maxTokens,
+  };
+
+  if (!onToken) {
+    const { content } = await llm.provider.chat(request);
+    return content;
+  }
+
+  let content = '';
+  for await (const delta of llm.provider.chatStream(request)) {
+    content += delta;
+    onToken(delta);
+  }
+  return content;
+}
+
+// The source text carries "[Page N]" headers; every stage is asked to keep
+// page citations so the final summary can be traced back to the document.
+const CITE_PAGES = 'The text is marked with [Page N] headers. After each key point, cite the page it comes from as [p. N] (one citation per page, e.g. [p. 3] [p. 4]). Only cite pages that appear in the text.';
+const KEEP_CITATIONS = 'Keep the [p. N] page citations attached to the points they support.';
+
+// The summary is written in `language` (a language name, see language.js)
+// whatever language the document is in
+const writeIn = (language = 'English') => `Write the summary in ${language}.`;
+
+// `instructions` (a rendered prompt template, see templates.js) replaces the
+// default opening; the formatting, language and citation rules always follow it.
+function finalSystemPrompt(summaryLength, { fromSummaries = false, instructions, language } = {}) {
+  const opening = instructions
+    || `You are an expert document summarizer. ${lengthInstructions[summaryLength] || lengthInstructions.medium} Use clear, professional language.`;
+  return `${opening} Format your response in markdown. ${writeIn(language)} ${fromSummaries ? KEEP_CITATIONS : CITE_PAGES}`;
+}
+
+function pageLabel(chunk) {
+  return chunk.startPage === chunk.endPage
+    ? `page ${chunk.startPage}`
+    : `pages ${chunk.startPage}-${chunk.endPage}`;
+}
+
+// Map step: summarize one chunk of the document in isolation.
+function summarizeChunk(llm, chunk, index, total) {
+  return complete(
+    llm,
+    `You are an expert document summarizer working on one section of a longer document. Capture every key point, figure, name and conclusion in this section as concise markdown bullet points. Do not add an introduction or conclusion. ${CITE_PAGES}`,
+    `This is part ${index + 1} of ${total} (${pageLabel(chunk)}).\n\n${chunk.text}`,
+    1024
+  );
+}
+
+// Repeatedly merge neighbouring parts in groups (using `system` as the
+// instruction) until all of them fit into a single request together.
+async function condense(llm, parts, system) {
+  let current = parts;
+
+  while (current.length > 1 && llm.provider.countTokens(current.join('\n\n')) > REDUCE_TOKENS) {
+    const groups = [];
+    let group = [];
+    for (const part of current) {
+      if (group.length && llm.provider.countTokens([...group, part].join('\n\n')) > REDUCE_TOKENS) {
+        groups.push(group);
+        group = [];
+      }
+      group.push(part);
+    }
+    if (group.length) groups.push(group);
+
+    // A single part that exceeds the budget on its own can't shrink further
+    // by grouping, so stop and let the final request take it as-is.
+    if (groups.length === current.length) break;
+
+    const merged = [];
+    for (const g of groups) {
+      merged.push(await complete(llm, system, g.join('\n\n'), 1024));
+    }
+    current = merged;
+  }
+
+  return current;
+}
+
+// Reduce step: merge partial summaries, collapsing them in groups first when
+// they are too long to fit into a single request.
+async function mergeSummaries(llm, partials, { summaryLength, instructions, language }, onToken) {
+  const current = await condense(
+    llm,
+    partials.map((p, i) => `Section ${i + 1}:\n${p}`),
+    `You combine partial summaries of consecutive sections of one document into a single set of concise markdown bullet points. Keep every distinct key point; drop repetition. ${KEEP_CITATIONS}`
+  );
+
+  return complete(
+    llm,
+    finalSystemPrompt(summaryLength, { fromSummaries: true, instructions, language }),
+    `The following are summaries of consecutive sections that together cover an entire document. Write one summary of the whole document:\n\n${current.join('\n\n')}`,
+    2048,
+    onToken
+  );
+}
+
+// Summarize a document given its per-page text, using `llm` ({ provider,
+// model } from resolveLLM). Short documents go through a single request;
+// longer ones are chunked, summarized per chunk and merged.
+//
+// `instructions` optionally replaces the default opening of the final prompt
+// and `language` names the language to write in (English by default).
+//
+// Optional hooks: `onProgress` receives { stage: 'chunked' | 'chunk' |
+// 'summarizing', ... } events as work completes, and `onToken` streams the
+// final summary as it is generated.
+export async function summarizeDocument(llm, { pages, summaryLength, instructions, language }, { onProgress, onToken } = {}) {
+  const chunks = chunkPages(pages, {
+    maxTokens: CHUNK_TOKENS,
+    countTokens: llm.provider.countTokens,
+    markPages: true,
+  });
+  const progress = (event) => onProgress?.(event);
+
+  progress({ stage: 'chunked', total: chunks.length });
+
+  if (chunks.length <= 1) {
+    progress({ stage: 'summarizing' });
+    const summary = await complete(
+      llm,
+      finalSystemPrompt(summaryLength, { instructions, language }),
+      `Please summarize the following document:\n\n${chunks[0]?.text || ''}`,
+      2048,
+      onToken
+    );
+    return { summary: summary || 'Unable to generate summary.', chunkCount: chunks.length };
+  }
+
+  const partials = [];
+  for (let i = 0; i < chunks.length; i++) {
+    partials.push(await summarizeChunk(llm, chunks[i], i, chunks.length));
+    progress({ stage: 'chunk', index: i + 1, total: chunks.length });
+  }
+
+  progress({ stage: 'summarizing' });
+  const summary = await mergeSummaries(llm, partials, { summaryLength, instructions, language }, onToken);
+  return { summary: summary || 'Unable to generate summary.', chunkCount: chunks.length };
+}
+
+// Write one overview of several related documents from their individual
+// summaries (`documents` is [{ filename, summary }]).
+export async function summarizeCollection(llm, { documents, summaryLength, language }, { onToken } = {}) {
+  // Page citations refer to pages of individual files and would be ambiguous here
+  const parts = documents.map(({ filename, summary }) =>
+    `Document "${filename}":\n${summary.replace(/\s*\[p\. \d+\]/g, '')}`
+  );
+
+  const current = await condense(
+    llm,
+    parts,
+    'You combine summaries of several related documents into concise markdown bullet points. Keep every distinct key point and say which document it comes from.'
+  );
+
+  const summary = await complete(
+    llm,
+    `You are an expert analyst writing an overview of a collection of related documents. ${lengthInstructions[summaryLength] || lengthInstructions.medium} Cover the common themes, how the documents relate to each other and where they differ, referring to documents by name. Use clear, professional language. Format your response in markdown. ${writeIn(language)}`,
+    `Write an overview of the following ${documents.length} documents:\n\n${current.join('\n\n')}`,
+    2048,
+    onToken
+  );
+  return summary || 'Unable to generate summary.';
+}
+
+// Translate a finished summary into `language` (a language name), keeping its
+// markdown structure and [p. N] page citations.
+export async function translateSummary(llm, { summary, language }) {
+  const translation = await complete(
+    llm,
+    `You are a professional translator. Translate the markdown summary you are given into ${language}. Keep the markdown formatting and every [p. N] page citation exactly where it is, translate everything else, and do not add, drop or comment on any content. Respond with the translation only.`,
+    `Translate this summary into ${language}:\n\n${summary}`
+  );
+  return translation || summary;
+}
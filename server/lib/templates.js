@@ -0,0 +1,98 @@
+import { httpError } from './errors.js';
+import { lengthInstructions } from './summarizer.js';
+
+// Prompt templates: the instructions that open the summarizer's system prompt.
+// Templates reference variables as {{name}}; page-citation and markdown
+// instructions are always added after them by the summarizer.
+export const TEMPLATE_VARIABLES = {
+  length: { description: 'The length instruction picked with the length selector' },
+  audience: { description: 'Who the summary is written for', default: 'a general professional audience' },
+  focus: { description: 'What the summary should concentrate on', default: 'the most important points' },
+};
+
+export const DEFAULT_TEMPLATE_ID = 'standard';
+
+export const MAX_NAME_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 200;
+export const MAX_PROMPT_LENGTH = 4000;
+export const MAX_VALUE_LENGTH = 200;
+
+// Built into every account and read-only
+export const builtInTemplates = {
+  standard: {
+    name: 'Standard summary',
+    description: 'A clear, general-purpose summary',
+    prompt: 'You are an expert document summarizer. {{length}} Use clear, professional language.',
+  },
+  'executive-brief': {
+    name: 'Executive brief',
+    description: 'Decisions, numbers and recommendations for leadership',
+    prompt: 'You are a chief of staff briefing {{audience}}. {{length}} Lead with the bottom line, then the decisions, figures and risks that matter, focusing on {{focus}}. Be direct and skip background the reader already knows.',
+  },
+  'action-items': {
+    name: 'Action items',
+    description: 'Bullet-only list of tasks, owners and deadlines',
+    prompt: 'You extract action items for {{audience}}. Respond only with a markdown bullet list: one bullet per task, with the owner and deadline when the document states them. Focus on {{focus}}. Do not add any prose before or after the list.',
+  },
+  'legal-risk': {
+    name: 'Legal risk review',
+    description: 'Obligations, liabilities and unusual clauses',
+    prompt: 'You are a careful legal analyst reviewing this document for {{audience}}. {{length}} Identify obligations, liabilities, deadlines, termination and indemnity terms, and any unusual or one-sided clauses, focusing on {{focus}}. Rate each risk as low, medium or high. Do not give legal advice.',
+  },
+  layperson: {
+    name: 'Plain-language explanation',
+    description: 'What the document means, without jargon',
+    prompt: 'You explain documents to {{audience}} with no specialist background. {{length}} Use plain, everyday words, explain any necessary technical term the first time it appears, and focus on {{focus}}.',
+  },
+};
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Names of the variables a prompt uses, in order of first use
+export function templateVariables(prompt) {
+  return [...new Set([...prompt.matchAll(VARIABLE_PATTERN)].map((m) => m[1]))];
+}
+
+const invalid = (message) => httpError(400, message, { code: 'invalid_template' });
+
+function text(value, field, maxLength, { required = false } = {}) {
+  const trimmed = typeof value === 'string' ? value.trim() : value;
+  if (trimmed == null || trimmed === '') {
+    if (required) throw invalid(`Template ${field} is required`);
+    return '';
+  }
+  if (typeof trimmed !== 'string') throw invalid(`Template ${field} must be a string`);
+  if (trimmed.length > maxLength) throw invalid(`Template ${field} must be at most ${maxLength} characters`);
+  return trimmed;
+}
+
+// Check a template sent by a client. Returns { name, description, prompt } or
+// throws a 400 error.
+export function validateTemplate(body) {
+  const template = {
+    name: text(body?.name, 'name', MAX_NAME_LENGTH, { required: true }),
+    description: text(body?.description, 'description', MAX_DESCRIPTION_LENGTH),
+    prompt: text(body?.prompt, 'prompt', MAX_PROMPT_LENGTH, { required: true }),
+  };
+
+  const unknown = templateVariables(template.prompt).filter((name) => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length) {
+    throw invalid(`Unknown template variable ${unknown.map((n) => `{{${n}}}`).join(', ')}. Use one of: ${Object.keys(TEMPLATE_VARIABLES).map((n) => `{{${n}}}`).join(', ')}`);
+  }
+  return template;
+}
+
+// Values for the variables: the length instruction for `summaryLength`, and
+// `audience`/`focus` as given or their defaults. Throws a 400 error for
+// values that aren't short strings.
+export function templateValues({ summaryLength, audience, focus }) {
+  return {
+    length: lengthInstructions[summaryLength] || lengthInstructions.medium,
+    audience: text(audience, 'audience', MAX_VALUE_LENGTH) || TEMPLATE_VARIABLES.audience.default,
+    focus: text(focus, 'focus', MAX_VALUE_LENGTH) || TEMPLATE_VARIABLES.focus.default,
+  };
+}
+
+export function renderTemplate(prompt, values) {
+  return prompt.replace(VARIABLE_PATTERN, (match, name) => values[name] ?? match);
+}
@@ -0,0 +1,53 @@
+// Usage reports over llm_usage rows ({ operation, provider, model,
+// prompt_tokens, completion_tokens, latency_ms, created_at }). Days and the
+// months of the monthly quota are in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const monthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+export const nextMonthStart = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// The first moment of the `days` days ending today
+export const periodStart = (days, date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) - (days - 1) * DAY_MS);
+
+export const totalTokens = (rows) => rows.reduce((sum, row) => sum + row.prompt_tokens + row.completion_tokens, 0);
+
+const emptyTotals = () => ({ operations: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0 });
+
+function add(totals, row) {
+  totals.operations += 1;
+  totals.promptTokens += row.prompt_tokens;
+  totals.completionTokens += row.completion_tokens;
+  totals.totalTokens += row.prompt_tokens + row.completion_tokens;
+  totals.latencyMs += row.latency_ms;
+}
+
+// Totals per day (every day of the period, oldest first, including days
+// without usage), per provider and model, and over the whole period
+export function usageReport(rows, { days, now = new Date() }) {
+  const start = periodStart(days, now);
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    byDay.set(new Date(start.getTime() + i * DAY_MS).toISOString().slice(0, 10), emptyTotals());
+  }
+
+  const byModel = new Map();
+  const totals = emptyTotals();
+  for (const row of rows) {
+    const day = byDay.get(new Date(row.created_at).toISOString().slice(0, 10));
+    if (!day) continue;
+    add(day, row);
+    add(totals, row);
+
+    const key = `${row.provider}/${row.model}`;
+    if (!byModel.has(key)) byModel.set(key, { provider: row.provider, model: row.model, ...emptyTotals() });
+    add(byModel.get(key), row);
+  }
+
+  return {
+    from: start.toISOString(),
+    days: [...byDay].map(([date, dayTotals]) => ({ date, ...dayTotals })),
+    models: [...byModel.values()].sort((a, b) => b.totalTokens - a.totalTokens),
+    totals,
+  };
+}
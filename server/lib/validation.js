@@ -0,0 +1,235 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import { httpError } from './errors.js';
+
+// Request (and optionally response) validation against the OpenAPI document
+// (lib/openapi.js). createValidator returns validate(operationId), a
+// middleware that checks path parameters, the query string and the body of
+// the named operation before the route runs:
+//   - path parameters that can't be ids respond 404 with the parameter's
+//     x-not-found message, the same as an id that doesn't exist
+//   - anything else invalid responds 400 validation_failed with `details`
+// Query strings and multipart form fields arrive as strings, so they are
+// coerced to the declared types (and query defaults filled in); JSON bodies
+// must already have the right types.
+//
+// With `validateResponses`, JSON responses are checked too, and one that
+// doesn't match its schema is logged and replaced by a 500 invalid_response.
+// Meant for development and tests.
+
+export const FORMATS = {
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}(:?\d{2})?)?$/,
+  binary: true,
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+  null: 'null',
+};
+
+const DOCUMENT_ID = 'openapi.json';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function createAjv(options) {
+  const ajv = new Ajv2020({ allErrors: true, strict: false, verbose: true, ...options });
+  for (const [name, format] of Object.entries(FORMATS)) ajv.addFormat(name, format);
+  return ajv;
+}
+
+// JSON pointer to a value inside the document
+const pointer = (...keys) => `${DOCUMENT_ID}#/${keys.map((key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+// The field an Ajv error is about, e.g. "events[1]" or "length"
+function fieldOf(error) {
+  const path = error.instancePath.split('/').slice(1)
+    .map((key) => (/^\d+$/.test(key) ? `[${key}]` : `.${key.replace(/~1/g, '/').replace(/~0/g, '~')}`))
+    .join('')
+    .replace(/^\./, '');
+  if (error.keyword === 'required') return path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+  return path;
+}
+
+function messageOf(error) {
+  const { keyword, params } = error;
+  if (keyword === 'required') return 'is required';
+  if (keyword === 'enum') return `must be one of: ${params.allowedValues.filter((v) => v !== '').join(', ')}`;
+  if (keyword === 'type') return `must be ${[].concat(params.type).map((type) => TYPE_NAMES[type] || type).join(' or ')}`;
+  if (keyword === 'format') return params.format === 'uuid' ? 'must be an id' : `must be a ${params.format}`;
+  if (keyword === 'minLength' && params.limit === 1) return 'must not be empty';
+  if (keyword === 'minLength') return `must be at least ${params.limit} characters`;
+  if (keyword === 'maxLength') return `must be at most ${params.limit} characters`;
+  if (keyword === 'minimum') return `must be at least ${params.limit}`;
+  if (keyword === 'maximum') return `must be at most ${params.limit}`;
+  if (keyword === 'minItems') return `must have at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+  if (keyword === 'maxItems') return `must have at most ${params.limit} items`;
+  if (keyword === 'anyOf') {
+    const { description } = error.parentSchema;
+    return description ? `must be ${description[0].toLowerCase()}${description.slice(1)}` : 'is not valid';
+  }
+  if (keyword === 'pattern') return params.pattern === '\\S' ? 'must not be blank' : 'is not valid';
+  return error.message;
+}
+
+// One entry per problem. A value matching no anyOf alternative is one
+// problem, not one per alternative.
+function details(errors, location) {
+  const anyOf = new Set(errors.filter((error) => error.keyword === 'anyOf').map((error) => error.instancePath));
+  const seen = new Set();
+  const list = [];
+  for (const error of errors) {
+    if (['oneOf', 'allOf', 'if'].includes(error.keyword)) continue;
+    if (anyOf.has(error.instancePath) && error.keyword !== 'anyOf' && error.keyword !== 'required') continue;
+    const field = fieldOf(error);
+    if (seen.has(field)) continue;
+    seen.add(field);
+    list.push({ in: location, field, message: messageOf(error) });
+  }
+  return list;
+}
+
+function validationError(problems) {
+  const [first] = problems;
+  const message = first.field ? `${first.field} ${first.message}` : `The request ${first.in} ${first.message}`;
+  return httpError(400, message, { code: 'validation_failed', details: problems });
+}
+
+export function createValidator(document, { validateResponses = false } = {}) {
+  const strictAjv = createAjv({ coerceTypes: false });
+  const coercingAjv = createAjv({ coerceTypes: 'array', useDefaults: true });
+  strictAjv.addSchema(document, DOCUMENT_ID);
+  coercingAjv.addSchema(document, DOCUMENT_ID);
+
+  const resolve = (value) => (value?.$ref ? resolve(value.$ref.split('/').slice(1).reduce((node, key) => node[key], document)) : value);
+
+  // Each parameter with the location of its schema in the document, so that
+  // $refs inside it resolve
+  const withSchemaPath = (list = [], base) => list.map((parameter, index) => ({
+    ...resolve(parameter),
+    schemaPath: parameter.$ref ? [...parameter.$ref.split('/').slice(1), 'schema'] : [...base, index, 'schema'],
+  }));
+
+  const operations = new Map();
+  for (const [path, item] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      const operation = item[method];
+      if (!operation) continue;
+      const parameters = [
+        ...withSchemaPath(item.parameters, ['paths', path, 'parameters']),
+        ...withSchemaPath(operation.parameters, ['paths', path, method, 'parameters']),
+      ];
+      operations.set(operation.operationId, { path, method, operation, parameters });
+    }
+  }
+
+  function compileParameters(parameters) {
+    if (!parameters.length) return null;
+    return coercingAjv.compile({
+      type: 'object',
+      // Ajv doesn't fill in defaults from behind a $ref, so they're repeated
+      // next to it
+      properties: Object.fromEntries(parameters.map((p) => [
+        p.name,
+        { $ref: pointer(...p.schemaPath), ...(p.schema && 'default' in p.schema ? { default: p.schema.default } : {}) },
+      ])),
+      required: parameters.filter((p) => p.required).map((p) => p.name),
+    });
+  }
+
+  function compileOperation(operationId) {
+    const entry = operations.get(operationId);
+    if (!entry) throw new Error(`No operation "${operationId}" in the OpenAPI document`);
+    const { path, method, operation, parameters } = entry;
+
+    const pathParameters = parameters.filter((p) => p.in === 'path');
+    const requestBody = resolve(operation.requestBody);
+    const bodyValidators = {};
+    for (const mediaType of Object.keys(requestBody?.content || {})) {
+      const ajv = mediaType === 'application/json' ? strictAjv : coercingAjv;
+      bodyValidators[mediaType] = ajv.compile({ $ref: pointer('paths', path, method, 'requestBody', 'content', mediaType, 'schema') });
+    }
+
+    // Responses without their own entry are errors described by the shared
+    // default response
+    const responseValidators = new Map();
+    const responseValidator = (status) => {
+      const key = operation.responses[status] ? String(status) : 'default';
+      if (!responseValidators.has(key)) {
+        let response = operation.responses[key] ?? { $ref: '#/components/responses/default' };
+        let responsePath = ['paths', path, method, 'responses', key];
+        if (response.$ref) {
+          responsePath = response.$ref.split('/').slice(1);
+          response = resolve(response);
+        }
+        responseValidators.set(key, response.content?.['application/json']
+          ? strictAjv.compile({ $ref: pointer(...responsePath, 'content', 'application/json', 'schema') })
+          : null);
+      }
+      return responseValidators.get(key);
+    };
+
+    return {
+      pathParameters,
+      validatePath: compileParameters(pathParameters),
+      validateQuery: compileParameters(parameters.filter((p) => p.in === 'query')),
+      requestBody,
+      bodyValidators,
+      responseValidator,
+    };
+  }
+
+  return function validate(operationId) {
+    const compiled = compileOperation(operationId);
+
+    return (req, res, next) => {
+      const { pathParameters, validatePath, validateQuery, requestBody, bodyValidators, responseValidator } = compiled;
+
+      if (validatePath && !validatePath(req.params)) {
+        const name = validatePath.errors[0].instancePath.split('/')[1];
+        const parameter = pathParameters.find((p) => p.name === name) || pathParameters[0];
+        return next(httpError(404, parameter['x-not-found'] || 'Not found'));
+      }
+      if (validateQuery) {
+        // An empty value (?from=) is the same as leaving the parameter out
+        req.query = Object.fromEntries(Object.entries(req.query).filter(([, value]) => value !== ''));
+        if (!validateQuery(req.query)) return next(validationError(details(validateQuery.errors, 'query')));
+      }
+
+      if (requestBody) {
+        // No body at all counts as an empty JSON one
+        const mediaType = req.is(['application/json', 'multipart/form-data']) ?? 'application/json';
+        const validateBody = bodyValidators[mediaType];
+        const empty = req.body === undefined || (typeof req.body === 'object' && Object.keys(req.body).length === 0);
+        if (!validateBody) {
+          return next(httpError(415, `Send the request body as ${Object.keys(bodyValidators).join(' or ')}`, { code: 'unsupported_media_type' }));
+        }
+        if (empty && !requestBody.required) {
+          req.body = {};
+        } else if (!validateBody(req.body ?? {})) {
+          return next(validationError(details(validateBody.errors, 'body')));
+        }
+      }
+
+      if (validateResponses) {
+        const json = res.json.bind(res);
+        res.json = (payload) => {
+          const check = responseValidator(res.statusCode);
+          if (!check || check(JSON.parse(JSON.stringify(payload ?? null)))) return json(payload);
+          console.error(`Response of ${operationId} does not match the API schema:`, check.errors);
+          res.status(500);
+          return json({
+            error: 'The response does not match the API schema',
+            code: 'invalid_response',
+            details: details(check.errors, 'body'),
+          });
+        };
+      }
+      next();
+    };
+  };
+}
@@ -0,0 +1,152 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import http from 'http';
+import https from 'https';
+import { parsePublicUrl, publicLookup } from './network.js';
+
+// Webhook notifications. Each event is delivered as a POST with the JSON body
+// { id, event, createdAt, data } and these headers:
+//   X-Webhook-Event      the event name
+//   X-Webhook-Delivery   the delivery id (a replay is a new delivery of the
+//                        same event, with the same body `id`)
+//   X-Webhook-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>"
+//                        keyed with the webhook's secret>
+// Any 2xx response counts as delivered; anything else is retried with
+// exponential backoff until maxAttempts attempts have been made.
+export const WEBHOOK_EVENTS = ['summary.created', 'summary.failed', 'summary.deleted'];
+export const MIN_SECRET_LENGTH = 16;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_CHARS = 2000;
+
+export const generateWebhookSecret = () => `whsec_${randomBytes(24).toString('base64url')}`;
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// POST `body` to `url` without following redirects. Resolves { status, body }
+// for any HTTP response and rejects on network errors and timeouts.
+function post(url, body, headers) {
+  const target = parsePublicUrl(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      lookup: publicLookup,
+      timeout: DELIVERY_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'SummarizeAI-Webhooks/1.0',
+        ...headers,
+      },
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (text.length < RESPONSE_BODY_CHARS) text += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: text.substring(0, RESPONSE_BODY_CHARS) }));
+      res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Deliveries are stored (storage.webhookDeliveries) before the first attempt
+// and updated after every attempt, so the log shows what happened and pending
+// retries survive a restart through resume().
+export function createWebhookDispatcher({
+  storage,
+  maxAttempts = 6,
+  baseDelayMs = 30 * 1000,
+  maxDelayMs = 60 * 60 * 1000,
+}) {
+  const schedule = (delivery, delayMs) => {
+    setTimeout(() => {
+      attempt(delivery).catch((err) => console.error('Webhook delivery error:', err));
+    }, delayMs).unref();
+  };
+
+  async function attempt(delivery) {
+    const webhook = await storage.webhooks.get(delivery.webhook_id);
+    // Deleting a webhook deletes its deliveries too
+    if (!webhook) return null;
+    if (!webhook.active) {
+      return storage.webhookDeliveries.update(delivery.id, {
+        status: 'failed',
+        error: 'The webhook was disabled before the delivery succeeded',
+        next_attempt_at: null,
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    let outcome;
+    try {
+      const res = await post(webhook.url, body, {
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': signPayload(webhook.secret, body),
+      });
+      const ok = res.status >= 200 && res.status < 300;
+      outcome = { ok, response_status: res.status, response_body: res.body, error: ok ? null : `Responded with HTTP ${res.status}` };
+    } catch (err) {
+      outcome = { ok: false, response_status: null, response_body: null, error: err.message };
+    }
+
+    const attempts = delivery.attempts + 1;
+    const retry = !outcome.ok && attempts < maxAttempts;
+    const delayMs = Math.min(baseDelayMs * 2 ** (attempts - 1), maxDelayMs);
+    const { ok, ...result } = outcome;
+    const updated = await storage.webhookDeliveries.update(delivery.id, {
+      ...result,
+      attempts,
+      status: ok ? 'succeeded' : retry ? 'pending' : 'failed',
+      next_attempt_at: retry ? new Date(Date.now() + delayMs).toISOString() : null,
+    });
+    if (retry) schedule(updated, delayMs);
+    return updated;
+  }
+
+  // Store a delivery and make its first attempt right away
+  async function deliver(webhook, { event, payload, replayOf = null }) {
+    const delivery = await storage.webhookDeliveries.create({
+      webhook_id: webhook.id,
+      event,
+      payload,
+      replay_of: replayOf,
+    });
+    schedule(delivery, 0);
+    return delivery;
+  }
+
+  return {
+    // Send `event` with `data` to every active webhook of the user subscribed
+    // to it. Never rejects: failures are logged, so callers need not wait.
+    async emit(userId, event, data) {
+      try {
+        const webhooks = await storage.webhooks.listForEvent(userId, event);
+        const payload = { id: randomUUID(), event, createdAt: new Date().toISOString(), data };
+        await Promise.all(webhooks.map((webhook) => deliver(webhook, { event, payload })));
+      } catch (err) {
+        console.error(`Webhook ${event} error:`, err);
+      }
+    },
+
+    // Send a logged delivery's event again, as a new delivery
+    replay(webhook, delivery) {
+      return deliver(webhook, { event: delivery.event, payload: delivery.payload, replayOf: delivery.id });
+    },
+
+    // Pick up deliveries left pending by a previous run
+    async resume() {
+      for (const delivery of await storage.webhookDeliveries.listPending()) {
+        const dueAt = delivery.next_attempt_at ? Date.parse(delivery.next_attempt_at) : Date.now();
+        schedule(delivery, Math.max(0, dueAt - Date.now()));
+      }
+    },
+  };
+}
@@ -0,0 +1,17 @@
+-- A no-op on the summaries table of existing Supabase projects; columns
+-- added since that table was created come from later migrations (017)
+CREATE TABLE IF NOT EXISTS summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  original_filename TEXT NOT NULL,
+  file_size INTEGER,
+  page_count INTEGER,
+  extracted_text TEXT,
+  summary TEXT NOT NULL,
+  summary_length TEXT NOT NULL DEFAULT 'medium',
+  ocr BOOLEAN NOT NULL DEFAULT FALSE,
+  ocr_confidence REAL,
+  page_methods JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS summaries_created_at_idx ON summaries (created_at DESC);
@@ -0,0 +1 @@
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS citations JSONB;
@@ -0,0 +1,5 @@
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'document';
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS batch_id UUID;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS source_ids JSONB;
+
+CREATE INDEX IF NOT EXISTS summaries_batch_id_idx ON summaries (batch_id);
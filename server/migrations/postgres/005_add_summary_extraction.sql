@@ -0,0 +1,3 @@
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS extraction JSONB;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS extraction_schema JSONB;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS schema_name TEXT;
@@ -0,0 +1,8 @@
+-- Full-text search over filename, summary and document text
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS search tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce(original_filename, '') || ' ' || coalesce(summary, '') || ' ' || coalesce(extracted_text, ''))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS summaries_search_idx ON summaries USING GIN (search);
+CREATE INDEX IF NOT EXISTS summaries_created_at_id_idx ON summaries (created_at DESC, id DESC);
@@ -0,0 +1,6 @@
+-- SHA-256 of the uploaded file and of the options it was summarized with,
+-- so re-uploads of the same document can reuse the stored summary
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS options_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS summaries_user_id_content_hash_idx ON summaries (user_id, content_hash);
@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  prompt TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS prompt_templates_user_id_idx ON prompt_templates (user_id, name);
+
+-- The template each summary was written with ({ id, name, prompt, variables }),
+-- copied so the summary stays reproducible after the template changes
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS template JSONB;
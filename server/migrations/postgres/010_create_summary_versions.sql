@@ -0,0 +1,15 @@
+-- Summaries regenerated from a summary's stored document text. The summaries
+-- row itself is version 1; these are the versions after it, oldest first.
+CREATE TABLE IF NOT EXISTS summary_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  summary_id UUID NOT NULL REFERENCES summaries (id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  summary_length TEXT NOT NULL,
+  template JSONB,
+  provider TEXT,
+  model TEXT,
+  citations JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS summary_versions_summary_id_idx ON summary_versions (summary_id, created_at);
@@ -0,0 +1,3 @@
+-- Comparisons of two documents are summaries with kind 'comparison' whose
+-- source_ids are [A, B]; this holds the structured result and the text diff
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS comparison JSONB;
@@ -0,0 +1,29 @@
+-- Tokens and time the LLM calls behind a summary (or version) took, and the
+-- provider and model that wrote it
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS model TEXT;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
+
+ALTER TABLE summary_versions ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE summary_versions ADD COLUMN IF NOT EXISTS completion_tokens INTEGER;
+ALTER TABLE summary_versions ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
+
+-- One row per operation that called the LLM (summaries, versions, chat
+-- answers), for usage reports and the monthly quota. Rows outlive the
+-- summary they belong to so deleting summaries does not reset the quota.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  summary_id UUID,
+  operation TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS llm_usage_user_id_idx ON llm_usage (user_id, created_at);
@@ -0,0 +1,7 @@
+-- Whether OCR read any pages of a summary's document, its mean confidence
+-- (0-100) and how each page was read. Databases created before OCR have a
+-- summaries table without these columns, which 001_create_summaries.sql
+-- leaves as it is.
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS ocr BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS ocr_confidence REAL;
+ALTER TABLE summaries ADD COLUMN IF NOT EXISTS page_methods JSONB;
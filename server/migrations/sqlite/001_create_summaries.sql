@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS summaries (
+  id TEXT PRIMARY KEY,
+  original_filename TEXT NOT NULL,
+  file_size INTEGER,
+  page_count INTEGER,
+  extracted_text TEXT,
+  summary TEXT NOT NULL,
+  summary_length TEXT NOT NULL DEFAULT 'medium',
+  ocr INTEGER NOT NULL DEFAULT 0,
+  ocr_confidence REAL,
+  page_methods TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS summaries_created_at_idx ON summaries (created_at DESC);
@@ -0,0 +1,9 @@
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id TEXT PRIMARY KEY,
+  summary_id TEXT NOT NULL REFERENCES summaries (id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('user', 'assistant')),
+  content TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS chat_messages_summary_id_idx ON chat_messages (summary_id, created_at);
@@ -0,0 +1,5 @@
+ALTER TABLE summaries ADD COLUMN kind TEXT NOT NULL DEFAULT 'document';
+ALTER TABLE summaries ADD COLUMN batch_id TEXT;
+ALTER TABLE summaries ADD COLUMN source_ids TEXT;
+
+CREATE INDEX IF NOT EXISTS summaries_batch_id_idx ON summaries (batch_id);
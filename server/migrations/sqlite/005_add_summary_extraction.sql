@@ -0,0 +1,3 @@
+ALTER TABLE summaries ADD COLUMN extraction TEXT;
+ALTER TABLE summaries ADD COLUMN extraction_schema TEXT;
+ALTER TABLE summaries ADD COLUMN schema_name TEXT;
@@ -0,0 +1,30 @@
+-- Full-text index over filename, summary and document text, kept in sync
+-- with the summaries table by triggers
+CREATE VIRTUAL TABLE IF NOT EXISTS summaries_fts USING fts5 (
+  original_filename,
+  summary,
+  extracted_text,
+  content = 'summaries',
+  content_rowid = 'rowid'
+);
+
+CREATE TRIGGER IF NOT EXISTS summaries_fts_insert AFTER INSERT ON summaries BEGIN
+  INSERT INTO summaries_fts (rowid, original_filename, summary, extracted_text)
+  VALUES (new.rowid, new.original_filename, new.summary, new.extracted_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS summaries_fts_delete AFTER DELETE ON summaries BEGIN
+  INSERT INTO summaries_fts (summaries_fts, rowid, original_filename, summary, extracted_text)
+  VALUES ('delete', old.rowid, old.original_filename, old.summary, old.extracted_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS summaries_fts_update AFTER UPDATE ON summaries BEGIN
+  INSERT INTO summaries_fts (summaries_fts, rowid, original_filename, summary, extracted_text)
+  VALUES ('delete', old.rowid, old.original_filename, old.summary, old.extracted_text);
+  INSERT INTO summaries_fts (rowid, original_filename, summary, extracted_text)
+  VALUES (new.rowid, new.original_filename, new.summary, new.extracted_text);
+END;
+
+INSERT INTO summaries_fts (summaries_fts) VALUES ('rebuild');
+
+CREATE INDEX IF NOT EXISTS summaries_created_at_id_idx ON summaries (created_at DESC, id DESC);
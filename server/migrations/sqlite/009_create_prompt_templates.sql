@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  prompt TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS prompt_templates_user_id_idx ON prompt_templates (user_id, name);
+
+-- The template each summary was written with ({ id, name, prompt, variables }),
+-- copied so the summary stays reproducible after the template changes
+ALTER TABLE summaries ADD COLUMN template TEXT;
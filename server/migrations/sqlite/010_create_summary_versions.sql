@@ -0,0 +1,15 @@
+-- Summaries regenerated from a summary's stored document text. The summaries
+-- row itself is version 1; these are the versions after it, oldest first.
+CREATE TABLE IF NOT EXISTS summary_versions (
+  id TEXT PRIMARY KEY,
+  summary_id TEXT NOT NULL REFERENCES summaries (id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  summary_length TEXT NOT NULL,
+  template TEXT,
+  provider TEXT,
+  model TEXT,
+  citations TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS summary_versions_summary_id_idx ON summary_versions (summary_id, created_at);
@@ -0,0 +1,5 @@
+-- ISO 639-1 codes: the language detected in the document text (NULL when it
+-- couldn't be told) and the language each summary version is written in
+ALTER TABLE summaries ADD COLUMN language TEXT;
+ALTER TABLE summaries ADD COLUMN output_language TEXT;
+ALTER TABLE summary_versions ADD COLUMN output_language TEXT;
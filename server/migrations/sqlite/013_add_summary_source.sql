@@ -0,0 +1,4 @@
+-- Where the summarized content came from: an uploaded 'file', a fetched
+-- 'url' (kept in source_url) or pasted 'text'
+ALTER TABLE summaries ADD COLUMN source_type TEXT NOT NULL DEFAULT 'file';
+ALTER TABLE summaries ADD COLUMN source_url TEXT;
@@ -0,0 +1,6 @@
+-- The type of document a summary was made from ('pdf', 'docx', 'pptx',
+-- 'epub', 'txt', 'md', 'html' or 'text' for pasted text). Only PDFs could be
+-- uploaded before, and fetched URLs are left unknown.
+ALTER TABLE summaries ADD COLUMN document_type TEXT;
+UPDATE summaries SET document_type = CASE source_type WHEN 'text' THEN 'text' ELSE 'pdf' END
+  WHERE kind = 'document' AND source_type <> 'url';
@@ -0,0 +1,29 @@
+-- Tokens and time the LLM calls behind a summary (or version) took, and the
+-- provider and model that wrote it
+ALTER TABLE summaries ADD COLUMN provider TEXT;
+ALTER TABLE summaries ADD COLUMN model TEXT;
+ALTER TABLE summaries ADD COLUMN prompt_tokens INTEGER;
+ALTER TABLE summaries ADD COLUMN completion_tokens INTEGER;
+ALTER TABLE summaries ADD COLUMN latency_ms INTEGER;
+
+ALTER TABLE summary_versions ADD COLUMN prompt_tokens INTEGER;
+ALTER TABLE summary_versions ADD COLUMN completion_tokens INTEGER;
+ALTER TABLE summary_versions ADD COLUMN latency_ms INTEGER;
+
+-- One row per operation that called the LLM (summaries, versions, chat
+-- answers), for usage reports and the monthly quota. Rows outlive the
+-- summary they belong to so deleting summaries does not reset the quota.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  summary_id TEXT,
+  operation TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  latency_ms INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS llm_usage_user_id_idx ON llm_usage (user_id, created_at);
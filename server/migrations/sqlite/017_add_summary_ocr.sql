@@ -0,0 +1,3 @@
+-- Nothing to do: SQLite databases have had the OCR columns since
+-- 001_create_summaries.sql. The Postgres migration of the same name adds
+-- them to Supabase tables created before OCR.
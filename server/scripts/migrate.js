@@ -0,0 +1,39 @@
+// Create or update the database schema.
+//
+//   npm run migrate                      # local SQLite (SQLITE_PATH)
+//   DATABASE_URL=postgres://... npm run migrate -- postgres
+//
+// For Supabase, DATABASE_URL is the project's Postgres connection string.
+import 'dotenv/config';
+import pg from 'pg';
+import { migrateSqlite, migratePostgres } from '../lib/storage/migrate.js';
+import { openSqliteDatabase } from '../lib/storage/sqlite.js';
+
+const target = process.argv[2] || (process.env.DATABASE_URL ? 'postgres' : 'sqlite');
+
+async function main() {
+  let applied;
+  if (target === 'postgres') {
+    if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is required for Postgres migrations');
+    const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+    try {
+      applied = await migratePostgres(client);
+    } finally {
+      await client.end();
+    }
+  } else if (target === 'sqlite') {
+    const db = openSqliteDatabase();
+    applied = migrateSqlite(db);
+    db.close();
+  } else {
+    throw new Error(`Unknown migration target "${target}". Use "sqlite" or "postgres".`);
+  }
+
+  console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Database is up to date');
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './helpers/app.js';
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+describe('POST /api/auth/signup', () => {
+  it('creates an account and signs it in', async () => {
+    const client = app.client();
+    const res = await client.post('/api/auth/signup', { json: { email: 'New@Example.com', password: 'password123' } });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.email, 'new@example.com');
+    assert.match(res.headers.get('set-cookie'), /^session=.+HttpOnly/);
+
+    const me = await client.get('/api/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, res.body.user.id);
+  });
+
+  it('rejects a taken email', async () => {
+    await app.signUp('taken@example.com');
+    const res = await app.client().post('/api/auth/signup', { json: { email: 'taken@example.com', password: 'password123' } });
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'conflict');
+  });
+
+  it('validates the email and password', async () => {
+    const short = await app.client().post('/api/auth/signup', { json: { email: 'a@example.com', password: 'short' } });
+    assert.equal(short.status, 400);
+    assert.equal(short.body.code, 'validation_failed');
+    assert.deepEqual(short.body.details, [{ in: 'body', field: 'password', message: 'must be at least 8 characters' }]);
+
+    const email = await app.client().post('/api/auth/signup', { json: { email: 'not-an-email', password: 'password123' } });
+    assert.equal(email.status, 400);
+    assert.equal(email.body.code, 'invalid_email');
+
+    const missing = await app.client().post('/api/auth/signup', { json: {} });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details.map((d) => d.field).sort(), ['email', 'password']);
+  });
+});
+
+describe('POST /api/auth/login and /api/auth/logout', () => {
+  it('signs in with the right password only', async () => {
+    await app.signUp('login@example.com');
+
+    const wrong = await app.client().post('/api/auth/login', { json: { email: 'login@example.com', password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error, 'Invalid email or password');
+
+    const unknown = await app.client().post('/api/auth/login', { json: { email: 'nobody@example.com', password: 'password123' } });
+    assert.equal(unknown.status, 401);
+
+    const client = app.client();
+    const res = await client.post('/api/auth/login', { json: { email: 'login@example.com', password: 'password123' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, 'login@example.com');
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+  });
+
+  it('ends the session on logout', async () => {
+    const client = await app.signUp();
+    const res = await client.post('/api/auth/logout');
+    assert.equal(res.status, 200);
+    assert.equal((await client.get('/api/auth/me')).status, 401);
+  });
+});
+
+describe('magic links', () => {
+  const sentToken = (email) => {
+    const mail = app.logs.findLast((line) => line.includes(`To: ${email}`));
+    return mail?.match(/\?magic=(\S+)/)?.[1];
+  };
+
+  it('emails a link that signs in once, creating the account', async () => {
+    const res = await app.client().post('/api/auth/magic-link', { json: { email: 'magic@example.com' } });
+    assert.equal(res.status, 200);
+    const token = sentToken('magic@example.com');
+    assert.ok(token);
+
+    const client = app.client();
+    const verified = await client.post('/api/auth/magic-link/verify', { json: { token } });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.user.email, 'magic@example.com');
+    assert.equal((await client.get('/api/auth/me')).status, 200);
+
+    const again = await app.client().post('/api/auth/magic-link/verify', { json: { token } });
+    assert.equal(again.status, 401);
+  });
+
+  it('links to the configured app whatever the request says its origin is', async () => {
+    const res = await app.client().post('/api/auth/magic-link', {
+      json: { email: 'victim@example.com' },
+      headers: { origin: 'https://evil.example' },
+    });
+    assert.equal(res.status, 200);
+    const mail = app.logs.findLast((line) => line.includes('To: victim@example.com'));
+    assert.match(mail, /http:\/\/app\.test\/\?magic=/);
+    assert.doesNotMatch(mail, /evil\.example/);
+  });
+
+  it('rejects bad requests and unknown tokens', async () => {
+    const email = await app.client().post('/api/auth/magic-link', { json: { email: 'nope' } });
+    assert.equal(email.status, 400);
+
+    const missing = await app.client().post('/api/auth/magic-link/verify', { json: {} });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+
+    const unknown = await app.client().post('/api/auth/magic-link/verify', { json: { token: 'unknown' } });
+    assert.equal(unknown.status, 401);
+  });
+});
+
+describe('API tokens', () => {
+  it('creates, lists, authenticates with and revokes a token', async () => {
+    const user = await app.signUp();
+    const created = await user.post('/api/tokens', { json: { name: 'script' } });
+    assert.equal(created.status, 201);
+    assert.match(created.body.token, /^sai_/);
+
+    const list = await user.get('/api/tokens');
+    assert.deepEqual(list.body.map((t) => t.name), ['script']);
+    assert.equal(list.body[0].token, undefined);
+
+    const bearer = app.client({ token: created.body.token });
+    const me = await bearer.get('/api/auth/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.user.id, user.user.id);
+
+    const revoked = await user.delete(`/api/tokens/${created.body.id}`);
+    assert.equal(revoked.status, 200);
+    assert.equal((await bearer.get('/api/auth/me')).status, 401);
+  });
+
+  it('validates names and ids', async () => {
+    const user = await app.signUp();
+    const blank = await user.post('/api/tokens', { json: { name: '  ' } });
+    assert.equal(blank.status, 400);
+    assert.equal(blank.body.details[0].message, 'must not be blank');
+
+    const unknown = await user.delete('/api/tokens/00000000-0000-4000-8000-000000000000');
+    assert.equal(unknown.status, 404);
+    const malformed = await user.delete('/api/tokens/not-an-id');
+    assert.equal(malformed.status, 404);
+    assert.equal(malformed.body.error, 'Token not found');
+  });
+
+  it("can't revoke another user's token", async () => {
+    const owner = await app.signUp();
+    const other = await app.signUp();
+    const { body } = await owner.post('/api/tokens', { json: { name: 'mine' } });
+    assert.equal((await other.delete(`/api/tokens/${body.id}`)).status, 404);
+    assert.equal((await owner.get('/api/tokens')).body.length, 1);
+  });
+});
@@ -0,0 +1,140 @@
+import { once } from 'events';
+import { mock } from 'node:test';
+import { startFakeGroq } from './fakeGroq.js';
+
+// Boots the Express app (index.js) on a free port for a test file, against
+// local stand-ins: the fake Groq API (./fakeGroq.js) for the LLM and an
+// in-memory SQLite database for storage. Responses are checked against the
+// OpenAPI document (VALIDATE_RESPONSES), so every test also checks the
+// contract. Rate limits, the quota and OCR are off unless `env` turns them on.
+//
+// The app configures itself from the environment when it is imported, so
+// there is one app per process: call startApp once per test file (node
+// --test runs each file in a process of its own).
+//
+// The server's console output is muted; set TEST_LOGS=true to see it.
+export async function startApp(env = {}) {
+  const groq = await startFakeGroq();
+  delete process.env.SMTP_URL;
+  delete process.env.LLM_MODEL;
+  Object.assign(process.env, {
+    STORAGE_BACKEND: 'sqlite',
+    SQLITE_PATH: ':memory:',
+    LLM_PROVIDER: 'groq',
+    GROQ_API_KEY: groq.apiKey,
+    GROQ_BASE_URL: groq.url,
+    OCR_ENABLED: 'false',
+    VALIDATE_RESPONSES: 'true',
+    ALLOW_PRIVATE_URLS: 'true',
+    APP_URL: 'http://app.test',
+    RATE_LIMIT_PER_IP: '0',
+    RATE_LIMIT_PER_USER: '0',
+    MONTHLY_TOKEN_QUOTA: '0',
+    JOB_MAX_ATTEMPTS: '2',
+    WEBHOOK_RETRY_BASE_MS: '10',
+    ...env,
+  });
+
+  const logs = [];
+  if (process.env.TEST_LOGS !== 'true') {
+    mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+    mock.method(console, 'error', () => {});
+  }
+
+  const { default: app } = await import('../../index.js');
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  let users = 0;
+  return {
+    url,
+    groq,
+    // What the server printed with console.log, e.g. magic link emails
+    logs,
+    client: (options) => createClient(url, options),
+    // A new account, signed in
+    async signUp(email = `user${++users}@example.com`) {
+      const client = createClient(url);
+      const res = await client.post('/api/auth/signup', { json: { email, password: 'password123' } });
+      if (res.status !== 201) throw new Error(`Sign up failed: ${JSON.stringify(res.body)}`);
+      client.user = res.body.user;
+      return client;
+    },
+    async close() {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+      await groq.close();
+    },
+  };
+}
+
+// A fetch wrapper that keeps the session cookie, like a browser. Bodies are
+// parsed by content type: JSON, text (including event streams, read to the
+// end) or a Buffer.
+export function createClient(baseUrl, { token } = {}) {
+  let cookie = null;
+
+  async function request(method, path, { json, form, headers = {} } = {}) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(cookie ? { cookie } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...(json !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...headers,
+      },
+      body: json !== undefined ? JSON.stringify(json) : form,
+    });
+
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+
+    const type = res.headers.get('content-type') || '';
+    let body;
+    if (type.includes('json')) body = await res.json();
+    else if (type.startsWith('text/')) body = await res.text();
+    else body = Buffer.from(await res.arrayBuffer());
+    return { status: res.status, headers: res.headers, body };
+  }
+
+  return {
+    request,
+    get: (path, options) => request('GET', path, options),
+    post: (path, options) => request('POST', path, options),
+    put: (path, options) => request('PUT', path, options),
+    patch: (path, options) => request('PATCH', path, options),
+    delete: (path, options) => request('DELETE', path, options),
+  };
+}
+
+// A multipart form with `files` (fixtures, see ./fixtures.js) under `field`
+// and the other `fields` as text
+export function upload(files, fields = {}, field = 'pdf') {
+  const form = new FormData();
+  for (const file of [].concat(files)) {
+    form.append(field, new Blob([file.buffer], { type: file.type }), file.filename);
+  }
+  for (const [name, value] of Object.entries(fields)) form.append(name, String(value));
+  return form;
+}
+
+// The events of a Server-Sent Events body, as [{ event, data }]
+export function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map((block) => {
+    const event = block.match(/^event: (.*)$/m)?.[1];
+    const data = block.match(/^data: (.*)$/m)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
+
+// Poll `check` until it resolves truthy
+export async function eventually(check, { timeout = 5000, interval = 25 } = {}) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition');
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
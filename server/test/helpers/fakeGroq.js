@@ -0,0 +1,99 @@
+import http from 'http';
+import { once } from 'events';
+import { createMockProvider } from '../../lib/llm/mock.js';
+
+const API_KEY = 'test-groq-key';
+
+// A local stand-in for Groq's chat completions API, which the real groq
+// provider (lib/llm/groq.js) talks to through GROQ_BASE_URL. The replies come
+// from the offline mock provider, so they are deterministic, and are sent in
+// Groq's wire format: a chat.completion object, or chat.completion.chunk
+// Server-Sent Events ending with the usage in `x_groq` when streaming.
+//
+// `requests` records every request body. `fail(status, options)` makes the
+// next `times` requests fail with that status instead; they carry
+// x-should-retry: false so the SDK's own retries don't swallow them.
+export async function startFakeGroq() {
+  const mock = createMockProvider();
+  const requests = [];
+  const failures = [];
+  let counter = 0;
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST' || req.url !== '/openai/v1/chat/completions') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: `Unknown route ${req.method} ${req.url}` } }));
+      return;
+    }
+    if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+      res.writeHead(401, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: { message: 'Invalid API Key', code: 'invalid_api_key' } }));
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = JSON.parse(Buffer.concat(chunks).toString());
+    requests.push(body);
+
+    const failure = failures.shift();
+    if (failure) {
+      res.writeHead(failure.status, { 'content-type': 'application/json', 'x-should-retry': 'false', ...failure.headers });
+      res.end(JSON.stringify({ error: { message: failure.message, type: 'fake_error' } }));
+      return;
+    }
+
+    const json = body.response_format?.type === 'json_object';
+    const { content, usage } = await mock.chat({ messages: body.messages, json });
+    const id = `chatcmpl-${++counter}`;
+    const created = Math.floor(Date.now() / 1000);
+    const wireUsage = {
+      prompt_tokens: usage.promptTokens,
+      completion_tokens: usage.completionTokens,
+      total_tokens: usage.promptTokens + usage.completionTokens,
+    };
+
+    if (!body.stream) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        id,
+        object: 'chat.completion',
+        created,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+        usage: wireUsage,
+      }));
+      return;
+    }
+
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    const chunk = (delta, extra = {}) => `data: ${JSON.stringify({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model: body.model,
+      choices: [{ index: 0, delta, finish_reason: extra.finish_reason ?? null }],
+      ...(extra.x_groq ? { x_groq: extra.x_groq } : {}),
+    })}\n\n`;
+    for (const word of content.split(/(?<=\s)/)) res.write(chunk({ content: word }));
+    res.write(chunk({}, { finish_reason: 'stop', x_groq: { id, usage: wireUsage } }));
+    res.end('data: [DONE]\n\n');
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    apiKey: API_KEY,
+    requests,
+    fail(status, { times = 1, headers = {}, message = `Fake failure (${status})` } = {}) {
+      for (let i = 0; i < times; i++) failures.push({ status, headers, message });
+    },
+    reset() {
+      requests.length = 0;
+      failures.length = 0;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
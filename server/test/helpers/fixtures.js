@@ -0,0 +1,73 @@
+import PDFDocument from 'pdfkit';
+import { createCanvas } from '@napi-rs/canvas';
+
+// Upload fixtures, generated on the fly so the repository holds no binaries.
+// Every fixture is { filename, type, buffer }, ready for upload().
+
+// A PDF with one page per entry of `pages`: a string of text, or
+// { image } for a page that is only a picture
+function pdf(pages) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ autoFirstPage: false, info: { CreationDate: new Date(0) } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    for (const page of pages) {
+      doc.addPage();
+      if (page.image) doc.image(page.image, 50, 50, { width: 500 });
+      else if (page) doc.text(page);
+    }
+    doc.end();
+  });
+}
+
+// A PNG of a few lines of text, as a scanner would produce
+function scannedText(lines) {
+  const canvas = createCanvas(1200, 400);
+  const context = canvas.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, 1200, 400);
+  context.fillStyle = 'black';
+  context.font = '48px sans-serif';
+  lines.forEach((line, i) => context.fillText(line, 60, 100 + i * 80));
+  return canvas.toBuffer('image/png');
+}
+
+export const MULTI_PAGE_TEXT = [
+  'Quarterly report. Revenue grew by twelve percent compared to the previous quarter.',
+  'Operating costs stayed flat. The new warehouse opened in March and is fully staffed.',
+  'Outlook. The board expects growth to continue and approved a second warehouse.',
+];
+
+export async function multiPagePdf() {
+  return { filename: 'report.pdf', type: 'application/pdf', buffer: await pdf(MULTI_PAGE_TEXT) };
+}
+
+// A valid PDF whose only page is blank
+export async function emptyPdf() {
+  return { filename: 'empty.pdf', type: 'application/pdf', buffer: await pdf(['']) };
+}
+
+// A scan: a picture of text and no text layer
+export async function imageOnlyPdf() {
+  const image = scannedText(['TERMINATION CLAUSE', 'Either party may terminate', 'with thirty days notice.']);
+  return { filename: 'scan.pdf', type: 'application/pdf', buffer: await pdf([{ image }]) };
+}
+
+// Just over the 20MB upload limit
+export function oversizedPdf() {
+  const buffer = Buffer.alloc(20 * 1024 * 1024 + 1, ' ');
+  buffer.write('%PDF-1.4\n');
+  return { filename: 'huge.pdf', type: 'application/pdf', buffer };
+}
+
+// A file type nothing can extract text from
+export function nonPdf() {
+  return { filename: 'photo.png', type: 'image/png', buffer: scannedText(['Not a document']) };
+}
+
+// Named .pdf but not a PDF inside
+export function corruptPdf() {
+  return { filename: 'broken.pdf', type: 'application/pdf', buffer: Buffer.from('This is plain text, not a PDF.') };
+}
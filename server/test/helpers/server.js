@@ -0,0 +1,31 @@
+import http from 'http';
+import { once } from 'events';
+
+// A throwaway local HTTP server: documents for URL sources, or a receiver
+// for webhooks. `handler(req, body)` resolves { status, headers, body }
+// (200 and no body by default). Every request is recorded in `requests` as
+// { method, url, headers, body }.
+export async function startServer(handler = () => ({})) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString();
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+    const reply = await handler(req, body);
+    res.writeHead(reply.status ?? 200, reply.headers ?? {});
+    res.end(reply.body);
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
@@ -0,0 +1,226 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { eventually, parseEvents, startApp, upload } from './helpers/app.js';
+import { emptyPdf, multiPagePdf, nonPdf } from './helpers/fixtures.js';
+
+let app;
+let user;
+
+before(async () => {
+  app = await startApp();
+  user = await app.signUp();
+});
+after(() => app.close());
+beforeEach(() => app.groq.reset());
+
+const NO_JOB = '00000000-0000-4000-8000-000000000000';
+
+const finished = (client, id) => eventually(async () => {
+  const { body } = await client.get(`/api/jobs/${id}`);
+  return ['done', 'failed'].includes(body.status) && body;
+}, { timeout: 10000 });
+
+const text = (words) => ({ filename: `${words.split(' ')[0].toLowerCase()}.txt`, type: 'text/plain', buffer: Buffer.from(words) });
+
+describe('jobs', () => {
+  it('queues a document and finishes it in the background', async () => {
+    const res = await user.post('/api/jobs', { form: upload(await multiPagePdf(), { length: 'short', regenerate: true }) });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.meta.filename, 'report.pdf');
+    assert.equal(res.body.meta.summaryLength, 'short');
+
+    const job = await finished(user, res.body.id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.pageCount, 3);
+    assert.equal(job.attempts, 1);
+
+    const stored = await user.get(`/api/summaries/${job.result.id}`);
+    assert.equal(stored.status, 200);
+  });
+
+  it('queues pasted text', async () => {
+    const res = await user.post('/api/jobs', { json: { text: 'Plans for the spring fair are complete.', regenerate: true } });
+    assert.equal(res.status, 202);
+    assert.equal((await finished(user, res.body.id)).status, 'done');
+  });
+
+  it('lists only your own jobs, by status', async () => {
+    const other = await app.signUp();
+    const { body } = await user.post('/api/jobs', { json: { text: 'A job to list.', regenerate: true } });
+    await finished(user, body.id);
+
+    const done = await user.get('/api/jobs?status=done');
+    assert.ok(done.body.some((job) => job.id === body.id));
+    assert.ok(done.body.every((job) => job.status === 'done'));
+    assert.deepEqual((await other.get('/api/jobs')).body, []);
+    assert.equal((await other.get(`/api/jobs/${body.id}`)).status, 404);
+
+    const invalid = await user.get('/api/jobs?status=sleeping');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'status');
+  });
+
+  it('rejects invalid documents up front', async () => {
+    const type = await user.post('/api/jobs', { form: upload(nonPdf()) });
+    assert.equal(type.status, 415);
+
+    const none = await user.post('/api/jobs', { json: {} });
+    assert.equal(none.status, 400);
+
+    const options = await user.post('/api/jobs', { json: { text: 'x', length: 'huge' } });
+    assert.equal(options.status, 400);
+  });
+
+  it('fails a job whose document has no text', async () => {
+    const { body } = await user.post('/api/jobs', { form: upload(await emptyPdf()) });
+    const job = await finished(user, body.id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /Could not extract text/);
+  });
+
+  it('retries when the LLM is rate limiting', async () => {
+    app.groq.fail(429, { headers: { 'retry-after': '0' } });
+    const { body } = await user.post('/api/jobs', { json: { text: 'Retry this one please.', regenerate: true } });
+    const job = await finished(user, body.id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.attempts, 2);
+  });
+
+  it('gives up after the last attempt', async () => {
+    app.groq.fail(429, { times: 2, headers: { 'retry-after': '0' } });
+    const { body } = await user.post('/api/jobs', { json: { text: 'This one keeps failing.', regenerate: true } });
+    const job = await finished(user, body.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 2);
+  });
+
+  it("doesn't pass on the details of internal errors", async () => {
+    app.groq.fail(500, { message: 'internal secret detail' });
+    const { body } = await user.post('/api/jobs', { json: { text: 'The LLM breaks on this one.', regenerate: true } });
+    const job = await finished(user, body.id);
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Job failed');
+  });
+
+  it('responds 404 for unknown jobs', async () => {
+    assert.equal((await user.get(`/api/jobs/${NO_JOB}`)).status, 404);
+    assert.equal((await user.get('/api/jobs/nope')).status, 404);
+    assert.equal((await user.get(`/api/jobs/${NO_JOB}/events`)).status, 404);
+  });
+});
+
+describe('GET /api/jobs/:id/events', () => {
+  it('replays a finished job as a snapshot', async () => {
+    const { body } = await user.post('/api/jobs', { json: { text: 'Follow me.', regenerate: true } });
+    await finished(user, body.id);
+
+    const res = await user.get(`/api/jobs/${body.id}/events`);
+    assert.equal(res.status, 200);
+    const [snapshot] = parseEvents(res.body);
+    assert.equal(snapshot.event, 'snapshot');
+    assert.equal(snapshot.data.status, 'done');
+  });
+
+  it('streams a running job until it is done', async () => {
+    const { body } = await user.post('/api/jobs', { form: upload(await multiPagePdf(), { regenerate: true }) });
+    const res = await user.get(`/api/jobs/${body.id}/events`);
+    const events = parseEvents(res.body);
+    assert.equal(events[0].event, 'snapshot');
+    assert.ok(['done', 'snapshot'].includes(events.at(-1).event));
+    assert.equal((await finished(user, body.id)).status, 'done');
+  });
+});
+
+describe('batches', () => {
+  it('summarizes every file and then the collection', async () => {
+    const files = [text('Apples are ripe in autumn.'), text('Bananas grow in warm places.')];
+    const res = await user.post('/api/batches', { form: upload(files, { collection: true, regenerate: true }, 'pdfs') });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.jobs.length, 2);
+    assert.equal(res.body.collection, true);
+
+    const batch = await eventually(async () => {
+      const { body } = await user.get(`/api/batches/${res.body.id}`);
+      return body.status === 'done' && body;
+    }, { timeout: 10000 });
+    assert.ok(batch.jobs.every((job) => job.status === 'done'));
+    assert.equal(batch.collectionJob.status, 'done');
+    assert.equal(batch.collectionJob.result.kind, 'collection');
+  });
+
+  it("doesn't combine a single file", async () => {
+    const res = await user.post('/api/batches', { form: upload([text('Only one file here.')], { collection: true }, 'pdfs') });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.collection, false);
+  });
+
+  it('rejects batches without files, with too many or with unreadable ones', async () => {
+    const none = await user.post('/api/batches', { form: upload([], { length: 'short' }) });
+    assert.equal(none.status, 400);
+    assert.equal(none.body.error, 'No files uploaded');
+
+    const many = Array.from({ length: 21 }, (_, i) => text(`File ${i}.`));
+    const tooMany = await user.post('/api/batches', { form: upload(many, {}, 'pdfs') });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.code, 'unexpected_file');
+
+    const unreadable = await user.post('/api/batches', { form: upload([nonPdf()], {}, 'pdfs') });
+    assert.equal(unreadable.status, 415);
+
+    const json = await user.post('/api/batches', { json: {} });
+    assert.equal(json.status, 415);
+  });
+
+  it("keeps batches to their owner", async () => {
+    const { body } = await user.post('/api/batches', { form: upload([text('Private batch.')], {}, 'pdfs') });
+    const other = await app.signUp();
+    assert.equal((await other.get(`/api/batches/${body.id}`)).status, 404);
+    assert.equal((await user.get(`/api/batches/${NO_JOB}`)).status, 404);
+  });
+});
+
+describe('POST /api/comparisons', () => {
+  it('compares two uploads', async () => {
+    const form = new FormData();
+    for (const [field, file] of [['pdfA', text('Version one says ten days.')], ['pdfB', text('Version two says thirty days.')]]) {
+      form.append(field, new Blob([file.buffer], { type: file.type }), file.filename);
+    }
+    const res = await user.post('/api/comparisons', { form });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.meta.kind, 'comparison');
+
+    const job = await finished(user, res.body.id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.kind, 'comparison');
+  });
+
+  it('compares two stored summaries', async () => {
+    const a = await user.post('/api/summarize', { json: { text: 'The lease runs for one year.', title: 'Lease A' } });
+    const b = await user.post('/api/summarize', { json: { text: 'The lease runs for two years.', title: 'Lease B' } });
+    const res = await user.post('/api/comparisons', { json: { a: a.body.id, b: b.body.id } });
+    assert.equal(res.status, 202);
+    assert.equal(res.body.meta.filename, 'Lease A vs Lease B');
+    assert.equal((await finished(user, res.body.id)).status, 'done');
+  });
+
+  it('needs two different documents it can read', async () => {
+    const { body } = await user.post('/api/summarize', { json: { text: 'Just one document.' } });
+    const missing = await user.post('/api/comparisons', { json: { a: body.id } });
+    assert.equal(missing.status, 400);
+
+    const same = await user.post('/api/comparisons', { json: { a: body.id, b: body.id } });
+    assert.equal(same.status, 400);
+
+    const unknown = await user.post('/api/comparisons', { json: { a: body.id, b: NO_JOB } });
+    assert.equal(unknown.status, 404);
+
+    const invalid = await user.post('/api/comparisons', { json: { a: body.id, b: 'nope' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'b');
+
+    const other = await user.post('/api/summarize', { json: { text: 'Another document.' } });
+    const extract = await user.post('/api/comparisons', { json: { a: body.id, b: other.body.id, length: 'extract', schemaName: 'invoice' } });
+    assert.equal(extract.status, 400);
+    assert.match(extract.body.error, /not extraction mode/);
+  });
+});
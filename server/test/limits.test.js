@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { eventually, startApp } from './helpers/app.js';
+
+let app;
+
+// Tiny limits, so that a request or two reaches them
+before(async () => {
+  app = await startApp({ RATE_LIMIT_PER_USER: '3', MONTHLY_TOKEN_QUOTA: '50' });
+});
+after(() => app.close());
+
+const usage = async (client) => (await client.get('/api/usage')).body;
+
+describe('GET /api/usage', () => {
+  it('reports the tokens used per day and model, the quota and the rate limits', async () => {
+    const user = await app.signUp();
+    const empty = await user.get('/api/usage');
+    assert.equal(empty.status, 200);
+    assert.equal(empty.body.days.length, 30);
+    assert.equal(empty.body.totals.totalTokens, 0);
+    assert.equal(empty.body.quota.monthlyTokens, 50);
+    assert.deepEqual(empty.body.rateLimits, { perIpPerMinute: null, perUserPerMinute: 3 });
+
+    const { body: summary } = await user.post('/api/summarize', { json: { text: 'The garden party is on Sunday afternoon.' } });
+    const report = await eventually(async () => {
+      const body = await usage(user);
+      return body.totals.operations === 1 && body;
+    });
+    assert.equal(report.totals.promptTokens, summary.usage.promptTokens);
+    assert.deepEqual(report.models.map((m) => `${m.provider}/${m.model}`), ['groq/llama-3.1-8b-instant']);
+    assert.equal(report.days.at(-1).operations, 1);
+    assert.equal(report.quota.used, report.totals.totalTokens);
+  });
+
+  it('validates the number of days', async () => {
+    const user = await app.signUp();
+    assert.equal((await user.get('/api/usage?days=7')).body.days.length, 7);
+
+    const invalid = await user.get('/api/usage?days=1000');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [{ in: 'query', field: 'days', message: 'must be at most 366' }]);
+  });
+});
+
+describe('limits', () => {
+  it('limits LLM requests per user per minute', async () => {
+    const user = await app.signUp();
+    // Invalid requests count too, and cost no tokens
+    for (let i = 0; i < 3; i++) {
+      const res = await user.post('/api/summarize', { json: { text: 'x', length: 'huge' } });
+      assert.equal(res.status, 400);
+      assert.equal(res.headers.get('ratelimit-remaining'), String(2 - i));
+    }
+
+    const limited = await user.post('/api/summarize', { json: { text: 'One too many.' } });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    // Other users and requests that don't call the LLM are unaffected
+    const other = await app.signUp();
+    assert.equal((await other.post('/api/summarize', { json: { text: 'x', length: 'huge' } })).status, 400);
+    assert.equal((await user.get('/api/summaries')).status, 200);
+  });
+
+  it('stops LLM requests once the monthly quota is used up', async () => {
+    const user = await app.signUp();
+    // The request that crosses the quota still completes
+    const first = await user.post('/api/summarize', { json: { text: 'A long document about budgets. '.repeat(20) } });
+    assert.equal(first.status, 200);
+    await eventually(async () => (await usage(user)).quota.remaining === 0);
+
+    const over = await user.post('/api/summarize', { json: { text: 'Over the quota now.' } });
+    assert.equal(over.status, 429);
+    assert.equal(over.body.code, 'quota_exceeded');
+    assert.equal(over.body.quota, 50);
+    assert.ok(Number(over.headers.get('retry-after')) > 0);
+
+    const chat = await user.post(`/api/summaries/${first.body.id}/chat`, { json: { message: 'Any more?' } });
+    assert.equal(chat.status, 429);
+    assert.equal((await user.get(`/api/summaries/${first.body.id}`)).status, 200);
+  });
+});
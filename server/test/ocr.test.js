@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp, upload } from './helpers/app.js';
+import { imageOnlyPdf } from './helpers/fixtures.js';
+
+let app;
+let user;
+
+// The other test files turn OCR off to stay fast; this one reads a scan with
+// Tesseract and the bundled English data, offline
+before(async () => {
+  app = await startApp({ OCR_ENABLED: 'true' });
+  user = await app.signUp();
+});
+after(() => app.close());
+
+describe('OCR', () => {
+  it('reads the text of a scanned PDF', { timeout: 120000 }, async () => {
+    const res = await user.post('/api/summarize', { form: upload(await imageOnlyPdf()) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ocr, true);
+    assert.equal(typeof res.body.ocrConfidence, 'number');
+    assert.ok(res.body.ocrConfidence > 0 && res.body.ocrConfidence <= 100);
+    assert.equal(res.body.pageMethods[0].method, 'ocr');
+    assert.match(res.body.summary, /terminate/i);
+  });
+});
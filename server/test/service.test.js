@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { startApp } from './helpers/app.js';
+
+let app;
+let anonymous;
+
+before(async () => {
+  app = await startApp();
+  anonymous = app.client();
+});
+after(() => app.close());
+
+describe('GET /api/health', () => {
+  it('reports the storage backend', async () => {
+    const res = await anonymous.get('/api/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.storage, 'sqlite');
+  });
+});
+
+describe('API description', () => {
+  it('serves the OpenAPI document', async () => {
+    const res = await anonymous.get('/api/openapi.json');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.openapi, '3.1.0');
+    assert.ok(res.body.paths['/api/summarize'].post);
+  });
+
+  it('names an operation for every route', async () => {
+    const { body } = await anonymous.get('/api/openapi.json');
+    const ids = Object.values(body.paths).flatMap((item) => Object.values(item).map((op) => op.operationId).filter(Boolean));
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.length >= 45);
+  });
+
+  it('serves the docs page and its assets', async () => {
+    const page = await anonymous.get('/api/docs');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /swagger-ui-bundle\.js/);
+
+    const script = await anonymous.get('/api/docs/swagger-ui-bundle.js');
+    assert.equal(script.status, 200);
+  });
+});
+
+describe('errors', () => {
+  it('requires authentication for the rest of the API', async () => {
+    const res = await anonymous.get('/api/summaries');
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: 'Authentication required', code: 'unauthorized' });
+  });
+
+  it('rejects unknown session and API tokens', async () => {
+    const session = await anonymous.get('/api/auth/me', { headers: { cookie: 'session=nope' } });
+    assert.equal(session.status, 401);
+
+    const token = await anonymous.get('/api/auth/me', { headers: { authorization: 'Bearer sai_nope' } });
+    assert.equal(token.status, 401);
+  });
+
+  it('responds 404 for unknown API routes', async () => {
+    const user = await app.signUp();
+    const res = await user.get('/api/nothing-here');
+    assert.equal(res.status, 404);
+    assert.equal(res.body.code, 'not_found');
+  });
+
+  it('responds 400 invalid_json for a malformed JSON body', async () => {
+    const res = await anonymous.post('/api/auth/login', {
+      headers: { 'content-type': 'application/json' },
+      form: '{"email":',
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'invalid_json');
+  });
+
+  it('responds 415 for bodies that are neither JSON nor a form', async () => {
+    const res = await anonymous.post('/api/auth/login', { headers: { 'content-type': 'text/plain' }, form: 'hello' });
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'unsupported_media_type');
+  });
+});
@@ -0,0 +1,262 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import JSZip from 'jszip';
+import { startApp, upload } from './helpers/app.js';
+import { multiPagePdf } from './helpers/fixtures.js';
+import { fontPieces } from '../lib/export/fonts.js';
+
+let app;
+let user;
+let report;
+
+before(async () => {
+  app = await startApp();
+  user = await app.signUp();
+  ({ body: report } = await user.post('/api/summarize', { form: upload(await multiPagePdf()) }));
+});
+after(() => app.close());
+beforeEach(() => app.groq.reset());
+
+const NO_SUMMARY = '00000000-0000-4000-8000-000000000000';
+
+const summarize = (client, text, options = {}) =>
+  client.post('/api/summarize', { json: { text, ...options } }).then((res) => res.body);
+
+describe('GET /api/summaries', () => {
+  it('lists your summaries newest first, a page at a time', async () => {
+    const owner = await app.signUp();
+    const ids = [];
+    for (const title of ['First', 'Second', 'Third']) {
+      ids.push((await summarize(owner, `${title} document about gardening.`, { title })).id);
+    }
+
+    const page1 = await owner.get('/api/summaries?limit=2');
+    assert.equal(page1.status, 200);
+    assert.deepEqual(page1.body.items.map((s) => s.id), [ids[2], ids[1]]);
+    assert.ok(page1.body.nextCursor);
+
+    const page2 = await owner.get(`/api/summaries?limit=2&cursor=${page1.body.nextCursor}`);
+    assert.deepEqual(page2.body.items.map((s) => s.id), [ids[0]]);
+    assert.equal(page2.body.nextCursor, null);
+  });
+
+  it('fills in the query defaults when no query is given', async () => {
+    const owner = await app.signUp();
+    const { id } = await summarize(owner, 'A note about the spring fair.');
+
+    const list = await owner.get('/api/summaries');
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.items.map((s) => s.id), [id]);
+    assert.equal(list.body.nextCursor, null);
+
+    const usage = await owner.get('/api/usage');
+    assert.equal(usage.status, 200);
+    assert.equal(usage.body.days.length, 30);
+  });
+
+  it('searches and filters', async () => {
+    const owner = await app.signUp();
+    await summarize(owner, 'The orchestra performs on Saturday.', { title: 'Concert', length: 'short' });
+    await summarize(owner, 'The bakery opens at seven.', { title: 'Bakery', length: 'long' });
+
+    const search = await owner.get('/api/summaries?q=orchestra');
+    assert.deepEqual(search.body.items.map((s) => s.original_filename), ['Concert']);
+
+    const lengths = await owner.get('/api/summaries?length=long');
+    assert.deepEqual(lengths.body.items.map((s) => s.original_filename), ['Bakery']);
+
+    const pages = await user.get('/api/summaries?minPages=3');
+    assert.deepEqual(pages.body.items.map((s) => s.id), [report.id]);
+
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const future = await owner.get(`/api/summaries?from=${tomorrow}`);
+    assert.deepEqual(future.body.items, []);
+  });
+
+  it('validates the query', async () => {
+    const limit = await user.get('/api/summaries?limit=500');
+    assert.equal(limit.status, 400);
+    assert.deepEqual(limit.body.details, [{ in: 'query', field: 'limit', message: 'must be at most 100' }]);
+
+    const date = await user.get('/api/summaries?from=yesterday');
+    assert.equal(date.status, 400);
+    assert.equal(date.body.details[0].message, 'must be a date or date-time');
+
+    const cursor = await user.get('/api/summaries?cursor=nonsense');
+    assert.equal(cursor.status, 400);
+    assert.equal(cursor.body.error, 'Invalid cursor');
+    assert.equal(cursor.body.code, 'invalid_cursor');
+
+    // Well-formed JSON, but not a timestamp and an id
+    const filter = Buffer.from(JSON.stringify(['2026-01-01T00:00:00Z",id.neq.0', report.id])).toString('base64url');
+    assert.equal((await user.get(`/api/summaries?cursor=${filter}`)).body.code, 'invalid_cursor');
+    const id = Buffer.from(JSON.stringify([new Date().toISOString(), 'x)'])).toString('base64url');
+    assert.equal((await user.get(`/api/summaries?cursor=${id}`)).body.code, 'invalid_cursor');
+
+    const length = await user.get('/api/summaries?length=short,tiny');
+    assert.equal(length.status, 400);
+  });
+
+  it("doesn't show other users' summaries", async () => {
+    const other = await app.signUp();
+    assert.deepEqual((await other.get('/api/summaries')).body.items, []);
+    assert.equal((await other.get(`/api/summaries/${report.id}`)).status, 404);
+    assert.equal((await other.delete(`/api/summaries/${report.id}`)).status, 404);
+    assert.equal((await other.get(`/api/summaries/${report.id}/chat`)).status, 404);
+  });
+});
+
+describe('GET and DELETE /api/summaries/:id', () => {
+  it('gets and deletes a summary', async () => {
+    const { id } = await summarize(user, 'A summary to delete.');
+    const res = await user.get(`/api/summaries/${id}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.id, id);
+
+    assert.equal((await user.delete(`/api/summaries/${id}`)).status, 200);
+    assert.equal((await user.get(`/api/summaries/${id}`)).status, 404);
+    assert.equal((await user.delete(`/api/summaries/${id}`)).status, 404);
+  });
+
+  it('responds 404 for ids that are not summaries', async () => {
+    const malformed = await user.get('/api/summaries/not-an-id');
+    assert.equal(malformed.status, 404);
+    assert.equal(malformed.body.error, 'Summary not found');
+    assert.equal((await user.get(`/api/summaries/${NO_SUMMARY}`)).status, 404);
+  });
+});
+
+describe('versions', () => {
+  it('regenerates and translates a summary as new versions', async () => {
+    const { id } = await summarize(user, 'The library is closed for repairs until June.', { length: 'short' });
+
+    const regenerated = await user.post(`/api/summaries/${id}/regenerate`, { json: { length: 'long' } });
+    assert.equal(regenerated.status, 201);
+    assert.equal(regenerated.body.version, 2);
+    assert.equal(regenerated.body.summaryLength, 'long');
+    assert.match(app.groq.requests[0].messages.at(-1).content, /closed for repairs/);
+
+    const translated = await user.post(`/api/summaries/${id}/translate`, { json: { language: 'fr', version: 2 } });
+    assert.equal(translated.status, 201);
+    assert.equal(translated.body.version, 3);
+    assert.equal(translated.body.outputLanguage, 'fr');
+    assert.equal(translated.body.summaryLength, 'long');
+
+    const versions = await user.get(`/api/summaries/${id}/versions`);
+    assert.deepEqual(versions.body.map((v) => v.version), [1, 2, 3]);
+    assert.equal(versions.body[0].id, null);
+  });
+
+  it('validates the request', async () => {
+    const { id } = report;
+    const length = await user.post(`/api/summaries/${id}/regenerate`, { json: { length: 'tiny' } });
+    assert.equal(length.status, 400);
+
+    const language = await user.post(`/api/summaries/${id}/translate`, { json: {} });
+    assert.equal(language.status, 400);
+    assert.equal(language.body.details[0].field, 'language');
+
+    const version = await user.post(`/api/summaries/${id}/translate`, { json: { language: 'fr', version: 99 } });
+    assert.equal(version.status, 404);
+    assert.equal(version.body.error, 'Version not found');
+
+    const unknown = await user.post(`/api/summaries/${NO_SUMMARY}/regenerate`, { json: {} });
+    assert.equal(unknown.status, 404);
+    assert.equal(app.groq.requests.length, 0);
+  });
+});
+
+describe('export', () => {
+  it('downloads a summary in every format', async () => {
+    const types = {
+      pdf: 'application/pdf',
+      docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      html: 'text/html; charset=utf-8',
+      md: 'text/markdown; charset=utf-8',
+      json: 'application/json; charset=utf-8',
+    };
+    for (const [format, type] of Object.entries(types)) {
+      const res = await user.get(`/api/summaries/${report.id}/export?format=${format}`);
+      assert.equal(res.status, 200, format);
+      assert.equal(res.headers.get('content-type'), type);
+      assert.match(res.headers.get('content-disposition'), new RegExp(`attachment; filename="report.*\\.${format}"`));
+    }
+
+    const json = await user.get(`/api/summaries/${report.id}/export?format=json`);
+    assert.equal(json.body.summary, report.summary);
+
+    const pdf = await user.get(`/api/summaries/${report.id}/export`);
+    assert.equal(pdf.headers.get('content-type'), 'application/pdf');
+  });
+
+  it('picks a font for each script in PDFs, falling back to the built-in ones', async () => {
+    assert.deepEqual(fontPieces('Umsatz: 売上は、増加。', 'ja'), [
+      { font: null, text: 'Umsatz: ' },
+      { font: 'NotoSansJP', text: '売上は、増加。' },
+    ]);
+    assert.equal(fontPieces('売上', 'zh')[0].font, 'NotoSansSC');
+
+    // No PDF_FONT_DIR here, so nothing is embedded
+    const japanese = await summarize(user, '売上は前四半期比で十二パーセント増加しました。', { outputLanguage: 'ja' });
+    const pdf = await user.get(`/api/summaries/${japanese.id}/export?format=pdf`);
+    assert.equal(pdf.status, 200);
+    assert.match(pdf.body.toString('latin1'), /\/BaseFont \/Helvetica/);
+    assert.doesNotMatch(pdf.body.toString('latin1'), /\/FontFile2/);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await user.get(`/api/summaries/${report.id}/export?format=rtf`);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, 'format');
+  });
+
+  it('exports several summaries as a ZIP', async () => {
+    const other = await summarize(user, 'Notes from the planning meeting.', { title: 'Planning' });
+    const res = await user.post('/api/summaries/export', { json: { ids: [report.id, other.id], format: 'md' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/zip');
+
+    const zip = await JSZip.loadAsync(res.body);
+    const names = Object.keys(zip.files).sort();
+    assert.equal(names.length, 2);
+    assert.ok(names.every((name) => name.endsWith('.md')));
+
+    const missing = await user.post('/api/summaries/export', { json: { ids: [report.id, NO_SUMMARY] } });
+    assert.equal(missing.status, 404);
+
+    const none = await user.post('/api/summaries/export', { json: { ids: [] } });
+    assert.equal(none.status, 400);
+  });
+});
+
+describe('chat', () => {
+  it('answers follow-up questions and keeps the conversation', async () => {
+    const { id } = await summarize(user, 'The warranty covers two years of repairs.');
+
+    const res = await user.post(`/api/summaries/${id}/chat`, { json: { message: '  How long is the warranty?  ' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.userMessage.content, 'How long is the warranty?');
+    assert.equal(res.body.assistantMessage.role, 'assistant');
+    assert.match(app.groq.requests.at(-1).messages.at(-1).content, /How long is the warranty\?/);
+
+    const history = await user.get(`/api/summaries/${id}/chat`);
+    assert.deepEqual(history.body.map((m) => m.role), ['user', 'assistant']);
+
+    assert.equal((await user.delete(`/api/summaries/${id}/chat`)).status, 200);
+    assert.deepEqual((await user.get(`/api/summaries/${id}/chat`)).body, []);
+  });
+
+  it("doesn't store a question the LLM failed to answer", async () => {
+    const { id } = await summarize(user, 'The shop closes early on Fridays.');
+    app.groq.fail(500);
+    const res = await user.post(`/api/summaries/${id}/chat`, { json: { message: 'When does it close?' } });
+    assert.equal(res.status, 502);
+    assert.deepEqual((await user.get(`/api/summaries/${id}/chat`)).body, []);
+  });
+
+  it('rejects blank questions', async () => {
+    const res = await user.post(`/api/summaries/${report.id}/chat`, { json: { message: '   ' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].message, 'must not be blank');
+  });
+});
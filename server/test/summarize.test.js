@@ -0,0 +1,301 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { parseEvents, startApp, upload } from './helpers/app.js';
+import {
+  corruptPdf,
+  emptyPdf,
+  imageOnlyPdf,
+  multiPagePdf,
+  nonPdf,
+  oversizedPdf,
+} from './helpers/fixtures.js';
+import { startServer } from './helpers/server.js';
+
+let app;
+let user;
+let documents;
+
+before(async () => {
+  app = await startApp();
+  user = await app.signUp();
+  documents = await startServer((req) => {
+    if (req.url === '/article.html') {
+      return {
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        body: '<html><head><title>Launch notes</title></head><body><p>The product launches in May. Early reviews are positive.</p></body></html>',
+      };
+    }
+    if (req.url === '/image.png') return { headers: { 'content-type': 'image/png' }, body: 'png' };
+    return { status: 404, body: 'Not found' };
+  });
+});
+after(async () => {
+  await documents.close();
+  await app.close();
+});
+beforeEach(() => app.groq.reset());
+
+const summarize = async (files, fields) => user.post('/api/summarize', { form: upload(files, fields) });
+
+describe('POST /api/summarize with PDF uploads', () => {
+  it('summarizes a multi-page PDF with page citations', async () => {
+    const res = await summarize(await multiPagePdf());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.filename, 'report.pdf');
+    assert.equal(res.body.pageCount, 3);
+    assert.equal(res.body.pageUnit, 'page');
+    assert.equal(res.body.summaryLength, 'medium');
+    assert.equal(res.body.provider, 'groq');
+    assert.equal(res.body.model, 'llama-3.1-8b-instant');
+    assert.equal(res.body.documentType, 'pdf');
+    assert.equal(res.body.sourceType, 'file');
+    assert.match(res.body.summary, /Revenue grew by twelve percent/);
+    assert.ok(res.body.citations.some((citation) => citation.page === 1));
+    assert.ok(res.body.usage.promptTokens > 0);
+
+    // The document went to the LLM page by page
+    const [request] = app.groq.requests;
+    assert.equal(request.model, 'llama-3.1-8b-instant');
+    assert.match(request.messages.at(-1).content, /\[Page 3\]/);
+  });
+
+  it('reuses the summary of a document summarized before, unless asked to regenerate', async () => {
+    const file = await multiPagePdf();
+    const first = await summarize(file, { length: 'short' });
+    app.groq.reset();
+
+    const cached = await summarize(file, { length: 'short' });
+    assert.equal(cached.status, 200);
+    assert.equal(cached.body.cached, true);
+    assert.equal(cached.body.id, first.body.id);
+    assert.equal(cached.body.provider, 'groq');
+    assert.equal(cached.body.model, first.body.model);
+    assert.equal(app.groq.requests.length, 0);
+
+    const fresh = await summarize(file, { length: 'short', regenerate: true });
+    assert.equal(fresh.status, 200);
+    assert.notEqual(fresh.body.id, first.body.id);
+    assert.equal(app.groq.requests.length, 1);
+  });
+
+  it('rejects a PDF without text', async () => {
+    const res = await summarize(await emptyPdf());
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Could not extract text from PDF/);
+  });
+
+  it('rejects an image-only PDF when OCR is off', async () => {
+    const res = await summarize(await imageOnlyPdf());
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Could not extract text from PDF/);
+    assert.equal(app.groq.requests.length, 0);
+  });
+
+  it('rejects a file over the upload limit', async () => {
+    const res = await summarize(oversizedPdf());
+    assert.equal(res.status, 413);
+    assert.equal(res.body.code, 'file_too_large');
+  });
+
+  it('rejects file types it cannot read', async () => {
+    const res = await summarize(nonPdf());
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, 'unsupported_file_type');
+  });
+
+  it('rejects a .pdf that is not a PDF', async () => {
+    const res = await summarize(corruptPdf());
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Could not read this PDF/);
+    assert.equal(app.groq.requests.length, 0);
+  });
+
+  it('summarizes other document types', async () => {
+    const notes = { filename: 'notes.md', type: 'text/markdown', buffer: Buffer.from('# Notes\n\nThe meeting moved to Friday. Bring the budget.') };
+    const res = await summarize(notes);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.documentType, 'md');
+    assert.match(res.body.summary, /meeting moved to Friday/);
+  });
+});
+
+describe('POST /api/summarize with URLs and pasted text', () => {
+  it('summarizes pasted text named by its title', async () => {
+    const res = await user.post('/api/summarize', { json: { text: 'Rain is expected all week. Bring an umbrella.', title: 'Forecast' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.filename, 'Forecast');
+    assert.equal(res.body.sourceType, 'text');
+  });
+
+  it('fetches and summarizes a web page', async () => {
+    const res = await user.post('/api/summarize', { json: { url: `${documents.url}/article.html` } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.filename, 'Launch notes');
+    assert.equal(res.body.sourceType, 'url');
+    assert.equal(res.body.sourceUrl, `${documents.url}/article.html`);
+    assert.match(res.body.summary, /launches in May/);
+  });
+
+  it('reports URLs that fail or hold something it cannot read', async () => {
+    const missing = await user.post('/api/summarize', { json: { url: `${documents.url}/missing.pdf` } });
+    assert.equal(missing.status, 422);
+    assert.match(missing.body.error, /HTTP 404/);
+    assert.equal(missing.body.code, 'fetch_failed');
+
+    const image = await user.post('/api/summarize', { json: { url: `${documents.url}/image.png` } });
+    assert.equal(image.status, 415);
+    assert.equal(image.body.code, 'unsupported_file_type');
+
+    const invalid = await user.post('/api/summarize', { json: { url: 'ftp://example.com/file.pdf' } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_url');
+  });
+
+  it('needs exactly one document', async () => {
+    const none = await user.post('/api/summarize', { json: {} });
+    assert.equal(none.status, 400);
+    assert.match(none.body.error, /Send one of/);
+
+    const two = await user.post('/api/summarize', { json: { text: 'Some text.', url: `${documents.url}/article.html` } });
+    assert.equal(two.status, 400);
+
+    const blank = await user.post('/api/summarize', { json: { text: '   ' } });
+    assert.equal(blank.status, 400);
+  });
+});
+
+describe('POST /api/summarize options', () => {
+  const text = 'The contract starts in January. Payment is due within thirty days. Either side may cancel.';
+
+  it('validates options against the API schema', async () => {
+    const length = await user.post('/api/summarize', { json: { text, length: 'gigantic' } });
+    assert.equal(length.status, 400);
+    assert.equal(length.body.code, 'validation_failed');
+    assert.deepEqual(length.body.details, [{ in: 'body', field: 'length', message: 'must be one of: short, medium, long, extract' }]);
+
+    const form = await summarize(await multiPagePdf(), { length: 'gigantic' });
+    assert.equal(form.status, 400);
+    assert.equal(form.body.details[0].field, 'length');
+
+    const provider = await user.post('/api/summarize', { json: { text, provider: 'nope' } });
+    assert.equal(provider.status, 400);
+
+    const language = await user.post('/api/summarize', { json: { text, outputLanguage: 'klingon' } });
+    assert.equal(language.status, 400);
+
+    const template = await user.post('/api/summarize', { json: { text, template: 'not-a-template' } });
+    assert.equal(template.status, 400);
+  });
+
+  it('passes the length, language and model on to the LLM', async () => {
+    const res = await user.post('/api/summarize', { json: { text, length: 'short', outputLanguage: 'de', model: 'llama-3.3-70b-versatile' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summaryLength, 'short');
+    assert.equal(res.body.outputLanguage, 'de');
+    assert.equal(res.body.model, 'llama-3.3-70b-versatile');
+
+    const [request] = app.groq.requests;
+    assert.equal(request.model, 'llama-3.3-70b-versatile');
+    assert.match(request.messages[0].content, /Write the summary in German/);
+  });
+
+  it('fills in prompt templates', async () => {
+    const res = await user.post('/api/summarize', { json: { text, template: 'executive-brief', audience: 'the board' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.template.id, 'executive-brief');
+    assert.match(app.groq.requests[0].messages[0].content, /the board/);
+
+    const unknown = await user.post('/api/summarize', { json: { text, template: '00000000-0000-4000-8000-000000000000' } });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown template/);
+  });
+
+  it('extracts data matching a saved or custom schema', async () => {
+    const saved = await user.post('/api/summarize', { json: { text, length: 'extract', schemaName: 'invoice' } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.schemaName, 'invoice');
+    assert.ok('invoice_number' in saved.body.extraction);
+    assert.equal(app.groq.requests[0].response_format.type, 'json_object');
+
+    const schema = { type: 'object', properties: { parties: { type: 'array', items: { type: 'string' } } }, required: ['parties'] };
+    const custom = await summarize(await multiPagePdf(), { length: 'extract', schema: JSON.stringify(schema) });
+    assert.equal(custom.status, 200);
+    assert.ok(Array.isArray(custom.body.extraction.parties));
+
+    const missing = await user.post('/api/summarize', { json: { text, length: 'extract' } });
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /needs a schema/);
+
+    const broken = await summarize(await multiPagePdf(), { length: 'extract', schema: '{not json' });
+    assert.equal(broken.status, 400);
+
+    const invalid = await summarize(await multiPagePdf(), { length: 'extract', schema: JSON.stringify({ type: 'nonsense' }) });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_schema');
+  });
+
+  it('can use another provider for one request', async () => {
+    const res = await user.post('/api/summarize', { json: { text, provider: 'mock' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.provider, 'mock');
+    assert.equal(app.groq.requests.length, 0);
+  });
+});
+
+describe('LLM failures', () => {
+  const text = 'A short note about the office move next week.';
+
+  it('passes on rate limiting by the LLM as 429', async () => {
+    app.groq.fail(429, { headers: { 'retry-after': '7' } });
+    const res = await user.post('/api/summarize', { json: { text, regenerate: true } });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'llm_rate_limited');
+  });
+
+  it('responds 502 when the LLM fails, without its details', async () => {
+    app.groq.fail(500, { message: 'internal secret detail' });
+    const res = await user.post('/api/summarize', { json: { text, regenerate: true } });
+    assert.equal(res.status, 502);
+    assert.equal(res.body.code, 'llm_error');
+    assert.doesNotMatch(res.body.error, /secret/);
+  });
+});
+
+describe('POST /api/summarize/stream', () => {
+  it('streams progress, summary tokens and the result', async () => {
+    const res = await user.post('/api/summarize/stream', { form: upload(await multiPagePdf(), { regenerate: true }) });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/event-stream/);
+
+    const events = parseEvents(res.body);
+    const stages = events.filter((e) => e.event === 'stage').map((e) => e.data.stage);
+    assert.deepEqual([stages[0], stages.at(-1)], ['uploaded', 'saved']);
+    assert.ok(stages.includes('extracted'));
+
+    const tokens = events.filter((e) => e.event === 'token').map((e) => e.data.text).join('');
+    assert.match(tokens, /Revenue grew by twelve percent/);
+    const done = events.find((e) => e.event === 'done');
+    assert.equal(done.data.pageCount, 3);
+    assert.match(done.data.summary, /Revenue grew by twelve percent/);
+  });
+
+  it('answers invalid requests before the stream starts', async () => {
+    const res = await user.post('/api/summarize/stream', { form: upload(await multiPagePdf(), { length: 'huge' }) });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'validation_failed');
+
+    const empty = await user.post('/api/summarize/stream', { form: upload(await emptyPdf()) });
+    assert.equal(empty.status, 200);
+    const events = parseEvents(empty.body);
+    assert.equal(events.at(-1).event, 'error');
+    assert.match(events.at(-1).data.error, /Could not extract text/);
+  });
+
+  it('reports LLM failures as an error event, without their details', async () => {
+    app.groq.fail(500, { message: 'internal secret detail' });
+    const res = await user.post('/api/summarize/stream', { json: { text: 'Streaming fails here.', regenerate: true } });
+    const events = parseEvents(res.body);
+    assert.equal(events.at(-1).event, 'error');
+    assert.equal(events.at(-1).data.error, 'Failed to process document');
+  });
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { startApp } from './helpers/app.js';
+
+let app;
+let user;
+
+before(async () => {
+  app = await startApp();
+  user = await app.signUp();
+});
+after(() => app.close());
+beforeEach(() => app.groq.reset());
+
+const NO_TEMPLATE = '00000000-0000-4000-8000-000000000000';
+
+describe('GET /api/schemas', () => {
+  it('lists the saved extraction schemas', async () => {
+    const res = await user.get('/api/schemas');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((s) => s.name), ['invoice', 'contract', 'research-paper']);
+    assert.equal(res.body[0].schema.type, 'object');
+  });
+});
+
+describe('prompt templates', () => {
+  it('lists the built-in templates', async () => {
+    const res = await user.get('/api/templates');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.every((t) => t.builtIn));
+    assert.ok(res.body.some((t) => t.id === 'executive-brief' && t.variables.includes('audience')));
+
+    const one = await user.get('/api/templates/executive-brief');
+    assert.equal(one.status, 200);
+    assert.equal(one.body.builtIn, true);
+  });
+
+  it('creates, updates, uses and deletes your own template', async () => {
+    const created = await user.post('/api/templates', {
+      json: { name: 'Haiku', description: 'Short and poetic', prompt: 'Summarize as a haiku for {{audience}}.' },
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.builtIn, false);
+    assert.deepEqual(created.body.variables, ['audience']);
+    const { id } = created.body;
+
+    const list = await user.get('/api/templates');
+    assert.ok(list.body.some((t) => t.id === id));
+
+    const updated = await user.put(`/api/templates/${id}`, { json: { name: 'Limerick', prompt: 'Summarize as a limerick.' } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.name, 'Limerick');
+    assert.deepEqual(updated.body.variables, []);
+
+    const summary = await user.post('/api/summarize', { json: { text: 'The ferry leaves at noon.', template: id } });
+    assert.equal(summary.status, 200);
+    assert.equal(summary.body.template.id, id);
+    assert.match(app.groq.requests[0].messages[0].content, /Summarize as a limerick/);
+
+    assert.equal((await user.delete(`/api/templates/${id}`)).status, 200);
+    assert.equal((await user.get(`/api/templates/${id}`)).status, 404);
+  });
+
+  it('validates templates', async () => {
+    const missing = await user.post('/api/templates', { json: { name: 'No prompt' } });
+    assert.equal(missing.status, 400);
+    assert.deepEqual(missing.body.details, [{ in: 'body', field: 'prompt', message: 'is required' }]);
+
+    const variable = await user.post('/api/templates', { json: { name: 'Odd', prompt: 'Write for {{reader}}.' } });
+    assert.equal(variable.status, 400);
+    assert.match(variable.body.error, /Unknown template variable \{\{reader\}\}/);
+    assert.equal(variable.body.code, 'invalid_template');
+
+    const long = await user.post('/api/templates', { json: { name: 'x'.repeat(1000), prompt: 'Summarize.' } });
+    assert.equal(long.status, 400);
+    assert.equal(long.body.details[0].field, 'name');
+  });
+
+  it("doesn't change built-in templates", async () => {
+    const update = await user.put('/api/templates/standard', { json: { name: 'Mine', prompt: 'Summarize.' } });
+    assert.equal(update.status, 403);
+    assert.equal(update.body.code, 'forbidden');
+
+    const remove = await user.delete('/api/templates/standard');
+    assert.equal(remove.status, 403);
+  });
+
+  it("keeps templates to their owner", async () => {
+    const { body } = await user.post('/api/templates', { json: { name: 'Private', prompt: 'Summarize privately.' } });
+    const other = await app.signUp();
+    assert.equal((await other.get(`/api/templates/${body.id}`)).status, 404);
+    assert.equal((await other.put(`/api/templates/${body.id}`, { json: { name: 'Taken', prompt: 'Mine now.' } })).status, 404);
+    assert.equal((await other.delete(`/api/templates/${body.id}`)).status, 404);
+    assert.ok(!(await other.get('/api/templates')).body.some((t) => t.id === body.id));
+
+    const summary = await other.post('/api/summarize', { json: { text: 'Some text.', template: body.id } });
+    assert.equal(summary.status, 400);
+  });
+
+  it('responds 404 for unknown templates', async () => {
+    assert.equal((await user.get(`/api/templates/${NO_TEMPLATE}`)).status, 404);
+    const malformed = await user.get('/api/templates/not a template');
+    assert.equal(malformed.status, 404);
+    assert.equal(malformed.body.error, 'Template not found');
+  });
+});
@@ -0,0 +1,185 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { eventually, startApp } from './helpers/app.js';
+import { startServer } from './helpers/server.js';
+
+let app;
+let receiver;
+// The status the receiver responds with
+let reply = 200;
+
+before(async () => {
+  app = await startApp({ WEBHOOK_MAX_ATTEMPTS: '3' });
+  receiver = await startServer(() => ({ status: reply }));
+});
+after(async () => {
+  await receiver.close();
+  await app.close();
+});
+beforeEach(() => {
+  reply = 200;
+  receiver.requests.length = 0;
+});
+
+const NO_WEBHOOK = '00000000-0000-4000-8000-000000000000';
+
+const deliveries = (client, webhook, check) => eventually(async () => {
+  const { body } = await client.get(`/api/webhooks/${webhook.id}/deliveries`);
+  return check(body) && body;
+});
+
+const verify = (secret, request) => {
+  const [, timestamp, signature] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  return createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex') === signature;
+};
+
+describe('webhooks', () => {
+  it('registers, lists, updates and deletes a webhook', async () => {
+    const user = await app.signUp();
+    const created = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook`, description: ' Alerts ' } });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    assert.deepEqual(created.body.events, ['summary.created', 'summary.failed', 'summary.deleted']);
+    assert.equal(created.body.description, 'Alerts');
+    assert.equal(created.body.active, true);
+    const { id } = created.body;
+
+    const list = await user.get('/api/webhooks');
+    assert.deepEqual(list.body.map((w) => w.id), [id]);
+    assert.equal(list.body[0].secret, undefined);
+
+    const updated = await user.patch(`/api/webhooks/${id}`, { json: { events: ['summary.deleted'], active: false } });
+    assert.equal(updated.status, 200);
+    assert.deepEqual(updated.body.events, ['summary.deleted']);
+    assert.equal(updated.body.secret, undefined);
+
+    const rotated = await user.patch(`/api/webhooks/${id}`, { json: { rotateSecret: true } });
+    assert.notEqual(rotated.body.secret, created.body.secret);
+
+    assert.equal((await user.delete(`/api/webhooks/${id}`)).status, 200);
+    assert.equal((await user.get(`/api/webhooks/${id}`)).status, 404);
+  });
+
+  it('validates webhooks', async () => {
+    const user = await app.signUp();
+    const missing = await user.post('/api/webhooks', { json: {} });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details[0].field, 'url');
+
+    const url = await user.post('/api/webhooks', { json: { url: 'ftp://example.com/hook' } });
+    assert.equal(url.status, 400);
+
+    const events = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook`, events: ['summary.read'] } });
+    assert.equal(events.status, 400);
+    assert.equal(events.body.details[0].field, 'events[0]');
+
+    const secret = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook`, secret: 'short' } });
+    assert.equal(secret.status, 400);
+    assert.equal(secret.body.details[0].message, 'must be at least 16 characters');
+
+    const { body } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+    const nothing = await user.patch(`/api/webhooks/${body.id}`, { json: {} });
+    assert.equal(nothing.status, 400);
+    assert.equal(nothing.body.error, 'Nothing to update');
+  });
+
+  it("keeps webhooks to their owner", async () => {
+    const owner = await app.signUp();
+    const other = await app.signUp();
+    const { body } = await owner.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+    assert.equal((await other.get(`/api/webhooks/${body.id}`)).status, 404);
+    assert.equal((await other.patch(`/api/webhooks/${body.id}`, { json: { active: false } })).status, 404);
+    assert.equal((await other.delete(`/api/webhooks/${body.id}`)).status, 404);
+    assert.equal((await other.get(`/api/webhooks/${body.id}/deliveries`)).status, 404);
+    assert.equal((await owner.get(`/api/webhooks/${NO_WEBHOOK}`)).status, 404);
+  });
+});
+
+describe('deliveries', () => {
+  it('delivers signed events for new and deleted summaries', async () => {
+    const user = await app.signUp();
+    const { body: webhook } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+
+    const { body: summary } = await user.post('/api/summarize', { json: { text: 'The museum reopens in March.' } });
+    await user.delete(`/api/summaries/${summary.id}`);
+
+    const log = await deliveries(user, webhook, (list) => list.length === 2 && list.every((d) => d.status === 'succeeded'));
+    assert.deepEqual(log.map((d) => d.event).sort(), ['summary.created', 'summary.deleted']);
+
+    const created = receiver.requests.find((r) => r.headers['x-webhook-event'] === 'summary.created');
+    assert.equal(created.url, '/hook');
+    assert.ok(verify(webhook.secret, created));
+    const payload = JSON.parse(created.body);
+    assert.equal(payload.event, 'summary.created');
+    assert.equal(payload.data.id, summary.id);
+    assert.equal(created.headers['x-webhook-delivery'], log.find((d) => d.event === 'summary.created').id);
+  });
+
+  it('only sends the events a webhook subscribes to', async () => {
+    const user = await app.signUp();
+    const { body: webhook } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/deleted`, events: ['summary.deleted'] } });
+    await user.post('/api/summarize', { json: { text: 'Nobody hears about this one.' } });
+    const { body: disabled } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/disabled`, active: false } });
+    await user.post('/api/summarize', { json: { text: 'Nor about this one.' } });
+
+    assert.deepEqual((await user.get(`/api/webhooks/${webhook.id}/deliveries`)).body, []);
+    assert.deepEqual((await user.get(`/api/webhooks/${disabled.id}/deliveries`)).body, []);
+  });
+
+  it('retries failed deliveries and logs the responses', async () => {
+    reply = 500;
+    const user = await app.signUp();
+    const { body: webhook } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+    await user.post('/api/summarize', { json: { text: 'The receiver is down today.' } });
+
+    const [failed] = await deliveries(user, webhook, (list) => list[0]?.status === 'failed');
+    assert.equal(failed.attempts, 3);
+    assert.equal(failed.response_status, 500);
+    assert.equal(failed.error, 'Responded with HTTP 500');
+    assert.equal(receiver.requests.length, 3);
+
+    const single = await user.get(`/api/webhooks/${webhook.id}/deliveries/${failed.id}`);
+    assert.equal(single.status, 200);
+    assert.equal(single.body.payload.event, 'summary.created');
+  });
+
+  it('replays a delivery as a new one', async () => {
+    const user = await app.signUp();
+    const { body: webhook } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+    await user.post('/api/summarize', { json: { text: 'Replay this event later.' } });
+    const [original] = await deliveries(user, webhook, (list) => list[0]?.status === 'succeeded');
+
+    const replay = await user.post(`/api/webhooks/${webhook.id}/deliveries/${original.id}/replay`);
+    assert.equal(replay.status, 202);
+    assert.equal(replay.body.replay_of, original.id);
+
+    await deliveries(user, webhook, (list) => list.length === 2 && list.every((d) => d.status === 'succeeded'));
+    const [first, second] = receiver.requests.map((r) => JSON.parse(r.body));
+    assert.equal(first.id, second.id);
+
+    await user.patch(`/api/webhooks/${webhook.id}`, { json: { active: false } });
+    const disabled = await user.post(`/api/webhooks/${webhook.id}/deliveries/${original.id}/replay`);
+    assert.equal(disabled.status, 409);
+    assert.equal(disabled.body.code, 'conflict');
+
+    const unknown = await user.post(`/api/webhooks/${webhook.id}/deliveries/${NO_WEBHOOK}/replay`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, 'Delivery not found');
+  });
+
+  it('pages the delivery log', async () => {
+    const user = await app.signUp();
+    const { body: webhook } = await user.post('/api/webhooks', { json: { url: `${receiver.url}/hook` } });
+    await user.post('/api/summarize', { json: { text: 'First event.' } });
+    await user.post('/api/summarize', { json: { text: 'Second event.' } });
+    await deliveries(user, webhook, (list) => list.length === 2);
+
+    const limited = await user.get(`/api/webhooks/${webhook.id}/deliveries?limit=1`);
+    assert.equal(limited.body.length, 1);
+
+    const invalid = await user.get(`/api/webhooks/${webhook.id}/deliveries?limit=0`);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details, [{ in: 'query', field: 'limit', message: 'must be at least 1' }]);
+  });
+});